@@ -0,0 +1,232 @@
+/**
+ * Animated visualizations
+ * Posts animated GIF, MP4 and WebM visualizations with sendAnimation/sendVideo. Animated
+ * overlays on colored backgrounds are composited frame by frame with ffmpeg; when that is
+ * not possible the insight goes through the still image path, which uses the first frame.
+ */
+import fs from 'fs';
+import path from 'path';
+import { out } from './logger.js';
+import { config } from './config.js';
+import { IMAGE_PRESETS, canvasAvailable, countGifFrames, createBackgroundCanvas, getMediaType, getOverlayPlacement, resolveBackground } from './images.js';
+import { fetchCachedAsset, getCachedRender, hashContent } from './imageCache.js';
+import { isFfmpegAvailable, probeVideoSize, runFfmpeg, withTempDir } from './ffmpeg.js';
+import { isChartInsight } from './charts.js';
+
+/** File extensions of the animated media types */
+const MEDIA_EXTENSIONS = {
+    'image/gif': 'gif',
+    'video/mp4': 'mp4',
+    'video/webm': 'webm'
+};
+
+/** H.264 output that every Telegram client plays (dimensions must be even for yuv420p) */
+const MP4_OUTPUT_ARGS = ['-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-pix_fmt', 'yuv420p', '-movflags', '+faststart'];
+
+/**
+ * Checks whether media data is animated
+ * @function isAnimatedMedia
+ * @param {Buffer} buffer - Media data
+ * @returns {boolean} True for MP4, WebM and GIFs with more than one frame
+ * @example
+ * isAnimatedMedia(fs.readFileSync('chart.gif')); // true when the GIF has several frames
+ */
+export function isAnimatedMedia(buffer) {
+    const type = getMediaType(buffer);
+    return type === 'video/mp4' || type === 'video/webm' || (type === 'image/gif' && countGifFrames(buffer) > 1);
+}
+
+/**
+ * Gets the file extension of animated media, for upload file names
+ * @function getAnimationExtension
+ * @param {Buffer} buffer - Media data
+ * @returns {'gif'|'mp4'|'webm'} File extension (mp4 when unknown)
+ */
+export function getAnimationExtension(buffer) {
+    return MEDIA_EXTENSIONS[getMediaType(buffer)] || 'mp4';
+}
+
+/**
+ * Checks whether JSON data is a Lottie animation
+ * @param {Buffer} buffer - JSON data
+ * @returns {boolean} True when it has Lottie's `layers` and frame rate
+ */
+function isLottie(buffer) {
+    try {
+        const data = JSON.parse(buffer.toString('utf8'));
+        return Array.isArray(data.layers) && data.fr !== undefined;
+    } catch (_) {
+        return false;
+    }
+}
+
+/**
+ * Rounds a dimension to an even number of pixels, as H.264 requires
+ * @param {number} value - Dimension in pixels
+ * @returns {number} Even dimension (at least 2)
+ */
+function toEven(value) {
+    return Math.max(2, Math.round(value / 2) * 2);
+}
+
+/**
+ * Composites an animated visualization on a colored or gradient background
+ * The background is drawn with Canvas, then ffmpeg lays every frame of the visualization
+ * over it at the same place as on still images. The result is ANIMATION_FORMAT, at most
+ * ANIMATION_MAX_SECONDS long, and cached like rendered images.
+ *
+ * @async
+ * @function composeAnimation
+ * @param {Object} options - Composition options
+ * @param {string} options.background - colors.json name, CSS color or gradient
+ * @param {Buffer} options.overlay - Animated GIF, MP4 or WebM data
+ * @param {string} [options.aspectRatio=config.Images.ASPECT_RATIO] - Size preset from IMAGE_PRESETS
+ * @returns {Promise<Buffer>} MP4 or GIF data
+ * @throws {Error} When ffmpeg fails
+ * @example
+ * const animation = await composeAnimation({ background: 'blue-700→green-800', overlay: gifBuffer });
+ */
+export async function composeAnimation({ background, overlay, aspectRatio = config.Images.ASPECT_RATIO }) {
+    const { width, height } = IMAGE_PRESETS[aspectRatio] || IMAGE_PRESETS[config.Images.ASPECT_RATIO];
+    const fill = resolveBackground(background);
+    const format = config.Animations.FORMAT;
+    const type = getMediaType(overlay);
+    const renderParams = {
+        fill,
+        overlay: hashContent(overlay),
+        width,
+        height,
+        images: config.Images,
+        format,
+        maxSeconds: config.Animations.MAX_SECONDS
+    };
+
+    return await getCachedRender('animation', renderParams, () => withTempDir(async dir => {
+        const backgroundFile = path.join(dir, 'background.png');
+        const overlayFile = path.join(dir, `overlay.${MEDIA_EXTENSIONS[type]}`);
+        const outputFile = path.join(dir, `animation.${format}`);
+        fs.writeFileSync(backgroundFile, createBackgroundCanvas(fill, width, height).toBuffer('image/png'));
+        fs.writeFileSync(overlayFile, overlay);
+
+        // GIFs store their size in the header; videos are probed
+        const size = type === 'image/gif'
+            ? { width: overlay.readUInt16LE(6), height: overlay.readUInt16LE(8) }
+            : await probeVideoSize(overlayFile);
+        const placement = getOverlayPlacement({ width, height, overlayWidth: size.width, overlayHeight: size.height });
+
+        const composite = `[1:v]scale=${toEven(placement.width)}:${toEven(placement.height)}[visualization];`
+            + `[0:v][visualization]overlay=${Math.round(placement.x)}:${Math.round(placement.y)}:shortest=1`;
+        const filter = format === 'gif'
+            ? `${composite},split[frames][copy];[copy]palettegen[palette];[frames][palette]paletteuse`
+            : `${composite},format=yuv420p`;
+
+        out.info(`Compositing ${size.width}x${size.height} ${type} visualization on a ${width}x${height} ${fill.type} background (${format})`);
+        await runFfmpeg([
+            '-hide_banner', '-loglevel', 'error', '-y',
+            '-loop', '1', '-i', backgroundFile,
+            // The libvpx decoder keeps the transparency of WebM visualizations
+            ...(type === 'video/webm' ? ['-c:v', 'libvpx-vp9'] : []),
+            '-i', overlayFile,
+            '-filter_complex', filter,
+            '-t', String(config.Animations.MAX_SECONDS),
+            '-an',
+            ...(format === 'gif' ? ['-loop', '0'] : MP4_OUTPUT_ARGS),
+            outputFile
+        ]);
+
+        out.success(`Created animated ${fill.type} background (${format})`);
+        return fs.readFileSync(outputFile);
+    }));
+}
+
+/**
+ * Converts a video to MP4 so every Telegram client can play it
+ * @async
+ * @function transcodeToMp4
+ * @param {Buffer} video - WebM (or other) video data
+ * @returns {Promise<Buffer>} MP4 data
+ * @throws {Error} When ffmpeg fails
+ */
+export async function transcodeToMp4(video) {
+    const renderParams = { video: hashContent(video), maxSeconds: config.Animations.MAX_SECONDS };
+
+    return await getCachedRender('mp4', renderParams, () => withTempDir(async dir => {
+        const input = path.join(dir, `input.${getAnimationExtension(video)}`);
+        const output = path.join(dir, 'video.mp4');
+        fs.writeFileSync(input, video);
+
+        out.info('Converting video visualization to MP4');
+        await runFfmpeg([
+            '-hide_banner', '-loglevel', 'error', '-y',
+            '-i', input,
+            '-t', String(config.Animations.MAX_SECONDS),
+            '-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2',
+            ...MP4_OUTPUT_ARGS,
+            '-c:a', 'aac',
+            output
+        ]);
+        return fs.readFileSync(output);
+    }));
+}
+
+/**
+ * Gets the animation to post for an insight
+ * Image backgrounds with an animated graphics visualization post the visualization itself:
+ * GIFs with sendAnimation and MP4 with sendVideo, by URL, and WebM converted to MP4. Color
+ * backgrounds with an animated overlay post the composited animation. Returns null whenever
+ * the insight should be posted as a still image instead: the visualization is not animated,
+ * animations are off, or ffmpeg (or Canvas) is missing or fails.
+ *
+ * @async
+ * @function getAnimationForInsight
+ * @param {Object} insight - The insight object
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.aspectRatio] - Size preset for colored backgrounds (defaults to IMAGE_ASPECT_RATIO)
+ * @returns {Promise<{type: 'animation'|'video', media: string|Buffer}|null>} Telegram media type and URL or data
+ * @example
+ * const animation = await getAnimationForInsight(insight);
+ * // { type: 'animation', media: 'https://example.com/chart.gif' }
+ */
+export async function getAnimationForInsight(insight, { aspectRatio } = {}) {
+    const { backgroundType, backgroundValue, visualizationType, visualizationValue } = insight;
+    const usesVisualization = backgroundType === 'color' || (backgroundType === 'image' && visualizationType === 'graphics');
+    if (!config.Animations.ENABLED || !usesVisualization || isChartInsight(insight) || !/^https?:\/\//i.test(visualizationValue || '')) {
+        return null;
+    }
+
+    try {
+        const visualization = await fetchCachedAsset(visualizationValue, 'visualization');
+        const type = getMediaType(visualization);
+        if (type === 'application/json' && isLottie(visualization)) {
+            out.warn(`Insight ${insight.id} has a Lottie visualization, which cannot be rendered - posting a still image`);
+            return null;
+        }
+        if (!isAnimatedMedia(visualization)) {
+            return null;
+        }
+
+        if (backgroundType === 'image') {
+            // Telegram plays GIF and MP4 straight from the URL
+            if (type === 'image/gif') {
+                return { type: 'animation', media: visualizationValue };
+            }
+            if (type === 'video/mp4') {
+                return { type: 'video', media: visualizationValue };
+            }
+            if (!await isFfmpegAvailable()) {
+                return null;
+            }
+            return { type: 'video', media: await transcodeToMp4(visualization) };
+        }
+
+        if (!canvasAvailable || !await isFfmpegAvailable()) {
+            out.warn(`Cannot composite the animated visualization of insight ${insight.id} without ${canvasAvailable ? 'ffmpeg' : 'Canvas'} - posting its first frame`);
+            return null;
+        }
+        return { type: 'animation', media: await composeAnimation({ background: backgroundValue, overlay: visualization, aspectRatio }) };
+
+    } catch (error) {
+        out.warn(`Could not prepare the animated visualization of insight ${insight.id} (${error.message}) - posting a still image`);
+        return null;
+    }
+}
@@ -0,0 +1,163 @@
+/**
+ * Backfill
+ * Replays a date range of insights into one chat.
+ */
+import { out } from './logger.js';
+import { config } from './config.js';
+import { runtime } from './runtime.js';
+import { describeDestination, loadDestinations, normalizeDestination } from './destinations.js';
+import { finishRunRecord, isInsightProcessed, startRunRecord } from './store.js';
+import { runWithLock } from './lock.js';
+import { HISTORY_PAGE_SIZE, fetchPublishedInsights, filterEligibleInsights } from './polaris.js';
+import { applyDestinationFilters, deliverInsight } from './pipeline.js';
+import { pruneImageCache } from './imageCache.js';
+
+/**
+ * Resolves the destination a backfill replays into
+ * `--destination <key>` picks a configured destination (test or production);
+ * `--chat <chatId>` with optional `--thread <id>` targets any chat, sharing the delivery
+ * history of a configured destination with the same chat and topic.
+ * 
+ * @function resolveBackfillDestination
+ * @param {Object} options - Command line options
+ * @returns {Object} Normalized destination
+ * @throws {Error} When no destination is given or the key is unknown
+ */
+function resolveBackfillDestination(options) {
+    if (typeof options.destination === 'string') {
+        const destination = loadDestinations().find(candidate => candidate.key === options.destination);
+        if (!destination) {
+            throw new Error(`Unknown destination key: ${options.destination}`);
+        }
+        if (destination.digest) {
+            throw new Error(`Destination ${options.destination} receives digests and cannot be backfilled`);
+        }
+        return destination;
+    }
+
+    if (typeof options.chat === 'string') {
+        const destination = normalizeDestination({
+            chatId: options.chat,
+            messageThreadId: typeof options.thread === 'string' ? options.thread : undefined
+        }, 0);
+
+        // Reuse a configured destination for the same chat so its delivery history is shared
+        const configured = loadDestinations().find(candidate =>
+            !candidate.digest && candidate.chatId === destination.chatId && candidate.messageThreadId === destination.messageThreadId
+        );
+        return configured || destination;
+    }
+
+    throw new Error('backfill requires --chat <chatId> or --destination <key>');
+}
+
+/**
+ * Reads a whole-number command line option
+ * @function parseCountOption
+ * @param {Object} options - Command line options
+ * @param {string} name - Option name without the dashes
+ * @param {Object} limits - Option limits
+ * @param {number} limits.min - Smallest allowed value
+ * @param {number} limits.fallback - Value when the option is not given
+ * @returns {number} Option value
+ * @throws {Error} When the value is not a whole number of at least `min`
+ */
+function parseCountOption(options, name, { min, fallback }) {
+    const value = options[name];
+    if (value === undefined) {
+        return fallback;
+    }
+    if (typeof value !== 'string' || !/^\d+$/.test(value.trim()) || Number(value) < min) {
+        throw new Error(`Invalid --${name}: ${value} (expected a whole number of at least ${min})`);
+    }
+    return Number(value);
+}
+
+/**
+ * Replays insights published in a date range into one chat
+ * Uses the same per-destination dedupe as regular runs, so insights already delivered
+ * to that destination are skipped and re-running a backfill is safe.
+ * 
+ * @async
+ * @function runBackfill
+ * @param {Object} options - Command line options
+ * @param {string} options.since - Start of the range (any date Date can parse)
+ * @param {string} [options.until] - End of the range (defaults to now)
+ * @param {string} [options.chat] - Chat ID to replay into
+ * @param {string} [options.thread] - Forum topic ID for --chat
+ * @param {string} [options.destination] - Configured destination key to replay into
+ * @param {string} [options.page-size] - Insights per API page (default 50, at least 1)
+ * @param {string} [options.max-pages] - Safety cap on extra pages (default CATCHUP_MAX_PAGES, 0 disables paging)
+ * @returns {Promise<void>}
+ * @throws {Error} When the options are invalid
+ * @example
+ * // node index.js backfill --since 2024-05-01 --until 2024-05-31 --chat -1001234567890
+ */
+export async function runBackfill(options) {
+    if (!config.Telegram.TOKEN && !runtime.dryRun) {
+        throw new Error('Missing required environment variable: TELEGRAM_TOKEN');
+    }
+    if (typeof options.since !== 'string' || Number.isNaN(Date.parse(options.since))) {
+        throw new Error('backfill requires --since <date> (e.g. --since 2024-05-01)');
+    }
+    if (options.until !== undefined && (typeof options.until !== 'string' || Number.isNaN(Date.parse(options.until)))) {
+        throw new Error(`Invalid --until date: ${options.until}`);
+    }
+
+    const since = new Date(options.since);
+    const until = options.until ? new Date(options.until) : new Date();
+    const destination = resolveBackfillDestination(options);
+    const pageSize = parseCountOption(options, 'page-size', { min: 1, fallback: HISTORY_PAGE_SIZE });
+    const maxPages = parseCountOption(options, 'max-pages', { min: 0, fallback: config.Insights.CATCHUP_MAX_PAGES });
+
+    out.info(`Backfilling insights published ${since.toISOString()} - ${until.toISOString()} into ${describeDestination(destination)}`);
+
+    const completed = await runWithLock(async () => {
+        const runId = startRunRecord();
+        const runStats = { fetched: 0, sent: 0, failed: 0 };
+
+        try {
+            const insights = await fetchPublishedInsights({ pageSize, stopAt: since, maxPages });
+            runStats.fetched = insights.length;
+
+            const inRange = insights
+                .filter(insight => insight.publishedAt)
+                .filter(insight => {
+                    const publishedAt = new Date(insight.publishedAt);
+                    return publishedAt >= since && publishedAt <= until;
+                })
+                .reverse();
+            const eligibleInsights = filterEligibleInsights(inRange);
+            out.info(`${eligibleInsights.length} insight(s) in range are old enough to replay`);
+
+            for (const insight of eligibleInsights) {
+                if (runtime.shutdownRequested) {
+                    out.warn('Shutdown requested, stopping backfill');
+                    break;
+                }
+                if (isInsightProcessed(insight.id, destination.key)) {
+                    out.info(`Insight ${insight.id} already delivered to ${describeDestination(destination)}, skipping`);
+                    continue;
+                }
+                if (applyDestinationFilters(insight, [destination]).length === 0) {
+                    continue;
+                }
+
+                out.info(`Replaying insight ${insight.id} (published: ${insight.publishedAt})`);
+                await deliverInsight(insight, [destination], runStats);
+            }
+
+            pruneImageCache();
+            finishRunRecord(runId, { status: 'success', ...runStats });
+            out.success(`Backfill finished: ${runStats.sent} sent, ${runStats.failed} failed`);
+
+        } catch (error) {
+            finishRunRecord(runId, { status: 'error', ...runStats, error: error.message });
+            throw error;
+        }
+    });
+
+    if (!completed) {
+        throw new Error('Another run is in progress; try the backfill again later');
+    }
+}
@@ -0,0 +1,181 @@
+/**
+ * Branding
+ * Draws the optional logo watermark and the footer band (publication date and link)
+ * on images before they are posted.
+ */
+import fs from 'fs';
+import { out } from './logger.js';
+import { config } from './config.js';
+import { parseColor, toCssColor } from './colors.js';
+import { formatTemplateDate } from './templates.js';
+import { Canvas, canvasAvailable, encodeImage, getImageBuffer } from './images.js';
+import { getCachedRender, hashContent } from './imageCache.js';
+
+/**
+ * Builds the link shown in the footer band
+ * Uses BRANDING_SHORT_URL as the prefix when set, otherwise POLARIS_INSIGHTS_URL
+ * without the protocol and `www.`.
+ *
+ * @function getShortInsightUrl
+ * @param {Object} insight - The insight object
+ * @returns {string} Short link like `beta.polaris.app/insights/abc123`
+ * @example
+ * getShortInsightUrl({ id: 'abc123' }); // 'beta.polaris.app/insights/abc123'
+ */
+export function getShortInsightUrl(insight) {
+    const prefix = config.Branding.SHORT_URL || config.Polaris.INSIGHTS_URL.replace(/^https?:\/\/(www\.)?/i, '');
+    return `${prefix}${insight.id}`;
+}
+
+/**
+ * Works out where the logo goes
+ * The logo keeps its aspect ratio, is LOGO_SIZE of the image width and sits in
+ * LOGO_POSITION, above the footer band when it is in a bottom corner.
+ *
+ * @function getLogoPlacement
+ * @param {Object} options - Placement options
+ * @param {number} options.width - Image width
+ * @param {number} options.height - Image height
+ * @param {number} options.logoWidth - Logo width
+ * @param {number} options.logoHeight - Logo height
+ * @param {number} [options.footerHeight=0] - Height of the footer band
+ * @returns {{x: number, y: number, width: number, height: number}} Position and size of the logo
+ * @example
+ * getLogoPlacement({ width: 1000, height: 500, logoWidth: 200, logoHeight: 100, footerHeight: 35 });
+ * // { x: 865, y: 390, width: 120, height: 60 } with the default size and position
+ */
+export function getLogoPlacement({ width, height, logoWidth, logoHeight, footerHeight = 0 }) {
+    const margin = Math.round(Math.min(width, height) * 0.03);
+    const scaledWidth = width * config.Branding.LOGO_SIZE;
+    const scaledHeight = logoHeight * (scaledWidth / logoWidth);
+    const position = config.Branding.LOGO_POSITION;
+
+    return {
+        x: position.endsWith('left') ? margin : width - margin - scaledWidth,
+        y: position.startsWith('top') ? margin : height - footerHeight - margin - scaledHeight,
+        width: scaledWidth,
+        height: scaledHeight
+    };
+}
+
+/**
+ * Checks the branding settings
+ * @function getBrandingProblems
+ * @returns {string[]} One message per problem (empty when branding is off or valid)
+ */
+export function getBrandingProblems() {
+    if (!config.Branding.ENABLED) {
+        return [];
+    }
+
+    const problems = [];
+    if (config.Branding.LOGO_FILE && !fs.existsSync(config.Branding.LOGO_FILE)) {
+        problems.push(`BRANDING_LOGO_FILE not found: ${config.Branding.LOGO_FILE}`);
+    }
+    for (const [name, value] of [['BRANDING_FOOTER_COLOR', config.Branding.FOOTER_COLOR], ['BRANDING_FOOTER_TEXT_COLOR', config.Branding.FOOTER_TEXT_COLOR]]) {
+        try {
+            parseColor(value);
+        } catch (error) {
+            problems.push(`${name} is invalid: ${error.message}`);
+        }
+    }
+    return problems;
+}
+
+/**
+ * Draws the footer band with the publication date on the left and the link on the right
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} insight - The insight object
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} footerHeight - Band height
+ * @returns {void}
+ */
+function drawFooter(ctx, insight, width, height, footerHeight) {
+    const top = height - footerHeight;
+    const fontSize = Math.round(footerHeight * 0.42);
+    const inset = footerHeight * 0.5;
+
+    ctx.fillStyle = toCssColor(parseColor(config.Branding.FOOTER_COLOR));
+    ctx.fillRect(0, top, width, footerHeight);
+
+    ctx.fillStyle = toCssColor(parseColor(config.Branding.FOOTER_TEXT_COLOR));
+    ctx.font = `${fontSize}px sans-serif`;
+    ctx.textBaseline = 'middle';
+
+    const date = formatTemplateDate(insight.publishedAt, config.Branding.DATE_FORMAT);
+    if (date) {
+        ctx.textAlign = 'left';
+        ctx.fillText(date, inset, top + footerHeight / 2);
+    }
+    ctx.textAlign = 'right';
+    ctx.fillText(getShortInsightUrl(insight), width - inset, top + footerHeight / 2);
+}
+
+/**
+ * Draws the branding layer on an image
+ * Adds the footer band (when BRANDING_FOOTER is on) and the logo watermark (when
+ * BRANDING_LOGO_FILE is set). A missing logo file is logged and skipped.
+ *
+ * @async
+ * @function applyBranding
+ * @param {Object} options - Branding options
+ * @param {string|Buffer} options.image - Image URL or image buffer
+ * @param {Object} options.insight - The insight the image belongs to
+ * @returns {Promise<Buffer>} Branded image (IMAGE_FORMAT)
+ * @throws {Error} When Canvas is not available or the image cannot be loaded
+ * @example
+ * const branded = await applyBranding({ image: 'https://example.com/bg.jpg', insight });
+ */
+export async function applyBranding({ image, insight }) {
+    try {
+        if (!canvasAvailable) {
+            throw new Error('Canvas module not available - cannot draw branding');
+        }
+
+        const sourceBuffer = await getImageBuffer(image, 'image for branding');
+        const logoFile = config.Branding.LOGO_FILE && fs.existsSync(config.Branding.LOGO_FILE) ? config.Branding.LOGO_FILE : null;
+        const renderParams = {
+            image: hashContent(sourceBuffer),
+            date: formatTemplateDate(insight.publishedAt, config.Branding.DATE_FORMAT),
+            url: getShortInsightUrl(insight),
+            logo: logoFile ? hashContent(fs.readFileSync(logoFile)) : null,
+            branding: config.Branding,
+            images: config.Images
+        };
+
+        return await getCachedRender('branding', renderParams, async () => {
+            const source = await Canvas.loadImage(sourceBuffer);
+            const { width, height } = source;
+
+            const canvas = Canvas.createCanvas(width, height);
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(source, 0, 0, width, height);
+
+            const footerHeight = config.Branding.FOOTER ? Math.round(height * config.Branding.FOOTER_HEIGHT) : 0;
+            if (footerHeight > 0) {
+                drawFooter(ctx, insight, width, height, footerHeight);
+            }
+
+            if (config.Branding.LOGO_FILE) {
+                if (fs.existsSync(config.Branding.LOGO_FILE)) {
+                    const logo = await Canvas.loadImage(config.Branding.LOGO_FILE);
+                    const placement = getLogoPlacement({ width, height, logoWidth: logo.width, logoHeight: logo.height, footerHeight });
+                    ctx.globalAlpha = config.Branding.LOGO_OPACITY;
+                    ctx.drawImage(logo, placement.x, placement.y, placement.width, placement.height);
+                    ctx.globalAlpha = 1;
+                } else {
+                    out.warn(`Branding logo not found: ${config.Branding.LOGO_FILE} - drawing the footer only`);
+                }
+            }
+
+            const imageBuffer = await encodeImage(canvas);
+            out.success(`Added branding to the image for insight ${insight.id}`);
+            return imageBuffer;
+        });
+
+    } catch (error) {
+        out.error(`Error adding branding: ${error.message}`);
+        throw error;
+    }
+}
@@ -0,0 +1,489 @@
+/**
+ * Charts
+ * Renders line, bar and area charts with Canvas for insights that carry numeric series
+ * instead of a prebuilt image (visualizationType `chart` or `data`).
+ */
+import { out } from './logger.js';
+import { config } from './config.js';
+import { loadColors, parseBackground, parseColor, toCssColor } from './colors.js';
+import { IMAGE_PRESETS, canvasAvailable, createBackgroundCanvas, encodeImage, resolveBackground } from './images.js';
+import { fetchCachedAsset, getCachedRender } from './imageCache.js';
+
+/** visualizationType values whose visualizationValue holds chart data */
+const CHART_VISUALIZATION_TYPES = ['chart', 'data'];
+
+/** Chart types that can be rendered */
+const CHART_TYPES = ['line', 'bar', 'area'];
+
+/** Colors of the CHART_THEME presets (colors.json names) */
+const CHART_THEMES = {
+    dark: { background: 'gray-900', text: 'gray-50', mutedText: 'gray-400', grid: 'gray-800' },
+    light: { background: 'gray-50', text: 'gray-900', mutedText: 'gray-600', grid: 'gray-150' }
+};
+
+/** Formats axis values compactly (1.2K, 3.4M) */
+const valueFormat = new Intl.NumberFormat('en', { notation: 'compact', maximumFractionDigits: 2 });
+
+/**
+ * Checks whether an insight is a chart insight
+ * @function isChartInsight
+ * @param {Object} insight - The insight object
+ * @returns {boolean} True when visualizationType is `chart` or `data`
+ */
+export function isChartInsight(insight) {
+    return CHART_VISUALIZATION_TYPES.includes(String(insight.visualizationType).toLowerCase());
+}
+
+/**
+ * Validates chart data and fills in the defaults
+ * The data is an object (or its JSON) with a `type` (line, bar or area; default line),
+ * `labels` for the categories, and `series` of `{ name, values, color }`. A single series
+ * can be given as top-level `values`. Values are numbers, or null for gaps.
+ *
+ * @function parseChartData
+ * @param {Object|string} value - Chart data or its JSON
+ * @returns {{type: string, labels: string[], series: Object[], xLabel: string, yLabel: string}} Normalized chart
+ * @throws {Error} When the data is not valid
+ * @example
+ * parseChartData({ type: 'bar', labels: ['Q1', 'Q2'], series: [{ name: 'TVL', values: [4.2, 5.1] }] });
+ */
+export function parseChartData(value) {
+    let data = value;
+    if (typeof data === 'string') {
+        try {
+            data = JSON.parse(data);
+        } catch (error) {
+            throw new Error(`Chart data is not valid JSON (${error.message})`);
+        }
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Chart data must be an object');
+    }
+
+    const type = String(data.type ?? 'line').toLowerCase();
+    if (!CHART_TYPES.includes(type)) {
+        throw new Error(`Chart type "${data.type}" is not one of ${CHART_TYPES.join(', ')}`);
+    }
+
+    const entries = data.series ?? (data.values ? [{ name: data.name, values: data.values }] : []);
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error('Chart data needs a "series" array or "values"');
+    }
+
+    const series = entries.map((entry, index) => {
+        if (!Array.isArray(entry?.values)) {
+            throw new Error(`Chart series ${index + 1} needs a "values" array`);
+        }
+        const invalid = entry.values.find(item => item !== null && !Number.isFinite(item));
+        if (invalid !== undefined) {
+            throw new Error(`Chart series ${index + 1} has a value that is not a number: ${JSON.stringify(invalid)}`);
+        }
+        return { name: entry.name ? String(entry.name) : '', values: entry.values, color: entry.color ? String(entry.color) : null };
+    });
+
+    const count = Math.max(...series.map(entry => entry.values.length));
+    if (series.every(entry => entry.values.every(item => item === null))) {
+        throw new Error('Chart data has no values');
+    }
+
+    const labels = Array.isArray(data.labels) ? data.labels : [];
+    return {
+        type,
+        labels: Array.from({ length: count }, (_, index) => String(labels[index] ?? (labels.length > 0 ? '' : index + 1))),
+        series,
+        xLabel: data.xLabel ? String(data.xLabel) : '',
+        yLabel: data.yLabel ? String(data.yLabel) : ''
+    };
+}
+
+/**
+ * Works out the value axis: round bounds and evenly spaced ticks
+ * @function getNiceScale
+ * @param {number} min - Smallest value
+ * @param {number} max - Largest value
+ * @param {number} [maxTicks=5] - Rough number of intervals
+ * @returns {{min: number, max: number, step: number, ticks: number[]}} Axis bounds, tick interval and tick values
+ * @example
+ * getNiceScale(0, 87); // { min: 0, max: 100, step: 20, ticks: [0, 20, 40, 60, 80, 100] }
+ */
+export function getNiceScale(min, max, maxTicks = 5) {
+    if (min === max) {
+        const padding = Math.abs(min) * 0.1 || 1;
+        min -= padding;
+        max += padding;
+    }
+
+    const roughStep = (max - min) / maxTicks;
+    const magnitude = 10 ** Math.floor(Math.log10(roughStep));
+    const step = [1, 2, 2.5, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= roughStep);
+    // toPrecision drops the floating point noise of steps like 0.1
+    const round = value => Number(value.toPrecision(12));
+    const niceMin = round(Math.floor(min / step) * step);
+    const niceMax = round(Math.ceil(max / step) * step);
+
+    const ticks = [];
+    for (let index = 0; niceMin + index * step <= niceMax + step / 2; index++) {
+        ticks.push(round(niceMin + index * step));
+    }
+    return { min: niceMin, max: niceMax, step, ticks };
+}
+
+/**
+ * Formats an axis value
+ * @function formatChartValue
+ * @param {number} value - Axis value
+ * @returns {string} Compact value like `1.25K` or `3M`
+ */
+export function formatChartValue(value) {
+    return valueFormat.format(value);
+}
+
+/**
+ * Gets the colors of the configured theme and palette
+ * Invalid palette entries are skipped with a warning (check-config reports them).
+ *
+ * @returns {{background: string, text: string, mutedText: string, grid: string, palette: Object[]}} CSS colors of the theme and parsed palette colors
+ */
+function getChartColors() {
+    const colors = loadColors();
+    const theme = CHART_THEMES[config.Charts.THEME];
+    const palette = config.Charts.PALETTE.flatMap(value => {
+        try {
+            return [parseColor(value, colors)];
+        } catch (error) {
+            out.warn(`Skipping chart palette color "${value}": ${error.message}`);
+            return [];
+        }
+    });
+
+    return {
+        background: config.Charts.BACKGROUND || theme.background,
+        text: toCssColor(parseColor(theme.text, colors)),
+        mutedText: toCssColor(parseColor(theme.mutedText, colors)),
+        grid: toCssColor(parseColor(theme.grid, colors)),
+        palette: palette.length > 0 ? palette : [parseColor(theme.text, colors)]
+    };
+}
+
+/**
+ * Gets the color of each series: its own `color` when valid, otherwise the palette in order
+ * @param {Object[]} series - Chart series
+ * @param {Object[]} palette - Parsed palette colors
+ * @returns {Object[]} Parsed color per series
+ */
+function getSeriesColors(series, palette) {
+    return series.map((entry, index) => {
+        if (entry.color) {
+            try {
+                return parseColor(entry.color);
+            } catch (error) {
+                out.warn(`Chart series color "${entry.color}" is invalid (${error.message}), using the palette`);
+            }
+        }
+        return palette[index % palette.length];
+    });
+}
+
+/**
+ * Wraps text to a width, ending with an ellipsis when it needs more than maxLines
+ * @param {CanvasRenderingContext2D} ctx - Canvas context with the font set
+ * @param {string} text - Text to wrap
+ * @param {number} maxWidth - Line width in pixels
+ * @param {number} maxLines - Most lines to return
+ * @returns {string[]} Lines
+ */
+function wrapLines(ctx, text, maxWidth, maxLines) {
+    const lines = [];
+    let line = '';
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && ctx.measureText(candidate).width > maxWidth) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    }
+    if (line) {
+        lines.push(line);
+    }
+
+    if (lines.length > maxLines) {
+        let last = lines[maxLines - 1];
+        while (last && ctx.measureText(`${last}…`).width > maxWidth) {
+            last = last.slice(0, -1);
+        }
+        return [...lines.slice(0, maxLines - 1), `${last.trimEnd()}…`];
+    }
+    return lines;
+}
+
+/**
+ * Splits series values into runs without gaps, for lines and areas
+ * @param {Array<number|null>} values - Series values
+ * @returns {Array<Array<[number, number]>>} Runs of [index, value] pairs
+ */
+function getSegments(values) {
+    const segments = [[]];
+    values.forEach((value, index) => {
+        if (value === null) {
+            segments.push([]);
+        } else {
+            segments.at(-1).push([index, value]);
+        }
+    });
+    return segments.filter(segment => segment.length > 0);
+}
+
+/**
+ * Renders a chart image
+ * The headline is the title (at most two lines), followed by a legend when there are
+ * several series, the value axis with grid lines and the category labels. Bar and area
+ * charts start their value axis at zero.
+ *
+ * @async
+ * @function renderChart
+ * @param {Object} options - Chart options
+ * @param {Object} options.chart - Chart from parseChartData
+ * @param {string} [options.headline=''] - Chart title
+ * @param {string} [options.background] - Background replacing CHART_BACKGROUND and the theme's
+ * @param {string} [options.aspectRatio=config.Images.ASPECT_RATIO] - Size preset from IMAGE_PRESETS
+ * @returns {Promise<Buffer>} Encoded image
+ * @throws {Error} When Canvas is not available
+ * @example
+ * const image = await renderChart({ chart: parseChartData(insight.visualizationValue), headline: insight.headline });
+ */
+export async function renderChart({ chart, headline = '', background, aspectRatio = config.Images.ASPECT_RATIO }) {
+    if (!canvasAvailable) {
+        throw new Error('Canvas module not available - cannot render charts');
+    }
+
+    const { width, height } = IMAGE_PRESETS[aspectRatio] || IMAGE_PRESETS[config.Images.ASPECT_RATIO];
+    const colors = getChartColors();
+    const fill = resolveBackground(background || colors.background);
+    const seriesColors = getSeriesColors(chart.series, colors.palette);
+    const font = config.Charts.FONT_FAMILY;
+
+    const renderParams = { chart, headline, fill, colors, seriesColors, font, width, height, images: config.Images };
+    return await getCachedRender('chart', renderParams, async () => {
+        const canvas = createBackgroundCanvas(fill, width, height);
+        const ctx = canvas.getContext('2d');
+        const unit = Math.min(width, height);
+        const margin = Math.round(unit * 0.06);
+        const titleSize = Math.round(unit * 0.05);
+        const labelSize = Math.round(unit * 0.026);
+
+        // Title
+        ctx.textBaseline = 'top';
+        ctx.font = `600 ${titleSize}px ${font}`;
+        ctx.fillStyle = colors.text;
+        let top = margin;
+        for (const line of wrapLines(ctx, headline || '', width - margin * 2, 2)) {
+            ctx.fillText(line, margin, top);
+            top += titleSize * 1.2;
+        }
+
+        // Legend
+        ctx.font = `${labelSize}px ${font}`;
+        if (chart.series.length > 1) {
+            top += labelSize * 0.6;
+            let x = margin;
+            chart.series.forEach((entry, index) => {
+                const name = entry.name || `Series ${index + 1}`;
+                ctx.fillStyle = toCssColor(seriesColors[index]);
+                ctx.fillRect(x, top + labelSize * 0.15, labelSize * 0.7, labelSize * 0.7);
+                x += labelSize;
+                ctx.fillStyle = colors.mutedText;
+                ctx.fillText(name, x, top);
+                x += ctx.measureText(name).width + labelSize * 1.5;
+            });
+            top += labelSize;
+        }
+        top += labelSize * 1.5;
+
+        // Value axis
+        const values = chart.series.flatMap(entry => entry.values).filter(value => value !== null);
+        const lowest = Math.min(...values);
+        const highest = Math.max(...values);
+        const scale = chart.type === 'line'
+            ? getNiceScale(lowest, highest)
+            : getNiceScale(Math.min(0, lowest), Math.max(0, highest));
+        const tickLabels = scale.ticks.map(formatChartValue);
+
+        const plotLeft = margin + (chart.yLabel ? labelSize * 1.6 : 0)
+            + Math.max(...tickLabels.map(label => ctx.measureText(label).width)) + labelSize * 0.6;
+        const plotRight = width - margin;
+        const plotTop = top;
+        const plotBottom = height - margin - labelSize * 1.5 - (chart.xLabel ? labelSize * 1.6 : 0);
+        const toY = value => plotBottom - ((value - scale.min) / (scale.max - scale.min)) * (plotBottom - plotTop);
+
+        ctx.lineWidth = Math.max(1, unit / 540);
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        scale.ticks.forEach((tick, index) => {
+            ctx.strokeStyle = colors.grid;
+            ctx.beginPath();
+            ctx.moveTo(plotLeft, toY(tick));
+            ctx.lineTo(plotRight, toY(tick));
+            ctx.stroke();
+            ctx.fillStyle = colors.mutedText;
+            ctx.fillText(tickLabels[index], plotLeft - labelSize * 0.6, toY(tick));
+        });
+
+        // Categories sit in the middle of equal slots; labels are thinned out so they do not overlap
+        const slot = (plotRight - plotLeft) / chart.labels.length;
+        const toX = index => plotLeft + slot * (index + 0.5);
+        const widestLabel = Math.max(...chart.labels.map(label => ctx.measureText(label).width)) + labelSize;
+        const labelEvery = Math.max(1, Math.ceil(widestLabel / slot));
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        chart.labels.forEach((label, index) => {
+            if (index % labelEvery === 0) {
+                ctx.fillText(label, toX(index), plotBottom + labelSize * 0.5);
+            }
+        });
+
+        if (chart.xLabel) {
+            ctx.textBaseline = 'bottom';
+            ctx.fillText(chart.xLabel, (plotLeft + plotRight) / 2, height - margin);
+        }
+        if (chart.yLabel) {
+            ctx.save();
+            ctx.translate(margin, (plotTop + plotBottom) / 2);
+            ctx.rotate(-Math.PI / 2);
+            ctx.textBaseline = 'top';
+            ctx.fillText(chart.yLabel, 0, 0);
+            ctx.restore();
+        }
+
+        // Series
+        const baseline = toY(Math.min(Math.max(0, scale.min), scale.max));
+        if (chart.type === 'bar') {
+            const barWidth = (slot * 0.7) / chart.series.length;
+            chart.series.forEach((entry, seriesIndex) => {
+                ctx.fillStyle = toCssColor(seriesColors[seriesIndex]);
+                entry.values.forEach((value, index) => {
+                    if (value !== null) {
+                        const x = toX(index) - slot * 0.35 + seriesIndex * barWidth + barWidth * 0.08;
+                        ctx.fillRect(x, Math.min(toY(value), baseline), barWidth * 0.84, Math.abs(toY(value) - baseline));
+                    }
+                });
+            });
+        } else {
+            ctx.lineWidth = Math.max(2, unit / 180);
+            ctx.lineJoin = 'round';
+            ctx.lineCap = 'round';
+            chart.series.forEach((entry, seriesIndex) => {
+                const color = seriesColors[seriesIndex];
+                for (const segment of getSegments(entry.values)) {
+                    if (chart.type === 'area') {
+                        ctx.fillStyle = toCssColor({ ...color, a: color.a * 0.3 });
+                        ctx.beginPath();
+                        ctx.moveTo(toX(segment[0][0]), baseline);
+                        segment.forEach(([index, value]) => ctx.lineTo(toX(index), toY(value)));
+                        ctx.lineTo(toX(segment.at(-1)[0]), baseline);
+                        ctx.closePath();
+                        ctx.fill();
+                    }
+
+                    ctx.strokeStyle = toCssColor(color);
+                    ctx.fillStyle = toCssColor(color);
+                    if (segment.length === 1) {
+                        // A point between two gaps is drawn as a dot
+                        ctx.beginPath();
+                        ctx.arc(toX(segment[0][0]), toY(segment[0][1]), ctx.lineWidth * 1.5, 0, Math.PI * 2);
+                        ctx.fill();
+                        continue;
+                    }
+                    ctx.beginPath();
+                    segment.forEach(([index, value], position) => {
+                        if (position === 0) {
+                            ctx.moveTo(toX(index), toY(value));
+                        } else {
+                            ctx.lineTo(toX(index), toY(value));
+                        }
+                    });
+                    ctx.stroke();
+                }
+            });
+        }
+
+        const imageBuffer = await encodeImage(canvas);
+        out.success(`Created ${chart.type} chart image (${width}x${height}, ${config.Images.FORMAT})`);
+        return imageBuffer;
+    });
+}
+
+/**
+ * Renders the chart of a chart insight
+ * The visualizationValue holds the chart data (an object or JSON), or the URL of a JSON
+ * file with it. Color backgrounds keep their backgroundValue behind the chart. Returns
+ * null whenever the insight should go through the regular image path instead: it is not
+ * a chart insight, charts are off, Canvas is missing or the data is not valid.
+ *
+ * @async
+ * @function getChartForInsight
+ * @param {Object} insight - The insight object
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.aspectRatio] - Size preset (defaults to IMAGE_ASPECT_RATIO)
+ * @returns {Promise<Buffer|null>} Chart image, or null
+ * @example
+ * const chart = await getChartForInsight(insight, { aspectRatio: '1:1' });
+ */
+export async function getChartForInsight(insight, { aspectRatio } = {}) {
+    if (!isChartInsight(insight) || !config.Charts.ENABLED) {
+        return null;
+    }
+    if (!canvasAvailable) {
+        out.warn(`Cannot render the chart of insight ${insight.id} without Canvas`);
+        return null;
+    }
+
+    try {
+        const value = insight.visualizationValue;
+        const data = typeof value === 'string' && /^https?:\/\//i.test(value.trim())
+            ? (await fetchCachedAsset(value.trim(), 'chart data')).toString('utf8')
+            : value;
+        const chart = parseChartData(data);
+
+        out.info(`Rendering ${chart.type} chart for insight ${insight.id}`);
+        return await renderChart({
+            chart,
+            headline: insight.headline,
+            background: insight.backgroundType === 'color' ? insight.backgroundValue : undefined,
+            aspectRatio
+        });
+    } catch (error) {
+        out.warn(`Could not render the chart of insight ${insight.id} (${error.message})`);
+        return null;
+    }
+}
+
+/**
+ * Checks the chart settings
+ * @function getChartProblems
+ * @returns {string[]} One message per problem (empty when charts are off or valid)
+ */
+export function getChartProblems() {
+    if (!config.Charts.ENABLED) {
+        return [];
+    }
+
+    const problems = [];
+    const colors = loadColors();
+    for (const value of config.Charts.PALETTE) {
+        try {
+            parseColor(value, colors);
+        } catch (error) {
+            problems.push(`CHART_PALETTE entry "${value}" is invalid: ${error.message}`);
+        }
+    }
+    if (config.Charts.BACKGROUND) {
+        try {
+            parseBackground(config.Charts.BACKGROUND, colors);
+        } catch (error) {
+            problems.push(`CHART_BACKGROUND is invalid: ${error.message}`);
+        }
+    }
+    return problems;
+}
@@ -0,0 +1,121 @@
+/**
+ * Configuration check
+ * Validates the environment, destinations, templates, colors.json, branding and charts, warns about
+ * WebP output without sharp, and optionally asks Telegram whether the bot can post to every configured chat.
+ */
+import { out } from './logger.js';
+import { config } from './config.js';
+import { describeDestination } from './destinations.js';
+import { getColorProblems } from './colors.js';
+import { getBrandingProblems } from './branding.js';
+import { getChartProblems } from './charts.js';
+import { getImageFormatWarnings } from './images.js';
+import { callTelegramApi } from './telegram.js';
+import { isModerationActive } from './moderation.js';
+import { getConfigurationProblems } from './cli.js';
+
+/**
+ * Explains why the bot cannot post to a chat, based on getChat and getChatMember
+ * @param {Object} chat - getChat result
+ * @param {Object|null} member - getChatMember result for the bot (null for private chats)
+ * @param {Object} destination - Normalized destination
+ * @returns {string|null} Problem description, or null when the bot can post
+ */
+function describePostingProblem(chat, member, destination) {
+    if (destination.messageThreadId !== undefined && !chat.is_forum) {
+        return `has messageThreadId ${destination.messageThreadId} but the chat is not a forum`;
+    }
+    if (!member) {
+        return null;
+    }
+    if (member.status === 'left' || member.status === 'kicked') {
+        return `the bot is not a member of the chat (status: ${member.status})`;
+    }
+    if (chat.type === 'channel' && !(member.status === 'creator' || (member.status === 'administrator' && member.can_post_messages))) {
+        return 'the bot must be a channel administrator with the "Post messages" right';
+    }
+    if (member.status === 'restricted' && member.can_send_messages === false) {
+        return 'the bot is restricted from sending messages in the chat';
+    }
+    return null;
+}
+
+/**
+ * Asks Telegram whether the bot can post to each chat
+ * Calls getMe once, then getChat and getChatMember for every destination (and the
+ * moderation review chat when moderation is active).
+ *
+ * @async
+ * @param {Object[]} destinations - Normalized destinations
+ * @returns {Promise<string[]>} One message per chat the bot cannot post to
+ */
+async function checkTelegramAccess(destinations) {
+    let bot;
+    try {
+        bot = (await callTelegramApi('getMe', {})).result;
+    } catch (error) {
+        return [`getMe failed, check TELEGRAM_TOKEN: ${error.message}`];
+    }
+    out.success(`Bot token is valid: @${bot.username} (${bot.id})`);
+
+    const targets = destinations.map(destination => ({ label: `Destination ${describeDestination(destination)}`, destination }));
+    if (isModerationActive()) {
+        targets.push({ label: 'Moderation review chat', destination: { chatId: config.Moderation.REVIEW_CHAT_ID } });
+    }
+
+    const problems = [];
+    for (const { label, destination } of targets) {
+        try {
+            const chat = (await callTelegramApi('getChat', { chat_id: destination.chatId })).result;
+            const member = chat.type === 'private'
+                ? null
+                : (await callTelegramApi('getChatMember', { chat_id: destination.chatId, user_id: bot.id })).result;
+
+            const problem = describePostingProblem(chat, member, destination);
+            if (problem) {
+                problems.push(`${label}: ${problem}`);
+            } else {
+                out.success(`${label}: the bot can post to "${chat.title || chat.username || chat.first_name || chat.id}" (${chat.type})`);
+            }
+        } catch (error) {
+            problems.push(`${label}: ${error.description || error.message}`);
+        }
+    }
+    return problems;
+}
+
+/**
+ * Runs the check-config command
+ * Reports every problem at once and exits non-zero when there are any, so it can gate
+ * deployments. `--telegram` also confirms the bot can post to each destination.
+ *
+ * @async
+ * @function runCheckConfig
+ * @param {Object} options - Command line options
+ * @param {boolean} [options.telegram] - Whether to call getMe/getChat/getChatMember
+ * @returns {Promise<void>}
+ * @throws {Error} When any problem was found
+ * @example
+ * await runCheckConfig({ telegram: true });
+ */
+export async function runCheckConfig(options) {
+    const { errors, warnings, destinations } = getConfigurationProblems();
+    const problems = [...errors, ...getColorProblems(), ...getBrandingProblems(), ...getChartProblems()];
+    warnings.push(...await getImageFormatWarnings());
+
+    if (options.telegram === true) {
+        if (config.Telegram.TOKEN) {
+            problems.push(...await checkTelegramAccess(destinations));
+        } else {
+            out.warn('Skipping the Telegram checks because TELEGRAM_TOKEN is missing or invalid');
+        }
+    }
+
+    warnings.forEach(warning => out.warn(warning));
+    problems.forEach(problem => out.error(problem));
+
+    if (problems.length > 0) {
+        throw new Error(`Configuration check failed with ${problems.length} problem${problems.length === 1 ? '' : 's'}`);
+    }
+    out.success(`Configuration is valid (${destinations.length} destination${destinations.length === 1 ? '' : 's'})`);
+}
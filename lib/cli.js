@@ -0,0 +1,241 @@
+/**
+ * Command line entry
+ * Parses the command line, validates the configuration and runs the requested command.
+ */
+import { out } from './logger.js';
+import { ConfigError, config, readSettings } from './config.js';
+import { runtime } from './runtime.js';
+import { loadMessageTemplates, setMessageTemplates } from './templates.js';
+import { describeDestination, getDestinations } from './destinations.js';
+import { countProcessedInsights } from './store.js';
+import { runWithLock } from './lock.js';
+import { canvasAvailable, registerOverlayFont } from './images.js';
+import { finishDryRun, runPreview, startDryRun } from './dryRun.js';
+import { isModerationActive } from './moderation.js';
+import { processNewPublishedInsights } from './pipeline.js';
+import { runBackfill } from './backfill.js';
+import { processPendingUpdates } from './updates.js';
+import { parseCronExpression, runDaemon } from './daemon.js';
+import { runCheckConfig } from './checkConfig.js';
+
+/**
+ * Main execution function
+ * Initializes the bot, validates configuration, and processes new insights
+ * @async
+ * @function main
+ * @param {string[]} args - Command line arguments after the script path
+ * @returns {Promise<void>}
+ * @throws {Error} When required environment variables are missing
+ * @example
+ * await main(process.argv.slice(2));
+ */
+export async function main(args) {
+    out.success('Polaris Insights Telegram Bot initialized successfully');
+
+    // Register the bundled overlay font now that the configuration is known
+    registerOverlayFont();
+
+    try {
+        const cli = parseCliArgs(args);
+        runtime.daemonMode = cli.options.daemon === true || config.Daemon.ENABLED;
+
+        if (cli.options['dry-run'] === true || cli.command === 'preview') {
+            if (runtime.daemonMode) {
+                throw new Error('--dry-run cannot be combined with --daemon');
+            }
+            startDryRun(cli.options.out);
+        }
+
+        if (cli.command === 'preview') {
+            // Render insights from a local JSON fixture into the dry run directory
+            await runPreview(cli.options);
+            return;
+        }
+        if (cli.command === 'check-config') {
+            // Report every configuration problem, optionally asking Telegram about each chat
+            await runCheckConfig(cli.options);
+            return;
+        }
+        if (cli.command && cli.command !== 'backfill') {
+            throw new Error(`Unknown command: ${cli.command}`);
+        }
+
+        // Invalid settings stop every command that posts, instead of falling back to defaults
+        validateConfiguration();
+
+        if (cli.command === 'backfill') {
+            // Replay a date range into one chat
+            await runBackfill(cli.options);
+            finishDryRun();
+            return;
+        }
+
+        if (runtime.dryRun) {
+            // Pending updates stay queued for the next real run
+            await processNewPublishedInsights({ limit: config.Insights.LIMIT });
+            finishDryRun();
+            return;
+        }
+
+        if (runtime.daemonMode) {
+            // Poll on a schedule until SIGTERM/SIGINT
+            await runDaemon();
+            out.success('Daemon stopped');
+            return;
+        }
+
+        // Process new insights from the API, unless another run holds the lock
+        const completed = await runWithLock(async () => {
+            // Handle button presses queued since the last run first, so they are answered sooner
+            await processPendingUpdates();
+            await processNewPublishedInsights({ limit: config.Insights.LIMIT });
+        });
+        if (!completed) {
+            out.warn('Another run is in progress, exiting without processing');
+            return;
+        }
+
+        out.success('Finished processing insights');
+
+    } catch (error) {
+        out.error(`Error in main execution: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+/**
+ * Parses command line arguments into a command and options
+ * `--name value` and `--name=value` become string options, a bare `--flag` becomes true.
+ * `--daemon`, `--dry-run` and `--telegram` never take a value. The first argument that is not an option
+ * is the command.
+ * 
+ * @function parseCliArgs
+ * @param {string[]} args - Arguments after the script path
+ * @returns {{command: string|null, options: Object<string, string|boolean>}} Parsed arguments
+ * @example
+ * parseCliArgs(['backfill', '--since', '2024-01-01']); // { command: 'backfill', options: { since: '2024-01-01' } }
+ */
+function parseCliArgs(args) {
+    const flags = ['daemon', 'dry-run', 'telegram'];
+    const options = {};
+    let command = null;
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg.startsWith('--')) {
+            const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+            if (inlineValue !== undefined) {
+                options[name] = inlineValue;
+            } else if (!flags.includes(name) && i + 1 < args.length && !args[i + 1].startsWith('--')) {
+                options[name] = args[++i];
+            } else {
+                options[name] = true;
+            }
+        } else if (command === null) {
+            command = arg;
+        }
+    }
+
+    return { command, options };
+}
+
+/**
+ * Collects every problem with the active configuration instead of stopping at the first one
+ * Covers the settings schema, the destinations, the message templates and the settings
+ * that only make sense together (webhooks, approvals, moderation, daemon schedule).
+ * 
+ * @function getConfigurationProblems
+ * @returns {{errors: string[], warnings: string[], destinations: Object[], templates: Object|null}} Problems found, plus the destinations and compiled templates when they loaded
+ * @example
+ * const { errors } = getConfigurationProblems();
+ * if (errors.length > 0) throw new ConfigError(errors);
+ */
+export function getConfigurationProblems() {
+    const { errors, warnings } = readSettings();
+    let destinations = [];
+    let templates = null;
+
+    // Validate required environment variables (a dry run never calls Telegram); a malformed token is already reported
+    if (!config.Telegram.TOKEN && !runtime.dryRun && !errors.some(error => error.startsWith('TELEGRAM_TOKEN'))) {
+        errors.push('Missing required environment variable: TELEGRAM_TOKEN');
+    }
+
+    // Validate destination configuration based on mode
+    try {
+        destinations = getDestinations();
+    } catch (error) {
+        errors.push(`Destination configuration error: ${error.message}`);
+    }
+
+    // Compile the message templates now so a bad template fails here and not mid-send
+    try {
+        templates = loadMessageTemplates();
+    } catch (error) {
+        errors.push(`Message template error: ${error.message}`);
+    }
+
+    if (runtime.daemonMode && config.Updates.MODE === 'webhook' && !config.Updates.WEBHOOK_URL) {
+        errors.push('UPDATES_MODE=webhook requires WEBHOOK_URL');
+    }
+
+    if (config.Subscriptions.ENABLED && config.Subscriptions.REQUIRE_APPROVAL && !config.Subscriptions.OWNER_USER_ID) {
+        errors.push('SUBSCRIPTIONS_REQUIRE_APPROVAL=true requires BOT_OWNER_USER_ID');
+    }
+
+    if (config.Moderation.ENABLED && !config.Moderation.REVIEW_CHAT_ID) {
+        errors.push('MODERATION_ENABLED=true requires MODERATION_REVIEW_CHAT_ID (or TELEGRAM_TEST_CHAT_ID)');
+    }
+
+    // Validate the daemon schedule up front rather than at the first poll
+    if (runtime.daemonMode && config.Daemon.CRON) {
+        try {
+            parseCronExpression(config.Daemon.CRON);
+        } catch (error) {
+            errors.push(`Daemon schedule error: ${error.message}`);
+        }
+    }
+
+    return { errors, warnings, destinations, templates };
+}
+
+/**
+ * Validates the active configuration and logs it for transparency
+ * Used at startup and after a configuration reload
+ * 
+ * @function validateConfiguration
+ * @returns {void}
+ * @throws {ConfigError} Listing every setting that is missing or invalid
+ */
+export function validateConfiguration() {
+    const { errors, warnings, destinations, templates } = getConfigurationProblems();
+
+    warnings.forEach(warning => out.warn(warning));
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+
+    setMessageTemplates(templates);
+
+    // Log current configuration for transparency
+    out.info(`Test mode enabled: ${config.Telegram.TEST_MODE}`);
+    const destinationList = destinations.map(describeDestination).join(', ') || 'no destinations yet (waiting for /subscribe)';
+    if (config.Telegram.TEST_MODE) {
+        out.warn(`🧪 RUNNING IN TEST MODE - Messages will be sent to test destinations: ${destinationList}`);
+    } else {
+        out.info(`📢 Running in production mode - Messages will be sent to: ${destinationList}`);
+    }
+    out.info(`Processing up to ${config.Insights.LIMIT} insights`);
+    out.info(`Minimum insight age: ${config.Insights.MINIMUM_AGE_MINUTES} minutes (prevents posting during editing)`);
+    out.info(`Image text overlay: ${config.Overlay.ENABLED ? 'enabled' : 'disabled'}${config.Overlay.ENABLED && !canvasAvailable ? ' (Canvas unavailable - plain images will be sent)' : ''}`);
+    if (config.Subscriptions.ENABLED) {
+        out.info(`Chat subscriptions: enabled${config.Subscriptions.REQUIRE_APPROVAL ? ' (owner approval required)' : ''}`);
+    }
+    if (isModerationActive()) {
+        const autoApprove = config.Moderation.AUTO_APPROVE_MINUTES > 0 ? `auto-approve after ${config.Moderation.AUTO_APPROVE_MINUTES} minutes` : 'no auto-approval';
+        out.info(`Moderation: previews go to review chat ${config.Moderation.REVIEW_CHAT_ID} (${autoApprove})`);
+    }
+    out.info(`Duplicate protection: SQLite state store (${config.Cache.DATABASE_FILENAME}) + timestamp optimization`);
+
+    // Log current state store status
+    out.info(`Currently tracking ${countProcessedInsights()} processed insight IDs`);
+}
@@ -0,0 +1,268 @@
+/**
+ * Colors
+ * Parses insight background values: palette names from colors.json, CSS colors
+ * (hex, rgb(), hsl()) and linear or radial gradients between them.
+ */
+import fs from 'fs';
+import path from 'path';
+import { out } from './logger.js';
+import { BOT_DIR, config } from './config.js';
+
+/** Separators accepted between gradient stops (`blue-700→green-800` or `blue-700->green-800`) */
+const GRADIENT_SEPARATOR = /\s*(?:→|->)\s*/;
+
+/**
+ * Loads the color palette from colors.json
+ * @function loadColors
+ * @returns {Object<string, string|Object>} Palette entries by name (empty when the file cannot be read)
+ */
+export function loadColors() {
+    try {
+        const colorsPath = path.join(BOT_DIR, 'colors.json');
+        const colorsData = fs.readFileSync(colorsPath, 'utf8');
+        return JSON.parse(colorsData);
+    } catch (error) {
+        out.error(`Error loading colors.json: ${error.message}`);
+        return {};
+    }
+}
+
+/**
+ * Clamps a number to a range
+ * @param {number} value - Value
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} Clamped value
+ */
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Parses the numeric arguments of rgb()/hsl() (comma or space separated, optional `/ alpha`)
+ * @param {string} args - Text between the parentheses
+ * @returns {string[]} Three or four arguments
+ * @throws {Error} When the argument count is wrong
+ */
+function splitColorFunctionArgs(args) {
+    const parts = args.trim().split(/\s*,\s*|\s*\/\s*|\s+/).filter(Boolean);
+    if (parts.length !== 3 && parts.length !== 4) {
+        throw new Error('expected 3 or 4 values');
+    }
+    return parts;
+}
+
+/**
+ * Parses an alpha value (`0.5` or `50%`)
+ * @param {string|undefined} value - Alpha argument
+ * @returns {number} Alpha from 0 to 1 (1 when missing)
+ */
+function parseAlpha(value) {
+    if (value === undefined) {
+        return 1;
+    }
+    const alpha = value.endsWith('%') ? parseFloat(value) / 100 : parseFloat(value);
+    if (Number.isNaN(alpha)) {
+        throw new Error(`invalid alpha "${value}"`);
+    }
+    return clamp(alpha, 0, 1);
+}
+
+/**
+ * Converts HSL to RGB
+ * @param {number} h - Hue in degrees
+ * @param {number} s - Saturation from 0 to 1
+ * @param {number} l - Lightness from 0 to 1
+ * @returns {number[]} Red, green and blue from 0 to 255
+ */
+function hslToRgb(h, s, l) {
+    const hue = ((h % 360) + 360) % 360;
+    const chroma = (1 - Math.abs(2 * l - 1)) * s;
+    const x = chroma * (1 - Math.abs((hue / 60) % 2 - 1));
+    const m = l - chroma / 2;
+    const [r, g, b] = hue < 60 ? [chroma, x, 0]
+        : hue < 120 ? [x, chroma, 0]
+            : hue < 180 ? [0, chroma, x]
+                : hue < 240 ? [0, x, chroma]
+                    : hue < 300 ? [x, 0, chroma]
+                        : [chroma, 0, x];
+    return [r, g, b].map(channel => Math.round((channel + m) * 255));
+}
+
+/**
+ * Parses one color
+ * Accepts palette names (whose entries are "R G B" strings or alpha-blend definitions),
+ * `#rgb`, `#rgba`, `#rrggbb`, `#rrggbbaa`, `rgb()`/`rgba()` and `hsl()`/`hsla()`.
+ * A blend definition `{ "color": "blue-700", "alpha": 0.5, "over": "black" }` is the
+ * color laid over the `over` color with the given opacity.
+ *
+ * @function parseColor
+ * @param {string} value - Color value
+ * @param {Object<string, string|Object>} [palette=loadColors()] - Named colors
+ * @param {string[]} [resolving=[]] - Palette names being resolved (guards against blend cycles)
+ * @returns {{r: number, g: number, b: number, a: number}} Color with channels from 0 to 255 and alpha from 0 to 1
+ * @throws {Error} When the value is not a color
+ * @example
+ * parseColor('#2b515f'); // { r: 43, g: 81, b: 95, a: 1 }
+ * parseColor('hsl(140, 50%, 35%)'); // { r: 45, g: 134, b: 74, a: 1 }
+ */
+export function parseColor(value, palette = loadColors(), resolving = []) {
+    const text = String(value ?? '').trim();
+
+    if (Object.prototype.hasOwnProperty.call(palette, text)) {
+        if (resolving.includes(text)) {
+            throw new Error(`Color "${text}" is blended with itself`);
+        }
+        return parsePaletteEntry(text, palette[text], palette, [...resolving, text]);
+    }
+
+    const hex = text.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i);
+    if (hex) {
+        const digits = hex[1].length <= 4 ? hex[1].split('').map(digit => digit + digit) : hex[1].match(/../g);
+        const [r, g, b, a = 255] = digits.map(pair => parseInt(pair, 16));
+        return { r, g, b, a: Math.round((a / 255) * 1000) / 1000 };
+    }
+
+    const fn = text.match(/^(rgba?|hsla?)\((.*)\)$/i);
+    if (fn) {
+        try {
+            const args = splitColorFunctionArgs(fn[2]);
+            if (fn[1].toLowerCase().startsWith('rgb')) {
+                const [r, g, b] = args.slice(0, 3).map(arg => {
+                    const channel = arg.endsWith('%') ? parseFloat(arg) * 2.55 : parseFloat(arg);
+                    if (Number.isNaN(channel)) {
+                        throw new Error(`invalid channel "${arg}"`);
+                    }
+                    return Math.round(clamp(channel, 0, 255));
+                });
+                return { r, g, b, a: parseAlpha(args[3]) };
+            }
+
+            const [h, s, l] = [parseFloat(args[0]), parseFloat(args[1]) / 100, parseFloat(args[2]) / 100];
+            if ([h, s, l].some(Number.isNaN)) {
+                throw new Error('invalid hue, saturation or lightness');
+            }
+            const [r, g, b] = hslToRgb(h, clamp(s, 0, 1), clamp(l, 0, 1));
+            return { r, g, b, a: parseAlpha(args[3]) };
+        } catch (error) {
+            throw new Error(`Invalid color "${text}": ${error.message}`);
+        }
+    }
+
+    throw new Error(`Unknown color "${text}" (expected a colors.json name, #hex, rgb() or hsl())`);
+}
+
+/**
+ * Resolves a colors.json entry
+ * @param {string} name - Palette name
+ * @param {string|Object} entry - "R G B" string or blend definition
+ * @param {Object} palette - Named colors
+ * @param {string[]} resolving - Palette names being resolved
+ * @returns {{r: number, g: number, b: number, a: number}} Color
+ * @throws {Error} When the entry is malformed
+ */
+function parsePaletteEntry(name, entry, palette, resolving) {
+    if (typeof entry === 'string') {
+        const components = entry.trim().split(/\s+/);
+        if (components.length !== 3 || !components.every(component => /^\d{1,3}$/.test(component) && Number(component) <= 255)) {
+            throw new Error(`colors.json entry "${name}" must be an "R G B" string like "50 82 70" (got ${JSON.stringify(entry)})`);
+        }
+        const [r, g, b] = components.map(Number);
+        return { r, g, b, a: 1 };
+    }
+
+    if (entry && typeof entry === 'object' && typeof entry.color === 'string' && typeof entry.alpha === 'number' && entry.alpha >= 0 && entry.alpha <= 1) {
+        const top = parseColor(entry.color, palette, resolving);
+        const bottom = parseColor(entry.over ?? 'black', palette, resolving);
+        const alpha = entry.alpha * top.a;
+        const mix = channel => Math.round(top[channel] * alpha + bottom[channel] * (1 - alpha));
+        return { r: mix('r'), g: mix('g'), b: mix('b'), a: bottom.a };
+    }
+
+    throw new Error(`colors.json entry "${name}" must be an "R G B" string or a blend like { "color": "gray-50", "alpha": 0.1, "over": "black" }`);
+}
+
+/**
+ * Parses an insight background value
+ * A single color is a solid fill. Colors joined with `→` (or `->`) form a gradient,
+ * top to bottom by default; prefix it with an angle (`45deg:`, CSS convention, 0deg
+ * points up) or with `radial:` for a radial gradient from the center.
+ *
+ * @function parseBackground
+ * @param {string} value - Background value
+ * @param {Object<string, string|Object>} [palette=loadColors()] - Named colors
+ * @returns {{type: 'solid'|'linear'|'radial', colors: Object[], angle: number}} Parsed background
+ * @throws {Error} When a color is invalid or a gradient has fewer than two stops
+ * @example
+ * parseBackground('blue-700→green-800'); // { type: 'linear', angle: 180, colors: [...] }
+ * parseBackground('radial:#1d3b45→black'); // { type: 'radial', angle: 180, colors: [...] }
+ */
+export function parseBackground(value, palette = loadColors()) {
+    let text = String(value ?? '').trim();
+    let type = 'linear';
+    let angle = 180;
+
+    const prefix = text.match(/^(radial|linear|(-?\d+(?:\.\d+)?)deg)\s*:\s*/i);
+    if (prefix) {
+        type = prefix[1].toLowerCase() === 'radial' ? 'radial' : 'linear';
+        angle = prefix[2] !== undefined ? parseFloat(prefix[2]) : angle;
+        text = text.slice(prefix[0].length);
+    }
+
+    const stops = text.split(GRADIENT_SEPARATOR);
+    if (stops.length === 1) {
+        if (prefix) {
+            throw new Error(`Gradient "${value}" needs at least two colors`);
+        }
+        return { type: 'solid', colors: [parseColor(stops[0], palette)], angle };
+    }
+
+    return { type, colors: stops.map(stop => parseColor(stop, palette)), angle };
+}
+
+/**
+ * Formats a parsed color for Canvas
+ * @function toCssColor
+ * @param {{r: number, g: number, b: number, a: number}} color - Parsed color
+ * @returns {string} `rgba(r, g, b, a)` string
+ */
+export function toCssColor({ r, g, b, a }) {
+    return `rgba(${r}, ${g}, ${b}, ${a})`;
+}
+
+/**
+ * Checks the format of colors.json
+ * Every entry must be an "R G B" string or a valid blend definition, and
+ * DEFAULT_BACKGROUND_COLOR must be a valid background value.
+ *
+ * @function getColorProblems
+ * @returns {string[]} One message per problem (empty when the file is valid)
+ * @example
+ * getColorProblems(); // ['colors.json entry "teal-500" must be an "R G B" string like "50 82 70" (got "50 82")']
+ */
+export function getColorProblems() {
+    let colors;
+    try {
+        colors = JSON.parse(fs.readFileSync(path.join(BOT_DIR, 'colors.json'), 'utf8'));
+    } catch (error) {
+        return [`Could not read colors.json: ${error.message}`];
+    }
+    if (!colors || typeof colors !== 'object' || Array.isArray(colors)) {
+        return ['colors.json must contain an object mapping color names to "R G B" strings or blends'];
+    }
+
+    const problems = [];
+    for (const name of Object.keys(colors)) {
+        try {
+            parseColor(name, colors);
+        } catch (error) {
+            problems.push(error.message.startsWith('colors.json') ? error.message : `colors.json entry "${name}": ${error.message}`);
+        }
+    }
+    try {
+        parseBackground(config.Insights.DEFAULT_BACKGROUND_COLOR, colors);
+    } catch (error) {
+        problems.push(`DEFAULT_BACKGROUND_COLOR is invalid: ${error.message}`);
+    }
+    return problems;
+}
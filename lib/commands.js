@@ -0,0 +1,297 @@
+/**
+ * Bot commands
+ * Answers /latest, /insight, /status and /help from allowed chats and users.
+ */
+import { out } from './logger.js';
+import { config } from './config.js';
+import { runtime } from './runtime.js';
+import { escapeText } from './format.js';
+import { getDestinations, loadDestinations, normalizeDestination } from './destinations.js';
+import { countProcessedInsights, getLastRunRecord, getLatestSentInsight, getModerationRecord, isInsightProcessed, listModerationRecords, listSubscriptions } from './store.js';
+import { HISTORY_PAGE_SIZE, fetchInsightById, fetchInsightsPage, filterEligibleInsights } from './polaris.js';
+import { callTelegramApi } from './telegram.js';
+import { sendMessage } from './messages.js';
+import { isModerationActive, withModeratedCaption } from './moderation.js';
+import { canManageSubscription, handleSubscribeCommand, handleUnsubscribeCommand } from './subscriptions.js';
+
+/** The bot's own username (from getMe), used to ignore commands addressed to other bots */
+let botUsername = null;
+
+/** Options accepted by /subscribe (shown in usage and help replies) */
+export const SUBSCRIBE_USAGE = '[instant|daily|weekly] [types=a,b] [backgrounds=a,b] [tags=a,b] [minread=n]';
+
+/**
+ * Handles a bot command message
+ * Commands addressed to another bot (`/status@other_bot`) and unknown commands are ignored.
+ * Commands from chats and users that are not allowed are logged and ignored.
+ * /subscribe and /unsubscribe are open to the admins of any chat instead.
+ * 
+ * @async
+ * @function handleCommand
+ * @param {Object} message - Telegram Message object
+ * @returns {Promise<void>}
+ */
+export async function handleCommand(message) {
+    const [commandText, ...args] = message.text.trim().split(/\s+/);
+    const [command, mention] = commandText.slice(1).toLowerCase().split('@');
+    if (mention && mention !== (await getBotUsername())?.toLowerCase()) {
+        return;
+    }
+
+    const commands = config.Commands.ENABLED
+        ? {
+            latest: handleLatestCommand,
+            insight: handleInsightCommand,
+            status: handleStatusCommand,
+            help: handleHelpCommand,
+            start: handleHelpCommand
+        }
+        : {};
+    const subscriptionCommands = config.Subscriptions.ENABLED
+        ? { subscribe: handleSubscribeCommand, unsubscribe: handleUnsubscribeCommand }
+        : {};
+    Object.assign(commands, subscriptionCommands);
+    if (!Object.hasOwn(commands, command)) {
+        return;
+    }
+
+    const isSubscriptionCommand = Object.hasOwn(subscriptionCommands, command);
+    if (isSubscriptionCommand ? !(await canManageSubscription(message)) : !isCommandAllowed(message)) {
+        out.warn(`Ignoring /${command} from user ${message.from?.id} in chat ${message.chat.id} (not allowed)`);
+        if (isSubscriptionCommand) {
+            await replyToCommand(message, `Only chat admins can use /${command}.`);
+        }
+        return;
+    }
+
+    out.info(`Handling /${command} from user ${message.from?.id} in chat ${message.chat.id}`);
+    try {
+        await commands[command](message, args);
+    } catch (error) {
+        out.error(`Error handling /${command}: ${error.message}`);
+        await replyToCommand(message, `Sorry, /${command} failed: ${error.message}`);
+    }
+}
+
+/**
+ * Checks whether the sender of a command may use the bot's commands
+ * COMMANDS_ALLOWED_USER_IDS allows users anywhere, COMMANDS_ALLOWED_CHAT_IDS allows everyone
+ * in a chat. When both are empty, commands are allowed in the chats of the configured destinations.
+ * 
+ * @function isCommandAllowed
+ * @param {Object} message - Telegram Message object
+ * @returns {boolean} True when the command may run
+ */
+function isCommandAllowed(message) {
+    const chatId = String(message.chat.id);
+    const userId = String(message.from?.id);
+    const { ALLOWED_CHAT_IDS, ALLOWED_USER_IDS } = config.Commands;
+
+    if (ALLOWED_CHAT_IDS.length === 0 && ALLOWED_USER_IDS.length === 0) {
+        // Destinations may use @channelusername, which only matches the chat's username
+        const username = message.chat.username ? `@${message.chat.username}`.toLowerCase() : null;
+        return getDestinations().some(destination =>
+            destination.chatId === chatId || destination.chatId.toLowerCase() === username
+        );
+    }
+
+    return ALLOWED_CHAT_IDS.includes(chatId) || ALLOWED_USER_IDS.includes(userId);
+}
+
+/**
+ * Gets the bot's username, asking Telegram once with getMe
+ * @async
+ * @function getBotUsername
+ * @returns {Promise<string|null>} Bot username, or null when getMe failed
+ */
+async function getBotUsername() {
+    if (!botUsername) {
+        try {
+            const response = await callTelegramApi('getMe', {});
+            botUsername = response.result?.username || null;
+        } catch (error) {
+            out.warn(`Could not fetch the bot username: ${error.message}`);
+        }
+    }
+    return botUsername;
+}
+
+/**
+ * Builds the destination a command's insights are sent to
+ * Uses the configured destination for the chat (and forum topic) when there is one, so its
+ * format and buttons apply; otherwise the chat with default formatting.
+ * 
+ * @function getCommandDestination
+ * @param {Object} message - Telegram Message object
+ * @returns {Object} Normalized destination
+ */
+function getCommandDestination(message) {
+    const destination = normalizeDestination({
+        key: `command:${message.chat.id}`,
+        chatId: message.chat.id,
+        messageThreadId: message.is_topic_message ? message.message_thread_id : undefined
+    }, 0);
+
+    const configured = loadDestinations().find(candidate =>
+        !candidate.digest && candidate.chatId === destination.chatId && candidate.messageThreadId === destination.messageThreadId
+    );
+    return configured || destination;
+}
+
+/**
+ * Replies to a command message with plain text
+ * @async
+ * @function replyToCommand
+ * @param {Object} message - Telegram Message object being answered
+ * @param {string} text - Plain reply text (escaped for the parse mode here)
+ * @returns {Promise<Object|null>} Telegram API response object, or null when the reply failed
+ */
+export async function replyToCommand(message, text) {
+    try {
+        return await callTelegramApi('sendMessage', {
+            chat_id: message.chat.id,
+            message_thread_id: message.is_topic_message ? message.message_thread_id : undefined,
+            text: escapeText(text),
+            parse_mode: config.Telegram.PARSE_MODE,
+            reply_parameters: { message_id: message.message_id, allow_sending_without_reply: true }
+        });
+    } catch (error) {
+        out.error(`Could not reply to command in chat ${message.chat.id}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Checks whether a command may send an insight to a chat
+ * Commands follow the rules of regular posts: the insight must be older than
+ * MINIMUM_AGE_MINUTES and, with moderation on, approved or already posted.
+ * 
+ * @function canShareInsight
+ * @param {Object} insight - The insight object
+ * @returns {boolean} True when the insight may be sent
+ */
+function canShareInsight(insight) {
+    if (filterEligibleInsights([insight]).length === 0) {
+        return false;
+    }
+    return !isModerationActive()
+        || isInsightProcessed(insight.id)
+        || getModerationRecord(insight.id)?.status === 'approved';
+}
+
+/**
+ * /latest [n] - re-sends the newest n insights (default 1) to the requesting chat
+ * Uses the regular sendMessage pipeline; the messages are not tracked as deliveries.
+ * Insights that could not be posted yet (too recent, or not approved) are left out.
+ * 
+ * @async
+ * @function handleLatestCommand
+ * @param {Object} message - Telegram Message object
+ * @param {string[]} args - Command arguments
+ * @returns {Promise<void>}
+ */
+async function handleLatestCommand(message, args) {
+    const requested = args[0] !== undefined ? parseInt(args[0]) : 1;
+    if (!(requested >= 1)) {
+        await replyToCommand(message, 'Usage: /latest [n]');
+        return;
+    }
+    const count = Math.min(requested, config.Commands.LATEST_MAX);
+
+    // Fetch a full page, so insights waiting for review do not hide older ones
+    const insights = (await fetchInsightsPage({ start: 0, end: Math.max(count, HISTORY_PAGE_SIZE) }))
+        .filter(canShareInsight)
+        .slice(0, count);
+    if (insights.length === 0) {
+        await replyToCommand(message, 'No published insights yet.');
+        return;
+    }
+
+    // Oldest first, like regular posts
+    const destination = getCommandDestination(message);
+    for (const insight of insights.reverse()) {
+        await sendMessage({ insight: withModeratedCaption(insight), destination });
+    }
+}
+
+/**
+ * /insight <id> - fetches one insight from the Polaris API and sends it to the requesting chat
+ * Only insights that could be posted (old enough, and approved with moderation on) are sent.
+ * 
+ * @async
+ * @function handleInsightCommand
+ * @param {Object} message - Telegram Message object
+ * @param {string[]} args - Command arguments
+ * @returns {Promise<void>}
+ */
+async function handleInsightCommand(message, args) {
+    if (!args[0]) {
+        await replyToCommand(message, 'Usage: /insight <id>');
+        return;
+    }
+
+    const insight = await fetchInsightById(args[0]);
+    if (!insight) {
+        await replyToCommand(message, `Insight ${args[0]} was not found.`);
+        return;
+    }
+    if (!canShareInsight(insight)) {
+        await replyToCommand(message, `Insight ${args[0]} has not been posted yet.`);
+        return;
+    }
+
+    await sendMessage({ insight: withModeratedCaption(insight), destination: getCommandDestination(message) });
+}
+
+/**
+ * /status - reports the last run, the newest sent insight and the processed-ID count
+ * 
+ * @async
+ * @function handleStatusCommand
+ * @param {Object} message - Telegram Message object
+ * @returns {Promise<void>}
+ */
+async function handleStatusCommand(message) {
+    const lastRun = getLastRunRecord();
+    const latest = getLatestSentInsight();
+
+    const lines = [
+        `Mode: ${runtime.daemonMode ? 'daemon' : 'scheduled runs'}${config.Telegram.TEST_MODE ? ' (test mode)' : ''}`,
+        lastRun
+            ? `Last run: ${lastRun.finishedAt || lastRun.startedAt} (${lastRun.status}, ${lastRun.sent} sent, ${lastRun.failed} failed)`
+            : 'Last run: none yet',
+        `Latest sent insight: ${latest.publishedAt ? `${latest.id} (published ${latest.publishedAt})` : 'none yet'}`,
+        `Processed insights: ${countProcessedInsights()}`
+    ];
+    if (config.Subscriptions.ENABLED) {
+        lines.push(`Subscriptions: ${listSubscriptions('active').length} active, ${listSubscriptions('pending').length} pending`);
+    }
+    if (isModerationActive()) {
+        lines.push(`Moderation queue: ${listModerationRecords('pending').length} awaiting review`);
+    }
+
+    await replyToCommand(message, lines.join('\n'));
+}
+
+/**
+ * /help - lists the available commands
+ * 
+ * @async
+ * @function handleHelpCommand
+ * @param {Object} message - Telegram Message object
+ * @returns {Promise<void>}
+ */
+async function handleHelpCommand(message) {
+    const lines = [
+        `/latest [n] - re-send the newest insights (up to ${config.Commands.LATEST_MAX})`,
+        '/insight <id> - send one insight',
+        '/status - bot status'
+    ];
+    if (config.Subscriptions.ENABLED) {
+        lines.push(
+            `/subscribe ${SUBSCRIBE_USAGE} - subscribe this chat (admins)`,
+            '/unsubscribe - stop posting to this chat (admins)'
+        );
+    }
+    await replyToCommand(message, lines.join('\n'));
+}
@@ -0,0 +1,598 @@
+/**
+ * Configuration
+ * Loads .env from the bot directory and builds the configuration object from environment variables.
+ */
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/** Bot directory (the repository root); relative paths in the configuration resolve from here */
+export const BOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Load environment variables from .env file
+dotenv.config({ path: path.join(BOT_DIR, '.env') });
+
+/**
+ * Typed schema of every environment variable the bot reads
+ * `type` is one of string, url, path, boolean, integer, number, enum, list, chatId or userId.
+ * Numbers can have `min`/`max` limits or be `positive`, enums and list items have allowed
+ * `values`, and `secret` values are never echoed in error messages. Settings marked
+ * `deprecated` are ignored with a warning.
+ */
+const SETTINGS_SCHEMA = {
+    // Polaris API
+    POLARIS_API_URL: { type: 'url', default: 'https://api.polaris.app' },
+    POLARIS_INSIGHTS_URL: { type: 'url', default: 'https://beta.polaris.app/insights/' },
+
+    // Telegram
+    TELEGRAM_TOKEN: { type: 'string', secret: true, pattern: /^\d+:[\w-]+$/, hint: 'must look like 123456789:ABC-DEF... (the token from @BotFather)' },
+    TELEGRAM_CHAT_ID: { type: 'chatId' },
+    TELEGRAM_TEST_CHAT_ID: { type: 'chatId' },
+    TEST_MODE: { type: 'boolean', default: false },
+    TEMPLATES_FILE: { type: 'path', default: 'templates.json' },
+    TELEGRAM_PARSE_MODE: { type: 'enum', values: ['HTML', 'MarkdownV2'], default: 'HTML' },
+    INLINE_BUTTONS: { type: 'list', item: { type: 'enum', values: ['readMore', 'share', 'feedback'] }, default: [] },
+    DISABLE_WEB_PAGE_PREVIEW: { type: 'boolean', default: false },
+    DESTINATIONS_FILE: { type: 'path', default: 'destinations.json' },
+    TELEGRAM_API_URL: { type: 'url', default: 'https://api.telegram.org' },
+    TELEGRAM_MAX_RETRIES: { type: 'integer', min: 0, default: 5 },
+    TELEGRAM_RETRY_BASE_DELAY_MS: { type: 'integer', min: 0, default: 1000 },
+    TELEGRAM_RETRY_MAX_DELAY_MS: { type: 'integer', min: 0, default: 60000 },
+    TELEGRAM_REQUEST_TIMEOUT_MS: { type: 'integer', min: 1, default: 30000 },
+    TELEGRAM_GLOBAL_MESSAGES_PER_SECOND: { type: 'number', positive: true, default: 25 },
+    TELEGRAM_PER_CHAT_MESSAGES_PER_MINUTE: { type: 'number', positive: true, default: 20 },
+    TELEGRAM_REUSE_FILE_IDS: { type: 'boolean', default: true },
+
+    // State and insights
+    STATE_DB_FILE: { type: 'path' },
+    INSIGHTS_LIMIT: { type: 'integer', min: 1, default: 7 },
+    CATCHUP_MAX_PAGES: { type: 'integer', min: 0, default: 10 },
+    MINIMUM_AGE_MINUTES: { type: 'number', min: 0, default: 10 },
+    DEFAULT_BACKGROUND_COLOR: { type: 'string', default: 'black' },
+    MAX_PROCESSED_IDS: { deprecated: 'is no longer used: processed insights are kept in the state database' },
+
+    // Image overlay
+    USE_IMAGE_OVERLAY: { type: 'boolean', default: false },
+    TEXT_WIDTH_PERCENT: { type: 'number', positive: true, max: 1, default: 0.8 },
+    FONT_SIZE_DIVISOR: { type: 'number', positive: true, default: 15 },
+    LINE_HEIGHT_MULTIPLIER: { type: 'number', positive: true, default: 1.2 },
+    TEXT_COLOR: { type: 'string', default: 'rgb(248, 246, 242)' },
+    TEXT_STROKE_COLOR: { type: 'string', default: 'black' },
+    TEXT_STROKE_WIDTH: { type: 'number', min: 0, default: 3 },
+    FONT_FAMILY: { type: 'string', default: '"Cormorant Garamond",serif' },
+    FONT_WEIGHT: { type: 'string', default: '300' },
+    FONT_FILE: { type: 'path', default: path.join('fonts', 'CormorantGaramond-Light.ttf') },
+    LETTER_SPACING_EM: { type: 'number', default: -0.0025 },
+    READTIME_FONT_SIZE_PERCENT: { type: 'number', positive: true, default: 0.6 },
+    READTIME_MARGIN_TOP: { type: 'integer', min: 0, default: 20 },
+
+    // Rendered images
+    IMAGE_QUALITY: { type: 'integer', min: 1, max: 100, default: 90 },
+    IMAGE_FORMAT: { type: 'enum', values: ['jpeg', 'png', 'webp'], default: 'jpeg' },
+    IMAGE_ASPECT_RATIO: { type: 'enum', values: ['2:1', '16:9', '1:1', '4:5'], default: '2:1' },
+    BACKGROUND_OVERLAY_SCALE: { type: 'number', positive: true, max: 1, default: 0.53 },
+    BACKGROUND_OVERLAY_ANCHOR: { type: 'enum', values: ['center', 'top', 'bottom', 'left', 'right', 'top-left', 'top-right', 'bottom-left', 'bottom-right'], default: 'center' },
+    BACKGROUND_OVERLAY_PADDING: { type: 'number', min: 0, max: 0.45, default: 0 },
+
+    // Animated visualizations
+    ANIMATIONS_ENABLED: { type: 'boolean', default: true },
+    ANIMATION_FORMAT: { type: 'enum', values: ['mp4', 'gif'], default: 'mp4' },
+    ANIMATION_MAX_SECONDS: { type: 'number', positive: true, default: 15 },
+    FFMPEG_PATH: { type: 'string', default: 'ffmpeg' },
+
+    // Charts
+    CHARTS_ENABLED: { type: 'boolean', default: true },
+    CHART_THEME: { type: 'enum', values: ['dark', 'light'], default: 'dark' },
+    CHART_BACKGROUND: { type: 'string', default: '' },
+    CHART_PALETTE: { type: 'list', item: { type: 'string' }, default: ['orange-400', 'green-400', 'blue-300', 'red-300', 'orange-200', 'blue-400'] },
+    CHART_FONT_FAMILY: { type: 'string', default: 'sans-serif' },
+
+    // Image cache
+    IMAGE_CACHE_ENABLED: { type: 'boolean', default: true },
+    IMAGE_CACHE_DIR: { type: 'path' },
+    IMAGE_CACHE_MAX_MB: { type: 'number', positive: true, default: 200 },
+    IMAGE_CACHE_MAX_AGE_DAYS: { type: 'number', positive: true, default: 30 },
+
+    // Branding
+    BRANDING_ENABLED: { type: 'boolean', default: false },
+    BRANDING_URL_IMAGES: { type: 'boolean', default: false },
+    BRANDING_LOGO_FILE: { type: 'path', default: '' },
+    BRANDING_LOGO_POSITION: { type: 'enum', values: ['top-left', 'top-right', 'bottom-left', 'bottom-right'], default: 'bottom-right' },
+    BRANDING_LOGO_OPACITY: { type: 'number', min: 0, max: 1, default: 0.85 },
+    BRANDING_LOGO_SIZE: { type: 'number', positive: true, max: 1, default: 0.12 },
+    BRANDING_FOOTER: { type: 'boolean', default: true },
+    BRANDING_FOOTER_HEIGHT: { type: 'number', positive: true, max: 0.5, default: 0.07 },
+    BRANDING_FOOTER_COLOR: { type: 'string', default: 'rgba(0, 0, 0, 0.65)' },
+    BRANDING_FOOTER_TEXT_COLOR: { type: 'string', default: 'rgb(248, 246, 242)' },
+    BRANDING_DATE_FORMAT: { type: 'string', default: 'D MMM YYYY' },
+    BRANDING_SHORT_URL: { type: 'string', default: '' },
+
+    // Post sync
+    SYNC_EDITS: { type: 'boolean', default: true },
+    SYNC_DELETES: { type: 'boolean', default: false },
+    SYNC_DELETE_GRACE_MINUTES: { type: 'number', min: 0, default: 30 },
+
+    // Run lock
+    LOCK_FILE: { type: 'path' },
+    LOCK_MODE: { type: 'enum', values: ['exit', 'wait'], default: 'exit' },
+    LOCK_WAIT_TIMEOUT_SECONDS: { type: 'integer', min: 0, default: 600 },
+    LOCK_STALE_MINUTES: { type: 'number', positive: true, default: 60 },
+
+    // Commands, subscriptions and moderation
+    COMMANDS_ENABLED: { type: 'boolean', default: false },
+    COMMANDS_ALLOWED_CHAT_IDS: { type: 'list', item: { type: 'chatId' }, default: [] },
+    COMMANDS_ALLOWED_USER_IDS: { type: 'list', item: { type: 'userId' }, default: [] },
+    COMMANDS_LATEST_MAX: { type: 'integer', min: 1, default: 5 },
+    SUBSCRIPTIONS_ENABLED: { type: 'boolean', default: false },
+    SUBSCRIPTIONS_REQUIRE_APPROVAL: { type: 'boolean', default: false },
+    BOT_OWNER_USER_ID: { type: 'userId', default: '' },
+    MODERATION_ENABLED: { type: 'boolean', default: false },
+    MODERATION_REVIEW_CHAT_ID: { type: 'chatId' },
+    MODERATION_AUTO_APPROVE_MINUTES: { type: 'number', min: 0, default: 0 },
+
+    // Incoming updates
+    UPDATES_MODE: { type: 'enum', values: ['polling', 'webhook', 'off'], default: 'polling' },
+    UPDATES_POLL_TIMEOUT_SECONDS: { type: 'integer', min: 0, max: 50, default: 10 },
+    WEBHOOK_URL: { type: 'url', https: true, default: '' },
+    WEBHOOK_PORT: { type: 'integer', min: 1, max: 65535, default: 8443 },
+    WEBHOOK_SECRET: { type: 'string', secret: true, pattern: /^[A-Za-z0-9_-]{1,256}$/, hint: 'may only contain A-Z, a-z, 0-9, _ and - (1-256 characters)', default: '' },
+
+    // Daemon
+    DAEMON_MODE: { type: 'boolean', default: false },
+    DAEMON_INTERVAL_MINUTES: { type: 'number', positive: true, default: 15 },
+    DAEMON_CRON: { type: 'string', default: '' }
+};
+
+/**
+ * Error raised when the configuration is invalid
+ * Lists every problem at once, so they can all be fixed before the next start
+ * @class ConfigError
+ * @extends Error
+ */
+export class ConfigError extends Error {
+    /**
+     * @param {string[]} problems - One message per invalid setting
+     */
+    constructor(problems) {
+        super(`Invalid configuration (${problems.length} problem${problems.length === 1 ? '' : 's'}):\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        /** @type {string[]} */
+        this.problems = problems;
+    }
+}
+
+/**
+ * Checks whether a value is a chat ID Telegram accepts
+ * @function isValidChatId
+ * @param {string|number} value - Chat ID
+ * @returns {boolean} True for numeric IDs (e.g. -1001234567890) and public @usernames
+ * @example
+ * isValidChatId('-1001234567890'); // true
+ * isValidChatId('1001234567890x'); // false
+ */
+export function isValidChatId(value) {
+    return /^-?\d+$/.test(String(value)) || /^@[A-Za-z][A-Za-z0-9_]{4,31}$/.test(String(value));
+}
+
+/**
+ * Parses one environment value according to its schema entry
+ * @param {Object} spec - Schema entry from SETTINGS_SCHEMA
+ * @param {string} raw - Raw environment value (not empty)
+ * @returns {*} Typed value
+ * @throws {Error} With the reason (e.g. "must be at least 1") when the value is invalid
+ */
+function parseSettingValue(spec, raw) {
+    const value = raw.trim();
+
+    switch (spec.type) {
+        case 'boolean':
+            if (!/^(true|false)$/i.test(value)) {
+                throw new Error('must be true or false');
+            }
+            return value.toLowerCase() === 'true';
+
+        case 'integer':
+        case 'number': {
+            const pattern = spec.type === 'integer' ? /^-?\d+$/ : /^-?(\d+(\.\d*)?|\.\d+)$/;
+            if (!pattern.test(value)) {
+                throw new Error(spec.type === 'integer' ? 'must be a whole number' : 'must be a number');
+            }
+            const number = Number(value);
+            if (spec.positive && number <= 0) {
+                throw new Error('must be greater than 0');
+            }
+            if (spec.min !== undefined && number < spec.min) {
+                throw new Error(`must be at least ${spec.min}`);
+            }
+            if (spec.max !== undefined && number > spec.max) {
+                throw new Error(`must be at most ${spec.max}`);
+            }
+            return number;
+        }
+
+        case 'enum': {
+            const match = spec.values.find(allowed => allowed.toLowerCase() === value.toLowerCase());
+            if (!match) {
+                throw new Error(`must be one of ${spec.values.join(', ')}`);
+            }
+            return match;
+        }
+
+        case 'list':
+            return value.split(',').map(item => item.trim()).filter(Boolean).map(item => {
+                try {
+                    return parseSettingValue(spec.item, item);
+                } catch (error) {
+                    throw new Error(`has an invalid entry "${item}" (${error.message})`);
+                }
+            });
+
+        case 'url': {
+            let url;
+            try {
+                url = new URL(value);
+            } catch (_) {
+                throw new Error('must be an absolute URL');
+            }
+            const protocols = spec.https ? ['https:'] : ['http:', 'https:'];
+            if (!protocols.includes(url.protocol)) {
+                throw new Error(`must start with ${spec.https ? 'https://' : 'http:// or https://'}`);
+            }
+            return value;
+        }
+
+        case 'chatId':
+            if (!isValidChatId(value)) {
+                throw new Error('must be a numeric chat ID (e.g. -1001234567890) or a public @username');
+            }
+            return value;
+
+        case 'userId':
+            if (!/^\d+$/.test(value)) {
+                throw new Error('must be a numeric Telegram user ID');
+            }
+            return value;
+
+        default:
+            if (spec.pattern && !spec.pattern.test(value)) {
+                throw new Error(spec.hint);
+            }
+            return value;
+    }
+}
+
+/**
+ * Reads every setting in SETTINGS_SCHEMA from the environment
+ * Unset and empty values get their default. Invalid values also fall back to the default
+ * and are reported in `errors`, so callers decide whether to stop.
+ * 
+ * @function readSettings
+ * @param {Object<string, string>} [env=process.env] - Environment variables
+ * @returns {{values: Object, errors: string[], warnings: string[]}} Typed values by variable name, plus the problems found
+ * @example
+ * readSettings({ INSIGHTS_LIMIT: 'abc' }).errors; // ['INSIGHTS_LIMIT="abc" must be a whole number']
+ */
+export function readSettings(env = process.env) {
+    const values = {};
+    const errors = [];
+    const warnings = [];
+
+    for (const [name, spec] of Object.entries(SETTINGS_SCHEMA)) {
+        const raw = env[name];
+        const isSet = raw !== undefined && raw.trim() !== '';
+
+        if (spec.deprecated) {
+            if (isSet) {
+                warnings.push(`${name} ${spec.deprecated}`);
+            }
+            continue;
+        }
+
+        values[name] = Array.isArray(spec.default) ? [...spec.default] : spec.default;
+        if (!isSet) {
+            continue;
+        }
+
+        try {
+            values[name] = parseSettingValue(spec, raw);
+        } catch (error) {
+            errors.push(`${spec.secret ? name : `${name}=${JSON.stringify(raw)}`} ${error.message}`);
+        }
+    }
+
+    return { values, errors, warnings };
+}
+
+/**
+ * Application configuration object
+ * Centralizes all configuration settings loaded from environment variables
+ * @typedef {Object} Config
+ */
+
+/**
+ * Builds the configuration object from environment variables
+ * Called once at startup and again when the daemon reloads its configuration (SIGHUP).
+ * Invalid values fall back to their defaults here; validateConfiguration reports them.
+ * @function loadConfig
+ * @returns {Config} Application configuration
+ */
+export function loadConfig() {
+    const settings = readSettings().values;
+    const isTestMode = settings.TEST_MODE;
+
+    return {
+        /** Polaris API configuration */
+        Polaris: {
+            /** @type {string} Base URL for Polaris API */
+            API_URL: settings.POLARIS_API_URL,
+            /** @type {string} Base URL for insight links */
+            INSIGHTS_URL: settings.POLARIS_INSIGHTS_URL
+        },
+    
+        /** Telegram bot configuration */
+        Telegram: {
+            /** @type {string} Telegram bot token */
+            TOKEN: settings.TELEGRAM_TOKEN,
+            /** @type {string} Production chat ID to send messages to */
+            CHAT_ID: settings.TELEGRAM_CHAT_ID,
+            /** @type {string} Test chat ID for testing mode */
+            TEST_CHAT_ID: settings.TELEGRAM_TEST_CHAT_ID,
+            /** @type {boolean} Whether to run in test mode (uses TEST_CHAT_ID) */
+            TEST_MODE: isTestMode,
+            /** @type {string} Path to the message templates file (built-in templates are used when missing) */
+            TEMPLATES_FILE: path.resolve(BOT_DIR, settings.TEMPLATES_FILE),
+            /** @type {'HTML'|'MarkdownV2'} Parse mode used to format messages (insight text is escaped for it) */
+            PARSE_MODE: settings.TELEGRAM_PARSE_MODE,
+            /** @type {string[]} Default inline keyboard buttons: readMore, share and/or feedback */
+            INLINE_BUTTONS: settings.INLINE_BUTTONS,
+            /** @type {boolean} Whether to disable web page previews in messages */
+            DISABLE_WEB_PAGE_PREVIEW: settings.DISABLE_WEB_PAGE_PREVIEW,
+            /** @type {string} Path to the destinations file (falls back to TELEGRAM_CHAT_ID / TELEGRAM_TEST_CHAT_ID when missing) */
+            DESTINATIONS_FILE: path.resolve(BOT_DIR, settings.DESTINATIONS_FILE),
+            /** @type {string} Base URL for the Telegram Bot API */
+            API_URL: settings.TELEGRAM_API_URL,
+            /** @type {number} Maximum number of retries for rate-limited, 5xx or network failures */
+            MAX_RETRIES: settings.TELEGRAM_MAX_RETRIES,
+            /** @type {number} Base delay in milliseconds for exponential backoff */
+            RETRY_BASE_DELAY_MS: settings.TELEGRAM_RETRY_BASE_DELAY_MS,
+            /** @type {number} Maximum delay in milliseconds between retries */
+            RETRY_MAX_DELAY_MS: settings.TELEGRAM_RETRY_MAX_DELAY_MS,
+            /** @type {number} How long a request may wait for Telegram's response before it is retried (added to the getUpdates long-poll timeout) */
+            REQUEST_TIMEOUT_MS: settings.TELEGRAM_REQUEST_TIMEOUT_MS,
+            /** @type {number} Maximum number of API calls per second across all chats */
+            GLOBAL_MESSAGES_PER_SECOND: settings.TELEGRAM_GLOBAL_MESSAGES_PER_SECOND,
+            /** @type {number} Maximum number of messages per minute to a single chat */
+            PER_CHAT_MESSAGES_PER_MINUTE: settings.TELEGRAM_PER_CHAT_MESSAGES_PER_MINUTE,
+            /** @type {boolean} Send the file_id of an earlier upload instead of uploading the same image again */
+            REUSE_FILE_IDS: settings.TELEGRAM_REUSE_FILE_IDS
+        },
+    
+        /** Caching configuration */
+        Cache: {
+            /** @type {string} Path to the SQLite state database (insights, deliveries, message IDs, run history) */
+            DATABASE_FILENAME: path.resolve(BOT_DIR, settings.STATE_DB_FILE || (isTestMode ? 'test_polaris_bot.db' : 'polaris_bot.db')),
+            /** @type {string} Path to the legacy timestamp cache file (imported into the database once) */
+            FILENAME: path.join(BOT_DIR, isTestMode ? 'test_latest_insight.cache.json' : 'latest_insight.cache.json'),
+            /** @type {string} Path to the legacy processed IDs cache file (imported into the database once) */
+            PROCESSED_IDS_FILENAME: path.join(BOT_DIR, isTestMode ? 'test_processed_insights.cache.json' : 'processed_insights.cache.json')
+        },
+    
+        /** Insight processing configuration */
+        Insights: {
+            /** @type {number} Maximum number of insights to process per run */
+            LIMIT: settings.INSIGHTS_LIMIT,
+            /** @type {number} Maximum number of extra pages fetched to catch up after downtime (safety cap) */
+            CATCHUP_MAX_PAGES: settings.CATCHUP_MAX_PAGES,
+            /** @type {number} Minimum age in minutes before processing insights (prevents premature posting during editing) */
+            MINIMUM_AGE_MINUTES: settings.MINIMUM_AGE_MINUTES,
+            /** @type {string} Background (color or gradient) used when an insight's background value is not valid */
+            DEFAULT_BACKGROUND_COLOR: settings.DEFAULT_BACKGROUND_COLOR
+        },
+
+        /** Text overlay configuration (only used when USE_IMAGE_OVERLAY=true) */
+        Overlay: {
+            /** @type {boolean} Whether to render the headline onto the image instead of sending the plain image */
+            ENABLED: settings.USE_IMAGE_OVERLAY,
+            /** @type {number} Text width as a fraction of the image width */
+            TEXT_WIDTH_PERCENT: settings.TEXT_WIDTH_PERCENT,
+            /** @type {number} Image width is divided by this value to get the headline font size */
+            FONT_SIZE_DIVISOR: settings.FONT_SIZE_DIVISOR,
+            /** @type {number} Line spacing multiplier applied to the headline font size */
+            LINE_HEIGHT_MULTIPLIER: settings.LINE_HEIGHT_MULTIPLIER,
+            /** @type {string} Headline and read time fill color */
+            TEXT_COLOR: settings.TEXT_COLOR,
+            /** @type {string} Text outline color */
+            TEXT_STROKE_COLOR: settings.TEXT_STROKE_COLOR,
+            /** @type {number} Text outline thickness in pixels (0 disables the stroke) */
+            TEXT_STROKE_WIDTH: settings.TEXT_STROKE_WIDTH,
+            /** @type {string} CSS font family list used for the overlay text */
+            FONT_FAMILY: settings.FONT_FAMILY,
+            /** @type {string} CSS font weight used for the overlay text */
+            FONT_WEIGHT: settings.FONT_WEIGHT,
+            /** @type {string} Path to the bundled font file registered with Canvas (relative paths resolve from the bot directory) */
+            FONT_FILE: path.resolve(BOT_DIR, settings.FONT_FILE),
+            /** @type {number} Letter spacing in em (negative values tighten the text) */
+            LETTER_SPACING_EM: settings.LETTER_SPACING_EM,
+            /** @type {number} Read time font size as a fraction of the headline font size */
+            READTIME_FONT_SIZE_PERCENT: settings.READTIME_FONT_SIZE_PERCENT,
+            /** @type {number} Gap in pixels between the headline and the read time */
+            READTIME_MARGIN_TOP: settings.READTIME_MARGIN_TOP
+        },
+
+        /** Images rendered by the bot (colored backgrounds and text overlays) */
+        Images: {
+            /** @type {'jpeg'|'png'|'webp'} Output format (WebP needs the optional sharp package) */
+            FORMAT: settings.IMAGE_FORMAT,
+            /** @type {number} JPEG/WebP quality (1-100) */
+            QUALITY: settings.IMAGE_QUALITY,
+            /** @type {'2:1'|'16:9'|'1:1'|'4:5'} Size preset of colored backgrounds (destinations can override it) */
+            ASPECT_RATIO: settings.IMAGE_ASPECT_RATIO,
+            /** @type {number} Visualization size on colored backgrounds, as a fraction of the space inside the padding */
+            OVERLAY_SCALE: settings.BACKGROUND_OVERLAY_SCALE,
+            /** @type {string} Where the visualization sits: center, top, bottom, left, right or a corner like top-left */
+            OVERLAY_ANCHOR: settings.BACKGROUND_OVERLAY_ANCHOR,
+            /** @type {number} Margin around the visualization as a fraction of the shorter image side */
+            OVERLAY_PADDING: settings.BACKGROUND_OVERLAY_PADDING
+        },
+
+        /** Animated and video visualizations (GIF, MP4, WebM) */
+        Animations: {
+            /** @type {boolean} Whether animated visualizations are posted with sendAnimation/sendVideo */
+            ENABLED: settings.ANIMATIONS_ENABLED,
+            /** @type {'mp4'|'gif'} Output of animated overlays composited on colored backgrounds */
+            FORMAT: settings.ANIMATION_FORMAT,
+            /** @type {number} Longest animation the bot encodes, in seconds */
+            MAX_SECONDS: settings.ANIMATION_MAX_SECONDS,
+            /** @type {string} ffmpeg executable used to composite and transcode animations */
+            FFMPEG_PATH: settings.FFMPEG_PATH
+        },
+
+        /** Charts rendered from the data of chart insights */
+        Charts: {
+            /** @type {boolean} Whether chart and data visualizations are rendered */
+            ENABLED: settings.CHARTS_ENABLED,
+            /** @type {'dark'|'light'} Background, text and grid colors */
+            THEME: settings.CHART_THEME,
+            /** @type {string} Background color or gradient replacing the theme's (empty for the theme background) */
+            BACKGROUND: settings.CHART_BACKGROUND,
+            /** @type {string[]} Series colors in order (colors.json names or CSS colors) */
+            PALETTE: settings.CHART_PALETTE,
+            /** @type {string} CSS font family of the title and labels */
+            FONT_FAMILY: settings.CHART_FONT_FAMILY
+        },
+
+        /** Disk cache of downloaded and rendered images */
+        ImageCache: {
+            /** @type {boolean} Whether downloads and renders are cached */
+            ENABLED: settings.IMAGE_CACHE_ENABLED,
+            /** @type {string} Directory holding the cached files (the index lives in the state database) */
+            DIR: path.resolve(BOT_DIR, settings.IMAGE_CACHE_DIR || (isTestMode ? 'test_image_cache' : 'image_cache')),
+            /** @type {number} Cache size in megabytes above which the least recently used files are removed */
+            MAX_MB: settings.IMAGE_CACHE_MAX_MB,
+            /** @type {number} Days after which unused files are removed */
+            MAX_AGE_DAYS: settings.IMAGE_CACHE_MAX_AGE_DAYS
+        },
+
+        /** Branding layer (logo watermark and footer band) drawn on images */
+        Branding: {
+            /** @type {boolean} Whether rendered images are branded (destinations can override it) */
+            ENABLED: settings.BRANDING_ENABLED,
+            /** @type {boolean} Also brand downloaded background images, which are then uploaded instead of sent by URL */
+            URL_IMAGES: settings.BRANDING_URL_IMAGES,
+            /** @type {string} Path to the logo image (no watermark when empty) */
+            LOGO_FILE: settings.BRANDING_LOGO_FILE ? path.resolve(BOT_DIR, settings.BRANDING_LOGO_FILE) : '',
+            /** @type {'top-left'|'top-right'|'bottom-left'|'bottom-right'} Corner of the logo */
+            LOGO_POSITION: settings.BRANDING_LOGO_POSITION,
+            /** @type {number} Logo opacity (0-1) */
+            LOGO_OPACITY: settings.BRANDING_LOGO_OPACITY,
+            /** @type {number} Logo width as a fraction of the image width */
+            LOGO_SIZE: settings.BRANDING_LOGO_SIZE,
+            /** @type {boolean} Whether to draw the footer band with the date and link */
+            FOOTER: settings.BRANDING_FOOTER,
+            /** @type {number} Footer band height as a fraction of the image height */
+            FOOTER_HEIGHT: settings.BRANDING_FOOTER_HEIGHT,
+            /** @type {string} Footer band color (colors.json name or CSS color) */
+            FOOTER_COLOR: settings.BRANDING_FOOTER_COLOR,
+            /** @type {string} Footer text color (colors.json name or CSS color) */
+            FOOTER_TEXT_COLOR: settings.BRANDING_FOOTER_TEXT_COLOR,
+            /** @type {string} Format of the publishedAt date in the footer (template date tokens) */
+            DATE_FORMAT: settings.BRANDING_DATE_FORMAT,
+            /** @type {string} Link prefix shown in the footer before the insight ID (defaults to POLARIS_INSIGHTS_URL without https://) */
+            SHORT_URL: settings.BRANDING_SHORT_URL
+        },
+
+        /** Synchronization of already posted messages with later changes in Polaris */
+        Sync: {
+            /** @type {boolean} Edit posted messages when the headline, background or updatedAt changes */
+            EDITS: settings.SYNC_EDITS,
+            /** @type {boolean} Delete posted messages when an insight is unpublished or removed from the curated list */
+            DELETES: settings.SYNC_DELETES,
+            /** @type {number} Minutes an insight must stay missing before its messages are deleted */
+            DELETE_GRACE_MINUTES: settings.SYNC_DELETE_GRACE_MINUTES
+        },
+
+        /** Single-run lock that stops overlapping runs from double-posting */
+        Lock: {
+            /** @type {string} Path to the lock file */
+            FILENAME: path.resolve(BOT_DIR, settings.LOCK_FILE || (isTestMode ? 'test_polaris_bot.run.lock' : 'polaris_bot.run.lock')),
+            /** @type {string} What a second instance does while the lock is held: 'exit' or 'wait' */
+            MODE: settings.LOCK_MODE,
+            /** @type {number} Maximum seconds to wait for the lock in 'wait' mode */
+            WAIT_TIMEOUT_SECONDS: settings.LOCK_WAIT_TIMEOUT_SECONDS,
+            /** @type {number} Minutes after which a lock is considered stale when its process cannot be checked (another host) */
+            STALE_MINUTES: settings.LOCK_STALE_MINUTES
+        },
+
+        /** Interactive bot commands (/latest, /insight, /status) */
+        Commands: {
+            /** @type {boolean} Whether the bot answers commands */
+            ENABLED: settings.COMMANDS_ENABLED,
+            /** @type {string[]} Chat IDs allowed to use commands (destination chats when both lists are empty) */
+            ALLOWED_CHAT_IDS: settings.COMMANDS_ALLOWED_CHAT_IDS,
+            /** @type {string[]} User IDs allowed to use commands in any chat, including private chats */
+            ALLOWED_USER_IDS: settings.COMMANDS_ALLOWED_USER_IDS,
+            /** @type {number} Most insights /latest re-sends at once */
+            LATEST_MAX: settings.COMMANDS_LATEST_MAX
+        },
+
+        /** Self-service chat subscriptions (/subscribe and /unsubscribe) */
+        Subscriptions: {
+            /** @type {boolean} Whether chat admins can subscribe their chats */
+            ENABLED: settings.SUBSCRIPTIONS_ENABLED,
+            /** @type {boolean} Whether new subscriptions wait for the bot owner's approval */
+            REQUIRE_APPROVAL: settings.SUBSCRIPTIONS_REQUIRE_APPROVAL,
+            /** @type {string} Telegram user ID of the bot owner (receives approval requests) */
+            OWNER_USER_ID: settings.BOT_OWNER_USER_ID
+        },
+
+        /** Moderation queue: insights wait for approval in a review chat before production posts */
+        Moderation: {
+            /** @type {boolean} Whether production posts need approval (ignored in TEST_MODE) */
+            ENABLED: settings.MODERATION_ENABLED,
+            /** @type {string} Chat that receives the previews with Approve/Reject/Edit caption buttons */
+            REVIEW_CHAT_ID: settings.MODERATION_REVIEW_CHAT_ID || settings.TELEGRAM_TEST_CHAT_ID || '',
+            /** @type {number} Minutes after which unreviewed insights are approved automatically (0 = never) */
+            AUTO_APPROVE_MINUTES: settings.MODERATION_AUTO_APPROVE_MINUTES
+        },
+
+        /** Incoming Telegram updates (feedback button presses and commands) */
+        Updates: {
+            /** @type {'polling'|'webhook'|'off'} How updates are received; webhooks need daemon mode */
+            MODE: settings.UPDATES_MODE,
+            /** @type {number} Long-polling timeout in seconds for getUpdates in daemon mode */
+            POLL_TIMEOUT_SECONDS: settings.UPDATES_POLL_TIMEOUT_SECONDS,
+            /** @type {string} Public HTTPS URL registered with setWebhook (its path is served locally) */
+            WEBHOOK_URL: settings.WEBHOOK_URL,
+            /** @type {number} Local port of the webhook server */
+            WEBHOOK_PORT: settings.WEBHOOK_PORT,
+            /** @type {string} Secret Telegram sends in X-Telegram-Bot-Api-Secret-Token (recommended) */
+            WEBHOOK_SECRET: settings.WEBHOOK_SECRET
+        },
+
+        /** Daemon mode configuration (only used with --daemon or DAEMON_MODE=true) */
+        Daemon: {
+            /** @type {boolean} Whether to run as a daemon even without --daemon */
+            ENABLED: settings.DAEMON_MODE,
+            /** @type {number} Minutes between polls when no cron expression is set */
+            INTERVAL_MINUTES: settings.DAEMON_INTERVAL_MINUTES,
+            /** @type {string} Optional 5-field cron expression (local time) that overrides the interval */
+            CRON: settings.DAEMON_CRON
+        }
+    };
+}
+
+/** @type {Config} Active configuration (replaced on reload) */
+export let config = loadConfig();
+
+/**
+ * Replaces the active configuration
+ * Used when the daemon reloads its configuration, and by tests that change the environment.
+ * @function setConfig
+ * @param {Config} next - Configuration built by loadConfig
+ * @returns {void}
+ * @example
+ * setConfig(loadConfig());
+ */
+export function setConfig(next) {
+    config = next;
+}
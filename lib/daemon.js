@@ -0,0 +1,281 @@
+/**
+ * Daemon mode
+ * Polls on an interval or cron schedule until SIGTERM/SIGINT, and reloads the
+ * configuration on SIGHUP.
+ */
+import path from 'path';
+import dotenv from 'dotenv';
+import { out } from './logger.js';
+import { BOT_DIR, config, loadConfig, setConfig } from './config.js';
+import { runtime } from './runtime.js';
+import { getMessageTemplates, setMessageTemplates } from './templates.js';
+import { cacheMemory, closeStateStore } from './store.js';
+import { runWithLock } from './lock.js';
+import { registerOverlayFont } from './images.js';
+import { getNextScheduledReleaseAt, processNewPublishedInsights } from './pipeline.js';
+import { ensureUpdateHandling, stopUpdateHandling } from './updates.js';
+import { validateConfiguration } from './cli.js';
+
+/** Resolves the daemon's current wait early (shutdown or reload) */
+let wakeDaemon = null;
+
+/** Set when SIGHUP arrives during a run; the reload happens once the run finishes */
+let reloadRequested = false;
+
+/** Whether a polling run is currently in progress */
+let runInProgress = false;
+
+/** Longest delay setTimeout supports (2^31-1 ms, about 24.8 days); longer delays fire at once */
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+/**
+ * Parses one field of a cron expression into the set of allowed values
+ * Supports `*`, single values, ranges (`1-5`), steps (`*\/15`, `0-30/10`) and lists (`1,15,30`)
+ * @param {string} field - Cron field text
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @param {string} name - Field name for error messages
+ * @returns {Set<number>} Allowed values
+ * @throws {Error} When the field is invalid
+ */
+function parseCronField(field, min, max, name) {
+    const values = new Set();
+
+    for (const part of field.split(',')) {
+        const [rangeText, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step "${stepText}" in cron ${name} field`);
+        }
+
+        let start = min;
+        let end = max;
+        if (rangeText !== '*') {
+            const [startText, endText] = rangeText.split('-');
+            start = Number(startText);
+            end = endText === undefined ? (stepText === undefined ? start : max) : Number(endText);
+        }
+
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+            throw new Error(`Invalid value "${part}" in cron ${name} field (allowed ${min}-${max})`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parses a standard 5-field cron expression (minute hour day-of-month month day-of-week)
+ * 
+ * @function parseCronExpression
+ * @param {string} expression - Cron expression such as "*\/15 * * * *"
+ * @returns {Object} Parsed schedule for getNextCronDate
+ * @throws {Error} When the expression is invalid
+ */
+export function parseCronExpression(expression) {
+    const fields = expression.trim().split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error(`Cron expression "${expression}" must have 5 fields (minute hour day month weekday)`);
+    }
+
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = fields;
+    const daysOfWeek = parseCronField(dayOfWeek, 0, 7, 'day-of-week');
+    // Both 0 and 7 mean Sunday
+    if (daysOfWeek.has(7)) {
+        daysOfWeek.add(0);
+    }
+
+    return {
+        minutes: parseCronField(minute, 0, 59, 'minute'),
+        hours: parseCronField(hour, 0, 23, 'hour'),
+        daysOfMonth: parseCronField(dayOfMonth, 1, 31, 'day-of-month'),
+        months: parseCronField(month, 1, 12, 'month'),
+        daysOfWeek,
+        // Standard cron semantics: when both day fields are restricted, either may match
+        dayOfMonthRestricted: dayOfMonth !== '*',
+        dayOfWeekRestricted: dayOfWeek !== '*'
+    };
+}
+
+/**
+ * Finds the next time (local time, minute resolution) matching a cron schedule
+ * 
+ * @function getNextCronDate
+ * @param {Object} schedule - Schedule returned by parseCronExpression
+ * @param {Date} [after=new Date()] - Find the first match strictly after this time
+ * @returns {Date} Next matching time
+ * @throws {Error} When no matching time exists within the next year
+ */
+function getNextCronDate(schedule, after = new Date()) {
+    const candidate = new Date(after.getTime());
+    candidate.setSeconds(0, 0);
+    candidate.setMinutes(candidate.getMinutes() + 1);
+
+    // One year of minutes is enough to find any valid schedule (e.g. Feb 29 aside)
+    for (let i = 0; i < 366 * 24 * 60; i++) {
+        const dayOfMonthMatch = schedule.daysOfMonth.has(candidate.getDate());
+        const dayOfWeekMatch = schedule.daysOfWeek.has(candidate.getDay());
+        const dayMatch = schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted
+            ? dayOfMonthMatch || dayOfWeekMatch
+            : dayOfMonthMatch && dayOfWeekMatch;
+
+        if (dayMatch
+            && schedule.months.has(candidate.getMonth() + 1)
+            && schedule.hours.has(candidate.getHours())
+            && schedule.minutes.has(candidate.getMinutes())) {
+            return candidate;
+        }
+
+        candidate.setMinutes(candidate.getMinutes() + 1);
+    }
+
+    throw new Error('Cron expression does not match any time within the next year');
+}
+
+/**
+ * Re-reads .env and rebuilds the configuration and message templates
+ * Also drops the in-memory cache copies so the next run reads fresh state from disk.
+ * Keeps the previous configuration and templates when the new ones fail validation.
+ * 
+ * @function reloadConfiguration
+ * @returns {void}
+ */
+function reloadConfiguration() {
+    reloadRequested = false;
+    out.info('Reloading configuration (SIGHUP)');
+
+    const previousConfig = config;
+    const previousTemplates = getMessageTemplates();
+    try {
+        dotenv.config({ path: path.join(BOT_DIR, '.env'), override: true });
+        setConfig(loadConfig());
+        validateConfiguration();
+        cacheMemory.clear();
+        // The database path may have changed (e.g. TEST_MODE); reopen lazily on next use
+        closeStateStore();
+        registerOverlayFont();
+        out.success('Configuration reloaded');
+    } catch (error) {
+        setConfig(previousConfig);
+        setMessageTemplates(previousTemplates);
+        out.error(`Configuration reload failed, keeping previous configuration: ${error.message}`);
+    }
+}
+
+/**
+ * Waits until the given time, or until the daemon is woken early
+ * Long waits are split into timers of at most MAX_TIMER_DELAY_MS, so a monthly or
+ * yearly schedule does not overflow into a tight loop.
+ * 
+ * @async
+ * @function waitUntil
+ * @param {Date} wakeAt - Time to wait for
+ * @returns {Promise<boolean>} True when woken early (shutdown or reload), false once the time is reached
+ */
+export function waitUntil(wakeAt) {
+    return new Promise(resolve => {
+        let timer;
+        const waitForRest = () => {
+            const remaining = wakeAt.getTime() - Date.now();
+            if (remaining <= 0) {
+                resolve(false);
+                return;
+            }
+            timer = setTimeout(waitForRest, Math.min(remaining, MAX_TIMER_DELAY_MS));
+        };
+        wakeDaemon = () => {
+            clearTimeout(timer);
+            resolve(true);
+        };
+        waitForRest();
+    });
+}
+
+/**
+ * Runs the bot as a long-lived process that polls the Polaris API on a schedule
+ * Polls every DAEMON_INTERVAL_MINUTES, or at the times given by DAEMON_CRON.
+ * SIGTERM/SIGINT stop the daemon after the in-flight send, SIGHUP reloads the configuration.
+ * 
+ * @async
+ * @function runDaemon
+ * @returns {Promise<void>} Resolves once a shutdown signal has been handled
+ */
+export async function runDaemon() {
+    const requestShutdown = (signal) => {
+        if (runtime.shutdownRequested) {
+            out.warn(`Received ${signal} again, exiting immediately`);
+            process.exit(1);
+        }
+        runtime.shutdownRequested = true;
+        out.warn(`Received ${signal}, shutting down${runInProgress ? ' after the in-flight send' : ''}`);
+        wakeDaemon?.();
+    };
+
+    process.on('SIGTERM', () => requestShutdown('SIGTERM'));
+    process.on('SIGINT', () => requestShutdown('SIGINT'));
+    process.on('SIGHUP', () => {
+        if (runInProgress) {
+            out.info('Received SIGHUP, configuration will be reloaded after the current run');
+            reloadRequested = true;
+        } else {
+            reloadConfiguration();
+            // Recalculate the next poll with the new schedule
+            wakeDaemon?.();
+        }
+    });
+
+    out.info(`Daemon mode started (${config.Daemon.CRON ? `cron "${config.Daemon.CRON}"` : `every ${config.Daemon.INTERVAL_MINUTES} minutes`})`);
+
+    let runNow = true;
+    while (!runtime.shutdownRequested) {
+        // (Re)start the update receiver; a reload may have enabled or changed it
+        await ensureUpdateHandling();
+
+        if (runNow) {
+            runInProgress = true;
+            try {
+                const completed = await runWithLock(() => processNewPublishedInsights({ limit: config.Insights.LIMIT }));
+                if (completed) {
+                    out.success('Finished processing insights');
+                } else {
+                    out.warn('Another run is in progress, skipping this poll');
+                }
+            } catch (error) {
+                // Keep polling; the next run retries anything that was not delivered
+                out.error(`Polling run failed: ${error.message}`);
+            } finally {
+                runInProgress = false;
+            }
+
+            if (reloadRequested && !runtime.shutdownRequested) {
+                reloadConfiguration();
+            }
+        }
+
+        if (runtime.shutdownRequested) {
+            break;
+        }
+
+        const nextPollAt = config.Daemon.CRON
+            ? getNextCronDate(parseCronExpression(config.Daemon.CRON))
+            : new Date(Date.now() + config.Daemon.INTERVAL_MINUTES * 60 * 1000);
+        // Wake up early when queued insights become due before the next poll (at most once a minute)
+        const nextReleaseAt = getNextScheduledReleaseAt();
+        const nextRunAt = nextReleaseAt && nextReleaseAt < nextPollAt
+            ? new Date(Math.min(nextPollAt.getTime(), Math.max(nextReleaseAt.getTime(), Date.now() + 60 * 1000)))
+            : nextPollAt;
+        out.info(`Next poll at ${nextRunAt.toISOString()}${nextRunAt < nextPollAt ? ' (queued insights due)' : ''}`);
+
+        const woken = await waitUntil(nextRunAt);
+        wakeDaemon = null;
+
+        // A reload or shutdown only reschedules; the poll runs when the timer fires
+        runNow = !woken;
+    }
+
+    await stopUpdateHandling();
+}
@@ -0,0 +1,608 @@
+/**
+ * Destinations
+ * Loads and validates the chats the bot posts to (destinations file, environment or
+ * subscriptions), including content filters, digest settings and delivery windows.
+ */
+import fs from 'fs';
+import { out } from './logger.js';
+import { config, isValidChatId } from './config.js';
+import { listSubscriptions } from './store.js';
+import { IMAGE_PRESETS } from './images.js';
+
+/**
+ * Gets the appropriate chat ID based on test mode configuration
+ * Returns test chat ID when in test mode, otherwise returns production chat ID
+ * 
+ * @function getChatId
+ * @returns {string} The chat ID to use for sending messages
+ * @throws {Error} When required chat ID is not configured
+ * @example
+ * const chatId = getChatId();
+ */
+function getChatId() {
+    if (config.Telegram.TEST_MODE) {
+        if (!config.Telegram.TEST_CHAT_ID) {
+            throw new Error('TEST_MODE is enabled but TELEGRAM_TEST_CHAT_ID is not configured');
+        }
+        return config.Telegram.TEST_CHAT_ID;
+    } else {
+        if (!config.Telegram.CHAT_ID) {
+            throw new Error('TELEGRAM_CHAT_ID is not configured');
+        }
+        return config.Telegram.CHAT_ID;
+    }
+}
+
+/**
+ * Loads all destinations from the destinations file
+ * Each entry is normalized and gets a stable `key` used to track deliveries.
+ * When the file does not exist, a single destination is built from getChatId()
+ * so existing .env-only setups keep working. With subscriptions enabled and no chat ID
+ * configured, there are no configured destinations at all (only subscribed chats).
+ * 
+ * @function loadDestinations
+ * @returns {Object[]} Normalized destinations (both test and production)
+ * @throws {Error} When the destinations file is invalid
+ * @example
+ * // destinations.json
+ * // [{ "key": "desk", "chatId": "-1001234", "messageThreadId": 42, "format": { "disableNotification": true } }]
+ */
+export function loadDestinations() {
+    if (!fs.existsSync(config.Telegram.DESTINATIONS_FILE)) {
+        const chatId = config.Telegram.TEST_MODE ? config.Telegram.TEST_CHAT_ID : config.Telegram.CHAT_ID;
+        if (!chatId && config.Subscriptions.ENABLED) {
+            return [];
+        }
+        return [normalizeDestination({
+            key: 'default',
+            chatId: getChatId(),
+            test: config.Telegram.TEST_MODE
+        }, 0)];
+    }
+
+    let entries;
+    try {
+        entries = JSON.parse(fs.readFileSync(config.Telegram.DESTINATIONS_FILE, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not parse ${config.Telegram.DESTINATIONS_FILE}: ${error.message}`);
+    }
+
+    // Accept either a bare array or { "destinations": [...] }
+    if (!Array.isArray(entries)) {
+        entries = entries?.destinations;
+    }
+    if (!Array.isArray(entries)) {
+        throw new Error(`${config.Telegram.DESTINATIONS_FILE} must contain an array of destinations`);
+    }
+
+    const destinations = entries.map((entry, index) => {
+        // Catch typos here rather than at the first send
+        if (entry && entry.chatId !== undefined && entry.chatId !== null && entry.chatId !== '' && !isValidChatId(entry.chatId)) {
+            throw new Error(`Destination #${index + 1} has an invalid "chatId": ${entry.chatId} (expected a numeric chat ID or a public @username)`);
+        }
+        return normalizeDestination(entry, index);
+    });
+    const seenKeys = new Set();
+    for (const destination of destinations) {
+        if (seenKeys.has(destination.key)) {
+            throw new Error(`Duplicate destination key "${destination.key}" in ${config.Telegram.DESTINATIONS_FILE}`);
+        }
+        seenKeys.add(destination.key);
+    }
+
+    return destinations;
+}
+
+/**
+ * Validates a raw destination entry and fills in defaults
+ * @function normalizeDestination
+ * @param {Object} entry - Raw destination entry
+ * @param {number} index - Position of the entry (used in error messages)
+ * @returns {Object} Normalized destination
+ * @throws {Error} When the entry is missing a chat ID or has invalid values
+ */
+export function normalizeDestination(entry, index) {
+    if (!entry || (entry.chatId === undefined || entry.chatId === null || entry.chatId === '')) {
+        throw new Error(`Destination #${index + 1} is missing "chatId"`);
+    }
+
+    const chatId = String(entry.chatId);
+    const messageThreadId = entry.messageThreadId !== undefined && entry.messageThreadId !== null
+        ? parseInt(entry.messageThreadId)
+        : undefined;
+    if (Number.isNaN(messageThreadId)) {
+        throw new Error(`Destination #${index + 1} has an invalid "messageThreadId": ${entry.messageThreadId}`);
+    }
+
+    const format = entry.format || {};
+    const filters = normalizeFilters(entry.filters, index);
+    const digest = normalizeDigest(entry.digest, index);
+    const schedule = normalizeSchedule(entry.schedule, index);
+    if (digest && schedule) {
+        throw new Error(`Destination #${index + 1} cannot combine "digest" and "schedule" (digests have their own send time)`);
+    }
+
+    return {
+        key: String(entry.key || (messageThreadId !== undefined ? `${chatId}:${messageThreadId}` : chatId)),
+        name: entry.name,
+        chatId,
+        messageThreadId,
+        test: entry.test === true,
+        enabled: entry.enabled !== false,
+        format: {
+            /** Send images when available (false sends text messages only) */
+            sendImages: format.sendImages !== false,
+            /** Render the headline onto the image (defaults to USE_IMAGE_OVERLAY) */
+            imageOverlay: format.imageOverlay ?? config.Overlay.ENABLED,
+            /** Size preset of rendered colored backgrounds (defaults to IMAGE_ASPECT_RATIO) */
+            imageAspectRatio: normalizeAspectRatio(format.imageAspectRatio, index),
+            /** Draw the logo watermark and footer band on images (defaults to BRANDING_ENABLED) */
+            branding: format.branding ?? config.Branding.ENABLED,
+            /** Disable link previews in text messages (defaults to DISABLE_WEB_PAGE_PREVIEW) */
+            disableWebPagePreview: format.disableWebPagePreview ?? config.Telegram.DISABLE_WEB_PAGE_PREVIEW,
+            /** Send messages silently */
+            disableNotification: format.disableNotification === true,
+            /** Inline keyboard buttons (defaults to INLINE_BUTTONS) */
+            buttons: normalizeButtons(format.buttons ?? config.Telegram.INLINE_BUTTONS, index)
+        },
+        filters,
+        digest,
+        schedule
+    };
+}
+
+/**
+ * Validates the inline keyboard buttons of a destination
+ * @function normalizeButtons
+ * @param {string[]|boolean} buttons - Button names (`false` for none)
+ * @param {number} index - Position of the destination (used in error messages)
+ * @returns {string[]} Button names in keyboard order
+ * @throws {Error} When a button name is unknown
+ */
+function normalizeButtons(buttons, index) {
+    if (buttons === false) {
+        return [];
+    }
+    if (!Array.isArray(buttons)) {
+        throw new Error(`Destination #${index + 1} has invalid "format.buttons" (expected a list of readMore, share, feedback)`);
+    }
+
+    const unknown = buttons.filter(button => !['readMore', 'share', 'feedback'].includes(button));
+    if (unknown.length > 0) {
+        throw new Error(`Destination #${index + 1} has unknown button(s): ${unknown.join(', ')} (expected readMore, share, feedback)`);
+    }
+    return buttons;
+}
+
+/**
+ * Validates the image size preset of a destination
+ * @function normalizeAspectRatio
+ * @param {string|undefined} aspectRatio - Preset name (undefined for IMAGE_ASPECT_RATIO)
+ * @param {number} index - Position of the destination (used in error messages)
+ * @returns {string} Preset name
+ * @throws {Error} When the preset is unknown
+ */
+function normalizeAspectRatio(aspectRatio, index) {
+    if (aspectRatio === undefined || aspectRatio === null) {
+        return config.Images.ASPECT_RATIO;
+    }
+    if (!Object.keys(IMAGE_PRESETS).includes(aspectRatio)) {
+        throw new Error(`Destination #${index + 1} has an invalid "format.imageAspectRatio": ${aspectRatio} (expected ${Object.keys(IMAGE_PRESETS).join(', ')})`);
+    }
+    return aspectRatio;
+}
+
+/**
+ * Validates the digest settings of a destination
+ * Destinations with a digest receive one summary message per period instead of one post per insight.
+ * 
+ * @function normalizeDigest
+ * @param {Object|boolean} [digest] - Raw digest settings (`true` uses the defaults)
+ * @param {number} index - Position of the destination (used in error messages)
+ * @returns {Object|null} Normalized digest settings, or null for a per-insight destination
+ * @throws {Error} When a digest setting has an invalid value
+ * @example
+ * normalizeDigest({ schedule: 'weekly', weekday: 1, time: '09:00', album: true }, 0);
+ */
+function normalizeDigest(digest, index) {
+    if (!digest) {
+        return null;
+    }
+    if (digest === true) {
+        digest = {};
+    }
+
+    const label = `Destination #${index + 1}`;
+
+    const schedule = digest.schedule || 'daily';
+    if (schedule !== 'daily' && schedule !== 'weekly') {
+        throw new Error(`${label} has an invalid digest "schedule": ${schedule} (expected "daily" or "weekly")`);
+    }
+
+    const time = /^(\d{1,2}):(\d{2})$/.exec(digest.time || '09:00');
+    const hour = time ? parseInt(time[1]) : NaN;
+    const minute = time ? parseInt(time[2]) : NaN;
+    if (!(hour <= 23) || !(minute <= 59)) {
+        throw new Error(`${label} has an invalid digest "time": ${digest.time} (expected HH:MM)`);
+    }
+
+    const weekday = digest.weekday !== undefined ? Number(digest.weekday) : 1;
+    if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+        throw new Error(`${label} has an invalid digest "weekday": ${digest.weekday} (expected 0-6, 0 = Sunday)`);
+    }
+
+    const maxItems = digest.maxItems !== undefined ? Number(digest.maxItems) : 20;
+    if (!Number.isInteger(maxItems) || maxItems < 1) {
+        throw new Error(`${label} has an invalid digest "maxItems": ${digest.maxItems}`);
+    }
+
+    return {
+        /** 'daily' or 'weekly' */
+        schedule,
+        /** Local time the period ends and the digest is sent */
+        hour,
+        minute,
+        /** Day of the week for weekly digests (0 = Sunday) */
+        weekday,
+        /** Also send an album of the insight visuals */
+        album: digest.album === true,
+        /** Most insights listed in one digest (the newest are kept) */
+        maxItems
+    };
+}
+
+/**
+ * Validates the delivery window settings of a destination
+ * `window` and `quietHours` are "HH:MM-HH:MM" ranges in the destination's IANA timezone;
+ * ranges may wrap past midnight ("22:00-07:00") and "24:00" ends a range at midnight.
+ * 
+ * @function normalizeSchedule
+ * @param {Object} [schedule] - Raw schedule settings
+ * @param {number} index - Position of the destination (used in error messages)
+ * @returns {Object|null} Normalized schedule, or null when the destination posts at any time
+ * @throws {Error} When the timezone, a range or the spacing is invalid
+ * @example
+ * normalizeSchedule({ timezone: 'Africa/Johannesburg', window: '07:00-21:00', spacingMinutes: 15 }, 0);
+ */
+function normalizeSchedule(schedule, index) {
+    if (!schedule) {
+        return null;
+    }
+
+    const label = `Destination #${index + 1}`;
+
+    const timezone = schedule.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+        throw new Error(`${label} has an invalid schedule "timezone": ${timezone}`);
+    }
+
+    const parseRange = (value, name) => {
+        if (value === undefined || value === null) {
+            return null;
+        }
+        const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(String(value));
+        const toMinutes = (hour, minute) => (parseInt(hour) <= 24 && parseInt(minute) <= 59 ? parseInt(hour) * 60 + parseInt(minute) : NaN);
+        const start = match ? toMinutes(match[1], match[2]) : NaN;
+        const end = match ? toMinutes(match[3], match[4]) : NaN;
+        if (!(start < 24 * 60) || !(end <= 24 * 60) || start === end) {
+            throw new Error(`${label} has an invalid schedule "${name}": ${value} (expected HH:MM-HH:MM)`);
+        }
+        return { start, end };
+    };
+    const window = parseRange(schedule.window, 'window');
+    const quietHours = parseRange(schedule.quietHours, 'quietHours');
+    if (!window && !quietHours) {
+        throw new Error(`${label} "schedule" needs a "window" or "quietHours"`);
+    }
+
+    const spacingMinutes = schedule.spacingMinutes !== undefined ? Number(schedule.spacingMinutes) : 0;
+    if (!(spacingMinutes >= 0)) {
+        throw new Error(`${label} has an invalid schedule "spacingMinutes": ${schedule.spacingMinutes}`);
+    }
+
+    const normalized = {
+        /** IANA timezone the ranges are in */
+        timezone,
+        /** Minutes of the day posts are allowed in ({ start, end }), or null for all day */
+        window,
+        /** Minutes of the day posts are held back in ({ start, end }), or null for none */
+        quietHours,
+        /** Minimum minutes between two posts released from the queue */
+        spacingMinutes,
+        /** Send posts held back by the window without a notification */
+        silent: schedule.silent !== false
+    };
+
+    const minutesOfDay = Array.from({ length: 24 * 60 }, (_, minute) => minute);
+    if (!minutesOfDay.some(minute => isMinuteInSchedule(normalized, minute))) {
+        throw new Error(`${label} schedule never allows posting (the quiet hours cover the whole window)`);
+    }
+
+    return normalized;
+}
+
+/**
+ * Checks whether a minute of the day falls in a time range, which may wrap past midnight
+ * @param {{start: number, end: number}} range - Range in minutes of the day
+ * @param {number} minute - Minute of the day
+ * @returns {boolean} True when the minute is in the range
+ */
+function isMinuteInRange(range, minute) {
+    return range.start < range.end
+        ? minute >= range.start && minute < range.end
+        : minute >= range.start || minute < range.end;
+}
+
+/**
+ * Checks whether a destination schedule allows posting at a minute of the (local) day
+ * @param {Object} schedule - Normalized schedule
+ * @param {number} minute - Minute of the day in the schedule's timezone
+ * @returns {boolean} True inside the window and outside the quiet hours
+ */
+function isMinuteInSchedule(schedule, minute) {
+    return (!schedule.window || isMinuteInRange(schedule.window, minute))
+        && !(schedule.quietHours && isMinuteInRange(schedule.quietHours, minute));
+}
+
+/**
+ * Creates a function that returns the minute of the day of a date in a timezone
+ * @param {string} timezone - IANA timezone
+ * @returns {function(Date): number} Minute of the day (0-1439)
+ */
+function getLocalMinuteReader(timezone) {
+    const formatter = new Intl.DateTimeFormat('en-GB', { timeZone: timezone, hour: 'numeric', minute: 'numeric', hourCycle: 'h23' });
+    return (date) => {
+        const parts = Object.fromEntries(formatter.formatToParts(date).map(part => [part.type, part.value]));
+        return parseInt(parts.hour) * 60 + parseInt(parts.minute);
+    };
+}
+
+/**
+ * Checks whether a destination may be posted to at a given time
+ * @function isWithinDeliveryWindow
+ * @param {Object} schedule - Normalized destination schedule
+ * @param {Date} [date=new Date()] - Time to check
+ * @returns {boolean} True when posting is allowed
+ */
+export function isWithinDeliveryWindow(schedule, date = new Date()) {
+    return isMinuteInSchedule(schedule, getLocalMinuteReader(schedule.timezone)(date));
+}
+
+/**
+ * Finds the next time a destination's delivery window is open
+ * Steps through the next two days minute by minute, so daylight saving changes are respected.
+ * 
+ * @function getNextWindowOpening
+ * @param {Object} schedule - Normalized destination schedule
+ * @param {Date} [from=new Date()] - Start of the search
+ * @returns {Date} `from` when the window is open, otherwise the first minute it opens
+ */
+export function getNextWindowOpening(schedule, from = new Date()) {
+    const readMinute = getLocalMinuteReader(schedule.timezone);
+    if (isMinuteInSchedule(schedule, readMinute(from))) {
+        return from;
+    }
+
+    const firstMinute = Math.ceil(from.getTime() / 60000) * 60000;
+    for (let offset = 0; offset <= 2 * 24 * 60; offset++) {
+        const candidate = new Date(firstMinute + offset * 60000);
+        if (isMinuteInSchedule(schedule, readMinute(candidate))) {
+            return candidate;
+        }
+    }
+    // Unreachable for validated schedules, which are open at least one minute a day
+    return new Date(firstMinute + 24 * 60 * 60000);
+}
+
+/**
+ * Validates the content filters of a destination and compiles its regular expressions
+ * @function normalizeFilters
+ * @param {Object} [filters] - Raw filters from the destinations file
+ * @param {number} index - Position of the destination (used in error messages)
+ * @returns {Object|null} Normalized filters, or null when the destination accepts everything
+ * @throws {Error} When a filter has an invalid value
+ */
+function normalizeFilters(filters, index) {
+    if (!filters) {
+        return null;
+    }
+
+    const label = `Destination #${index + 1}`;
+    const toRegex = (value, name) => {
+        if (value === undefined) {
+            return undefined;
+        }
+        try {
+            // Accept "pattern" (case-insensitive) or { "pattern": "...", "flags": "..." }
+            return typeof value === 'string' ? new RegExp(value, 'i') : new RegExp(value.pattern, value.flags ?? 'i');
+        } catch (error) {
+            throw new Error(`${label} has an invalid "filters.${name}" pattern: ${error.message}`);
+        }
+    };
+    const toList = (value, name) => {
+        if (value === undefined) {
+            return undefined;
+        }
+        const list = Array.isArray(value) ? value : [value];
+        if (list.some(item => typeof item !== 'string')) {
+            throw new Error(`${label} "filters.${name}" must be a string or an array of strings`);
+        }
+        return list.map(item => item.toLowerCase());
+    };
+
+    const minReadTime = filters.minReadTime !== undefined ? parseFloat(filters.minReadTime) : undefined;
+    if (Number.isNaN(minReadTime)) {
+        throw new Error(`${label} "filters.minReadTime" must be a number of minutes`);
+    }
+
+    return {
+        headline: toRegex(filters.headline, 'headline'),
+        excludeHeadline: toRegex(filters.excludeHeadline, 'excludeHeadline'),
+        backgroundTypes: toList(filters.backgroundTypes, 'backgroundTypes'),
+        visualizationTypes: toList(filters.visualizationTypes, 'visualizationTypes'),
+        tags: toList(filters.tags, 'tags'),
+        excludeTags: toList(filters.excludeTags, 'excludeTags'),
+        minReadTime
+    };
+}
+
+/**
+ * Collects the tags and categories of an insight as lowercase strings
+ * Supports string or array values and objects with a name/slug/label
+ * @param {Object} insight - The insight object
+ * @returns {string[]} Lowercase tags
+ */
+function getInsightTags(insight) {
+    const values = [insight.tags, insight.categories, insight.category]
+        .flatMap(value => (Array.isArray(value) ? value : value !== undefined && value !== null ? [value] : []));
+
+    return values
+        .map(value => (typeof value === 'object' ? value?.name ?? value?.slug ?? value?.label : value))
+        .filter(value => value !== undefined && value !== null)
+        .map(value => String(value).toLowerCase());
+}
+
+/**
+ * Parses the number of minutes from an insight readTime value
+ * @param {string|number} readTime - Read time such as 5 or "5 min read"
+ * @returns {number|null} Minutes, or null when unknown
+ */
+function parseReadTimeMinutes(readTime) {
+    if (typeof readTime === 'number') {
+        return readTime;
+    }
+    const match = typeof readTime === 'string' ? readTime.match(/\d+(\.\d+)?/) : null;
+    return match ? parseFloat(match[0]) : null;
+}
+
+/**
+ * Checks an insight against the content filters of a destination
+ * 
+ * @function getFilterRejection
+ * @param {Object} insight - The insight object
+ * @param {Object} destination - Normalized destination
+ * @returns {string|null} Why the insight is excluded, or null when the destination should receive it
+ * @example
+ * const reason = getFilterRejection(insight, destination);
+ * if (reason) { out.info(`Skipping: ${reason}`); }
+ */
+export function getFilterRejection(insight, destination) {
+    const filters = destination.filters;
+    if (!filters) {
+        return null;
+    }
+
+    const headline = insight.headline || '';
+    if (filters.headline && !filters.headline.test(headline)) {
+        return `headline does not match ${filters.headline}`;
+    }
+    if (filters.excludeHeadline && filters.excludeHeadline.test(headline)) {
+        return `headline matches excluded pattern ${filters.excludeHeadline}`;
+    }
+
+    if (filters.backgroundTypes && !filters.backgroundTypes.includes(String(insight.backgroundType).toLowerCase())) {
+        return `backgroundType "${insight.backgroundType}" is not one of [${filters.backgroundTypes.join(', ')}]`;
+    }
+    if (filters.visualizationTypes && !filters.visualizationTypes.includes(String(insight.visualizationType).toLowerCase())) {
+        return `visualizationType "${insight.visualizationType}" is not one of [${filters.visualizationTypes.join(', ')}]`;
+    }
+
+    const tags = getInsightTags(insight);
+    if (filters.tags && !filters.tags.some(tag => tags.includes(tag))) {
+        return `tags [${tags.join(', ')}] do not include any of [${filters.tags.join(', ')}]`;
+    }
+    if (filters.excludeTags) {
+        const excluded = filters.excludeTags.find(tag => tags.includes(tag));
+        if (excluded) {
+            return `tag "${excluded}" is excluded`;
+        }
+    }
+
+    if (filters.minReadTime !== undefined) {
+        const minutes = parseReadTimeMinutes(insight.readTime);
+        if (minutes === null || minutes < filters.minReadTime) {
+            return `readTime "${insight.readTime ?? 'unknown'}" is below the minimum of ${filters.minReadTime} minutes`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Gets the enabled destinations for the current mode
+ * Test destinations are used in TEST_MODE, production destinations otherwise.
+ * Active chat subscriptions are added after the configured destinations.
+ * 
+ * @function getDestinations
+ * @returns {Object[]} Destinations to deliver insights to
+ * @throws {Error} When no destination is configured for the current mode (and subscriptions are off)
+ * @example
+ * const destinations = getDestinations();
+ */
+export function getDestinations() {
+    const configured = loadDestinations()
+        .filter(destination => destination.enabled && destination.test === config.Telegram.TEST_MODE);
+    const destinations = [...configured, ...getSubscriptionDestinations(configured)];
+
+    if (destinations.length === 0 && !config.Subscriptions.ENABLED) {
+        throw new Error(`No enabled ${config.Telegram.TEST_MODE ? 'test' : 'production'} destinations configured`);
+    }
+
+    return destinations;
+}
+
+/**
+ * Builds destinations from the active chat subscriptions
+ * Subscriptions are stored in the state database of the current mode, so a test bot only
+ * delivers to chats that subscribed to it. Chats that already have a configured destination keep that one.
+ * 
+ * @function getSubscriptionDestinations
+ * @param {Object[]} configured - Configured destinations of the current mode
+ * @returns {Object[]} Normalized destinations marked with `subscription: true`
+ */
+function getSubscriptionDestinations(configured) {
+    if (!config.Subscriptions.ENABLED) {
+        return [];
+    }
+
+    const destinations = [];
+    for (const subscription of listSubscriptions('active')) {
+        const isConfigured = configured.some(destination =>
+            destination.chatId === subscription.chatId && destination.messageThreadId === subscription.messageThreadId
+        );
+        if (isConfigured) {
+            continue;
+        }
+
+        try {
+            destinations.push({
+                ...normalizeDestination({
+                    key: subscription.key,
+                    name: subscription.title || undefined,
+                    chatId: subscription.chatId,
+                    messageThreadId: subscription.messageThreadId,
+                    test: config.Telegram.TEST_MODE,
+                    filters: subscription.filters,
+                    digest: subscription.digest
+                }, destinations.length),
+                subscription: true
+            });
+        } catch (error) {
+            out.warn(`Skipping invalid subscription ${subscription.key}: ${error.message}`);
+        }
+    }
+    return destinations;
+}
+
+/**
+ * Formats a destination for log output
+ * @function describeDestination
+ * @param {Object} destination - Normalized destination
+ * @returns {string} Human readable destination description
+ */
+export function describeDestination(destination) {
+    const thread = destination.messageThreadId !== undefined ? ` topic ${destination.messageThreadId}` : '';
+    return `${destination.name || destination.key} (${destination.chatId}${thread})`;
+}
@@ -0,0 +1,135 @@
+/**
+ * Dry runs and previews
+ * Writes Telegram requests to files instead of sending them.
+ */
+import fs from 'fs';
+import path from 'path';
+import { out } from './logger.js';
+import { BOT_DIR } from './config.js';
+import { runtime } from './runtime.js';
+import { getMessageTemplates } from './templates.js';
+import { describeDestination, loadDestinations, normalizeDestination } from './destinations.js';
+import { sendMessage } from './messages.js';
+
+/**
+ * Renders insights from a local JSON fixture without posting them to Telegram
+ * Runs the regular send pipeline (image, overlay, caption and buttons) in dry run mode, so
+ * the requests and rendered images end up in the output directory. Images referenced by
+ * the fixture are still downloaded, and the Polaris API is not queried.
+ * 
+ * @async
+ * @function runPreview
+ * @param {Object} options - Command line options
+ * @param {string} options.file - JSON file with one insight or an array of insights
+ * @param {string} [options.destination] - Configured destination whose format is used
+ * @returns {Promise<void>}
+ * @throws {Error} When the fixture cannot be read or the destination is unknown
+ * @example
+ * // node index.js preview --file fixtures/insight.json --out preview
+ */
+export async function runPreview(options) {
+    if (typeof options.file !== 'string') {
+        throw new Error('preview requires --file <insight.json>');
+    }
+
+    let insights;
+    try {
+        insights = JSON.parse(fs.readFileSync(path.resolve(options.file), 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read ${options.file}: ${error.message}`);
+    }
+    insights = Array.isArray(insights) ? insights : [insights];
+    if (insights.some(insight => !insight || insight.id === undefined)) {
+        throw new Error(`Every insight in ${options.file} needs an "id"`);
+    }
+
+    let destination = normalizeDestination({ key: 'preview', chatId: 'preview' }, 0);
+    if (typeof options.destination === 'string') {
+        destination = loadDestinations().find(candidate => candidate.key === options.destination);
+        if (!destination) {
+            throw new Error(`Unknown destination key: ${options.destination}`);
+        }
+    }
+    getMessageTemplates();
+
+    for (const insight of insights) {
+        out.info(`Rendering insight ${insight.id} for ${describeDestination(destination)}`);
+        await sendMessage({ insight, destination });
+    }
+    finishDryRun();
+}
+
+/**
+ * Starts a dry run: Telegram requests are written to files instead of being sent
+ * @function startDryRun
+ * @param {string|boolean} [outputDir] - Output directory (default `dry-run-output` in the bot directory)
+ * @returns {void}
+ */
+export function startDryRun(outputDir) {
+    const dir = path.resolve(typeof outputDir === 'string' ? outputDir : path.join(BOT_DIR, 'dry-run-output'));
+    fs.mkdirSync(dir, { recursive: true });
+    runtime.dryRun = { outputDir: dir, requests: 0 };
+    out.warn(`🧪 DRY RUN - Telegram requests are written to ${dir} and the state database is not changed`);
+}
+
+/**
+ * Logs where a dry run wrote its output
+ * @function finishDryRun
+ * @returns {void}
+ */
+export function finishDryRun() {
+    if (runtime.dryRun) {
+        out.success(`Dry run wrote ${runtime.dryRun.requests} Telegram request(s) to ${runtime.dryRun.outputDir}`);
+    }
+}
+
+/**
+ * Writes a would-be Telegram request to the dry run directory and returns a fake success
+ * Each request becomes `NNNN-<method>.json` (method, chat, text or caption, parse mode and the
+ * full parameters); uploaded images are written next to it as `NNNN-<method>-<name>.<ext>`.
+ * 
+ * @function recordDryRunRequest
+ * @param {string} method - Telegram API method name
+ * @param {Object} params - Request parameters
+ * @param {Object<string, {buffer: Buffer, filename: string}>} [files] - Files that would be uploaded
+ * @returns {Object} Response shaped like Telegram's, so the pipeline carries on as after a real send
+ */
+export function recordDryRunRequest(method, params, files) {
+    const sequence = ++runtime.dryRun.requests;
+    const prefix = `${String(sequence).padStart(4, '0')}-${method}`;
+
+    const images = {};
+    for (const [name, file] of Object.entries(files || {})) {
+        images[name] = `${prefix}-${name}${path.extname(file.filename) || '.jpg'}`;
+        fs.writeFileSync(path.join(runtime.dryRun.outputDir, images[name]), file.buffer);
+    }
+
+    const request = {
+        method,
+        chatId: params.chat_id,
+        text: params.text ?? params.caption ?? params.media?.caption,
+        parseMode: params.parse_mode ?? params.media?.parse_mode,
+        params,
+        files: images
+    };
+    fs.writeFileSync(path.join(runtime.dryRun.outputDir, `${prefix}.json`), `${JSON.stringify(request, null, 2)}\n`);
+    out.info(`Dry run: ${method} to ${params.chat_id ?? '-'} written to ${prefix}.json`);
+
+    const message = { message_id: sequence, chat: { id: params.chat_id } };
+    const kind = method === 'editMessageMedia' ? params.media?.type : { sendPhoto: 'photo', sendAnimation: 'animation', sendVideo: 'video' }[method];
+    if (kind === 'photo') {
+        message.photo = [{ file_id: 'dry-run' }];
+    } else if (kind) {
+        message[kind] = { file_id: 'dry-run' };
+    }
+    if (method === 'sendMediaGroup') {
+        return { ok: true, result: params.media.map((_, index) => ({ ...message, message_id: sequence * 100 + index, photo: [{ file_id: 'dry-run' }] })) };
+    }
+    if (method === 'getUpdates') {
+        return { ok: true, result: [] };
+    }
+    if (method === 'getMe') {
+        return { ok: true, result: { id: 0, is_bot: true, username: 'dry_run_bot' } };
+    }
+    return { ok: true, result: message };
+}
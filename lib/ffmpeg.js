@@ -0,0 +1,133 @@
+/**
+ * ffmpeg
+ * Runs the local ffmpeg executable (FFMPEG_PATH) to composite, transcode and read
+ * frames of animated visualizations.
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { out } from './logger.js';
+import { config } from './config.js';
+
+/** How long a single ffmpeg run may take before it is stopped */
+const ENCODER_TIMEOUT_MS = 120000;
+
+/** Availability checks by executable path (each path is checked once) */
+const encoderChecks = new Map();
+
+/**
+ * Runs ffmpeg with the given arguments
+ * @async
+ * @function runFfmpeg
+ * @param {string[]} args - Command line arguments
+ * @returns {Promise<string>} Everything ffmpeg wrote to stderr
+ * @throws {Error} When ffmpeg cannot be started, exits non-zero or runs longer than two minutes (with the output in `stderr`)
+ */
+export function runFfmpeg(args) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(config.Animations.FFMPEG_PATH, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+        let stderr = '';
+        child.stderr.on('data', chunk => {
+            stderr += chunk;
+        });
+
+        const timer = setTimeout(() => child.kill('SIGKILL'), ENCODER_TIMEOUT_MS);
+        child.on('error', error => {
+            clearTimeout(timer);
+            reject(new Error(`Could not run ${config.Animations.FFMPEG_PATH}: ${error.message}`));
+        });
+        child.on('close', (code, signal) => {
+            clearTimeout(timer);
+            if (code === 0) {
+                resolve(stderr);
+            } else {
+                const reason = signal ? `was stopped (${signal})` : `exited with code ${code}`;
+                const error = new Error(`ffmpeg ${reason}: ${stderr.trim().split('\n').slice(-3).join(' ')}`);
+                error.stderr = stderr;
+                reject(error);
+            }
+        });
+    });
+}
+
+/**
+ * Checks whether ffmpeg can be run
+ * The result is remembered per FFMPEG_PATH, and a missing encoder is logged once.
+ *
+ * @async
+ * @function isFfmpegAvailable
+ * @returns {Promise<boolean>} True when `ffmpeg -version` succeeds
+ */
+export function isFfmpegAvailable() {
+    const executable = config.Animations.FFMPEG_PATH;
+    if (!encoderChecks.has(executable)) {
+        encoderChecks.set(executable, runFfmpeg(['-hide_banner', '-version']).then(
+            () => true,
+            error => {
+                out.warn(`ffmpeg not available (${error.message}) - animations fall back to still images`);
+                return false;
+            }
+        ));
+    }
+    return encoderChecks.get(executable);
+}
+
+/**
+ * Runs a task with a temporary directory that is removed afterwards
+ * @async
+ * @function withTempDir
+ * @param {Function} task - Async function receiving the directory path
+ * @returns {Promise<*>} Result of the task
+ */
+export async function withTempDir(task) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'polaris-bot-ffmpeg-'));
+    try {
+        return await task(dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Reads the frame size of a video file from ffmpeg's stream information
+ * @async
+ * @function probeVideoSize
+ * @param {string} file - Video file path
+ * @returns {Promise<{width: number, height: number}>} Frame size
+ * @throws {Error} When the file has no video stream
+ */
+export async function probeVideoSize(file) {
+    // Without an output ffmpeg only prints the input information and exits non-zero
+    const info = await runFfmpeg(['-hide_banner', '-i', file]).catch(error => error.stderr ?? error.message);
+    const match = info.match(/Video: .*?\b(\d{2,5})x(\d{2,5})\b/);
+    if (!match) {
+        throw new Error('no video stream found');
+    }
+    return { width: Number(match[1]), height: Number(match[2]) };
+}
+
+/**
+ * Extracts the first frame of a video as a PNG
+ * @async
+ * @function extractFirstFrame
+ * @param {Buffer} video - MP4 or WebM data
+ * @param {string} extension - File extension of the video (`mp4` or `webm`)
+ * @returns {Promise<Buffer>} PNG image
+ * @throws {Error} When ffmpeg is not available or cannot decode the video
+ * @example
+ * const still = await extractFirstFrame(videoBuffer, 'mp4');
+ */
+export async function extractFirstFrame(video, extension) {
+    if (!await isFfmpegAvailable()) {
+        throw new Error('ffmpeg is needed to read the first frame of a video');
+    }
+
+    return await withTempDir(async dir => {
+        const input = path.join(dir, `input.${extension}`);
+        const output = path.join(dir, 'frame.png');
+        fs.writeFileSync(input, video);
+        await runFfmpeg(['-hide_banner', '-loglevel', 'error', '-y', '-i', input, '-frames:v', '1', output]);
+        return fs.readFileSync(output);
+    });
+}
@@ -0,0 +1,162 @@
+/**
+ * Text formatting
+ * Escaping and formatting helpers for the configured Telegram parse mode (MarkdownV2 or HTML).
+ */
+import { config } from './config.js';
+
+/** Telegram's length limit for message text */
+export const TELEGRAM_TEXT_LIMIT = 4096;
+
+/** Telegram's length limit for photo captions */
+export const TELEGRAM_CAPTION_LIMIT = 1024;
+
+/**
+ * Escapes plain text for the configured parse mode
+ * MarkdownV2 escapes every reserved character with a backslash; HTML escapes `&`, `<` and `>`.
+ * 
+ * @function escapeText
+ * @param {string} text - Plain text (e.g. an insight headline)
+ * @returns {string} Text that Telegram renders literally
+ * @example
+ * escapeText('BTC_USD [draft]'); // MarkdownV2: 'BTC\_USD \[draft\]'
+ */
+export function escapeText(text) {
+    const value = String(text ?? '');
+    if (config.Telegram.PARSE_MODE === 'MarkdownV2') {
+        return value.replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+    }
+    return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Formats a link for the configured parse mode
+ * @function formatLink
+ * @param {string} label - Plain link text
+ * @param {string} url - Link target
+ * @returns {string} Formatted link
+ */
+export function formatLink(label, url) {
+    if (config.Telegram.PARSE_MODE === 'MarkdownV2') {
+        return `[${escapeText(label)}](${String(url).replace(/[)\\]/g, '\\$&')})`;
+    }
+    return `<a href="${escapeText(url).replace(/"/g, '&quot;')}">${escapeText(label)}</a>`;
+}
+
+/**
+ * Formats bold text for the configured parse mode
+ * @function formatBold
+ * @param {string} text - Plain text
+ * @returns {string} Formatted bold text
+ */
+export function formatBold(text) {
+    if (config.Telegram.PARSE_MODE === 'MarkdownV2') {
+        return `*${escapeText(text)}*`;
+    }
+    return `<b>${escapeText(text)}</b>`;
+}
+
+/**
+ * Formats italic text for the configured parse mode
+ * @function formatItalic
+ * @param {string} text - Plain text
+ * @returns {string} Formatted italic text
+ */
+export function formatItalic(text) {
+    if (config.Telegram.PARSE_MODE === 'MarkdownV2') {
+        return `_${escapeText(text)}_`;
+    }
+    return `<i>${escapeText(text)}</i>`;
+}
+
+/**
+ * Formats inline code for the configured parse mode
+ * @function formatCode
+ * @param {string} text - Plain text
+ * @returns {string} Formatted inline code
+ */
+export function formatCode(text) {
+    if (config.Telegram.PARSE_MODE === 'MarkdownV2') {
+        return `\`${String(text ?? '').replace(/[`\\]/g, '\\$&')}\``;
+    }
+    return `<code>${escapeText(text)}</code>`;
+}
+
+/**
+ * Escapes plain text and shortens it with an ellipsis until the escaped form fits
+ * Lengths are measured on the escaped text, which is never shorter than what Telegram
+ * counts, so the result is always within the limit. Cuts never split a surrogate pair.
+ * 
+ * @function escapeAndTruncate
+ * @param {string} text - Plain text
+ * @param {number} maxLength - Maximum length of the escaped result
+ * @returns {string} Escaped, possibly truncated text
+ * @example
+ * escapeAndTruncate('A very long headline', 10); // 'A very lo…'
+ */
+export function escapeAndTruncate(text, maxLength) {
+    const escaped = escapeText(text);
+    if (escaped.length <= maxLength) {
+        return escaped;
+    }
+
+    // Binary search for the longest prefix whose escaped form (plus the ellipsis) fits
+    const chars = Array.from(String(text ?? ''));
+    const shorten = count => escapeText(`${chars.slice(0, count).join('').trimEnd()}…`);
+    let low = 0;
+    let high = chars.length - 1;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (shorten(mid).length <= maxLength) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return shorten(low);
+}
+
+/**
+ * Packs formatted blocks into as few messages as possible within a length limit
+ * Blocks are never split, so formatting entities stay intact.
+ * 
+ * @function splitMessage
+ * @param {string[]} blocks - Formatted blocks, each within the limit
+ * @param {number} maxLength - Maximum message length
+ * @param {string} [separator='\n\n'] - Separator between blocks in the same message
+ * @returns {string[]} Messages
+ */
+export function splitMessage(blocks, maxLength, separator = '\n\n') {
+    const messages = [];
+    let current = '';
+
+    for (const block of blocks) {
+        if (current && current.length + separator.length + block.length > maxLength) {
+            messages.push(current);
+            current = block;
+        } else {
+            current = current ? `${current}${separator}${block}` : block;
+        }
+    }
+    if (current) {
+        messages.push(current);
+    }
+
+    return messages;
+}
+
+/**
+ * Adds test mode prefix to messages when in test mode
+ * Helps distinguish test messages from production messages
+ * 
+ * @function addTestModePrefix
+ * @param {string} message - The formatted message text
+ * @returns {string} Message with test prefix if in test mode, otherwise unchanged
+ * @example
+ * const message = addTestModePrefix('Hello world');
+ */
+export function addTestModePrefix(message) {
+    if (config.Telegram.TEST_MODE) {
+        return `${escapeText('🧪 [TEST]')} ${message}`;
+    }
+    return message;
+}
@@ -0,0 +1,250 @@
+/**
+ * Image cache
+ * Keeps downloaded and rendered images on disk, so identical inputs are neither downloaded
+ * nor rendered twice. Files are stored by content hash in IMAGE_CACHE_DIR; the index
+ * (keys, ETags, sizes and last use) lives in the state database.
+ */
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import { out } from './logger.js';
+import { config } from './config.js';
+import { runtime } from './runtime.js';
+import { forgetTelegramFileIds, getImageCacheEntry, listImageCacheEntries, removeImageCacheEntries, saveImageCacheEntry, touchImageCacheEntry } from './store.js';
+
+/** Part of every render key; bump it when a drawing change makes earlier renders outdated */
+const RENDER_VERSION = 1;
+
+/** Names of the files the cache writes (content hash, optionally with a temporary suffix) */
+const CACHE_FILE_NAME = /^[0-9a-f]{64}(\.\d+\.tmp)?$/;
+
+/**
+ * Hashes content with SHA-256
+ * @function hashContent
+ * @param {Buffer|string} content - Content to hash
+ * @returns {string} Hex digest
+ * @example
+ * hashContent(imageBuffer); // '9f86d081884c7d65...'
+ */
+export function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Reads the cached file of an entry
+ * @param {Object} entry - Cache entry
+ * @returns {Buffer|null} File contents, or null when the file is missing or truncated
+ */
+function readCachedFile(entry) {
+    try {
+        const buffer = fs.readFileSync(path.join(config.ImageCache.DIR, entry.hash));
+        return buffer.length === entry.size ? buffer : null;
+    } catch (_) {
+        return null;
+    }
+}
+
+/**
+ * Stores a file in the cache and indexes it under a key
+ * The file is written to a temporary name first, so a crash never leaves a partial file
+ * under its hash. Dry runs read the cache but never write to it.
+ *
+ * @param {string} key - Cache key
+ * @param {Buffer} buffer - File contents
+ * @param {string} source - What was cached (URL or render kind)
+ * @param {Object} [validators={}] - `etag` and `lastModified` of a downloaded file
+ * @returns {void}
+ */
+function storeCachedFile(key, buffer, source, validators = {}) {
+    if (runtime.dryRun) {
+        return;
+    }
+
+    try {
+        const hash = hashContent(buffer);
+        const filePath = path.join(config.ImageCache.DIR, hash);
+        if (!fs.existsSync(filePath)) {
+            fs.mkdirSync(config.ImageCache.DIR, { recursive: true });
+            const tempPath = `${filePath}.${process.pid}.tmp`;
+            fs.writeFileSync(tempPath, buffer);
+            fs.renameSync(tempPath, filePath);
+        }
+        saveImageCacheEntry({ key, hash, source, ...validators, size: buffer.length });
+    } catch (error) {
+        // A cache that cannot be written only costs time, so the image is still used
+        out.warn(`Could not cache ${source}: ${error.message}`);
+    }
+}
+
+/**
+ * Downloads a file through the cache
+ * A cached copy with an ETag or Last-Modified date is revalidated with a conditional
+ * request and reused on 304. A cached copy without either is reused as is. When the
+ * server cannot be reached or fails with a 5xx, the cached copy is used as well.
+ *
+ * @async
+ * @function fetchCachedAsset
+ * @param {string} url - File URL
+ * @param {string} purpose - What the file is for (used in log and error messages)
+ * @returns {Promise<Buffer>} File contents
+ * @throws {Error} When the download fails and nothing is cached
+ * @example
+ * const overlay = await fetchCachedAsset(insight.visualizationValue, 'overlay image');
+ */
+export async function fetchCachedAsset(url, purpose) {
+    const key = hashContent(`asset\n${url}`);
+    const entry = config.ImageCache.ENABLED ? getImageCacheEntry(key) : null;
+    const cached = entry ? readCachedFile(entry) : null;
+
+    if (cached && !entry.etag && !entry.lastModified) {
+        out.info(`Using cached ${purpose}: ${url}`);
+        touchImageCacheEntry(key);
+        return cached;
+    }
+
+    const headers = {};
+    if (cached && entry.etag) {
+        headers['If-None-Match'] = entry.etag;
+    }
+    if (cached && entry.lastModified) {
+        headers['If-Modified-Since'] = entry.lastModified;
+    }
+
+    out.info(`${cached ? 'Revalidating' : 'Downloading'} ${purpose}: ${url}`);
+    let response;
+    try {
+        response = await fetch(url, { headers });
+    } catch (error) {
+        if (!cached) {
+            throw error;
+        }
+        out.warn(`Could not revalidate ${purpose} (${error.message}), using the cached copy`);
+        touchImageCacheEntry(key);
+        return cached;
+    }
+
+    if (cached && (response.status === 304 || response.status >= 500)) {
+        if (response.status >= 500) {
+            out.warn(`Could not revalidate ${purpose} (status ${response.status}), using the cached copy`);
+        } else {
+            out.info(`Cached ${purpose} is up to date`);
+        }
+        touchImageCacheEntry(key);
+        return cached;
+    }
+    if (!response.ok) {
+        throw new Error(`Failed to fetch ${purpose}: ${response.status}`);
+    }
+
+    const buffer = await response.buffer();
+    if (config.ImageCache.ENABLED) {
+        storeCachedFile(key, buffer, url, {
+            etag: response.headers.get('etag') ?? undefined,
+            lastModified: response.headers.get('last-modified') ?? undefined
+        });
+    }
+    return buffer;
+}
+
+/**
+ * Renders an image through the cache
+ * The key combines the render kind with every parameter that changes the output, so
+ * `params` must include the content hashes of the input images and the settings used.
+ *
+ * @async
+ * @function getCachedRender
+ * @param {string} kind - Render kind (e.g. 'background', 'text-overlay', 'branding')
+ * @param {Object} params - JSON-serializable render parameters
+ * @param {Function} render - Async function producing the image buffer on a cache miss
+ * @returns {Promise<Buffer>} Rendered image
+ * @example
+ * const image = await getCachedRender('background', { background, overlay: hashContent(overlayBuffer), images: config.Images }, () => draw());
+ */
+export async function getCachedRender(kind, params, render) {
+    if (!config.ImageCache.ENABLED) {
+        return await render();
+    }
+
+    const key = hashContent(JSON.stringify({ kind, version: RENDER_VERSION, params }));
+    const entry = getImageCacheEntry(key);
+    const cached = entry ? readCachedFile(entry) : null;
+    if (cached) {
+        out.info(`Using cached ${kind} image`);
+        touchImageCacheEntry(key);
+        return cached;
+    }
+
+    const buffer = await render();
+    storeCachedFile(key, buffer, `render:${kind}`);
+    return buffer;
+}
+
+/**
+ * Evicts old entries from the image cache
+ * Removes entries not used for IMAGE_CACHE_MAX_AGE_DAYS, then the least recently used
+ * ones until the files fit in IMAGE_CACHE_MAX_MB, then the files no entry refers to.
+ * Telegram file_ids not used for IMAGE_CACHE_MAX_AGE_DAYS are forgotten as well.
+ *
+ * @function pruneImageCache
+ * @returns {{entries: number, files: number}} Number of entries and files removed
+ * @example
+ * pruneImageCache(); // { entries: 3, files: 2 }
+ */
+export function pruneImageCache() {
+    const removed = { entries: 0, files: 0 };
+    if (runtime.dryRun) {
+        return removed;
+    }
+
+    try {
+        const usedBefore = new Date(Date.now() - config.ImageCache.MAX_AGE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+        const maxBytes = config.ImageCache.MAX_MB * 1024 * 1024;
+        const entries = listImageCacheEntries();
+        const evicted = new Set(entries.filter(entry => entry.lastUsedAt < usedBefore).map(entry => entry.key));
+
+        // Several keys can share one file, which only frees space once its last key is gone
+        const references = new Map();
+        const fileSizes = new Map();
+        for (const entry of entries.filter(entry => !evicted.has(entry.key))) {
+            references.set(entry.hash, (references.get(entry.hash) || 0) + 1);
+            fileSizes.set(entry.hash, entry.size);
+        }
+        let totalBytes = [...fileSizes.values()].reduce((sum, size) => sum + size, 0);
+
+        for (const entry of entries) {
+            if (totalBytes <= maxBytes) {
+                break;
+            }
+            if (evicted.has(entry.key)) {
+                continue;
+            }
+            evicted.add(entry.key);
+            references.set(entry.hash, references.get(entry.hash) - 1);
+            if (references.get(entry.hash) === 0) {
+                references.delete(entry.hash);
+                totalBytes -= entry.size;
+            }
+        }
+
+        removeImageCacheEntries([...evicted]);
+        removed.entries = evicted.size;
+
+        if (fs.existsSync(config.ImageCache.DIR)) {
+            for (const name of fs.readdirSync(config.ImageCache.DIR)) {
+                if (CACHE_FILE_NAME.test(name) && !references.has(name)) {
+                    fs.rmSync(path.join(config.ImageCache.DIR, name), { force: true });
+                    removed.files++;
+                }
+            }
+        }
+
+        const forgottenFileIds = forgetTelegramFileIds({ usedBefore });
+        if (removed.entries > 0 || removed.files > 0 || forgottenFileIds > 0) {
+            out.info(`Pruned the image cache: ${removed.entries} entries, ${removed.files} files and ${forgottenFileIds} Telegram file_ids removed`);
+        }
+    } catch (error) {
+        out.warn(`Could not prune the image cache: ${error.message}`);
+    }
+    return removed;
+}
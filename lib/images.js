@@ -0,0 +1,733 @@
+/**
+ * Image processing
+ * Picks the image for an insight and renders colored or gradient backgrounds and headline overlays
+ * with Canvas when it is installed. Downloads and renders go through the image cache; animated
+ * visualizations are reduced to a still frame here (see animations.js for posting them animated).
+ */
+import fs from 'fs';
+import { out } from './logger.js';
+import { config } from './config.js';
+import { loadColors, parseBackground, toCssColor } from './colors.js';
+import { fetchCachedAsset, getCachedRender, hashContent } from './imageCache.js';
+import { extractFirstFrame } from './ffmpeg.js';
+
+/** Canvas module for image processing (null when it is not installed) */
+export let Canvas = null;
+
+/** Whether Canvas loaded, so colored backgrounds and overlays can be rendered */
+export let canvasAvailable = false;
+
+// Attempt to load Canvas module for image processing
+try {
+    Canvas = await import('canvas');
+    
+    if (Canvas) {
+        canvasAvailable = true;
+        out.success('Canvas loaded successfully - image processing available');
+    }
+} catch (error) {
+    out.warn(`Canvas not available (${error.message}) - color background processing disabled`);
+    canvasAvailable = false;
+}
+
+/** Canvas sizes of the IMAGE_ASPECT_RATIO presets; 2:1 matches the Polaris background images */
+export const IMAGE_PRESETS = {
+    '2:1': { width: 1920, height: 960 },
+    '16:9': { width: 1920, height: 1080 },
+    '1:1': { width: 1080, height: 1080 },
+    '4:5': { width: 1080, height: 1350 }
+};
+
+/** sharp module used for WebP output (undefined until first needed, null when it is not installed) */
+let sharp;
+
+/** Why sharp could not be loaded */
+let sharpLoadError = null;
+
+/**
+ * Gets the contents of an image given as a URL or a buffer
+ * URLs are downloaded through the image cache.
+ *
+ * @async
+ * @function getImageBuffer
+ * @param {string|Buffer} image - Image URL or image buffer
+ * @param {string} purpose - What the image is for (used in log and error messages)
+ * @returns {Promise<Buffer>} Image contents
+ * @throws {Error} When the download fails
+ */
+export async function getImageBuffer(image, purpose) {
+    return typeof image === 'string' ? await fetchCachedAsset(image, purpose) : image;
+}
+
+/**
+ * Loads an image from a URL or a buffer for drawing on a canvas
+ * @async
+ * @function loadCanvasImage
+ * @param {string|Buffer} image - Image URL or image buffer
+ * @param {string} purpose - What the image is for (used in log and error messages)
+ * @returns {Promise<Canvas.Image>} Loaded image
+ * @throws {Error} When the download fails or the data is not an image
+ */
+export async function loadCanvasImage(image, purpose) {
+    return await Canvas.loadImage(await getImageBuffer(image, purpose));
+}
+
+/**
+ * Loads the optional sharp package used for WebP output
+ * @async
+ * @function loadSharp
+ * @returns {Promise<Function|null>} sharp, or null when it is not installed (the reason is kept for the warning)
+ */
+export async function loadSharp() {
+    if (sharp === undefined) {
+        try {
+            sharp = (await import('sharp')).default;
+        } catch (error) {
+            sharp = null;
+            sharpLoadError = error;
+        }
+    }
+    return sharp;
+}
+
+/**
+ * Checks that the configured IMAGE_FORMAT can be written
+ * @async
+ * @function getImageFormatWarnings
+ * @returns {Promise<string[]>} One message per problem (empty unless WebP is set and sharp is missing)
+ */
+export async function getImageFormatWarnings() {
+    if (config.Images.FORMAT !== 'webp' || await loadSharp()) {
+        return [];
+    }
+    return [`IMAGE_FORMAT=webp needs the optional sharp package (${sharpLoadError.message.split('\n')[0]}) - images will be rendered as JPEG`];
+}
+
+/**
+ * Encodes a canvas in the configured IMAGE_FORMAT
+ * Canvas cannot write WebP, so WebP goes through the optional sharp package and falls
+ * back to JPEG when it is not installed.
+ * 
+ * @async
+ * @function encodeImage
+ * @param {Canvas.Canvas} canvas - Rendered canvas
+ * @returns {Promise<Buffer>} Encoded image
+ */
+export async function encodeImage(canvas) {
+    const quality = config.Images.QUALITY;
+
+    if (config.Images.FORMAT === 'png') {
+        return canvas.toBuffer('image/png');
+    }
+
+    if (config.Images.FORMAT === 'webp') {
+        const firstLoad = sharp === undefined;
+        if (await loadSharp()) {
+            return await sharp(canvas.toBuffer('image/png')).webp({ quality }).toBuffer();
+        }
+        if (firstLoad) {
+            out.warn(`WebP output needs the sharp package (${sharpLoadError.message}) - rendering JPEG instead`);
+        }
+    }
+
+    return canvas.toBuffer('image/jpeg', { quality: quality / 100 });
+}
+
+/**
+ * Detects the file extension of an encoded image from its first bytes
+ * Used to name uploads, since Telegram treats photos by their file name
+ * @function getImageExtension
+ * @param {Buffer} buffer - Encoded image
+ * @returns {'png'|'webp'|'jpg'} File extension
+ * @example
+ * `insight-image.${getImageExtension(buffer)}`; // 'insight-image.png'
+ */
+export function getImageExtension(buffer) {
+    if (buffer.subarray(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47]))) {
+        return 'png';
+    }
+    if (buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP') {
+        return 'webp';
+    }
+    return 'jpg';
+}
+
+/**
+ * Detects the type of downloaded media from its first bytes
+ * Visualizations are often served as application/octet-stream, so the data itself is checked
+ * instead of the Content-Type header.
+ *
+ * @function getMediaType
+ * @param {Buffer} buffer - Downloaded data
+ * @returns {string} MIME type: image/png, image/jpeg, image/webp, image/gif, video/mp4, video/webm,
+ * application/json (Lottie files) or application/octet-stream when unknown
+ * @example
+ * getMediaType(Buffer.from('GIF89a...')); // 'image/gif'
+ */
+export function getMediaType(buffer) {
+    const head = buffer.subarray(0, 12);
+    if (head.subarray(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47]))) {
+        return 'image/png';
+    }
+    if (head.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff]))) {
+        return 'image/jpeg';
+    }
+    if (head.subarray(0, 4).toString('latin1') === 'RIFF' && head.subarray(8, 12).toString('latin1') === 'WEBP') {
+        return 'image/webp';
+    }
+    if (/^GIF8[79]a/.test(head.toString('latin1'))) {
+        return 'image/gif';
+    }
+    if (head.subarray(4, 8).toString('latin1') === 'ftyp') {
+        return 'video/mp4';
+    }
+    if (head.subarray(0, 4).equals(Buffer.from([0x1a, 0x45, 0xdf, 0xa3]))) {
+        return 'video/webm';
+    }
+    if (/^\s*\{/.test(buffer.subarray(0, 64).toString('utf8'))) {
+        return 'application/json';
+    }
+    return 'application/octet-stream';
+}
+
+/**
+ * Counts the frames of a GIF
+ * Walks the GIF blocks without decoding the image data.
+ *
+ * @function countGifFrames
+ * @param {Buffer} buffer - GIF data
+ * @returns {number} Number of frames (0 when the data is not a GIF)
+ * @example
+ * countGifFrames(animatedGif) > 1; // true for an animation
+ */
+export function countGifFrames(buffer) {
+    if (getMediaType(buffer) !== 'image/gif' || buffer.length < 13) {
+        return 0;
+    }
+
+    // Header and logical screen descriptor, then the optional global color table
+    let offset = 13;
+    if (buffer[10] & 0x80) {
+        offset += 3 * 2 ** ((buffer[10] & 0x07) + 1);
+    }
+    const skipSubBlocks = () => {
+        while (offset < buffer.length && buffer[offset] !== 0) {
+            offset += buffer[offset] + 1;
+        }
+        offset += 1;
+    };
+
+    let frames = 0;
+    while (offset < buffer.length) {
+        if (buffer[offset] === 0x2c) {
+            // Image descriptor, optional local color table, LZW code size and image data
+            frames++;
+            const flags = buffer[offset + 9];
+            offset += 10;
+            if (flags & 0x80) {
+                offset += 3 * 2 ** ((flags & 0x07) + 1);
+            }
+            offset += 1;
+            skipSubBlocks();
+        } else if (buffer[offset] === 0x21) {
+            // Extension: introducer, label and data sub-blocks
+            offset += 2;
+            skipSubBlocks();
+        } else {
+            // Trailer (0x3b) or damaged data
+            break;
+        }
+    }
+    return frames;
+}
+
+/**
+ * Gets a still image Canvas can draw from a visualization
+ * Videos are reduced to their first frame with ffmpeg; Canvas draws the first frame of
+ * animated GIFs by itself.
+ *
+ * @async
+ * @function getStillImage
+ * @param {Buffer} buffer - Visualization data
+ * @param {string} purpose - What the visualization is for (used in log and error messages)
+ * @returns {Promise<Buffer>} Still image data
+ * @throws {Error} For Lottie files, and for videos when ffmpeg is not available
+ */
+export async function getStillImage(buffer, purpose) {
+    const type = getMediaType(buffer);
+    if (type === 'video/mp4' || type === 'video/webm') {
+        out.info(`Using the first frame of the ${purpose}`);
+        return await extractFirstFrame(buffer, type.split('/')[1]);
+    }
+    if (type === 'application/json') {
+        throw new Error(`The ${purpose} is a Lottie/JSON animation, which cannot be drawn`);
+    }
+    return buffer;
+}
+
+/**
+ * Works out where the visualization goes on a colored background
+ * The visualization keeps its aspect ratio and is scaled to OVERLAY_SCALE of the space
+ * left inside the padding, then placed at OVERLAY_ANCHOR within that space.
+ * 
+ * @function getOverlayPlacement
+ * @param {Object} options - Placement options
+ * @param {number} options.width - Canvas width
+ * @param {number} options.height - Canvas height
+ * @param {number} options.overlayWidth - Visualization width
+ * @param {number} options.overlayHeight - Visualization height
+ * @param {number} [options.scale=config.Images.OVERLAY_SCALE] - Fraction of the available space
+ * @param {string} [options.anchor=config.Images.OVERLAY_ANCHOR] - center, top, bottom, left, right or a corner
+ * @param {number} [options.padding=config.Images.OVERLAY_PADDING] - Margin as a fraction of the shorter side
+ * @returns {{x: number, y: number, width: number, height: number}} Position and size of the visualization
+ * @example
+ * getOverlayPlacement({ width: 1000, height: 500, overlayWidth: 100, overlayHeight: 100, scale: 0.5, anchor: 'top-left', padding: 0.1 });
+ * // { x: 50, y: 50, width: 200, height: 200 }
+ */
+export function getOverlayPlacement({
+    width,
+    height,
+    overlayWidth,
+    overlayHeight,
+    scale = config.Images.OVERLAY_SCALE,
+    anchor = config.Images.OVERLAY_ANCHOR,
+    padding = config.Images.OVERLAY_PADDING
+}) {
+    const margin = Math.min(width, height) * padding;
+    const areaWidth = width - 2 * margin;
+    const areaHeight = height - 2 * margin;
+
+    const ratio = Math.min(areaWidth / overlayWidth, areaHeight / overlayHeight) * scale;
+    const scaledWidth = overlayWidth * ratio;
+    const scaledHeight = overlayHeight * ratio;
+
+    const x = anchor.includes('left') ? margin
+        : anchor.includes('right') ? width - margin - scaledWidth
+            : (width - scaledWidth) / 2;
+    const y = anchor.startsWith('top') ? margin
+        : anchor.startsWith('bottom') ? height - margin - scaledHeight
+            : (height - scaledHeight) / 2;
+
+    return { x, y, width: scaledWidth, height: scaledHeight };
+}
+
+/**
+ * Builds the Canvas fill style of a parsed background
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} background - Result of parseBackground
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {string|CanvasGradient} Fill style
+ */
+function createBackgroundFill(ctx, background, width, height) {
+    if (background.type === 'solid') {
+        return toCssColor(background.colors[0]);
+    }
+
+    let gradient;
+    if (background.type === 'radial') {
+        gradient = ctx.createRadialGradient(width / 2, height / 2, 0, width / 2, height / 2, Math.hypot(width, height) / 2);
+    } else {
+        // CSS convention: 0deg points up, 90deg to the right, and the line spans the whole box
+        const radians = (background.angle * Math.PI) / 180;
+        const dx = Math.sin(radians);
+        const dy = -Math.cos(radians);
+        const halfLength = (Math.abs(width * dx) + Math.abs(height * dy)) / 2;
+        gradient = ctx.createLinearGradient(
+            width / 2 - dx * halfLength, height / 2 - dy * halfLength,
+            width / 2 + dx * halfLength, height / 2 + dy * halfLength
+        );
+    }
+
+    background.colors.forEach((color, index) => {
+        gradient.addColorStop(index / (background.colors.length - 1), toCssColor(color));
+    });
+    return gradient;
+}
+
+/**
+ * Parses an insight background, falling back to DEFAULT_BACKGROUND_COLOR
+ * @function resolveBackground
+ * @param {string} value - Background value from the insight
+ * @returns {Object} Result of parseBackground
+ * @throws {Error} When the default background is not valid either
+ */
+export function resolveBackground(value) {
+    const palette = loadColors();
+    try {
+        return parseBackground(value, palette);
+    } catch (error) {
+        out.warn(`${error.message}, using default background: ${config.Insights.DEFAULT_BACKGROUND_COLOR}`);
+        try {
+            return parseBackground(config.Insights.DEFAULT_BACKGROUND_COLOR, palette);
+        } catch (defaultError) {
+            throw new Error(`Default background is not valid: ${defaultError.message}`);
+        }
+    }
+}
+
+/**
+ * Creates a canvas filled with a parsed background
+ * @function createBackgroundCanvas
+ * @param {Object} fill - Result of resolveBackground
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {Canvas.Canvas} Canvas with the color or gradient drawn
+ */
+export function createBackgroundCanvas(fill, width, height) {
+    const canvas = Canvas.createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = createBackgroundFill(ctx, fill, width, height);
+    ctx.fillRect(0, 0, width, height);
+    return canvas;
+}
+
+/**
+ * Creates an image with a colored or gradient background and overlays a PNG using Canvas
+ * @async
+ * @function createColoredBackgroundImage
+ * @param {Object} options - Image creation options
+ * @param {string} options.background - colors.json name, CSS color or gradient like `blue-700→green-800`
+ * @param {string} options.overlayImageUrl - URL of the PNG image to overlay
+ * @param {string} [options.aspectRatio=config.Images.ASPECT_RATIO] - Size preset from IMAGE_PRESETS
+ * @returns {Promise<Buffer>} Processed image buffer
+ */
+async function createColoredBackgroundImage({ background, overlayImageUrl, aspectRatio = config.Images.ASPECT_RATIO }) {
+    try {
+        if (!canvasAvailable) {
+            throw new Error('Canvas module not available - cannot create colored background');
+        }
+
+        const { width, height } = IMAGE_PRESETS[aspectRatio] || IMAGE_PRESETS[config.Images.ASPECT_RATIO];
+        out.info(`Creating ${width}x${height} background image with: ${background}`);
+
+        const fill = resolveBackground(background);
+        
+        // Download the overlay image (the first frame when it is animated)
+        const overlayBuffer = await getStillImage(await fetchCachedAsset(overlayImageUrl, 'overlay image'), 'overlay image');
+        
+        const renderParams = { fill, overlay: hashContent(overlayBuffer), width, height, images: config.Images };
+        return await getCachedRender('background', renderParams, async () => {
+            // Create Canvas with the preset dimensions, filled with the color or gradient
+            const canvas = createBackgroundCanvas(fill, width, height);
+            const ctx = canvas.getContext('2d');
+            
+            // Load the overlay image
+            const overlayImage = await Canvas.loadImage(overlayBuffer);
+            
+            const placement = getOverlayPlacement({ width, height, overlayWidth: overlayImage.width, overlayHeight: overlayImage.height });
+            out.info(`Scaling overlay from ${overlayImage.width}x${overlayImage.height} to ${Math.floor(placement.width)}x${Math.floor(placement.height)} (${config.Images.OVERLAY_ANCHOR})`);
+            
+            ctx.drawImage(overlayImage, placement.x, placement.y, placement.width, placement.height);
+            
+            const imageBuffer = await encodeImage(canvas);
+            
+            out.success(`Created ${fill.type} background image with overlay`);
+            return imageBuffer;
+        });
+        
+    } catch (error) {
+        out.error(`Error creating colored background image: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Registers the bundled overlay font file with Canvas
+ * The family name is taken from the first entry of FONT_FAMILY so the configured
+ * CSS font string resolves to the registered file
+ * @function registerOverlayFont
+ * @returns {boolean} True if the font file was registered, false otherwise
+ */
+export function registerOverlayFont() {
+    if (!canvasAvailable || !config.Overlay.ENABLED) {
+        return false;
+    }
+
+    try {
+        if (!fs.existsSync(config.Overlay.FONT_FILE)) {
+            out.warn(`Overlay font file not found: ${config.Overlay.FONT_FILE} - falling back to system fonts`);
+            return false;
+        }
+
+        const family = config.Overlay.FONT_FAMILY.split(',')[0].trim().replace(/^["']|["']$/g, '');
+        Canvas.registerFont(config.Overlay.FONT_FILE, { family, weight: config.Overlay.FONT_WEIGHT });
+        out.success(`Registered overlay font "${family}" from ${config.Overlay.FONT_FILE}`);
+        return true;
+    } catch (error) {
+        out.warn(`Error registering overlay font: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Measures the width of a string including letter spacing
+ * @param {CanvasRenderingContext2D} ctx - Canvas context with the font already set
+ * @param {string} text - Text to measure
+ * @param {number} letterSpacing - Extra spacing in pixels between characters
+ * @returns {number} Text width in pixels
+ */
+function measureSpacedText(ctx, text, letterSpacing) {
+    const characters = Array.from(text);
+    if (characters.length === 0) {
+        return 0;
+    }
+    return ctx.measureText(text).width + letterSpacing * (characters.length - 1);
+}
+
+/**
+ * Draws a string character by character so letter spacing can be applied
+ * Stroke is drawn first so the fill sits on top of the outline
+ * @param {CanvasRenderingContext2D} ctx - Canvas context with font and styles already set
+ * @param {string} text - Text to draw
+ * @param {number} x - Left edge of the text
+ * @param {number} y - Baseline position of the text
+ * @param {number} letterSpacing - Extra spacing in pixels between characters
+ * @param {boolean} withStroke - Whether to draw the outline
+ */
+function drawSpacedText(ctx, text, x, y, letterSpacing, withStroke) {
+    let cursor = x;
+    for (const character of Array.from(text)) {
+        if (withStroke) {
+            ctx.strokeText(character, cursor, y);
+        }
+        ctx.fillText(character, cursor, y);
+        cursor += ctx.measureText(character).width + letterSpacing;
+    }
+}
+
+/**
+ * Splits text into lines that fit within the given width
+ * Breaks on whitespace; a single word wider than the limit gets its own line
+ * @param {CanvasRenderingContext2D} ctx - Canvas context with the font already set
+ * @param {string} text - Text to wrap
+ * @param {number} maxWidth - Maximum line width in pixels
+ * @param {number} letterSpacing - Extra spacing in pixels between characters
+ * @returns {string[]} Wrapped lines
+ */
+function wrapText(ctx, text, maxWidth, letterSpacing) {
+    const words = text.split(/\s+/).filter(Boolean);
+    const lines = [];
+    let currentLine = '';
+
+    for (const word of words) {
+        const candidate = currentLine ? `${currentLine} ${word}` : word;
+        if (currentLine && measureSpacedText(ctx, candidate, letterSpacing) > maxWidth) {
+            lines.push(currentLine);
+            currentLine = word;
+        } else {
+            currentLine = candidate;
+        }
+    }
+
+    if (currentLine) {
+        lines.push(currentLine);
+    }
+
+    return lines;
+}
+
+/**
+ * Renders the insight headline and read time on top of a background image
+ * Text is wrapped to TEXT_WIDTH_PERCENT of the image, centered horizontally and
+ * the whole text block is centered vertically
+ * @async
+ * @function createTextOverlayImage
+ * @param {Object} options - Overlay options
+ * @param {string|Buffer} options.image - Background image URL or image buffer
+ * @param {string} options.headline - Headline text to render
+ * @param {string} [options.readTime] - Optional read time shown below the headline
+ * @returns {Promise<Buffer>} Image buffer (IMAGE_FORMAT) with the text rendered on it
+ */
+export async function createTextOverlayImage({ image, headline, readTime }) {
+    try {
+        if (!canvasAvailable) {
+            throw new Error('Canvas module not available - cannot render text overlay');
+        }
+
+        const sourceBuffer = await getImageBuffer(image, 'background image for text overlay');
+        const renderParams = { image: hashContent(sourceBuffer), headline, readTime, overlay: config.Overlay, images: config.Images };
+        return await getCachedRender('text-overlay', renderParams, async () => {
+            const backgroundImage = await Canvas.loadImage(sourceBuffer);
+            const { width, height } = backgroundImage;
+
+            const canvas = Canvas.createCanvas(width, height);
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(backgroundImage, 0, 0, width, height);
+
+            const overlay = config.Overlay;
+            const fontSize = Math.round(width / overlay.FONT_SIZE_DIVISOR);
+            const lineHeight = fontSize * overlay.LINE_HEIGHT_MULTIPLIER;
+            const maxTextWidth = width * overlay.TEXT_WIDTH_PERCENT;
+            const withStroke = overlay.TEXT_STROKE_WIDTH > 0;
+
+            ctx.textBaseline = 'middle';
+            ctx.fillStyle = overlay.TEXT_COLOR;
+            ctx.strokeStyle = overlay.TEXT_STROKE_COLOR;
+            ctx.lineWidth = overlay.TEXT_STROKE_WIDTH;
+            ctx.lineJoin = 'round';
+
+            // Measure the headline block
+            ctx.font = `${overlay.FONT_WEIGHT} ${fontSize}px ${overlay.FONT_FAMILY}`;
+            const headlineSpacing = fontSize * overlay.LETTER_SPACING_EM;
+            const lines = wrapText(ctx, headline || '', maxTextWidth, headlineSpacing);
+
+            // Measure the optional read time line
+            const readTimeFontSize = Math.round(fontSize * overlay.READTIME_FONT_SIZE_PERCENT);
+            const readTimeSpacing = readTimeFontSize * overlay.LETTER_SPACING_EM;
+            const readTimeHeight = readTime ? overlay.READTIME_MARGIN_TOP + readTimeFontSize * overlay.LINE_HEIGHT_MULTIPLIER : 0;
+
+            // Center the whole text block vertically
+            const blockHeight = lines.length * lineHeight + readTimeHeight;
+            let y = (height - blockHeight) / 2 + lineHeight / 2;
+
+            out.info(`Rendering ${lines.length} headline line(s) at ${fontSize}px on ${width}x${height} image`);
+
+            for (const line of lines) {
+                const lineWidth = measureSpacedText(ctx, line, headlineSpacing);
+                drawSpacedText(ctx, line, (width - lineWidth) / 2, y, headlineSpacing, withStroke);
+                y += lineHeight;
+            }
+
+            if (readTime) {
+                ctx.font = `${overlay.FONT_WEIGHT} ${readTimeFontSize}px ${overlay.FONT_FAMILY}`;
+                const readTimeY = y - lineHeight / 2 + overlay.READTIME_MARGIN_TOP + (readTimeFontSize * overlay.LINE_HEIGHT_MULTIPLIER) / 2;
+                const readTimeWidth = measureSpacedText(ctx, readTime, readTimeSpacing);
+                drawSpacedText(ctx, readTime, (width - readTimeWidth) / 2, readTimeY, readTimeSpacing, withStroke);
+            }
+
+            const imageBuffer = await encodeImage(canvas);
+
+            out.success(`Created text overlay image (${width}x${height}, ${config.Images.FORMAT})`);
+            return imageBuffer;
+        });
+
+    } catch (error) {
+        out.error(`Error creating text overlay image: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Gets the still image for a graphics visualization on an image background
+ * Still images and GIFs are sent by URL. Videos and Lottie files cannot be sent as a
+ * photo, so their first frame is used when ffmpeg can read it.
+ *
+ * @async
+ * @param {string} url - Visualization URL
+ * @returns {Promise<string|Buffer|null>} Visualization URL, first frame, or null to use the background image instead
+ */
+async function getGraphicsImage(url) {
+    let visualization;
+    try {
+        visualization = await fetchCachedAsset(url, 'graphics visualization');
+    } catch (error) {
+        // Telegram downloads the URL itself, so a failed check is not fatal
+        out.warn(`Could not check the graphics visualization (${error.message})`);
+    }
+
+    const type = visualization ? getMediaType(visualization) : 'application/octet-stream';
+    if (!type.startsWith('video/') && type !== 'application/json') {
+        out.info(`Using graphics visualization: ${url}`);
+        return url;
+    }
+
+    try {
+        return await getStillImage(visualization, 'graphics visualization');
+    } catch (error) {
+        out.warn(`${error.message}, falling back to backgroundValue`);
+        return null;
+    }
+}
+
+/**
+ * Determines the appropriate image URL or creates a custom image based on background type
+ * @async
+ * @function getImageForInsight
+ * @param {Object} insight - The insight object
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.aspectRatio] - Size preset for colored backgrounds (defaults to IMAGE_ASPECT_RATIO)
+ * @returns {Promise<string|Buffer>} Either a URL string or a Buffer for custom images
+ */
+export async function getImageForInsight(insight, { aspectRatio } = {}) {
+    try {
+        const { backgroundType, backgroundValue, visualizationType, visualizationValue } = insight;
+        
+        // Helper function to check if a string is a valid URL
+        const isValidUrl = (string) => {
+            try {
+                new URL(string);
+                return true;
+            } catch (_) {
+                return false;
+            }
+        };
+        
+        if (backgroundType === 'image') {
+            // Use backgroundValue URL directly for image backgrounds
+            // But if visualizationType is 'graphics', prefer the visualizationValue
+            if (visualizationType === 'graphics' && visualizationValue) {
+                // Check if visualizationValue is a valid URL
+                if (isValidUrl(visualizationValue)) {
+                    const graphics = await getGraphicsImage(visualizationValue);
+                    if (graphics) {
+                        return graphics;
+                    }
+                    if (backgroundValue && isValidUrl(backgroundValue)) {
+                        out.info(`Using image background: ${backgroundValue}`);
+                        return backgroundValue;
+                    }
+                    out.warn(`Background value "${backgroundValue}" is not a valid URL`);
+                    return null;
+                } else {
+                    out.warn(`Graphics visualization value "${visualizationValue}" is not a valid URL, falling back to backgroundValue`);
+                    if (backgroundValue && isValidUrl(backgroundValue)) {
+                        out.info(`Using image background: ${backgroundValue}`);
+                        return backgroundValue;
+                    } else {
+                        out.warn(`Background value "${backgroundValue}" is also not a valid URL`);
+                        return null;
+                    }
+                }
+            } else {
+                if (backgroundValue && isValidUrl(backgroundValue)) {
+                    out.info(`Using image background: ${backgroundValue}`);
+                    return backgroundValue;
+                } else {
+                    out.warn(`Background value "${backgroundValue}" is not a valid URL`);
+                    return null;
+                }
+            }
+        } else if (backgroundType === 'color') {
+            // Create custom image with colored background and PNG overlay
+            if (!visualizationValue) {
+                throw new Error('No visualizationValue provided for color background');
+            }
+            
+            // Check if visualizationValue is a valid URL
+            if (!isValidUrl(visualizationValue)) {
+                throw new Error(`Visualization value "${visualizationValue}" is not a valid URL for color background overlay`);
+            }
+            
+            out.info(`Creating colored background image with ${backgroundValue} and overlay ${visualizationValue}`);
+            const imageBuffer = await createColoredBackgroundImage({
+                background: backgroundValue,
+                overlayImageUrl: visualizationValue,
+                aspectRatio
+            });
+            
+            return imageBuffer;
+        } else {
+            // Fallback to backgroundValue if available and is a valid URL
+            if (backgroundValue && isValidUrl(backgroundValue)) {
+                return backgroundValue;
+            } else {
+                out.warn(`Fallback background value "${backgroundValue}" is not a valid URL`);
+                return null;
+            }
+        }
+    } catch (error) {
+        out.error(`Error getting image for insight: ${error.message}`);
+        return null;
+    }
+}
@@ -0,0 +1,190 @@
+/**
+ * Run lock
+ * Keeps overlapping runs (cron, daemon, backfill) from sending the same insight twice.
+ */
+import fs from 'fs';
+import os from 'os';
+import { out } from './logger.js';
+import { config } from './config.js';
+import { runtime } from './runtime.js';
+import { sleep } from './telegram.js';
+
+/**
+ * Reads the current lock file
+ * @param {string} filename - Lock file path
+ * @returns {{pid?: number, hostname?: string, startedAt?: string}|null} Lock details, or null when there is no lock
+ */
+function readRunLock(filename) {
+    try {
+        return JSON.parse(fs.readFileSync(filename, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        // Unreadable or half-written lock: treat it as owned by nobody
+        return {};
+    }
+}
+
+/**
+ * Checks whether a lock was left behind by a process that is gone or hung
+ * A lock whose process is checked on this host is stale only once that process is gone.
+ * When the PID cannot be checked (another host, or no PID in the lock), a lock older than
+ * LOCK_STALE_MINUTES is stale instead.
+ * 
+ * @param {Object} lock - Lock details from readRunLock
+ * @param {string} filename - Lock file path (its mtime is used when the lock has no start time)
+ * @returns {boolean} True when the lock may be taken over
+ */
+function isRunLockStale(lock, filename) {
+    if (lock.pid && (!lock.hostname || lock.hostname === os.hostname())) {
+        try {
+            process.kill(lock.pid, 0);
+            return false;
+        } catch (error) {
+            // EPERM means the process exists but belongs to another user
+            return error.code === 'ESRCH';
+        }
+    }
+
+    let startedAt = Date.parse(lock.startedAt);
+    if (Number.isNaN(startedAt)) {
+        try {
+            startedAt = fs.statSync(filename).mtimeMs;
+        } catch (_) {
+            return true;
+        }
+    }
+    if (!lock.pid) {
+        // Give a process that is still writing its lock a moment before taking over
+        return Date.now() - startedAt > 10000;
+    }
+    return Date.now() - startedAt > config.Lock.STALE_MINUTES * 60 * 1000;
+}
+
+/**
+ * Gets the inode of the lock file, which changes whenever the lock is recreated
+ * @param {string} filename - Lock file path
+ * @returns {number|null} Inode number, or null when there is no lock
+ */
+function getRunLockInode(filename) {
+    try {
+        return fs.statSync(filename).ino;
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Tries once to create the lock file, taking over a stale lock if needed
+ * @param {string} filename - Lock file path
+ * @returns {{acquired: boolean, holder?: Object}} Whether the lock was acquired, and the current holder otherwise
+ */
+function tryAcquireRunLock(filename) {
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            // 'wx' fails if the file exists, so only one process can create it
+            const fd = fs.openSync(filename, 'wx');
+            fs.writeSync(fd, JSON.stringify({ pid: process.pid, hostname: os.hostname(), startedAt: new Date().toISOString() }));
+            fs.closeSync(fd);
+            return { acquired: true };
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+
+        const inode = getRunLockInode(filename);
+        const holder = readRunLock(filename);
+        if (holder === null || inode === null) {
+            // Released between our attempt and the read; try again
+            continue;
+        }
+        if (!isRunLockStale(holder, filename)) {
+            return { acquired: false, holder };
+        }
+
+        // Another process may have taken over the same stale lock and created its own since we read it
+        if (getRunLockInode(filename) !== inode || JSON.stringify(readRunLock(filename)) !== JSON.stringify(holder)) {
+            continue;
+        }
+        out.warn(`Removing stale run lock ${filename} (pid ${holder.pid ?? 'unknown'}, started ${holder.startedAt ?? 'unknown'})`);
+        try {
+            fs.unlinkSync(filename);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+
+    return { acquired: false, holder: readRunLock(filename) || {} };
+}
+
+/**
+ * Removes the lock file if this process owns it
+ * @function releaseRunLock
+ * @param {string} filename - Lock file path
+ * @returns {void}
+ */
+function releaseRunLock(filename) {
+    const lock = readRunLock(filename);
+    if (lock && lock.pid === process.pid) {
+        try {
+            fs.unlinkSync(filename);
+        } catch (error) {
+            out.warn(`Could not remove run lock ${filename}: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Runs a task while holding the cross-process run lock
+ * Prevents a slow run and the next cron tick from both sending the same insight.
+ * With LOCK_MODE=exit the task is skipped when another run holds the lock; with
+ * LOCK_MODE=wait it waits up to LOCK_WAIT_TIMEOUT_SECONDS. Stale locks from killed
+ * processes are taken over. Dry runs change nothing, so they run without the lock.
+ * 
+ * @async
+ * @function runWithLock
+ * @param {function(): Promise<void>} task - Work to do while holding the lock
+ * @returns {Promise<boolean>} True if the task ran, false if the lock could not be acquired
+ * @example
+ * const ran = await runWithLock(() => processNewPublishedInsights({ limit: 7 }));
+ */
+export async function runWithLock(task) {
+    if (runtime.dryRun) {
+        await task();
+        return true;
+    }
+
+    const filename = config.Lock.FILENAME;
+    const deadline = Date.now() + config.Lock.WAIT_TIMEOUT_SECONDS * 1000;
+
+    let result = tryAcquireRunLock(filename);
+    while (!result.acquired) {
+        const holder = `pid ${result.holder?.pid ?? 'unknown'}${result.holder?.hostname ? ` on ${result.holder.hostname}` : ''}, started ${result.holder?.startedAt ?? 'unknown'}`;
+        if (config.Lock.MODE !== 'wait' || Date.now() >= deadline || runtime.shutdownRequested) {
+            out.warn(`Run lock ${filename} is held by ${holder}`);
+            return false;
+        }
+        out.info(`Run lock is held by ${holder}, waiting...`);
+        await sleep(Math.min(5000, Math.max(0, deadline - Date.now())));
+        result = tryAcquireRunLock(filename);
+    }
+
+    // Release on process.exit() as well, which skips finally blocks
+    const releaseOnExit = () => releaseRunLock(filename);
+    process.on('exit', releaseOnExit);
+
+    try {
+        await task();
+        return true;
+    } finally {
+        process.removeListener('exit', releaseOnExit);
+        releaseRunLock(filename);
+    }
+}
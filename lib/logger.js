@@ -0,0 +1,8 @@
+/**
+ * Logger
+ * Shared console logger with color support.
+ */
+import { ConsoleLogColors } from "js-console-log-colors";
+
+/** Console logger used by every module (info, warn, error, success) */
+export const out = new ConsoleLogColors();
@@ -0,0 +1,606 @@
+/**
+ * Insight messages
+ * Sends, edits and digests insights as Telegram messages (text, photo, animation or video),
+ * with inline buttons.
+ */
+import { out } from './logger.js';
+import { config } from './config.js';
+import { buildDigestMessages, buildMessageText } from './templates.js';
+import { describeDestination } from './destinations.js';
+import { getFeedbackCounts } from './store.js';
+import { canvasAvailable, createTextOverlayImage, getImageExtension, getImageForInsight } from './images.js';
+import { applyBranding } from './branding.js';
+import { getAnimationExtension, getAnimationForInsight } from './animations.js';
+import { getChartForInsight } from './charts.js';
+import { TelegramApiError, callTelegramApi, getDestinationParams } from './telegram.js';
+
+/** Message kinds that carry a caption instead of text */
+const MEDIA_KINDS = ['photo', 'animation', 'video'];
+
+/**
+ * Gets the kind of a posted message, as recorded with its delivery
+ * @function getMessageKind
+ * @param {Object} [message] - Telegram message
+ * @returns {'photo'|'animation'|'video'|'text'} Message kind
+ * @example
+ * getMessageKind(response.result); // 'photo'
+ */
+export function getMessageKind(message) {
+    return MEDIA_KINDS.find(kind => message?.[kind]) ?? 'text';
+}
+
+/**
+ * Sends a message with insight data to Telegram chat
+ * Sends a text message, or a photo, animation or video message with caption based on available data
+ * 
+ * @async
+ * @function sendMessage
+ * @param {Object} options - Message options
+ * @param {Object} options.insight - The insight object containing message data
+ * @param {string} options.insight.headline - The insight headline text
+ * @param {string} options.insight.id - The unique insight identifier
+ * @param {string} [options.insight.backgroundValue] - Optional background image URL
+ * @param {string} [options.insight.readTime] - Optional read time text
+ * @param {Object} options.destination - Destination to send to (from getDestinations)
+ * @returns {Promise<Object>} Telegram API response object
+ * @throws {Error} When both photo and text message fail, or when the photo send failed without a
+ *   definite rejection (timeout, 429 or 5xx after the retries), since it may have been posted
+ * @example
+ * const response = await sendMessage({ 
+ *   insight: { 
+ *     headline: 'Breaking News', 
+ *     id: '123',
+ *     backgroundValue: 'https://example.com/image.jpg',
+ *     readTime: '5 min read'
+ *   },
+ *   destination: getDestinations()[0]
+ * });
+ */
+export async function sendMessage({ insight, destination }) {
+    try {
+        // Animated visualizations are posted as they are (no text overlay or branding)
+        const animation = await resolveInsightAnimation({ insight, destination });
+        if (animation) {
+            out.info(`Sending ${animation.type} message for insight ${insight.id}`);
+            return await sendAnimatedMessage({ insight, destination, animation });
+        }
+
+        // Get the image (URL or Buffer) for this destination, with the text overlay when enabled
+        const imageData = await resolveInsightImage({ insight, destination });
+        
+        if (imageData) {
+            if (typeof imageData === 'string') {
+                // It's a URL, send as photo message with URL
+                out.info(`Sending photo message with URL for insight ${insight.id}`);
+                return await sendPhotoMessage({ insight, destination, imageUrl: imageData });
+            } else if (Buffer.isBuffer(imageData)) {
+                // It's a Buffer, send as photo message with buffer
+                out.info(`Sending photo message with custom image buffer for insight ${insight.id}`);
+                return await sendPhotoMessageWithBuffer({ insight, destination, imageBuffer: imageData });
+            }
+        }
+        
+        // Fallback to text message if no image data
+        out.info(`No image data found for insight ${insight.id}, sending text message`);
+        return await sendTextMessage({ insight, destination });
+        
+    } catch (error) {
+        out.error(`Error sending message: ${error.message}`);
+        if (error instanceof TelegramApiError) {
+            // A text message cannot succeed where the chat itself rejects the bot
+            if (error.isChatUnavailable) {
+                throw error;
+            }
+            // Only a definite rejection (4xx other than 429) means nothing was posted; after a timeout
+            // or a server error the media message may have arrived, and a text fallback would post it twice
+            const rejected = error.status >= 400 && error.status < 500 && error.status !== 429;
+            if (!rejected) {
+                throw error;
+            }
+        }
+        // Graceful fallback to text message if image processing fails
+        out.warn(`Falling back to text message for insight ${insight.id}`);
+        return await sendTextMessage({ insight, destination });
+    }
+}
+
+/**
+ * Resolves the animation to post for an insight at a destination
+ * @async
+ * @function resolveInsightAnimation
+ * @param {Object} options - Resolve options
+ * @param {Object} options.insight - The insight object
+ * @param {Object} options.destination - Destination the animation is for
+ * @returns {Promise<{type: 'animation'|'video', media: string|Buffer}|null>} Animation, or null to post a still image or text
+ */
+async function resolveInsightAnimation({ insight, destination }) {
+    if (!destination.format.sendImages) {
+        return null;
+    }
+    return await getAnimationForInsight(insight, { aspectRatio: destination.format.imageAspectRatio });
+}
+
+/**
+ * Resolves the image to post for an insight at a destination
+ * Applies the destination's format options: text-only destinations get no image,
+ * the headline overlay is rendered when enabled (falling back to the plain image),
+ * and the branding layer is drawn last.
+ * 
+ * @async
+ * @function resolveInsightImage
+ * @param {Object} options - Resolve options
+ * @param {Object} options.insight - The insight object
+ * @param {Object} options.destination - Destination the image is for
+ * @returns {Promise<string|Buffer|null>} Image URL, image buffer, or null for a text message
+ */
+async function resolveInsightImage({ insight, destination }) {
+    if (!destination.format.sendImages) {
+        out.info(`Destination ${describeDestination(destination)} only accepts text for insight ${insight.id}`);
+        return null;
+    }
+
+    // Charts are rendered from the insight's data and already show the headline as their title
+    const chart = await getChartForInsight(insight, { aspectRatio: destination.format.imageAspectRatio });
+    if (chart) {
+        return await brandInsightImage({ image: chart, insight, destination });
+    }
+
+    // Get the appropriate image (URL or Buffer) based on background type
+    let imageData = await getImageForInsight(insight, { aspectRatio: destination.format.imageAspectRatio });
+
+    // Render the headline onto the image when the overlay feature is enabled
+    if (imageData && destination.format.imageOverlay && canvasAvailable) {
+        try {
+            imageData = await createTextOverlayImage({
+                image: imageData,
+                headline: insight.headline,
+                readTime: insight.readTime
+            });
+            out.info(`Using text overlay image for insight ${insight.id}`);
+        } catch (error) {
+            out.warn(`Text overlay failed for insight ${insight.id} (${error.message}), using plain image instead`);
+        }
+    }
+
+    return await brandInsightImage({ image: imageData, insight, destination });
+}
+
+/**
+ * Draws the branding layer on an insight image when the destination asks for it
+ * Rendered images are always branded; image URLs only with BRANDING_URL_IMAGES, since
+ * they then have to be downloaded and uploaded again. Failures fall back to the unbranded image.
+ * 
+ * @async
+ * @function brandInsightImage
+ * @param {Object} options - Branding options
+ * @param {string|Buffer|null} options.image - Image URL or buffer
+ * @param {Object} options.insight - The insight object
+ * @param {Object} options.destination - Destination the image is for
+ * @returns {Promise<string|Buffer|null>} Branded image buffer, or the image unchanged
+ */
+async function brandInsightImage({ image, insight, destination }) {
+    if (!image || !destination.format.branding || !canvasAvailable) {
+        return image;
+    }
+    if (typeof image === 'string' && !config.Branding.URL_IMAGES) {
+        return image;
+    }
+
+    try {
+        return await applyBranding({ image, insight });
+    } catch (error) {
+        out.warn(`Branding failed for insight ${insight.id} (${error.message}), using the unbranded image`);
+        return image;
+    }
+}
+
+/**
+ * Builds the inline keyboard for an insight at a destination
+ * Row one holds the URL buttons (Read more, Share), row two the 👍/👎 feedback buttons
+ * with the current vote counts. Previews in the review chat get Approve/Reject/Edit caption.
+ * 
+ * @function buildInlineKeyboard
+ * @param {Object} insight - The insight object
+ * @param {Object} destination - Destination the message is for
+ * @returns {Object|undefined} reply_markup object, or undefined when the destination has no buttons
+ * @example
+ * const replyMarkup = buildInlineKeyboard(insight, destination);
+ */
+function buildInlineKeyboard(insight, destination) {
+    const buttons = destination.format.buttons;
+    if (buttons.length === 0 && !destination.review) {
+        return undefined;
+    }
+
+    const link = `${config.Polaris.INSIGHTS_URL}${insight.id}`;
+    const linkRow = [];
+    if (buttons.includes('readMore')) {
+        linkRow.push({ text: 'Read more', url: link });
+    }
+    if (buttons.includes('share')) {
+        linkRow.push({ text: 'Share', url: `https://t.me/share/url?url=${encodeURIComponent(link)}&text=${encodeURIComponent(insight.headline || '')}` });
+    }
+
+    const keyboard = linkRow.length > 0 ? [linkRow] : [];
+    if (buttons.includes('feedback')) {
+        // Telegram limits callback_data to 64 bytes
+        if (Buffer.byteLength(`fb:down:${insight.id}`) > 64) {
+            out.warn(`Insight ID ${insight.id} is too long for feedback buttons, leaving them out`);
+        } else {
+            keyboard.push(buildFeedbackRow(insight.id, getFeedbackCounts(insight.id)));
+        }
+    }
+    if (destination.review) {
+        // Previews in the review chat carry the moderation buttons
+        if (Buffer.byteLength(`mod:approve:${insight.id}`) > 64) {
+            out.warn(`Insight ID ${insight.id} is too long for review buttons, leaving them out`);
+        } else {
+            keyboard.push([
+                { text: '✅ Approve', callback_data: `mod:approve:${insight.id}` },
+                { text: '❌ Reject', callback_data: `mod:reject:${insight.id}` },
+                { text: '✏️ Edit caption', callback_data: `mod:edit:${insight.id}` }
+            ]);
+        }
+    }
+
+    return keyboard.length > 0 ? { inline_keyboard: keyboard } : undefined;
+}
+
+/**
+ * Builds the 👍/👎 feedback button row for an insight
+ * @function buildFeedbackRow
+ * @param {string} insightId - The insight ID
+ * @param {{up: number, down: number}} counts - Current vote counts
+ * @returns {Object[]} Inline keyboard row
+ */
+function buildFeedbackRow(insightId, counts) {
+    return [
+        { text: counts.up > 0 ? `👍 ${counts.up}` : '👍', callback_data: `fb:up:${insightId}` },
+        { text: counts.down > 0 ? `👎 ${counts.down}` : '👎', callback_data: `fb:down:${insightId}` }
+    ];
+}
+
+/**
+ * Replaces the feedback buttons of an existing inline keyboard with updated counts
+ * Other buttons are kept as they are.
+ * 
+ * @function updateFeedbackButtons
+ * @param {Object[][]} keyboard - inline_keyboard of the message
+ * @param {string} insightId - The insight ID
+ * @param {{up: number, down: number}} counts - Current vote counts
+ * @returns {Object[][]} Updated inline keyboard
+ */
+export function updateFeedbackButtons(keyboard, insightId, counts) {
+    const [up, down] = buildFeedbackRow(insightId, counts);
+    return keyboard.map(row => row.map(button => {
+        if (button.callback_data === up.callback_data) {
+            return up;
+        }
+        if (button.callback_data === down.callback_data) {
+            return down;
+        }
+        return button;
+    }));
+}
+
+/**
+ * Sends a text message to Telegram chat
+ * Used when no background image is available
+ * 
+ * @async
+ * @function sendTextMessage
+ * @param {Object} options - Message options
+ * @param {Object} options.insight - The insight object containing headline and id
+ * @param {string} options.insight.headline - The insight headline text
+ * @param {string} options.insight.id - The unique insight identifier
+ * @param {Object} options.destination - Destination to send to
+ * @returns {Promise<Object>} Telegram API response object
+ * @throws {Error} When Telegram API request fails
+ * @example
+ * const response = await sendTextMessage({ 
+ *   insight: { headline: 'Breaking News', id: '123' },
+ *   destination
+ * });
+ */
+async function sendTextMessage({ insight, destination }) {
+    try {
+        // Create formatted message with headline and read more link
+        const messageText = buildMessageText(insight, 'text');
+
+        out.info(`Sending text message to Telegram destination: ${describeDestination(destination)} (${config.Telegram.TEST_MODE ? 'TEST' : 'PROD'})`);
+
+        return await callTelegramApi('sendMessage', {
+            ...getDestinationParams(destination),
+            text: messageText,
+            parse_mode: config.Telegram.PARSE_MODE,
+            disable_web_page_preview: destination.format.disableWebPagePreview,
+            reply_markup: buildInlineKeyboard(insight, destination)
+        });
+
+    } catch (error) {
+        out.error(`Error sending text message: ${error.message}`);
+        throw error; // Re-throw to allow caller to handle
+    }
+}
+
+/**
+ * Sends a photo message to Telegram chat
+ * Sends the background image with headline and read more link as caption
+ * 
+ * @async
+ * @function sendPhotoMessage
+ * @param {Object} options - Message options
+ * @param {Object} options.insight - The insight object containing message data
+ * @param {string} options.insight.headline - The insight headline text
+ * @param {string} options.insight.id - The unique insight identifier
+ * @param {Object} options.destination - Destination to send to
+ * @param {string} [options.imageUrl] - Optional image URL (uses insight.backgroundValue if not provided)
+ * @returns {Promise<Object>} Telegram API response object
+ * @throws {Error} When Telegram API request fails or image download fails
+ * @example
+ * const response = await sendPhotoMessage({ 
+ *   insight: { headline: 'Breaking News', id: '123' },
+ *   destination,
+ *   imageUrl: 'https://example.com/image.jpg'
+ * });
+ */
+async function sendPhotoMessage({ insight, destination, imageUrl }) {
+    try {
+        // Create caption with headline and read more link
+        const caption = buildMessageText(insight, 'caption');
+
+        out.info(`Sending photo message to Telegram destination: ${describeDestination(destination)} (${config.Telegram.TEST_MODE ? 'TEST' : 'PROD'})`);
+
+        // Use provided imageUrl or fall back to insight.backgroundValue
+        const photoUrl = imageUrl || insight.backgroundValue;
+
+        // Send photo using the direct URL (let Telegram handle the download)
+        return await callTelegramApi('sendPhoto', {
+            ...getDestinationParams(destination),
+            photo: photoUrl,
+            caption: caption,
+            parse_mode: config.Telegram.PARSE_MODE,
+            reply_markup: buildInlineKeyboard(insight, destination)
+        });
+
+    } catch (error) {
+        out.error(`Error sending photo message: ${error.message}`);
+        throw error; // Re-throw to allow caller to handle
+    }
+}
+
+/**
+ * Sends a photo message to Telegram chat using an image buffer
+ * Uploads the image buffer directly to Telegram
+ * 
+ * @async
+ * @function sendPhotoMessageWithBuffer
+ * @param {Object} options - Message options
+ * @param {Object} options.insight - The insight object containing message data
+ * @param {string} options.insight.headline - The insight headline text
+ * @param {string} options.insight.id - The unique insight identifier
+ * @param {Object} options.destination - Destination to send to
+ * @param {Buffer} options.imageBuffer - The image buffer to send
+ * @returns {Promise<Object>} Telegram API response object
+ * @throws {Error} When Telegram API request fails
+ */
+async function sendPhotoMessageWithBuffer({ insight, destination, imageBuffer }) {
+    try {
+        // Create caption with headline and read more link
+        const caption = buildMessageText(insight, 'caption');
+
+        out.info(`Sending photo with custom buffer to Telegram destination: ${describeDestination(destination)} (${config.Telegram.TEST_MODE ? 'TEST' : 'PROD'})`);
+
+        // Upload the buffer as multipart form data
+        return await callTelegramApi('sendPhoto', {
+            ...getDestinationParams(destination),
+            caption: caption,
+            parse_mode: config.Telegram.PARSE_MODE,
+            reply_markup: buildInlineKeyboard(insight, destination)
+        }, {
+            files: { photo: { buffer: imageBuffer, filename: `insight-image.${getImageExtension(imageBuffer)}` } }
+        });
+
+    } catch (error) {
+        out.error(`Error sending photo message with buffer: ${error.message}`);
+        throw error; // Re-throw to allow caller to handle
+    }
+}
+
+/**
+ * Sends an animation or video message to Telegram chat
+ * Uses sendAnimation or sendVideo with the same caption as photo messages; URLs are
+ * fetched by Telegram, data is uploaded.
+ * 
+ * @async
+ * @function sendAnimatedMessage
+ * @param {Object} options - Message options
+ * @param {Object} options.insight - The insight object containing message data
+ * @param {Object} options.destination - Destination to send to
+ * @param {{type: 'animation'|'video', media: string|Buffer}} options.animation - Animation from getAnimationForInsight
+ * @returns {Promise<Object>} Telegram API response object
+ * @throws {Error} When Telegram API request fails
+ */
+async function sendAnimatedMessage({ insight, destination, animation }) {
+    try {
+        const caption = buildMessageText(insight, 'caption');
+        const method = animation.type === 'video' ? 'sendVideo' : 'sendAnimation';
+
+        out.info(`Sending ${animation.type} to Telegram destination: ${describeDestination(destination)} (${config.Telegram.TEST_MODE ? 'TEST' : 'PROD'})`);
+
+        const params = {
+            ...getDestinationParams(destination),
+            caption: caption,
+            parse_mode: config.Telegram.PARSE_MODE,
+            reply_markup: buildInlineKeyboard(insight, destination)
+        };
+        if (typeof animation.media === 'string') {
+            return await callTelegramApi(method, { ...params, [animation.type]: animation.media });
+        }
+        return await callTelegramApi(method, params, {
+            files: { [animation.type]: { buffer: animation.media, filename: `insight-${animation.type}.${getAnimationExtension(animation.media)}` } }
+        });
+
+    } catch (error) {
+        out.error(`Error sending ${animation.type} message: ${error.message}`);
+        throw error; // Re-throw to allow caller to handle
+    }
+}
+
+/**
+ * Sends a digest message listing several insights
+ * Long digests are sent as several consecutive messages.
+ * 
+ * @async
+ * @function sendDigestMessage
+ * @param {Object} options - Message options
+ * @param {Object[]} options.insights - Insights in the digest, oldest first
+ * @param {Object} options.destination - Digest destination
+ * @param {Date} options.periodEnd - End of the digest period (shown as the date)
+ * @returns {Promise<Object>} Telegram API response object of the first message
+ * @throws {Error} When Telegram API request fails
+ */
+export async function sendDigestMessage({ insights, destination, periodEnd }) {
+    try {
+        const messages = buildDigestMessages(insights, destination.digest, periodEnd);
+
+        out.info(`Sending digest message${messages.length > 1 ? ` in ${messages.length} parts` : ''} to Telegram destination: ${describeDestination(destination)} (${config.Telegram.TEST_MODE ? 'TEST' : 'PROD'})`);
+
+        // The first part carries the header and is the message tracked for the digest
+        let firstResponse = null;
+        for (const text of messages) {
+            const response = await callTelegramApi('sendMessage', {
+                ...getDestinationParams(destination),
+                text,
+                parse_mode: config.Telegram.PARSE_MODE,
+                disable_web_page_preview: destination.format.disableWebPagePreview
+            });
+            firstResponse = firstResponse || response;
+        }
+        return firstResponse;
+
+    } catch (error) {
+        out.error(`Error sending digest message: ${error.message}`);
+        throw error; // Re-throw to allow caller to handle
+    }
+}
+
+/**
+ * Sends the visuals of a digest's insights as a photo album (sendMediaGroup)
+ * Uses the chart or getImageForInsight for each insight (branded like single posts); URLs are passed
+ * through and rendered images are uploaded. Telegram albums hold 2-10 photos, so the
+ * first ten visuals are used and fewer than two are skipped.
+ * 
+ * @async
+ * @function sendDigestAlbum
+ * @param {Object} options - Album options
+ * @param {Object[]} options.insights - Insights in the digest
+ * @param {Object} options.destination - Digest destination
+ * @returns {Promise<Object|null>} Telegram API response object, or null when there were too few images
+ * @throws {Error} When Telegram API request fails
+ */
+export async function sendDigestAlbum({ insights, destination }) {
+    const media = [];
+    const files = {};
+
+    for (const insight of insights) {
+        if (media.length === 10) {
+            break;
+        }
+
+        const aspectRatio = destination.format.imageAspectRatio;
+        const image = await brandInsightImage({
+            image: await getChartForInsight(insight, { aspectRatio }) ?? await getImageForInsight(insight, { aspectRatio }),
+            insight,
+            destination
+        });
+        if (typeof image === 'string') {
+            media.push({ type: 'photo', media: image });
+        } else if (Buffer.isBuffer(image)) {
+            const field = `photo${media.length}`;
+            files[field] = { buffer: image, filename: `${field}.${getImageExtension(image)}` };
+            media.push({ type: 'photo', media: `attach://${field}` });
+        }
+    }
+
+    if (media.length < 2) {
+        out.info(`Only ${media.length} visual(s) in the digest for ${describeDestination(destination)}, skipping the album`);
+        return null;
+    }
+
+    out.info(`Sending digest album of ${media.length} photos to Telegram destination: ${describeDestination(destination)}`);
+
+    return await callTelegramApi('sendMediaGroup', {
+        ...getDestinationParams(destination),
+        media
+    }, Object.keys(files).length > 0 ? { files } : {});
+}
+
+/**
+ * Updates a posted insight message after the insight changed
+ * Text messages get editMessageText. Photo, animation and video messages get editMessageMedia
+ * when the media may have changed (including overlay images showing the headline), otherwise
+ * editMessageCaption. "message is not modified" responses count as success.
+ * 
+ * @async
+ * @function editInsightMessage
+ * @param {Object} options - Edit options
+ * @param {Object} options.insight - Current insight
+ * @param {Object} options.destination - Destination the message was posted to
+ * @param {Object} options.delivery - Delivery record (chatId, messageId, kind)
+ * @param {{caption: boolean, media: boolean}} options.changes - What changed
+ * @returns {Promise<Object|null>} Telegram API response object, or null when nothing had to change
+ * @throws {TelegramApiError} When Telegram rejects the edit
+ */
+export async function editInsightMessage({ insight, destination, delivery, changes }) {
+    const target = { chat_id: delivery.chatId, message_id: delivery.messageId };
+    const text = buildMessageText(insight, MEDIA_KINDS.includes(delivery.kind) ? 'caption' : 'text');
+    // Edits drop the inline keyboard unless it is sent again
+    const replyMarkup = buildInlineKeyboard(insight, destination);
+
+    try {
+        if (!MEDIA_KINDS.includes(delivery.kind)) {
+            if (!changes.caption) {
+                return null;
+            }
+            return await callTelegramApi('editMessageText', {
+                ...target,
+                text,
+                parse_mode: config.Telegram.PARSE_MODE,
+                disable_web_page_preview: destination.format.disableWebPagePreview,
+                reply_markup: replyMarkup
+            });
+        }
+
+        const refreshMedia = changes.media || (changes.caption && destination.format.imageOverlay);
+        const animation = refreshMedia ? await resolveInsightAnimation({ insight, destination }) : null;
+        const imageData = refreshMedia && !animation ? await resolveInsightImage({ insight, destination }) : null;
+        const media = animation || (imageData ? { type: 'photo', media: imageData } : null);
+
+        if (typeof media?.media === 'string') {
+            return await callTelegramApi('editMessageMedia', {
+                ...target,
+                media: { type: media.type, media: media.media, caption: text, parse_mode: config.Telegram.PARSE_MODE },
+                reply_markup: replyMarkup
+            });
+        }
+        if (Buffer.isBuffer(media?.media)) {
+            const extension = media.type === 'photo' ? getImageExtension(media.media) : getAnimationExtension(media.media);
+            return await callTelegramApi('editMessageMedia', {
+                ...target,
+                media: { type: media.type, media: `attach://${media.type}`, caption: text, parse_mode: config.Telegram.PARSE_MODE },
+                reply_markup: replyMarkup
+            }, {
+                files: { [media.type]: { buffer: media.media, filename: `insight-${media.type === 'photo' ? 'image' : media.type}.${extension}` } }
+            });
+        }
+
+        return await callTelegramApi('editMessageCaption', { ...target, caption: text, parse_mode: config.Telegram.PARSE_MODE, reply_markup: replyMarkup });
+
+    } catch (error) {
+        if (error instanceof TelegramApiError && (error.description || '').includes('message is not modified')) {
+            return null;
+        }
+        throw error;
+    }
+}
@@ -0,0 +1,275 @@
+/**
+ * Moderation queue
+ * Holds production posts until a reviewer approves them in the review chat.
+ */
+import { out } from './logger.js';
+import { config } from './config.js';
+import { runtime } from './runtime.js';
+import { TELEGRAM_CAPTION_LIMIT, TELEGRAM_TEXT_LIMIT, escapeText } from './format.js';
+import { normalizeDestination } from './destinations.js';
+import { findModerationRecordByPrompt, getLatestSentInsight, getModerationRecord, isInsightProcessed, listModerationRecords, saveModerationRequest, updateModerationRecord } from './store.js';
+import { fetchInsightById } from './polaris.js';
+import { answerCallbackQuery, callTelegramApi } from './telegram.js';
+import { editInsightMessage, getMessageKind, sendMessage } from './messages.js';
+import { applyDestinationFilters, dispatchInsight } from './pipeline.js';
+import { replyToCommand } from './commands.js';
+
+/**
+ * Checks whether a chat is the moderation review chat
+ * MODERATION_REVIEW_CHAT_ID may be a numeric ID or a public @username.
+ * 
+ * @function isReviewChat
+ * @param {Object} chat - Telegram Chat object
+ * @returns {boolean} True for the review chat
+ */
+function isReviewChat(chat) {
+    const reviewChatId = String(config.Moderation.REVIEW_CHAT_ID).toLowerCase();
+    return String(chat?.id) === reviewChatId || (Boolean(chat?.username) && `@${chat.username}`.toLowerCase() === reviewChatId);
+}
+
+/**
+ * Handles the Approve / Reject / Edit caption buttons of a preview in the review chat
+ * Approved insights are posted on the next run. "Edit caption" asks for the new caption
+ * with a force-reply prompt, answered in handleModerationReply.
+ * 
+ * @async
+ * @function handleModerationCallback
+ * @param {Object} query - Telegram CallbackQuery object
+ * @param {'approve'|'reject'|'edit'} action - Pressed button
+ * @param {string} insightId - The insight ID
+ * @returns {Promise<void>}
+ */
+export async function handleModerationCallback(query, action, insightId) {
+    if (!isReviewChat(query.message?.chat)) {
+        await answerCallbackQuery(query.id, 'Reviews are only accepted in the review chat');
+        return;
+    }
+
+    const record = getModerationRecord(insightId);
+    if (!record) {
+        await answerCallbackQuery(query.id, `Insight ${insightId} is not in the moderation queue`);
+        return;
+    }
+    if (record.status !== 'pending') {
+        await answerCallbackQuery(query.id, `Insight ${insightId} was already ${record.status}`);
+        return;
+    }
+
+    const reviewer = query.from.username ? `@${query.from.username}` : `user ${query.from.id}`;
+
+    if (action === 'edit') {
+        const prompt = await callTelegramApi('sendMessage', {
+            chat_id: query.message.chat.id,
+            message_thread_id: query.message.is_topic_message ? query.message.message_thread_id : undefined,
+            text: escapeText(`${reviewer}, reply to this message with the new caption for insight ${insightId} (send "-" to restore the template text).`),
+            parse_mode: config.Telegram.PARSE_MODE,
+            reply_parameters: { message_id: query.message.message_id, allow_sending_without_reply: true },
+            reply_markup: { force_reply: true }
+        });
+        updateModerationRecord(insightId, { promptMessageId: prompt.result?.message_id });
+        await answerCallbackQuery(query.id, 'Reply to the prompt with the new caption');
+        return;
+    }
+
+    const approved = action === 'approve';
+    updateModerationRecord(insightId, {
+        status: approved ? 'approved' : 'rejected',
+        decidedAt: new Date().toISOString(),
+        decidedBy: reviewer
+    });
+    out.info(`Insight ${insightId} ${approved ? 'approved' : 'rejected'} by ${reviewer}`);
+    await answerCallbackQuery(query.id, approved ? 'Approved, it is posted on the next run' : 'Rejected');
+    await showReviewOutcome(record, approved ? `✅ Approved by ${reviewer}` : `❌ Rejected by ${reviewer}`);
+}
+
+/**
+ * Stores the caption a reviewer sent in reply to an "Edit caption" prompt
+ * The preview is updated so reviewers approve exactly what will be posted. The caption is
+ * posted as plain text (escaped for the parse mode) in place of the template text.
+ * 
+ * @async
+ * @function handleModerationReply
+ * @param {Object} message - Telegram Message object replying to a prompt
+ * @returns {Promise<void>}
+ */
+export async function handleModerationReply(message) {
+    if (!isReviewChat(message.chat) || typeof message.text !== 'string') {
+        return;
+    }
+    const record = findModerationRecordByPrompt(message.reply_to_message.message_id);
+    if (!record) {
+        return;
+    }
+
+    const caption = message.text.trim() === '-' ? null : message.text.trim();
+    updateModerationRecord(record.insightId, { caption, promptMessageId: null });
+    out.info(`Caption of insight ${record.insightId} ${caption ? 'edited' : 'restored'} by ${message.from?.username ? `@${message.from.username}` : `user ${message.from?.id}`}`);
+
+    const insight = await fetchInsightById(record.insightId);
+    if (insight && record.reviewMessageId) {
+        try {
+            await editInsightMessage({
+                insight: withModeratedCaption(insight),
+                destination: getReviewDestination(),
+                delivery: { chatId: record.reviewChatId, messageId: record.reviewMessageId, kind: record.reviewKind },
+                changes: { caption: true }
+            });
+        } catch (error) {
+            out.warn(`Could not update the preview of insight ${record.insightId}: ${error.message}`);
+        }
+    }
+
+    const limit = record.reviewKind && record.reviewKind !== 'text' ? TELEGRAM_CAPTION_LIMIT : TELEGRAM_TEXT_LIMIT;
+    const shortened = caption && escapeText(caption).length > limit;
+    await replyToCommand(message, caption
+        ? `Caption updated${shortened ? ` (shortened to Telegram's ${limit} character limit)` : ''}. Approve the preview to post it.`
+        : 'Caption restored to the template text.');
+}
+
+/**
+ * Whether production posts go through the moderation queue
+ * Test mode already posts to test chats only, so it is never moderated.
+ * 
+ * @function isModerationActive
+ * @returns {boolean} True when insights need approval before they are posted
+ */
+export function isModerationActive() {
+    return config.Moderation.ENABLED && !config.Telegram.TEST_MODE;
+}
+
+/**
+ * Builds the destination previews are sent to
+ * Previews look like production posts but carry the review buttons instead of feedback buttons.
+ * 
+ * @function getReviewDestination
+ * @returns {Object} Normalized destination marked with `review: true`
+ */
+function getReviewDestination() {
+    const destination = normalizeDestination({ key: 'review', name: 'review chat', chatId: config.Moderation.REVIEW_CHAT_ID }, 0);
+    destination.format.buttons = destination.format.buttons.filter(button => button !== 'feedback');
+    return { ...destination, review: true };
+}
+
+/**
+ * Applies the caption a reviewer entered with "Edit caption" to an insight
+ * @function withModeratedCaption
+ * @param {Object} insight - The insight object
+ * @returns {Object} The insight, or a copy carrying `moderatedCaption` when the caption was edited
+ */
+export function withModeratedCaption(insight) {
+    if (!config.Moderation.ENABLED) {
+        return insight;
+    }
+    const caption = getModerationRecord(insight.id)?.caption;
+    return caption ? { ...insight, moderatedCaption: caption } : insight;
+}
+
+/**
+ * Sends an insight's preview to the review chat and queues it for approval
+ * @async
+ * @function submitForReview
+ * @param {Object} insight - The insight object
+ * @returns {Promise<void>}
+ * @throws {Error} When the preview could not be sent (the insight is submitted again next run)
+ */
+async function submitForReview(insight) {
+    const response = await sendMessage({ insight, destination: getReviewDestination() });
+    saveModerationRequest(insight.id, {
+        chatId: response.result?.chat?.id ?? config.Moderation.REVIEW_CHAT_ID,
+        messageId: response.result?.message_id,
+        kind: getMessageKind(response.result)
+    });
+    out.info(`Insight ${insight.id} sent to the review chat, waiting for approval`);
+}
+
+/**
+ * Replaces the review buttons of a preview with its outcome
+ * @async
+ * @function showReviewOutcome
+ * @param {Object} record - The insight's review
+ * @param {string} label - Outcome shown on the button, e.g. '✅ Approved by @alice'
+ * @returns {Promise<void>}
+ */
+async function showReviewOutcome(record, label) {
+    if (!record.reviewMessageId) {
+        return;
+    }
+    try {
+        await callTelegramApi('editMessageReplyMarkup', {
+            chat_id: record.reviewChatId,
+            message_id: record.reviewMessageId,
+            reply_markup: { inline_keyboard: [[{ text: label, callback_data: 'mod:done' }]] }
+        });
+    } catch (error) {
+        out.warn(`Could not update the preview of insight ${record.insightId}: ${error.message}`);
+    }
+}
+
+/**
+ * Runs the moderation queue before insights are posted
+ * Sends previews of new insights to the review chat, approves reviews that waited longer
+ * than MODERATION_AUTO_APPROVE_MINUTES, and posts approved insights that have not been
+ * posted yet. Approved insights are fetched by ID when they fell off the fetched page.
+ * 
+ * @async
+ * @function processModerationQueue
+ * @param {Object[]} insights - Eligible insights of this run, oldest first
+ * @param {Object[]} destinations - Non-digest destinations
+ * @param {{sent: number, failed: number}} runStats - Counters updated in place
+ * @returns {Promise<void>}
+ */
+export async function processModerationQueue(insights, destinations, runStats) {
+    const latestSent = getLatestSentInsight();
+
+    for (const insight of insights) {
+        if (runtime.shutdownRequested) {
+            return;
+        }
+        // Insights posted before moderation was enabled are not reviewed again
+        if (getModerationRecord(insight.id) || isInsightProcessed(insight.id)
+            || (latestSent.publishedAt && new Date(insight.publishedAt) < new Date(latestSent.publishedAt))) {
+            continue;
+        }
+        try {
+            await submitForReview(insight);
+        } catch (error) {
+            out.error(`Error sending insight ${insight.id} to the review chat: ${error.message}`);
+        }
+    }
+
+    if (config.Moderation.AUTO_APPROVE_MINUTES > 0) {
+        const cutoff = Date.now() - config.Moderation.AUTO_APPROVE_MINUTES * 60 * 1000;
+        for (const record of listModerationRecords('pending')) {
+            if (new Date(record.requestedAt).getTime() <= cutoff) {
+                updateModerationRecord(record.insightId, { status: 'approved', decidedAt: new Date().toISOString(), decidedBy: 'auto' });
+                out.info(`Insight ${record.insightId} was not reviewed within ${config.Moderation.AUTO_APPROVE_MINUTES} minutes, approving it automatically`);
+                await showReviewOutcome(record, '✅ Approved automatically');
+            }
+        }
+    }
+
+    for (const record of listModerationRecords('approved', { unreleased: true })) {
+        if (runtime.shutdownRequested) {
+            return;
+        }
+        try {
+            const insight = insights.find(candidate => candidate.id === record.insightId)
+                ?? await fetchInsightById(record.insightId);
+            if (!insight?.publishedAt) {
+                out.warn(`Approved insight ${record.insightId} is no longer published, not posting it`);
+            } else {
+                const pendingDestinations = applyDestinationFilters(insight, destinations.filter(destination =>
+                    !isInsightProcessed(insight.id, destination.key)
+                ));
+                if (pendingDestinations.length > 0) {
+                    out.info(`Posting approved insight ${insight.id} to ${pendingDestinations.length} destination(s)`);
+                    await dispatchInsight(insight, pendingDestinations, runStats);
+                }
+            }
+            // Failed sends are retried by the regular processing like any other delivery
+            updateModerationRecord(record.insightId, { releasedAt: new Date().toISOString() });
+        } catch (error) {
+            out.error(`Error posting approved insight ${record.insightId}: ${error.message}`);
+        }
+    }
+}
@@ -0,0 +1,501 @@
+/**
+ * Processing pipeline
+ * Fetches new insights and delivers them to every destination, including moderation,
+ * delivery windows and digests.
+ */
+import { out } from './logger.js';
+import { config } from './config.js';
+import { runtime } from './runtime.js';
+import { describeDestination, getDestinations, getFilterRejection, getNextWindowOpening, isWithinDeliveryWindow } from './destinations.js';
+import { finishRunRecord, getDeliveryStatus, getLastDeliveryTime, getLastDigest, getLatestSentInsight, getModerationRecord, getSubscription, isInsightProcessed, listScheduledDeliveries, queueScheduledDelivery, recordDelivery, recordDigest, recordLatestSentInsight, removeGoneSubscription, removeScheduledDelivery, startRunRecord } from './store.js';
+import { HISTORY_PAGE_SIZE, fetchInsightById, fetchPublishedInsights, filterEligibleInsights } from './polaris.js';
+import { getMessageKind, sendDigestAlbum, sendDigestMessage, sendMessage } from './messages.js';
+import { getInsightSnapshot, syncDeliveredInsights } from './sync.js';
+import { isModerationActive, processModerationQueue, withModeratedCaption } from './moderation.js';
+import { pruneImageCache } from './imageCache.js';
+
+/**
+ * Applies the content filters of each destination to an insight
+ * Logs why the insight is skipped for a destination. Subscriptions removed since the
+ * destinations were loaded (unsubscribed or unreachable chats) are dropped as well.
+ * @function applyDestinationFilters
+ * @param {Object} insight - The insight object
+ * @param {Object[]} destinations - Candidate destinations
+ * @returns {Object[]} Destinations that should receive the insight
+ */
+export function applyDestinationFilters(insight, destinations) {
+    return destinations.filter(destination => {
+        if (destination.subscription && getSubscription(destination.key)?.status !== 'active') {
+            return false;
+        }
+        const rejection = getFilterRejection(insight, destination);
+        if (rejection) {
+            out.info(`Insight ${insight.id} skipped for ${describeDestination(destination)}: ${rejection}`);
+        }
+        return !rejection;
+    });
+}
+
+/**
+ * Sends an insight to each destination and records every outcome in the state store
+ * 
+ * @async
+ * @function deliverInsight
+ * @param {Object} insight - The insight object
+ * @param {Object[]} destinations - Destinations to send to
+ * @param {{sent: number, failed: number}} runStats - Counters updated for the run history
+ * @returns {Promise<number>} Number of destinations the insight was delivered to
+ */
+export async function deliverInsight(insight, destinations, runStats) {
+    // A caption edited during moderation replaces the template text
+    insight = withModeratedCaption(insight);
+
+    // Extract background information for cache metadata
+    const metadata = { snapshot: getInsightSnapshot(insight) };
+    if (insight.backgroundType && insight.backgroundValue) {
+        metadata.backgroundType = insight.backgroundType;
+        metadata.backgroundValue = insight.backgroundValue;
+    }
+
+    let deliveredCount = 0;
+    for (const destination of destinations) {
+        try {
+            // Send the insight to this destination
+            const response = await sendMessage({ insight, destination });
+
+            // Validate response
+            if (!response || !response.ok) {
+                throw new Error(`Telegram message failed: ${response?.description || 'Unknown error'}`);
+            }
+
+            out.success(`Message sent successfully for insight ${insight.id} to ${describeDestination(destination)}`);
+
+            // Update processed IDs cache only after successful send (primary protection)
+            recordDelivery(insight.id, destination.key, {
+                ok: true,
+                messageId: response.result?.message_id,
+                chatId: response.result?.chat?.id ?? destination.chatId,
+                kind: getMessageKind(response.result)
+            }, metadata);
+            deliveredCount++;
+            runStats.sent++;
+
+        } catch (error) {
+            out.error(`Error sending insight ${insight.id} to ${describeDestination(destination)}: ${error.message}`);
+            runStats.failed++;
+            // Record the failure so the next run retries only this destination
+            recordDelivery(insight.id, destination.key, { ok: false, error: error.message }, metadata);
+            removeGoneSubscription(destination, error);
+        }
+    }
+
+    // Update timestamp cache (secondary optimization) without moving it backwards
+    if (deliveredCount > 0) {
+        recordLatestSentInsight(insight);
+    }
+
+    return deliveredCount;
+}
+
+/**
+ * Sends an insight to its destinations, queueing it for destinations with a delivery window
+ * Scheduled destinations always go through their queue, so posts keep their order and
+ * spacing; releaseScheduledDeliveries sends the queued insights once they are due.
+ * 
+ * @async
+ * @function dispatchInsight
+ * @param {Object} insight - The insight object
+ * @param {Object[]} destinations - Destinations that should receive the insight
+ * @param {{sent: number, failed: number}} runStats - Counters updated in place
+ * @returns {Promise<void>}
+ */
+export async function dispatchInsight(insight, destinations, runStats) {
+    const immediate = [];
+    for (const destination of destinations) {
+        if (!destination.schedule) {
+            immediate.push(destination);
+            continue;
+        }
+        const held = !isWithinDeliveryWindow(destination.schedule);
+        if (queueScheduledDelivery(insight, destination.key, held)) {
+            out.info(`Insight ${insight.id} queued for ${describeDestination(destination)}${held ? ' (outside its delivery window)' : ''}`);
+        }
+    }
+
+    if (immediate.length > 0) {
+        await deliverInsight(insight, immediate, runStats);
+    }
+}
+
+/**
+ * Posts queued insights to the destinations whose delivery window is open
+ * Insights are released oldest first and, with `spacingMinutes`, one per interval; the rest
+ * wait for a later run. Insights held back while the window was closed are sent without a
+ * notification unless the schedule sets `silent: false`. Failed sends are recorded and
+ * retried like any other delivery.
+ * 
+ * @async
+ * @function releaseScheduledDeliveries
+ * @param {Object[]} insights - Insights of this run (others are fetched by ID)
+ * @param {Object[]} destinations - Non-digest destinations
+ * @param {{sent: number, failed: number}} runStats - Counters updated in place
+ * @returns {Promise<void>}
+ */
+async function releaseScheduledDeliveries(insights, destinations, runStats) {
+    for (const destination of destinations.filter(candidate => candidate.schedule)) {
+        const queue = listScheduledDeliveries(destination.key);
+        if (queue.length === 0) {
+            continue;
+        }
+        if (!isWithinDeliveryWindow(destination.schedule)) {
+            out.info(`${queue.length} insight(s) queued for ${describeDestination(destination)} until ${getNextWindowOpening(destination.schedule).toISOString()}`);
+            continue;
+        }
+
+        for (const [position, item] of queue.entries()) {
+            if (runtime.shutdownRequested) {
+                return;
+            }
+
+            const lastSentAt = getLastDeliveryTime(destination.key);
+            const nextAllowedAt = lastSentAt ? lastSentAt.getTime() + destination.schedule.spacingMinutes * 60 * 1000 : 0;
+            if (destination.schedule.spacingMinutes > 0 && nextAllowedAt > Date.now()) {
+                out.info(`${queue.length - position} insight(s) queued for ${describeDestination(destination)}, next one after ${new Date(nextAllowedAt).toISOString()}`);
+                break;
+            }
+
+            try {
+                if (isInsightProcessed(item.insightId, destination.key)) {
+                    removeScheduledDelivery(item.insightId, destination.key);
+                    continue;
+                }
+
+                const insight = insights.find(candidate => candidate.id === item.insightId)
+                    ?? await fetchInsightById(item.insightId);
+                if (!insight?.publishedAt) {
+                    out.warn(`Queued insight ${item.insightId} is no longer published, dropping it from the queue of ${describeDestination(destination)}`);
+                    removeScheduledDelivery(item.insightId, destination.key);
+                    continue;
+                }
+
+                const silent = item.held && destination.schedule.silent;
+                out.info(`Releasing queued insight ${insight.id} to ${describeDestination(destination)}${silent ? ' (silently)' : ''}`);
+                await deliverInsight(insight, [silent ? { ...destination, format: { ...destination.format, disableNotification: true } } : destination], runStats);
+                removeScheduledDelivery(item.insightId, destination.key);
+            } catch (error) {
+                // Keep the queue intact (e.g. the API is down) and try again next run
+                out.error(`Error releasing queued insight ${item.insightId} to ${describeDestination(destination)}: ${error.message}`);
+                break;
+            }
+        }
+    }
+}
+
+/**
+ * Finds the next time a queued insight becomes due (window opening or spacing elapsed)
+ * Lets the daemon wake up for queued insights between polls.
+ * 
+ * @function getNextScheduledReleaseAt
+ * @returns {Date|null} When the next queued insight can be posted, or null when nothing is queued
+ */
+export function getNextScheduledReleaseAt() {
+    try {
+        let next = null;
+        for (const destination of getDestinations()) {
+            if (!destination.schedule || listScheduledDeliveries(destination.key).length === 0) {
+                continue;
+            }
+            const lastSentAt = getLastDeliveryTime(destination.key);
+            const spacingEnd = lastSentAt ? lastSentAt.getTime() + destination.schedule.spacingMinutes * 60 * 1000 : 0;
+            const due = getNextWindowOpening(destination.schedule, new Date(Math.max(Date.now(), spacingEnd)));
+            if (!next || due < next) {
+                next = due;
+            }
+        }
+        return next;
+    } catch (error) {
+        out.warn(`Could not check the delivery queues: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Fetches new published insights and sends them to Telegram
+ * Processes insights chronologically and uses caching to prevent duplicates.
+ * After downtime, pages back until the last sent insight (see CATCHUP_MAX_PAGES)
+ * so insights beyond the first `limit` are not missed.
+ * 
+ * @async
+ * @function processNewPublishedInsights
+ * @param {Object} options - Processing options
+ * @param {number} [options.limit=5] - Number of insights per page
+ * @returns {Promise<void>}
+ * @throws {Error} When API request fails or returns invalid data
+ * @example
+ * await processNewPublishedInsights({ limit: 10 });
+ */
+export async function processNewPublishedInsights({ limit = 5 }) {
+    // Run history is recorded in the state database
+    const runId = startRunRecord();
+    const runStats = { fetched: 0, sent: 0, failed: 0 };
+
+    try {
+        // Page back to the last sent insight so nothing published during downtime is skipped
+        const latestSent = getLatestSentInsight();
+        const insights = await fetchPublishedInsights({
+            pageSize: limit,
+            stopAt: latestSent.publishedAt ? new Date(latestSent.publishedAt) : null,
+            maxPages: config.Insights.CATCHUP_MAX_PAGES
+        });
+
+        // Validate API response
+        if (!insights || insights.length === 0) {
+            out.warn('No insights available from API');
+            finishRunRecord(runId, { status: 'success', ...runStats });
+            return;
+        }
+        runStats.fetched = insights.length;
+
+        // Reverse array to process chronologically (oldest first)
+        // API returns newest first, but we want to send oldest unprocessed insights first
+        const chronologicalInsights = insights.reverse();
+        out.info(`Found ${chronologicalInsights.length} insights to process (reversed to oldest-first order)`);
+
+        // Filter out insights that are too recent (within minimum age threshold)
+        const eligibleInsights = filterEligibleInsights(chronologicalInsights);
+        
+        out.info(`${eligibleInsights.length} of ${chronologicalInsights.length} insights are old enough to process`);
+
+        // Digest destinations get one summary per period instead of a post per insight
+        const allDestinations = getDestinations();
+        const destinations = allDestinations.filter(destination => !destination.digest);
+        const digestDestinations = allDestinations.filter(destination => destination.digest);
+
+        if (isModerationActive()) {
+            await processModerationQueue(eligibleInsights, destinations, runStats);
+        }
+
+        // Process each insight with error handling
+        for (const insight of eligibleInsights) {
+            if (destinations.length === 0) {
+                break;
+            }
+
+            // Stop between insights so the in-flight one is delivered to all its destinations
+            if (runtime.shutdownRequested) {
+                out.warn('Shutdown requested, leaving remaining insights for the next run');
+                break;
+            }
+
+            try {
+                // Primary check: Which destinations have not received this insight yet?
+                let pendingDestinations = destinations.filter(destination => 
+                    !isInsightProcessed(insight.id, destination.key)
+                );
+                if (pendingDestinations.length === 0) {
+                    out.info(`Insight ${insight.id} already delivered to all destinations (found in processed IDs cache), skipping`);
+                    continue;
+                }
+
+                // Secondary check: Use timestamp cache for efficiency (skip older insights)
+                const cacheData = getLatestSentInsight();
+                if (cacheData.publishedAt) {
+                    const cachedDate = new Date(cacheData.publishedAt);
+                    const insightDate = new Date(insight.publishedAt);
+
+                    // Older insights are only retried for destinations where a send previously failed
+                    // This is an optimization - the ID check above is the primary protection
+                    if (insightDate < cachedDate) {
+                        pendingDestinations = pendingDestinations.filter(destination => 
+                            getDeliveryStatus(insight.id, destination.key) === 'failed'
+                        );
+                        if (pendingDestinations.length === 0) {
+                            out.info(`Insight ${insight.id} (published: ${insight.publishedAt}) is older than cached timestamp (${cacheData.publishedAt}), skipping`);
+                            continue;
+                        }
+                        out.info(`Insight ${insight.id} is older than cached timestamp but has failed deliveries, retrying`);
+                    }
+                }
+
+                // Content filters: each destination only receives the insights it asked for
+                pendingDestinations = applyDestinationFilters(insight, pendingDestinations);
+                if (pendingDestinations.length === 0) {
+                    out.info(`Insight ${insight.id} does not match the filters of any pending destination, skipping`);
+                    continue;
+                }
+
+                // Moderation: only approved insights go to production destinations
+                if (isModerationActive()) {
+                    const review = getModerationRecord(insight.id);
+                    if (review?.status !== 'approved') {
+                        out.info(`Insight ${insight.id} is ${review ? `${review.status} in the moderation queue` : 'not reviewed'}, not posting it`);
+                        continue;
+                    }
+                }
+
+                out.info(`Processing new insight: ${insight.id} (published: ${insight.publishedAt}) for ${pendingDestinations.length} destination(s)`);
+
+                await dispatchInsight(insight, pendingDestinations, runStats);
+
+                // Rate limiting is handled by callTelegramApi (per-chat and global budgets)
+
+            } catch (error) {
+                out.error(`Error processing insight ${insight.id}: ${error.message}`);
+                // Continue processing other insights instead of failing completely
+                continue;
+            }
+        }
+
+        // Post the queued insights whose delivery window is open
+        if (!runtime.shutdownRequested) {
+            await releaseScheduledDeliveries(eligibleInsights, destinations, runStats);
+        }
+
+        if (digestDestinations.length > 0 && !runtime.shutdownRequested) {
+            await processDigests(digestDestinations, runStats);
+        }
+
+        // Propagate edits and unpublishes to messages posted in earlier runs
+        await syncDeliveredInsights(chronologicalInsights);
+
+        pruneImageCache();
+        finishRunRecord(runId, { status: 'success', ...runStats });
+
+    } catch (error) {
+        out.error(`Error fetching new published insights: ${error.message}`);
+        finishRunRecord(runId, { status: 'error', ...runStats, error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Gets the end of the most recent digest period for a schedule
+ * Daily periods end every day at the configured local time, weekly periods on the configured weekday.
+ * 
+ * @function getDigestPeriodEnd
+ * @param {Object} digest - Normalized digest settings
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Date} Latest period end at or before `now`
+ * @example
+ * getDigestPeriodEnd({ schedule: 'daily', hour: 9, minute: 0 }, new Date('2024-05-02T08:00:00')); // 2024-05-01 09:00 local
+ */
+function getDigestPeriodEnd(digest, now = new Date()) {
+    const end = new Date(now);
+    end.setHours(digest.hour, digest.minute, 0, 0);
+
+    if (digest.schedule === 'weekly') {
+        end.setDate(end.getDate() - ((end.getDay() - digest.weekday + 7) % 7));
+    }
+    if (end > now) {
+        end.setDate(end.getDate() - (digest.schedule === 'weekly' ? 7 : 1));
+    }
+
+    return end;
+}
+
+/**
+ * Sends the digests that are due for the given destinations
+ * A digest covers the insights published since the previous digest of that destination
+ * (one period back for the first digest). Empty periods are recorded without sending.
+ * 
+ * @async
+ * @function processDigests
+ * @param {Object[]} destinations - Digest destinations
+ * @param {{sent: number, failed: number}} runStats - Counters updated for the run history
+ * @returns {Promise<void>}
+ * @throws {Error} When the API request fails
+ */
+async function processDigests(destinations, runStats) {
+    const now = new Date();
+    const due = [];
+
+    for (const destination of destinations) {
+        const periodEnd = getDigestPeriodEnd(destination.digest, now);
+        const lastDigest = getLastDigest(destination.key);
+        if (lastDigest && new Date(lastDigest.periodEnd) >= periodEnd) {
+            continue;
+        }
+
+        let periodStart;
+        if (lastDigest) {
+            periodStart = new Date(lastDigest.periodEnd);
+        } else {
+            periodStart = new Date(periodEnd);
+            periodStart.setDate(periodStart.getDate() - (destination.digest.schedule === 'weekly' ? 7 : 1));
+        }
+        due.push({ destination, periodStart, periodEnd });
+    }
+
+    if (due.length === 0) {
+        return;
+    }
+
+    // One fetch covers every due digest
+    const earliestStart = new Date(Math.min(...due.map(entry => entry.periodStart.getTime())));
+    const insights = (await fetchPublishedInsights({
+        pageSize: HISTORY_PAGE_SIZE,
+        stopAt: earliestStart,
+        maxPages: config.Insights.CATCHUP_MAX_PAGES
+    })).reverse();
+
+    for (const { destination, periodStart, periodEnd } of due) {
+        if (runtime.shutdownRequested) {
+            out.warn('Shutdown requested, leaving remaining digests for the next run');
+            break;
+        }
+
+        let items = insights.filter(insight => {
+            if (!insight.publishedAt) {
+                return false;
+            }
+            const publishedAt = new Date(insight.publishedAt);
+            return publishedAt > periodStart && publishedAt <= periodEnd;
+        })
+            .filter(insight => !isModerationActive() || getModerationRecord(insight.id)?.status === 'approved')
+            .filter(insight => applyDestinationFilters(insight, [destination]).length > 0);
+
+        if (items.length > destination.digest.maxItems) {
+            out.warn(`Digest for ${describeDestination(destination)} has ${items.length} insights, listing the newest ${destination.digest.maxItems}`);
+            items = items.slice(-destination.digest.maxItems);
+        }
+
+        const period = { periodStart, periodEnd, insightIds: items.map(insight => insight.id) };
+
+        if (items.length === 0) {
+            out.info(`No insights for the digest of ${describeDestination(destination)} (${periodStart.toISOString()} - ${periodEnd.toISOString()}), skipping`);
+            recordDigest(destination.key, { ...period, ok: true });
+            continue;
+        }
+
+        try {
+            out.info(`Sending digest of ${items.length} insight(s) to ${describeDestination(destination)}`);
+            const response = await sendDigestMessage({ insights: items, destination, periodEnd });
+
+            recordDigest(destination.key, {
+                ...period,
+                ok: true,
+                messageId: response.result?.message_id,
+                chatId: response.result?.chat?.id ?? destination.chatId
+            });
+            runStats.sent++;
+            out.success(`Digest sent successfully to ${describeDestination(destination)}`);
+
+        } catch (error) {
+            out.error(`Error sending digest to ${describeDestination(destination)}: ${error.message}`);
+            runStats.failed++;
+            // The period stays open, so the next run retries it
+            recordDigest(destination.key, { ...period, ok: false, error: error.message });
+            removeGoneSubscription(destination, error);
+            continue;
+        }
+
+        if (destination.digest.album) {
+            try {
+                await sendDigestAlbum({ insights: items, destination });
+            } catch (error) {
+                // The digest text already went out; a missing album is not worth re-sending it
+                out.warn(`Digest album failed for ${describeDestination(destination)}: ${error.message}`);
+            }
+        }
+    }
+}
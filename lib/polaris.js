@@ -0,0 +1,139 @@
+/**
+ * Polaris API client
+ * Fetches published insights and filters out the ones that are still too recent.
+ */
+import fetch from 'node-fetch';
+import { out } from './logger.js';
+import { config } from './config.js';
+
+/** Insights per API request when paging through history (backfill and digests) */
+export const HISTORY_PAGE_SIZE = 50;
+
+/**
+ * Fetches one page of published insights from the Polaris API, newest first
+ * 
+ * @async
+ * @function fetchInsightsPage
+ * @param {Object} options - Page options
+ * @param {number} options.start - Index of the first insight (`_start`)
+ * @param {number} options.end - Index after the last insight (`_end`)
+ * @returns {Promise<Object[]>} Insights on the page
+ * @throws {Error} When the API request fails or returns invalid data
+ */
+export async function fetchInsightsPage({ start, end }) {
+    const url = `${config.Polaris.API_URL}/ai/curated-insights?_sort=publishedAt&_order=desc&_start=${start}&_end=${end}`;
+    out.info(`Fetching insights ${start}-${end} from: ${url}`);
+
+    const response = await fetch(url);
+
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const insights = await response.json();
+    if (!Array.isArray(insights)) {
+        throw new Error('Unexpected API response: expected an array of insights');
+    }
+    return insights;
+}
+
+/**
+ * Fetches a single insight from the Polaris API
+ * 
+ * @async
+ * @function fetchInsightById
+ * @param {string} id - Insight ID
+ * @returns {Promise<Object|null>} The insight, or null when it does not exist
+ * @throws {Error} When the API request fails
+ */
+export async function fetchInsightById(id) {
+    const url = `${config.Polaris.API_URL}/ai/curated-insights/${encodeURIComponent(id)}`;
+    out.info(`Fetching insight from: ${url}`);
+
+    const response = await fetch(url);
+    if (response.status === 404) {
+        return null;
+    }
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const insight = await response.json();
+    return insight && insight.id !== undefined ? insight : null;
+}
+
+/**
+ * Fetches published insights newest first, paging back until a cut-off date
+ * The first page always has `pageSize` insights. Further pages are only fetched while
+ * every insight on the previous page is newer than `stopAt`, up to `maxPages` extra pages.
+ * Insights that shift between pages while paging are de-duplicated by ID.
+ * 
+ * @async
+ * @function fetchPublishedInsights
+ * @param {Object} options - Fetch options
+ * @param {number} options.pageSize - Insights per page
+ * @param {Date|null} [options.stopAt=null] - Stop once a page reaches insights published at or before this date (no paging when null)
+ * @param {number} [options.maxPages=0] - Safety cap on extra pages after the first one
+ * @returns {Promise<Object[]>} Insights, newest first
+ * @throws {Error} When an API request fails
+ * @example
+ * const insights = await fetchPublishedInsights({ pageSize: 7, stopAt: new Date('2024-01-01'), maxPages: 10 });
+ */
+export async function fetchPublishedInsights({ pageSize, stopAt = null, maxPages = 0 }) {
+    const insights = [];
+    const seenIds = new Set();
+
+    for (let page = 0; page <= maxPages; page++) {
+        const start = page * pageSize;
+        const batch = await fetchInsightsPage({ start, end: start + pageSize });
+
+        for (const insight of batch) {
+            if (!seenIds.has(insight.id)) {
+                seenIds.add(insight.id);
+                insights.push(insight);
+            }
+        }
+
+        // A short page means there is nothing older left
+        if (batch.length < pageSize || !stopAt) {
+            break;
+        }
+
+        const oldest = batch[batch.length - 1];
+        if (!oldest.publishedAt || new Date(oldest.publishedAt) <= stopAt) {
+            break;
+        }
+
+        if (page === maxPages) {
+            out.warn(`Stopped paging after ${maxPages + 1} page(s) (safety cap) before reaching ${stopAt.toISOString()}; older insights were not fetched`);
+        } else {
+            out.info(`Oldest insight on page ${page + 1} (${oldest.publishedAt}) is newer than ${stopAt.toISOString()}, fetching the next page`);
+        }
+    }
+
+    return insights;
+}
+
+/**
+ * Filters out insights that are too recent (within the minimum age threshold)
+ * @function filterEligibleInsights
+ * @param {Object[]} insights - Insights to check
+ * @returns {Object[]} Insights old enough to be posted
+ */
+export function filterEligibleInsights(insights) {
+    const now = new Date();
+    const minAgeMs = config.Insights.MINIMUM_AGE_MINUTES * 60 * 1000; // Convert minutes to milliseconds
+
+    return insights.filter(insight => {
+        const publishedAt = new Date(insight.publishedAt);
+        const ageMs = now.getTime() - publishedAt.getTime();
+        const isOldEnough = ageMs >= minAgeMs;
+
+        if (!isOldEnough) {
+            const ageMinutes = Math.floor(ageMs / (60 * 1000));
+            out.info(`Insight ${insight.id} is too recent (${ageMinutes} minutes old, minimum ${config.Insights.MINIMUM_AGE_MINUTES} minutes), skipping`);
+        }
+
+        return isOldEnough;
+    });
+}
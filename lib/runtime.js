@@ -0,0 +1,15 @@
+/**
+ * Runtime state
+ * Flags set by the command line, the daemon's signal handlers or a dry run, and read by
+ * the modules that send, poll and store.
+ */
+
+/** Process-wide runtime flags */
+export const runtime = {
+    /** Whether the bot was started as a long-running daemon */
+    daemonMode: false,
+    /** Set when SIGTERM/SIGINT was received; running loops stop after the in-flight send */
+    shutdownRequested: false,
+    /** Active dry run ({ outputDir, requests }), set by startDryRun; Telegram requests are written to files */
+    dryRun: null
+};
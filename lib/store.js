@@ -0,0 +1,1163 @@
+/**
+ * State store
+ * SQLite database holding delivered insights, run history, digests, feedback,
+ * subscriptions, the moderation queue, queued deliveries and the image cache index.
+ */
+import fs from 'fs';
+import Database from 'better-sqlite3';
+import { out } from './logger.js';
+import { config } from './config.js';
+import { runtime } from './runtime.js';
+import { TelegramApiError } from './telegram.js';
+
+/** In-memory copies of the JSON cache files, keyed by filename */
+export const cacheMemory = new Map();
+
+/** Open state database connection (opened lazily by getStateDb) */
+let stateDb = null;
+
+/**
+ * Reads cached data from a JSON file
+ * Provides graceful error handling and logging for cache operations.
+ * The parsed data is kept in memory, so later reads do not touch the disk.
+ * 
+ * @async
+ * @function readCache
+ * @param {Object} options - Configuration options
+ * @param {string} [options.filename='cache.json'] - Name of the cache file to read from
+ * @returns {Object} Parsed JSON data or empty object if file doesn't exist or is invalid
+ * @example
+ * const cache = readCache({ filename: 'latest_insight.cache.json' });
+ */
+export function readCache({ filename = 'cache.json' }) {
+    // Serve from memory after the first read
+    if (cacheMemory.has(filename)) {
+        return structuredClone(cacheMemory.get(filename));
+    }
+
+    try {
+        // Debug logging for troubleshooting
+        out.info(`Current working directory: ${process.cwd()}`);
+        out.info(`Attempting to read cache file: ${filename}`);
+        out.info(`File exists: ${fs.existsSync(filename)}`);
+
+        if (!fs.existsSync(filename)) {
+            out.warn(`Cache file does not exist: ${filename}`);
+            return {};
+        }
+
+        const data = fs.readFileSync(filename, 'utf8');
+        const parsed = JSON.parse(data);
+        cacheMemory.set(filename, parsed);
+        out.info(`Cache loaded successfully from: ${filename}`);
+        return structuredClone(parsed);
+        
+    } catch (error) {
+        out.warn(`Error reading cache (${filename}): ${error.message}`);
+        return {};
+    }
+}
+
+/**
+ * Returns the state database, opening and migrating it on first use
+ * The database runs in WAL mode so a crash never leaves a half-written state behind.
+ * 
+ * @function getStateDb
+ * @returns {Database} better-sqlite3 database handle
+ * @throws {Error} When the database cannot be opened or migrated
+ */
+export function getStateDb() {
+    if (stateDb) {
+        return stateDb;
+    }
+
+    let db;
+    if (runtime.dryRun) {
+        // Work on an in-memory copy, so a dry run sees the real state but never changes it
+        out.info(`Opening an in-memory copy of the state database: ${config.Cache.DATABASE_FILENAME}`);
+        if (fs.existsSync(config.Cache.DATABASE_FILENAME)) {
+            // Not opened read-only: SQLite cannot open a WAL database read-only without its -shm file
+            const source = new Database(config.Cache.DATABASE_FILENAME, { fileMustExist: true });
+            try {
+                const buffer = source.serialize();
+                // In-memory databases cannot use WAL: mark the copy as a rollback journal database
+                buffer[18] = 1;
+                buffer[19] = 1;
+                db = new Database(buffer);
+            } finally {
+                source.close();
+            }
+        } else {
+            db = new Database(':memory:');
+        }
+    } else {
+        out.info(`Opening state database: ${config.Cache.DATABASE_FILENAME}`);
+        db = new Database(config.Cache.DATABASE_FILENAME);
+    }
+    try {
+        db.pragma('journal_mode = WAL');
+        db.pragma('foreign_keys = ON');
+        db.pragma('busy_timeout = 5000');
+
+        migrateStateDb(db);
+        importLegacyJsonCaches(db);
+    } catch (error) {
+        db.close();
+        throw error;
+    }
+
+    stateDb = db;
+    return stateDb;
+}
+
+/**
+ * Closes the state database if it is open
+ * @function closeStateStore
+ * @returns {void}
+ */
+export function closeStateStore() {
+    if (stateDb) {
+        stateDb.close();
+        stateDb = null;
+    }
+}
+
+/**
+ * Applies pending schema migrations inside a transaction
+ * @param {Database} db - Database handle
+ * @returns {void}
+ */
+function migrateStateDb(db) {
+    // Schema migrations, applied in order; the applied count is stored in PRAGMA user_version
+    const migrations = [
+        // 1: insights, per-destination deliveries, key/value state and run history
+        `CREATE TABLE insights (
+            id TEXT PRIMARY KEY,
+            processed_at TEXT NOT NULL,
+            background_type TEXT,
+            background_value TEXT,
+            snapshot TEXT,
+            legacy INTEGER NOT NULL DEFAULT 0,
+            missing_since TEXT,
+            deleted_at TEXT,
+            synced_at TEXT
+        );
+        CREATE TABLE deliveries (
+            insight_id TEXT NOT NULL REFERENCES insights(id) ON DELETE CASCADE,
+            destination_key TEXT NOT NULL,
+            sent_at TEXT,
+            message_id INTEGER,
+            chat_id TEXT,
+            kind TEXT,
+            failed_at TEXT,
+            error TEXT,
+            attempts INTEGER NOT NULL DEFAULT 0,
+            deleted_at TEXT,
+            delete_error TEXT,
+            PRIMARY KEY (insight_id, destination_key)
+        );
+        CREATE TABLE state (
+            key TEXT PRIMARY KEY,
+            value TEXT NOT NULL,
+            updated_at TEXT NOT NULL
+        );
+        CREATE TABLE runs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            started_at TEXT NOT NULL,
+            finished_at TEXT,
+            status TEXT NOT NULL DEFAULT 'running',
+            fetched_count INTEGER NOT NULL DEFAULT 0,
+            sent_count INTEGER NOT NULL DEFAULT 0,
+            failed_count INTEGER NOT NULL DEFAULT 0,
+            error TEXT
+        );`,
+        // 2: digest deliveries, tracked per destination and period
+        `CREATE TABLE digests (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            destination_key TEXT NOT NULL,
+            period_start TEXT NOT NULL,
+            period_end TEXT NOT NULL,
+            insight_ids TEXT NOT NULL,
+            sent_at TEXT,
+            message_id INTEGER,
+            chat_id TEXT,
+            failed_at TEXT,
+            error TEXT,
+            attempts INTEGER NOT NULL DEFAULT 0,
+            UNIQUE (destination_key, period_end)
+        );`,
+        // 3: feedback votes from the inline keyboard, one per user and insight
+        `CREATE TABLE feedback (
+            insight_id TEXT NOT NULL,
+            user_id INTEGER NOT NULL,
+            vote INTEGER NOT NULL,
+            chat_id TEXT,
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL,
+            PRIMARY KEY (insight_id, user_id)
+        );`,
+        // 4: chat subscriptions made with /subscribe (removed ones are kept for the record)
+        `CREATE TABLE subscriptions (
+            key TEXT PRIMARY KEY,
+            chat_id TEXT NOT NULL,
+            message_thread_id INTEGER,
+            title TEXT,
+            filters TEXT,
+            digest TEXT,
+            status TEXT NOT NULL,
+            requested_by INTEGER,
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL,
+            removed_reason TEXT
+        );`,
+        // 5: moderation queue (one review per insight)
+        `CREATE TABLE moderation (
+            insight_id TEXT PRIMARY KEY,
+            status TEXT NOT NULL,
+            caption TEXT,
+            review_chat_id TEXT,
+            review_message_id INTEGER,
+            review_kind TEXT,
+            prompt_message_id INTEGER,
+            requested_at TEXT NOT NULL,
+            decided_at TEXT,
+            decided_by TEXT,
+            released_at TEXT
+        );`,
+        // 6: insights held back by destination delivery windows
+        `CREATE TABLE scheduled_deliveries (
+            insight_id TEXT NOT NULL,
+            destination_key TEXT NOT NULL,
+            published_at TEXT,
+            queued_at TEXT NOT NULL,
+            held INTEGER NOT NULL DEFAULT 0,
+            PRIMARY KEY (insight_id, destination_key)
+        );`,
+        // 7: image cache index (files live in IMAGE_CACHE_DIR) and Telegram file_ids of uploaded images
+        `CREATE TABLE image_cache (
+            key TEXT PRIMARY KEY,
+            hash TEXT NOT NULL,
+            source TEXT NOT NULL,
+            etag TEXT,
+            last_modified TEXT,
+            size INTEGER NOT NULL,
+            created_at TEXT NOT NULL,
+            last_used_at TEXT NOT NULL
+        );
+        CREATE INDEX image_cache_last_used ON image_cache (last_used_at);
+        CREATE TABLE telegram_files (
+            hash TEXT PRIMARY KEY,
+            file_id TEXT NOT NULL,
+            created_at TEXT NOT NULL,
+            last_used_at TEXT NOT NULL
+        );`
+    ];
+
+    const currentVersion = db.pragma('user_version', { simple: true });
+
+    for (let version = currentVersion; version < migrations.length; version++) {
+        db.transaction(() => {
+            db.exec(migrations[version]);
+            db.pragma(`user_version = ${version + 1}`);
+        })();
+        out.info(`Applied state database migration ${version + 1}`);
+    }
+}
+
+/**
+ * Imports the legacy JSON cache files into the state database, once
+ * Handles legacy string entries, metadata objects without deliveries (both treated as
+ * delivered everywhere) and objects with per-destination deliveries. The JSON files are
+ * left in place; the import is recorded in the state table so it never runs twice.
+ * 
+ * @param {Database} db - Database handle
+ * @returns {void}
+ * @throws {Error} When a legacy file exists but cannot be read, so the import stays pending
+ */
+function importLegacyJsonCaches(db) {
+    if (db.prepare('SELECT 1 FROM state WHERE key = ?').get('legacy_json_imported')) {
+        return;
+    }
+
+    const processedData = readLegacyCache(config.Cache.PROCESSED_IDS_FILENAME);
+    const latestData = readLegacyCache(config.Cache.FILENAME);
+    const entries = Array.isArray(processedData.processedIds) ? processedData.processedIds : [];
+
+    const insertInsight = db.prepare(`INSERT OR IGNORE INTO insights
+        (id, processed_at, background_type, background_value, snapshot, legacy, missing_since, deleted_at, synced_at)
+        VALUES (@id, @processedAt, @backgroundType, @backgroundValue, @snapshot, @legacy, @missingSince, @deletedAt, @syncedAt)`);
+    const now = new Date().toISOString();
+
+    db.transaction(() => {
+        for (const item of entries) {
+            const entry = typeof item === 'string' ? { id: item } : item;
+            if (!entry || !entry.id) {
+                continue;
+            }
+
+            insertInsight.run({
+                id: String(entry.id),
+                processedAt: entry.processedAt || processedData.lastUpdated || now,
+                backgroundType: entry.backgroundType ?? null,
+                backgroundValue: entry.backgroundValue ?? null,
+                snapshot: entry.snapshot ? JSON.stringify(entry.snapshot) : null,
+                legacy: entry.deliveries ? 0 : 1,
+                missingSince: entry.missingSince ?? null,
+                deletedAt: entry.deletedAt ?? null,
+                syncedAt: entry.syncedAt ?? null
+            });
+            for (const [key, delivery] of Object.entries(entry.deliveries || {})) {
+                upsertDeliveryRow(db, String(entry.id), key, delivery);
+            }
+        }
+
+        if (latestData.publishedAt) {
+            setStateValue(db, 'latest_insight', latestData);
+        }
+        setStateValue(db, 'legacy_json_imported', { importedAt: now, insights: entries.length });
+    })();
+
+    if (entries.length > 0 || latestData.publishedAt) {
+        out.success(`Imported ${entries.length} processed insights from legacy JSON caches into the state database`);
+    }
+}
+
+/**
+ * Reads a legacy JSON cache file for the one-time import
+ * Unlike readCache, an unreadable file is an error: importing it as empty would
+ * mark every insight as new and post them all again.
+ * 
+ * @param {string} filename - Legacy cache file
+ * @returns {Object} Parsed data, or an empty object when the file does not exist
+ * @throws {Error} When the file exists but is not valid JSON
+ */
+function readLegacyCache(filename) {
+    if (!fs.existsSync(filename)) {
+        return {};
+    }
+    try {
+        return JSON.parse(fs.readFileSync(filename, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot import legacy cache file ${filename}: ${error.message}. Fix or remove the file and run again`);
+    }
+}
+
+/**
+ * Writes a key/value pair to the state table
+ * @param {Database} db - Database handle
+ * @param {string} key - State key
+ * @param {*} value - JSON-serializable value
+ * @returns {void}
+ */
+export function setStateValue(db, key, value) {
+    db.prepare(`INSERT INTO state (key, value, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`)
+        .run(key, JSON.stringify(value), new Date().toISOString());
+}
+
+/**
+ * Reads a key/value pair from the state table
+ * @param {string} key - State key
+ * @returns {*} Parsed value, or null when not set
+ */
+export function getStateValue(key) {
+    const row = getStateDb().prepare('SELECT value FROM state WHERE key = ?').get(key);
+    return row ? JSON.parse(row.value) : null;
+}
+
+/**
+ * Inserts or replaces a delivery row from its object form
+ * @param {Database} db - Database handle
+ * @param {string} insightId - The insight ID
+ * @param {string} destinationKey - Destination key
+ * @param {Object} delivery - Delivery record (sentAt, messageId, chatId, kind, failedAt, error, attempts, deletedAt, deleteError)
+ * @returns {void}
+ */
+function upsertDeliveryRow(db, insightId, destinationKey, delivery) {
+    db.prepare(`INSERT INTO deliveries
+        (insight_id, destination_key, sent_at, message_id, chat_id, kind, failed_at, error, attempts, deleted_at, delete_error)
+        VALUES (@insightId, @destinationKey, @sentAt, @messageId, @chatId, @kind, @failedAt, @error, @attempts, @deletedAt, @deleteError)
+        ON CONFLICT(insight_id, destination_key) DO UPDATE SET
+            sent_at = excluded.sent_at, message_id = excluded.message_id, chat_id = excluded.chat_id, kind = excluded.kind,
+            failed_at = excluded.failed_at, error = excluded.error, attempts = excluded.attempts,
+            deleted_at = excluded.deleted_at, delete_error = excluded.delete_error`).run({
+        insightId,
+        destinationKey,
+        sentAt: delivery.sentAt ?? null,
+        messageId: delivery.messageId ?? null,
+        chatId: delivery.chatId !== undefined && delivery.chatId !== null ? String(delivery.chatId) : null,
+        kind: delivery.kind ?? null,
+        failedAt: delivery.failedAt ?? null,
+        error: delivery.error ?? null,
+        attempts: delivery.attempts ?? 0,
+        deletedAt: delivery.deletedAt ?? null,
+        deleteError: delivery.deleteError ?? null
+    });
+}
+
+/**
+ * Converts database rows into a processed insight entry
+ * @param {Object} row - Row from the insights table
+ * @param {Object[]} deliveryRows - Rows from the deliveries table for this insight
+ * @returns {Object} Processed insight entry with a `deliveries` map keyed by destination
+ */
+function toProcessedEntry(row, deliveryRows) {
+    const deliveries = {};
+    for (const delivery of deliveryRows) {
+        deliveries[delivery.destination_key] = {
+            sentAt: delivery.sent_at ?? undefined,
+            messageId: delivery.message_id ?? undefined,
+            chatId: delivery.chat_id ?? undefined,
+            kind: delivery.kind ?? undefined,
+            failedAt: delivery.failed_at ?? undefined,
+            error: delivery.error ?? undefined,
+            attempts: delivery.attempts,
+            deletedAt: delivery.deleted_at ?? undefined,
+            deleteError: delivery.delete_error ?? undefined
+        };
+    }
+
+    return {
+        id: row.id,
+        processedAt: row.processed_at,
+        backgroundType: row.background_type ?? undefined,
+        backgroundValue: row.background_value ?? undefined,
+        snapshot: row.snapshot ? JSON.parse(row.snapshot) : undefined,
+        legacy: row.legacy === 1,
+        missingSince: row.missing_since ?? undefined,
+        deletedAt: row.deleted_at ?? undefined,
+        syncedAt: row.synced_at ?? undefined,
+        deliveries
+    };
+}
+
+/**
+ * Loads the processed entry of an insight from the state database
+ * 
+ * @function getProcessedInsight
+ * @param {string} insightId - The insight ID
+ * @returns {Object|null} Processed insight entry, or null when the insight was never processed
+ */
+function getProcessedInsight(insightId) {
+    const db = getStateDb();
+    const row = db.prepare('SELECT * FROM insights WHERE id = ?').get(String(insightId));
+    if (!row) {
+        return null;
+    }
+    return toProcessedEntry(row, db.prepare('SELECT * FROM deliveries WHERE insight_id = ?').all(row.id));
+}
+
+/**
+ * Lists processed insights whose posted messages can still be synchronized
+ * Legacy entries and deleted insights are excluded
+ * 
+ * @function listSyncableInsights
+ * @returns {Object[]} Processed insight entries, oldest first
+ */
+export function listSyncableInsights() {
+    const db = getStateDb();
+    const rows = db.prepare(`SELECT * FROM insights
+        WHERE legacy = 0 AND snapshot IS NOT NULL AND deleted_at IS NULL
+        ORDER BY processed_at`).all();
+    const deliveryQuery = db.prepare('SELECT * FROM deliveries WHERE insight_id = ?');
+    return rows.map(row => toProcessedEntry(row, deliveryQuery.all(row.id)));
+}
+
+/**
+ * Counts the processed insights in the state database
+ * @function countProcessedInsights
+ * @returns {number} Number of processed insights
+ */
+export function countProcessedInsights() {
+    return getStateDb().prepare('SELECT COUNT(*) AS count FROM insights').get().count;
+}
+
+/**
+ * Gets the delivery status of an insight for a destination
+ * Entries written before per-destination tracking (legacy strings, or objects without
+ * `deliveries`) count as delivered everywhere so upgrading never re-posts them.
+ * 
+ * @function getDeliveryStatus
+ * @param {string} insightId - The insight ID to check
+ * @param {string} destinationKey - Destination key
+ * @returns {'delivered'|'failed'|'none'} Delivery status
+ */
+export function getDeliveryStatus(insightId, destinationKey) {
+    const row = getStateDb().prepare(`SELECT i.legacy, d.sent_at, d.failed_at
+        FROM insights i LEFT JOIN deliveries d ON d.insight_id = i.id AND d.destination_key = ?
+        WHERE i.id = ?`).get(destinationKey, String(insightId));
+
+    if (!row) {
+        return 'none';
+    }
+    if (row.legacy === 1 || row.sent_at) {
+        return 'delivered';
+    }
+    return row.failed_at ? 'failed' : 'none';
+}
+
+/**
+ * Checks if an insight ID has already been processed
+ * 
+ * @function isInsightProcessed
+ * @param {string} insightId - The insight ID to check
+ * @param {string} [destinationKey] - Only check delivery to this destination
+ * @returns {boolean} True if the insight has been processed, false otherwise
+ * @example
+ * if (isInsightProcessed('123')) { console.log('Already processed'); }
+ * if (isInsightProcessed('123', 'desk')) { console.log('Already sent to desk'); }
+ */
+export function isInsightProcessed(insightId, destinationKey) {
+    if (destinationKey !== undefined) {
+        return getDeliveryStatus(insightId, destinationKey) === 'delivered';
+    }
+    return Boolean(getStateDb().prepare('SELECT 1 FROM insights WHERE id = ?').get(String(insightId)));
+}
+
+/**
+ * Records the outcome of delivering an insight to a destination
+ * Creates the processed entry on first use and updates the per-destination result
+ * in a single transaction.
+ * 
+ * @function recordDelivery
+ * @param {string} insightId - The insight ID
+ * @param {string} destinationKey - Destination key
+ * @param {Object} result - Delivery result
+ * @param {boolean} result.ok - Whether the send succeeded
+ * @param {number} [result.messageId] - Telegram message ID of the sent message
+ * @param {string|number} [result.chatId] - Chat the message was posted in
+ * @param {string} [result.kind] - Posted message type ('photo', 'animation', 'video' or 'text')
+ * @param {string} [result.error] - Error message when the send failed
+ * @param {Object} [metadata] - Optional metadata about the insight
+ * @param {string} [metadata.backgroundType] - Type of background ('color' or 'image')
+ * @param {string} [metadata.backgroundValue] - Background color name or image URL
+ * @param {Object} [metadata.snapshot] - Insight fields at send time (see getInsightSnapshot)
+ * @returns {void}
+ * @example
+ * recordDelivery('123', 'desk', { ok: true, messageId: 42 }, { backgroundType: 'color', backgroundValue: 'red-100' });
+ */
+export function recordDelivery(insightId, destinationKey, result, metadata = {}) {
+    const db = getStateDb();
+    const id = String(insightId);
+
+    db.transaction(() => {
+        db.prepare(`INSERT OR IGNORE INTO insights (id, processed_at, background_type, background_value, snapshot)
+            VALUES (?, ?, ?, ?, ?)`).run(
+            id,
+            new Date().toISOString(),
+            metadata.backgroundType ?? null,
+            metadata.backgroundValue ?? null,
+            metadata.snapshot ? JSON.stringify(metadata.snapshot) : null
+        );
+
+        const previous = db.prepare('SELECT attempts FROM deliveries WHERE insight_id = ? AND destination_key = ?')
+            .get(id, destinationKey);
+
+        upsertDeliveryRow(db, id, destinationKey, result.ok
+            ? { sentAt: new Date().toISOString(), messageId: result.messageId, chatId: result.chatId, kind: result.kind, attempts: (previous?.attempts || 0) + 1 }
+            : { failedAt: new Date().toISOString(), error: result.error, attempts: (previous?.attempts || 0) + 1 });
+    })();
+}
+
+/**
+ * Applies a change to the processed entry of an insight and saves it atomically
+ * Legacy entries and unknown IDs are left untouched
+ * 
+ * @function updateProcessedEntry
+ * @param {string} insightId - The insight ID
+ * @param {function(Object): void} updater - Mutates the entry in place
+ * @returns {boolean} True if the entry was found and saved
+ */
+export function updateProcessedEntry(insightId, updater) {
+    const db = getStateDb();
+
+    return db.transaction(() => {
+        const entry = getProcessedInsight(insightId);
+        if (!entry || entry.legacy) {
+            return false;
+        }
+
+        updater(entry);
+
+        db.prepare(`UPDATE insights SET snapshot = ?, missing_since = ?, deleted_at = ?, synced_at = ? WHERE id = ?`).run(
+            entry.snapshot ? JSON.stringify(entry.snapshot) : null,
+            entry.missingSince ?? null,
+            entry.deletedAt ?? null,
+            entry.syncedAt ?? null,
+            entry.id
+        );
+        for (const [key, delivery] of Object.entries(entry.deliveries)) {
+            upsertDeliveryRow(db, entry.id, key, delivery);
+        }
+        return true;
+    })();
+}
+
+/**
+ * Gets the most recently published insight that was sent (timestamp optimization)
+ * @function getLatestSentInsight
+ * @returns {{id?: string, publishedAt?: string, sentAt?: string}} Latest sent insight, or an empty object
+ */
+export function getLatestSentInsight() {
+    return getStateValue('latest_insight') || {};
+}
+
+/**
+ * Records a sent insight as the latest one unless a newer insight was already recorded
+ * @function recordLatestSentInsight
+ * @param {Object} insight - The insight that was sent
+ * @returns {void}
+ */
+export function recordLatestSentInsight(insight) {
+    const db = getStateDb();
+    db.transaction(() => {
+        const latest = getLatestSentInsight();
+        if (!latest.publishedAt || new Date(insight.publishedAt) >= new Date(latest.publishedAt)) {
+            setStateValue(db, 'latest_insight', {
+                id: insight.id,
+                publishedAt: insight.publishedAt,
+                sentAt: new Date().toISOString()
+            });
+        }
+    })();
+}
+
+/**
+ * Starts a run history record
+ * @function startRunRecord
+ * @returns {number} Run ID
+ */
+export function startRunRecord() {
+    return Number(getStateDb().prepare('INSERT INTO runs (started_at) VALUES (?)').run(new Date().toISOString()).lastInsertRowid);
+}
+
+/**
+ * Completes a run history record
+ * @function finishRunRecord
+ * @param {number} runId - Run ID from startRunRecord
+ * @param {Object} result - Run outcome
+ * @param {string} result.status - 'success' or 'error'
+ * @param {number} [result.fetched=0] - Insights returned by the API
+ * @param {number} [result.sent=0] - Messages sent
+ * @param {number} [result.failed=0] - Messages that failed
+ * @param {string} [result.error] - Error message when the run failed
+ * @returns {void}
+ */
+export function finishRunRecord(runId, { status, fetched = 0, sent = 0, failed = 0, error }) {
+    getStateDb().prepare(`UPDATE runs SET finished_at = ?, status = ?, fetched_count = ?, sent_count = ?, failed_count = ?, error = ?
+        WHERE id = ?`).run(new Date().toISOString(), status, fetched, sent, failed, error ?? null, runId);
+}
+
+/**
+ * Gets the most recent run from the run history
+ * @function getLastRunRecord
+ * @returns {{startedAt: string, finishedAt: string|null, status: string, sent: number, failed: number}|null} Last run, or null
+ */
+export function getLastRunRecord() {
+    const row = getStateDb().prepare('SELECT * FROM runs ORDER BY id DESC LIMIT 1').get();
+    if (!row) {
+        return null;
+    }
+    return { startedAt: row.started_at, finishedAt: row.finished_at, status: row.status, sent: row.sent_count, failed: row.failed_count };
+}
+
+/**
+ * Gets the most recent digest period that was completed for a destination
+ * Empty periods are recorded as completed too, so they are not re-checked.
+ * 
+ * @function getLastDigest
+ * @param {string} destinationKey - Destination key
+ * @returns {{periodStart: string, periodEnd: string, sentAt: string, messageId: number|null}|null} Last completed digest, or null
+ */
+export function getLastDigest(destinationKey) {
+    const row = getStateDb().prepare(`SELECT period_start, period_end, sent_at, message_id FROM digests
+        WHERE destination_key = ? AND sent_at IS NOT NULL ORDER BY period_end DESC LIMIT 1`).get(destinationKey);
+    if (!row) {
+        return null;
+    }
+    return { periodStart: row.period_start, periodEnd: row.period_end, sentAt: row.sent_at, messageId: row.message_id };
+}
+
+/**
+ * Records the outcome of a digest for one period
+ * A failed digest is retried on the next run; a successful one completes the period.
+ * 
+ * @function recordDigest
+ * @param {string} destinationKey - Destination key
+ * @param {Object} digest - Digest outcome
+ * @param {Date} digest.periodStart - Start of the period (exclusive)
+ * @param {Date} digest.periodEnd - End of the period (inclusive)
+ * @param {string[]} digest.insightIds - Insights listed in the digest
+ * @param {boolean} digest.ok - Whether the digest was sent (or skipped because the period was empty)
+ * @param {number} [digest.messageId] - Telegram message_id of the digest
+ * @param {string|number} [digest.chatId] - Chat the digest was posted to
+ * @param {string} [digest.error] - Error message when the send failed
+ * @returns {void}
+ */
+export function recordDigest(destinationKey, { periodStart, periodEnd, insightIds, ok, messageId, chatId, error }) {
+    const now = new Date().toISOString();
+    getStateDb().prepare(`INSERT INTO digests
+        (destination_key, period_start, period_end, insight_ids, sent_at, message_id, chat_id, failed_at, error, attempts)
+        VALUES (@destinationKey, @periodStart, @periodEnd, @insightIds, @sentAt, @messageId, @chatId, @failedAt, @error, 1)
+        ON CONFLICT(destination_key, period_end) DO UPDATE SET
+            period_start = excluded.period_start, insight_ids = excluded.insight_ids, sent_at = excluded.sent_at,
+            message_id = excluded.message_id, chat_id = excluded.chat_id, failed_at = excluded.failed_at,
+            error = excluded.error, attempts = digests.attempts + 1`).run({
+        destinationKey,
+        periodStart: periodStart.toISOString(),
+        periodEnd: periodEnd.toISOString(),
+        insightIds: JSON.stringify(insightIds),
+        sentAt: ok ? now : null,
+        messageId: messageId ?? null,
+        chatId: chatId !== undefined && chatId !== null ? String(chatId) : null,
+        failedAt: ok ? null : now,
+        error: ok ? null : (error ?? null)
+    });
+}
+
+/**
+ * Records a feedback vote, toggling it off when the user repeats the same vote
+ * @function recordFeedback
+ * @param {string} insightId - The insight ID
+ * @param {number} userId - Telegram user ID
+ * @param {1|-1} vote - 1 for 👍, -1 for 👎
+ * @param {string|number} [chatId] - Chat the button was pressed in
+ * @returns {'added'|'changed'|'removed'} What happened to the user's vote
+ */
+export function recordFeedback(insightId, userId, vote, chatId) {
+    const db = getStateDb();
+    return db.transaction(() => {
+        const existing = db.prepare('SELECT vote FROM feedback WHERE insight_id = ? AND user_id = ?').get(insightId, userId);
+        if (existing && existing.vote === vote) {
+            db.prepare('DELETE FROM feedback WHERE insight_id = ? AND user_id = ?').run(insightId, userId);
+            return 'removed';
+        }
+
+        const now = new Date().toISOString();
+        db.prepare(`INSERT INTO feedback (insight_id, user_id, vote, chat_id, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT(insight_id, user_id) DO UPDATE SET vote = excluded.vote, chat_id = excluded.chat_id, updated_at = excluded.updated_at`)
+            .run(insightId, userId, vote, chatId !== undefined && chatId !== null ? String(chatId) : null, now, now);
+        return existing ? 'changed' : 'added';
+    })();
+}
+
+/**
+ * Counts the feedback votes of an insight
+ * @function getFeedbackCounts
+ * @param {string} insightId - The insight ID
+ * @returns {{up: number, down: number}} Vote counts
+ */
+export function getFeedbackCounts(insightId) {
+    const row = getStateDb().prepare(`SELECT
+            COALESCE(SUM(CASE WHEN vote > 0 THEN 1 ELSE 0 END), 0) AS up,
+            COALESCE(SUM(CASE WHEN vote < 0 THEN 1 ELSE 0 END), 0) AS down
+        FROM feedback WHERE insight_id = ?`).get(insightId);
+    return { up: row.up, down: row.down };
+}
+
+/**
+ * Removes the subscriptions of a subscribed chat that can no longer be reached
+ * Configured destinations are never touched; their failures are only logged.
+ * 
+ * @function removeGoneSubscription
+ * @param {Object} destination - Destination a send failed for
+ * @param {Error} error - The send error
+ * @returns {void}
+ */
+export function removeGoneSubscription(destination, error) {
+    if (destination.subscription && error instanceof TelegramApiError && error.isChatGone) {
+        removeChatSubscriptions(destination.chatId, error.description || error.message);
+    }
+}
+
+/**
+ * Converts a subscriptions row into a subscription object
+ * @param {Object} row - Database row
+ * @returns {Object} Subscription
+ */
+function toSubscription(row) {
+    return {
+        key: row.key,
+        chatId: row.chat_id,
+        messageThreadId: row.message_thread_id ?? undefined,
+        title: row.title,
+        filters: row.filters ? JSON.parse(row.filters) : null,
+        digest: row.digest ? JSON.parse(row.digest) : null,
+        status: row.status,
+        requestedBy: row.requested_by,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        removedReason: row.removed_reason
+    };
+}
+
+/**
+ * Lists the chat subscriptions with a given status
+ * @function listSubscriptions
+ * @param {'active'|'pending'|'removed'} status - Subscription status
+ * @returns {Object[]} Subscriptions, oldest first
+ */
+export function listSubscriptions(status) {
+    return getStateDb().prepare('SELECT * FROM subscriptions WHERE status = ? ORDER BY created_at')
+        .all(status)
+        .map(toSubscription);
+}
+
+/**
+ * Gets one chat subscription by key
+ * @function getSubscription
+ * @param {string} key - Subscription key
+ * @returns {Object|null} Subscription, or null when the chat never subscribed
+ */
+export function getSubscription(key) {
+    const row = getStateDb().prepare('SELECT * FROM subscriptions WHERE key = ?').get(key);
+    return row ? toSubscription(row) : null;
+}
+
+/**
+ * Creates or replaces a chat subscription
+ * Subscribing again (for example with other filters) keeps the original creation time.
+ * 
+ * @function saveSubscription
+ * @param {Object} subscription - Subscription to store
+ * @param {string} subscription.key - Subscription key (see getSubscriptionKey)
+ * @param {string|number} subscription.chatId - Chat ID
+ * @param {number} [subscription.messageThreadId] - Forum topic ID
+ * @param {string} [subscription.title] - Chat title
+ * @param {Object} [subscription.filters] - Raw destination filters
+ * @param {Object} [subscription.digest] - Raw digest settings (instant delivery when omitted)
+ * @param {'active'|'pending'} subscription.status - Subscription status
+ * @param {number} [subscription.requestedBy] - User ID of the admin who subscribed
+ * @returns {void}
+ */
+export function saveSubscription({ key, chatId, messageThreadId, title, filters, digest, status, requestedBy }) {
+    const now = new Date().toISOString();
+    getStateDb().prepare(`INSERT INTO subscriptions (key, chat_id, message_thread_id, title, filters, digest, status, requested_by, created_at, updated_at)
+        VALUES (@key, @chatId, @messageThreadId, @title, @filters, @digest, @status, @requestedBy, @now, @now)
+        ON CONFLICT(key) DO UPDATE SET
+            title = excluded.title,
+            filters = excluded.filters,
+            digest = excluded.digest,
+            status = excluded.status,
+            requested_by = excluded.requested_by,
+            updated_at = excluded.updated_at,
+            removed_reason = NULL`)
+        .run({
+            key,
+            chatId: String(chatId),
+            messageThreadId: messageThreadId ?? null,
+            title: title ?? null,
+            filters: filters ? JSON.stringify(filters) : null,
+            digest: digest ? JSON.stringify(digest) : null,
+            status,
+            requestedBy: requestedBy ?? null,
+            now
+        });
+}
+
+/**
+ * Changes the status of a chat subscription
+ * @function setSubscriptionStatus
+ * @param {string} key - Subscription key
+ * @param {'active'|'pending'|'removed'} status - New status
+ * @param {string} [reason] - Why the subscription was removed
+ * @returns {boolean} True when the subscription existed
+ */
+export function setSubscriptionStatus(key, status, reason) {
+    const result = getStateDb().prepare('UPDATE subscriptions SET status = ?, removed_reason = ?, updated_at = ? WHERE key = ?')
+        .run(status, status === 'removed' ? (reason ?? null) : null, new Date().toISOString(), key);
+    return result.changes > 0;
+}
+
+/**
+ * Removes every subscription of a chat (all of its forum topics)
+ * Used when the bot was removed from the chat or the chat no longer exists.
+ * 
+ * @function removeChatSubscriptions
+ * @param {string|number} chatId - Chat ID
+ * @param {string} reason - Why the subscriptions were removed
+ * @returns {number} Number of subscriptions removed
+ */
+export function removeChatSubscriptions(chatId, reason) {
+    const result = getStateDb().prepare(`UPDATE subscriptions SET status = 'removed', removed_reason = ?, updated_at = ?
+        WHERE chat_id = ? AND status != 'removed'`)
+        .run(reason, new Date().toISOString(), String(chatId));
+    if (result.changes > 0) {
+        out.warn(`Removed ${result.changes} subscription(s) of chat ${chatId}: ${reason}`);
+    }
+    return result.changes;
+}
+
+/**
+ * Converts a moderation row into a review object
+ * @param {Object} row - Database row
+ * @returns {Object} Review
+ */
+function toModerationRecord(row) {
+    return {
+        insightId: row.insight_id,
+        status: row.status,
+        caption: row.caption,
+        reviewChatId: row.review_chat_id,
+        reviewMessageId: row.review_message_id,
+        reviewKind: row.review_kind,
+        promptMessageId: row.prompt_message_id,
+        requestedAt: row.requested_at,
+        decidedAt: row.decided_at,
+        decidedBy: row.decided_by,
+        releasedAt: row.released_at
+    };
+}
+
+/**
+ * Gets the review of an insight
+ * @function getModerationRecord
+ * @param {string} insightId - The insight ID
+ * @returns {Object|null} Review, or null when the insight was never submitted
+ */
+export function getModerationRecord(insightId) {
+    const row = getStateDb().prepare('SELECT * FROM moderation WHERE insight_id = ?').get(String(insightId));
+    return row ? toModerationRecord(row) : null;
+}
+
+/**
+ * Finds the pending review whose "Edit caption" prompt a message replies to
+ * @function findModerationRecordByPrompt
+ * @param {number} promptMessageId - Message ID of the prompt
+ * @returns {Object|null} Review, or null when no review is waiting for that reply
+ */
+export function findModerationRecordByPrompt(promptMessageId) {
+    const row = getStateDb().prepare(`SELECT * FROM moderation WHERE prompt_message_id = ? AND status = 'pending'`).get(promptMessageId);
+    return row ? toModerationRecord(row) : null;
+}
+
+/**
+ * Lists reviews by status
+ * @function listModerationRecords
+ * @param {'pending'|'approved'|'rejected'} status - Review status
+ * @param {Object} [options] - List options
+ * @param {boolean} [options.unreleased=false] - Only reviews whose insight was not handed to delivery yet
+ * @returns {Object[]} Reviews, oldest first
+ */
+export function listModerationRecords(status, { unreleased = false } = {}) {
+    return getStateDb().prepare(`SELECT * FROM moderation WHERE status = ?${unreleased ? ' AND released_at IS NULL' : ''} ORDER BY requested_at`)
+        .all(status)
+        .map(toModerationRecord);
+}
+
+/**
+ * Records that an insight's preview was sent to the review chat
+ * @function saveModerationRequest
+ * @param {string} insightId - The insight ID
+ * @param {Object} preview - The preview message
+ * @param {string|number} preview.chatId - Review chat ID
+ * @param {number} preview.messageId - Preview message ID
+ * @param {string} preview.kind - Preview message type ('photo', 'animation', 'video' or 'text')
+ * @returns {void}
+ */
+export function saveModerationRequest(insightId, { chatId, messageId, kind }) {
+    getStateDb().prepare(`INSERT INTO moderation (insight_id, status, review_chat_id, review_message_id, review_kind, requested_at)
+        VALUES (?, 'pending', ?, ?, ?, ?)`)
+        .run(String(insightId), String(chatId), messageId ?? null, kind ?? null, new Date().toISOString());
+}
+
+/**
+ * Updates fields of an insight's review
+ * @function updateModerationRecord
+ * @param {string} insightId - The insight ID
+ * @param {Object} changes - Fields to change (status, caption, promptMessageId, decidedAt, decidedBy, releasedAt)
+ * @returns {void}
+ */
+export function updateModerationRecord(insightId, changes) {
+    const columns = {
+        status: 'status',
+        caption: 'caption',
+        promptMessageId: 'prompt_message_id',
+        decidedAt: 'decided_at',
+        decidedBy: 'decided_by',
+        releasedAt: 'released_at'
+    };
+    const fields = Object.keys(changes).filter(field => Object.hasOwn(columns, field));
+    if (fields.length === 0) {
+        return;
+    }
+
+    getStateDb().prepare(`UPDATE moderation SET ${fields.map(field => `${columns[field]} = @${field}`).join(', ')} WHERE insight_id = @insightId`)
+        .run({ ...Object.fromEntries(fields.map(field => [field, changes[field] ?? null])), insightId: String(insightId) });
+}
+
+/**
+ * Adds an insight to a destination's delivery queue
+ * @function queueScheduledDelivery
+ * @param {Object} insight - The insight object
+ * @param {string} destinationKey - Destination key
+ * @param {boolean} held - Whether the delivery window was closed when it was queued
+ * @returns {boolean} True when the insight was added, false when it was already queued
+ */
+export function queueScheduledDelivery(insight, destinationKey, held) {
+    const result = getStateDb().prepare(`INSERT OR IGNORE INTO scheduled_deliveries (insight_id, destination_key, published_at, queued_at, held)
+        VALUES (?, ?, ?, ?, ?)`)
+        .run(String(insight.id), destinationKey, insight.publishedAt ?? null, new Date().toISOString(), held ? 1 : 0);
+    return result.changes > 0;
+}
+
+/**
+ * Lists the queued insights of a destination, oldest publication first
+ * @function listScheduledDeliveries
+ * @param {string} destinationKey - Destination key
+ * @returns {Array<{insightId: string, publishedAt: string|null, queuedAt: string, held: boolean}>} Queued insights
+ */
+export function listScheduledDeliveries(destinationKey) {
+    return getStateDb().prepare('SELECT * FROM scheduled_deliveries WHERE destination_key = ? ORDER BY published_at, queued_at')
+        .all(destinationKey)
+        .map(row => ({ insightId: row.insight_id, publishedAt: row.published_at, queuedAt: row.queued_at, held: row.held === 1 }));
+}
+
+/**
+ * Removes an insight from a destination's delivery queue
+ * @function removeScheduledDelivery
+ * @param {string} insightId - The insight ID
+ * @param {string} destinationKey - Destination key
+ * @returns {void}
+ */
+export function removeScheduledDelivery(insightId, destinationKey) {
+    getStateDb().prepare('DELETE FROM scheduled_deliveries WHERE insight_id = ? AND destination_key = ?')
+        .run(String(insightId), destinationKey);
+}
+
+/**
+ * Gets the time of the last successful post to a destination
+ * @function getLastDeliveryTime
+ * @param {string} destinationKey - Destination key
+ * @returns {Date|null} Time of the last post, or null when nothing was posted yet
+ */
+export function getLastDeliveryTime(destinationKey) {
+    const row = getStateDb().prepare('SELECT MAX(sent_at) AS sent_at FROM deliveries WHERE destination_key = ?').get(destinationKey);
+    return row?.sent_at ? new Date(row.sent_at) : null;
+}
+
+/**
+ * Converts an image_cache row to an entry object
+ * @param {Object} row - Database row
+ * @returns {Object} Cache entry
+ */
+function toImageCacheEntry(row) {
+    return {
+        key: row.key,
+        hash: row.hash,
+        source: row.source,
+        etag: row.etag,
+        lastModified: row.last_modified,
+        size: row.size,
+        createdAt: row.created_at,
+        lastUsedAt: row.last_used_at
+    };
+}
+
+/**
+ * Gets an image cache entry
+ * @function getImageCacheEntry
+ * @param {string} key - Cache key
+ * @returns {Object|null} `{ key, hash, source, etag, lastModified, size, createdAt, lastUsedAt }`, or null when not cached
+ */
+export function getImageCacheEntry(key) {
+    const row = getStateDb().prepare('SELECT * FROM image_cache WHERE key = ?').get(key);
+    return row ? toImageCacheEntry(row) : null;
+}
+
+/**
+ * Adds or replaces an image cache entry
+ * @function saveImageCacheEntry
+ * @param {Object} entry - Cache entry
+ * @param {string} entry.key - Cache key
+ * @param {string} entry.hash - SHA-256 of the cached file
+ * @param {string} entry.source - What was cached (URL or render kind), for troubleshooting
+ * @param {string} [entry.etag] - ETag of a downloaded file
+ * @param {string} [entry.lastModified] - Last-Modified of a downloaded file
+ * @param {number} entry.size - File size in bytes
+ * @returns {void}
+ */
+export function saveImageCacheEntry({ key, hash, source, etag, lastModified, size }) {
+    const now = new Date().toISOString();
+    getStateDb().prepare(`INSERT INTO image_cache (key, hash, source, etag, last_modified, size, created_at, last_used_at)
+        VALUES (@key, @hash, @source, @etag, @lastModified, @size, @now, @now)
+        ON CONFLICT(key) DO UPDATE SET hash = excluded.hash, source = excluded.source, etag = excluded.etag,
+            last_modified = excluded.last_modified, size = excluded.size, created_at = excluded.created_at, last_used_at = excluded.last_used_at`)
+        .run({ key, hash, source, etag: etag ?? null, lastModified: lastModified ?? null, size, now });
+}
+
+/**
+ * Marks an image cache entry as used now
+ * @function touchImageCacheEntry
+ * @param {string} key - Cache key
+ * @returns {void}
+ */
+export function touchImageCacheEntry(key) {
+    getStateDb().prepare('UPDATE image_cache SET last_used_at = ? WHERE key = ?').run(new Date().toISOString(), key);
+}
+
+/**
+ * Removes image cache entries
+ * @function removeImageCacheEntries
+ * @param {string[]} keys - Cache keys
+ * @returns {void}
+ */
+export function removeImageCacheEntries(keys) {
+    const db = getStateDb();
+    const remove = db.prepare('DELETE FROM image_cache WHERE key = ?');
+    db.transaction(() => keys.forEach(key => remove.run(key)))();
+}
+
+/**
+ * Lists all image cache entries, least recently used first
+ * @function listImageCacheEntries
+ * @returns {Object[]} Cache entries
+ */
+export function listImageCacheEntries() {
+    return getStateDb().prepare('SELECT * FROM image_cache ORDER BY last_used_at, key').all().map(toImageCacheEntry);
+}
+
+/**
+ * Gets the Telegram file_id of an uploaded image
+ * @function getTelegramFileId
+ * @param {string} hash - SHA-256 of the image
+ * @returns {string|null} file_id, or null when the image was never uploaded
+ */
+export function getTelegramFileId(hash) {
+    const row = getStateDb().prepare('SELECT file_id FROM telegram_files WHERE hash = ?').get(hash);
+    if (!row) {
+        return null;
+    }
+    getStateDb().prepare('UPDATE telegram_files SET last_used_at = ? WHERE hash = ?').run(new Date().toISOString(), hash);
+    return row.file_id;
+}
+
+/**
+ * Stores the Telegram file_id of an uploaded image
+ * @function saveTelegramFileId
+ * @param {string} hash - SHA-256 of the image
+ * @param {string} fileId - file_id returned by Telegram
+ * @returns {void}
+ */
+export function saveTelegramFileId(hash, fileId) {
+    const now = new Date().toISOString();
+    getStateDb().prepare(`INSERT INTO telegram_files (hash, file_id, created_at, last_used_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT(hash) DO UPDATE SET file_id = excluded.file_id, last_used_at = excluded.last_used_at`)
+        .run(hash, fileId, now, now);
+}
+
+/**
+ * Forgets Telegram file_ids, either one image's or all that were not used since a given time
+ * @function forgetTelegramFileIds
+ * @param {Object} options - Which file_ids to forget
+ * @param {string} [options.hash] - SHA-256 of one image
+ * @param {string} [options.usedBefore] - ISO timestamp; file_ids last used earlier are forgotten
+ * @returns {number} Number of file_ids forgotten
+ */
+export function forgetTelegramFileIds({ hash, usedBefore }) {
+    const db = getStateDb();
+    const result = hash !== undefined
+        ? db.prepare('DELETE FROM telegram_files WHERE hash = ?').run(hash)
+        : db.prepare('DELETE FROM telegram_files WHERE last_used_at < ?').run(usedBefore);
+    return result.changes;
+}
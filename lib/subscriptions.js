@@ -0,0 +1,274 @@
+/**
+ * Chat subscriptions
+ * Handles /subscribe and /unsubscribe and the owner approval flow.
+ */
+import { out } from './logger.js';
+import { config } from './config.js';
+import { escapeText } from './format.js';
+import { getSubscription, removeChatSubscriptions, saveSubscription, setSubscriptionStatus } from './store.js';
+import { TelegramApiError, answerCallbackQuery, callTelegramApi } from './telegram.js';
+import { SUBSCRIBE_USAGE, replyToCommand } from './commands.js';
+
+/**
+ * Checks whether the sender of /subscribe or /unsubscribe may manage the chat's subscription
+ * Anyone may subscribe their private chat, channel posts come from channel admins, and
+ * anonymous group admins post as the group itself. Everyone else must be an admin of the group.
+ * 
+ * @async
+ * @function canManageSubscription
+ * @param {Object} message - Telegram Message object
+ * @returns {Promise<boolean>} True when the sender may manage the subscription
+ */
+export async function canManageSubscription(message) {
+    const { chat } = message;
+    if (chat.type === 'private' || chat.type === 'channel' || message.sender_chat?.id === chat.id) {
+        return true;
+    }
+    if (!message.from) {
+        return false;
+    }
+    if (String(message.from.id) === config.Subscriptions.OWNER_USER_ID) {
+        return true;
+    }
+
+    try {
+        const response = await callTelegramApi('getChatMember', { chat_id: chat.id, user_id: message.from.id });
+        return ['creator', 'administrator'].includes(response.result?.status);
+    } catch (error) {
+        out.warn(`Could not check the admin rights of user ${message.from.id} in chat ${chat.id}: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Builds the key of a chat's subscription (also used as its delivery key)
+ * @function getSubscriptionKey
+ * @param {string|number} chatId - Chat ID
+ * @param {number} [messageThreadId] - Forum topic ID
+ * @returns {string} Subscription key
+ */
+function getSubscriptionKey(chatId, messageThreadId) {
+    return messageThreadId !== undefined ? `sub:${chatId}:${messageThreadId}` : `sub:${chatId}`;
+}
+
+/**
+ * Parses the options of /subscribe into raw destination filters and digest settings
+ * `instant` (default), `daily` or `weekly` choose the delivery mode; `types=`, `backgrounds=`
+ * and `tags=` take comma-separated lists and `minread=` a number of minutes.
+ * 
+ * @function parseSubscriptionArgs
+ * @param {string[]} args - Command arguments
+ * @returns {{filters: Object|null, digest: Object|null}} Raw filters and digest settings
+ * @throws {Error} When an option is unknown or invalid
+ * @example
+ * parseSubscriptionArgs(['weekly', 'types=chart,table']);
+ * // { filters: { visualizationTypes: ['chart', 'table'] }, digest: { schedule: 'weekly' } }
+ */
+function parseSubscriptionArgs(args) {
+    const listFilters = { types: 'visualizationTypes', backgrounds: 'backgroundTypes', tags: 'tags' };
+    const filters = {};
+    let digest = null;
+
+    for (const arg of args) {
+        const [name, value] = arg.toLowerCase().split(/=(.*)/s);
+        if (value === undefined && ['instant', 'daily', 'weekly', 'digest'].includes(name)) {
+            digest = name === 'instant' ? null : { schedule: name === 'weekly' ? 'weekly' : 'daily' };
+        } else if (value && Object.hasOwn(listFilters, name)) {
+            filters[listFilters[name]] = value.split(',').map(item => item.trim()).filter(Boolean);
+        } else if (value && name === 'minread') {
+            const minutes = Number(value);
+            if (!(minutes >= 0)) {
+                throw new Error(`"minread" must be a number of minutes, got "${value}"`);
+            }
+            filters.minReadTime = minutes;
+        } else {
+            throw new Error(`Unknown option "${arg}"`);
+        }
+    }
+
+    return { filters: Object.keys(filters).length > 0 ? filters : null, digest };
+}
+
+/**
+ * Describes subscription options for replies and logs
+ * @param {{filters: Object|null, digest: Object|null}} options - Raw filters and digest settings
+ * @returns {string} Human readable description
+ */
+function describeSubscriptionOptions({ filters, digest }) {
+    const parts = [digest ? `${digest.schedule} digest` : 'instant'];
+    if (filters?.visualizationTypes) parts.push(`types: ${filters.visualizationTypes.join(', ')}`);
+    if (filters?.backgroundTypes) parts.push(`backgrounds: ${filters.backgroundTypes.join(', ')}`);
+    if (filters?.tags) parts.push(`tags: ${filters.tags.join(', ')}`);
+    if (filters?.minReadTime !== undefined) parts.push(`min read: ${filters.minReadTime} min`);
+    return parts.join('; ');
+}
+
+/**
+ * /subscribe [instant|daily|weekly] [types=..] [backgrounds=..] [tags=..] [minread=..] -
+ * subscribes the chat (or forum topic) to new insights
+ * Subscribing again replaces the options. With SUBSCRIPTIONS_REQUIRE_APPROVAL the subscription
+ * stays pending until the bot owner approves it (the owner's own subscriptions are approved directly).
+ * 
+ * @async
+ * @function handleSubscribeCommand
+ * @param {Object} message - Telegram Message object
+ * @param {string[]} args - Command arguments
+ * @returns {Promise<void>}
+ */
+export async function handleSubscribeCommand(message, args) {
+    let options;
+    try {
+        options = parseSubscriptionArgs(args);
+    } catch (error) {
+        await replyToCommand(message, `${error.message}\nUsage: /subscribe ${SUBSCRIBE_USAGE}`);
+        return;
+    }
+
+    const { chat } = message;
+    const messageThreadId = message.is_topic_message ? message.message_thread_id : undefined;
+    const key = getSubscriptionKey(chat.id, messageThreadId);
+    const isOwner = message.from && String(message.from.id) === config.Subscriptions.OWNER_USER_ID;
+    // Changing the options of an approved subscription does not need a new approval
+    const needsApproval = config.Subscriptions.REQUIRE_APPROVAL && !isOwner && getSubscription(key)?.status !== 'active';
+
+    const subscription = {
+        key,
+        chatId: chat.id,
+        messageThreadId,
+        title: chat.title || (chat.username ? `@${chat.username}` : [chat.first_name, chat.last_name].filter(Boolean).join(' ')),
+        ...options,
+        status: needsApproval ? 'pending' : 'active',
+        requestedBy: message.from?.id
+    };
+    saveSubscription(subscription);
+
+    const description = describeSubscriptionOptions(options);
+    if (needsApproval) {
+        out.info(`Subscription of chat ${chat.id} is waiting for approval (${description})`);
+        await requestSubscriptionApproval(subscription, message);
+        await replyToCommand(message, `Subscription requested (${description}). This chat will be notified once the bot owner approves it.`);
+    } else {
+        out.success(`Chat ${chat.id} subscribed (${description})`);
+        await replyToCommand(message, `Subscribed (${description}). New insights will be posted here; use /unsubscribe to stop.`);
+    }
+}
+
+/**
+ * /unsubscribe - removes the chat's (or forum topic's) subscription
+ * 
+ * @async
+ * @function handleUnsubscribeCommand
+ * @param {Object} message - Telegram Message object
+ * @returns {Promise<void>}
+ */
+export async function handleUnsubscribeCommand(message) {
+    const messageThreadId = message.is_topic_message ? message.message_thread_id : undefined;
+    const key = getSubscriptionKey(message.chat.id, messageThreadId);
+    const subscription = getSubscription(key);
+    if (!subscription || subscription.status === 'removed') {
+        await replyToCommand(message, 'This chat is not subscribed.');
+        return;
+    }
+
+    setSubscriptionStatus(key, 'removed', `unsubscribed by ${message.from ? `user ${message.from.id}` : 'a channel admin'}`);
+    out.info(`Chat ${message.chat.id} unsubscribed`);
+    await replyToCommand(message, 'Unsubscribed. Use /subscribe to subscribe again.');
+}
+
+/**
+ * Asks the bot owner to approve a pending subscription, in a private message with
+ * Approve/Reject buttons (`sub:approve:<key>` / `sub:reject:<key>`)
+ * The owner has to have started a private chat with the bot for this to arrive.
+ * 
+ * @async
+ * @function requestSubscriptionApproval
+ * @param {Object} subscription - The pending subscription
+ * @param {Object} message - The /subscribe message
+ * @returns {Promise<void>}
+ */
+async function requestSubscriptionApproval(subscription, message) {
+    const requester = message.from
+        ? (message.from.username ? `@${message.from.username}` : `user ${message.from.id}`)
+        : 'a channel admin';
+    const text = [
+        'New subscription request',
+        `Chat: ${subscription.title || subscription.chatId} (${subscription.chatId}${subscription.messageThreadId !== undefined ? ` topic ${subscription.messageThreadId}` : ''})`,
+        `Requested by: ${requester}`,
+        `Options: ${describeSubscriptionOptions(subscription)}`
+    ].join('\n');
+
+    try {
+        await callTelegramApi('sendMessage', {
+            chat_id: config.Subscriptions.OWNER_USER_ID,
+            text: escapeText(text),
+            parse_mode: config.Telegram.PARSE_MODE,
+            reply_markup: {
+                inline_keyboard: [[
+                    { text: '✅ Approve', callback_data: `sub:approve:${subscription.key}` },
+                    { text: '❌ Reject', callback_data: `sub:reject:${subscription.key}` }
+                ]]
+            }
+        });
+    } catch (error) {
+        out.error(`Could not send the subscription request for chat ${subscription.chatId} to the bot owner: ${error.message}`);
+    }
+}
+
+/**
+ * Approves or rejects a pending subscription from the owner's Approve/Reject buttons
+ * The request message is marked with the decision and the chat is told about it.
+ * 
+ * @async
+ * @function handleSubscriptionDecision
+ * @param {Object} query - Telegram CallbackQuery object
+ * @param {'approve'|'reject'} action - The owner's decision
+ * @param {string} key - Subscription key
+ * @returns {Promise<void>}
+ */
+export async function handleSubscriptionDecision(query, action, key) {
+    if (String(query.from.id) !== config.Subscriptions.OWNER_USER_ID) {
+        await answerCallbackQuery(query.id, 'Only the bot owner can approve subscriptions');
+        return;
+    }
+
+    const subscription = getSubscription(key);
+    if (subscription?.status !== 'pending') {
+        await answerCallbackQuery(query.id, 'This request is no longer pending');
+        return;
+    }
+
+    const approved = action === 'approve';
+    setSubscriptionStatus(key, approved ? 'active' : 'removed', approved ? undefined : 'rejected by the bot owner');
+    out.info(`Subscription of chat ${subscription.chatId} ${approved ? 'approved' : 'rejected'}`);
+    await answerCallbackQuery(query.id, approved ? 'Subscription approved' : 'Subscription rejected');
+
+    // Replacing the text without reply_markup also removes the buttons
+    if (query.message?.text) {
+        try {
+            await callTelegramApi('editMessageText', {
+                chat_id: query.message.chat.id,
+                message_id: query.message.message_id,
+                text: escapeText(`${query.message.text}\n\n${approved ? '✅ Approved' : '❌ Rejected'}`),
+                parse_mode: config.Telegram.PARSE_MODE
+            });
+        } catch (error) {
+            out.warn(`Could not update the subscription request message: ${error.message}`);
+        }
+    }
+
+    try {
+        await callTelegramApi('sendMessage', {
+            chat_id: subscription.chatId,
+            message_thread_id: subscription.messageThreadId,
+            text: escapeText(approved
+                ? 'The subscription was approved. New insights will be posted here.'
+                : 'The subscription request was rejected.'),
+            parse_mode: config.Telegram.PARSE_MODE
+        });
+    } catch (error) {
+        out.warn(`Could not notify chat ${subscription.chatId} about the decision: ${error.message}`);
+        if (approved && error instanceof TelegramApiError && error.isChatGone) {
+            removeChatSubscriptions(subscription.chatId, error.description || error.message);
+        }
+    }
+}
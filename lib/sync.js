@@ -0,0 +1,219 @@
+/**
+ * Post sync
+ * Propagates edits and unpublishes of delivered insights to the messages already posted.
+ */
+import { out } from './logger.js';
+import { config } from './config.js';
+import { runtime } from './runtime.js';
+import { describeDestination, loadDestinations, normalizeDestination } from './destinations.js';
+import { listSyncableInsights, updateProcessedEntry } from './store.js';
+import { TelegramApiError, callTelegramApi } from './telegram.js';
+import { editInsightMessage } from './messages.js';
+import { withModeratedCaption } from './moderation.js';
+
+/**
+ * Captures the insight fields that affect posted messages
+ * Stored with each processed insight so later runs can detect edits
+ * 
+ * @function getInsightSnapshot
+ * @param {Object} insight - The insight object
+ * @returns {Object} Snapshot of the message-relevant fields
+ */
+export function getInsightSnapshot(insight) {
+    return {
+        headline: insight.headline,
+        readTime: insight.readTime,
+        publishedAt: insight.publishedAt,
+        updatedAt: insight.updatedAt,
+        backgroundType: insight.backgroundType,
+        backgroundValue: insight.backgroundValue,
+        visualizationType: insight.visualizationType,
+        visualizationValue: insight.visualizationValue
+    };
+}
+
+/**
+ * Compares a stored snapshot with the current insight
+ * @function getInsightChanges
+ * @param {Object} snapshot - Snapshot taken when the insight was posted
+ * @param {Object} insight - Current insight from the API
+ * @returns {{caption: boolean, media: boolean}|null} What changed, or null when nothing did
+ */
+function getInsightChanges(snapshot, insight) {
+    const current = getInsightSnapshot(insight);
+    // Chart data can be an object, so values are compared as JSON
+    const differs = (field) => JSON.stringify(snapshot[field] ?? null) !== JSON.stringify(current[field] ?? null);
+
+    const caption = differs('headline');
+    // A new updatedAt may mean the image behind the same URL changed, so refresh the media too
+    const media = ['readTime', 'updatedAt', 'backgroundType', 'backgroundValue', 'visualizationType', 'visualizationValue'].some(differs);
+
+    return caption || media ? { caption, media } : null;
+}
+
+/**
+ * Brings already posted messages in line with the current state of the insights
+ * Edits messages whose insight changed and, when SYNC_DELETES is enabled, deletes
+ * messages of insights that lost `publishedAt` or disappeared from the curated list.
+ * An insight counts as disappeared only when it is newer than the oldest fetched
+ * insight, since older ones simply fall off the fetched page.
+ * 
+ * @async
+ * @function syncDeliveredInsights
+ * @param {Object[]} insights - Insights returned by the API in this run
+ * @returns {Promise<void>}
+ */
+export async function syncDeliveredInsights(insights) {
+    if (!config.Sync.EDITS && !config.Sync.DELETES) {
+        return;
+    }
+
+    const fetchedById = new Map(insights.map(insight => [insight.id, insight]));
+    const publishedTimes = insights
+        .filter(insight => insight.publishedAt)
+        .map(insight => new Date(insight.publishedAt).getTime());
+    const windowStart = publishedTimes.length > 0 ? Math.min(...publishedTimes) : null;
+    const destinationsByKey = new Map(loadDestinations().map(destination => [destination.key, destination]));
+
+    // Only entries posted since message tracking was added can be synchronized
+    for (const entry of listSyncableInsights()) {
+        if (runtime.shutdownRequested) {
+            break;
+        }
+
+        try {
+            const insight = fetchedById.get(entry.id);
+
+            let missingReason = null;
+            if (insight && !insight.publishedAt) {
+                missingReason = 'unpublished';
+            } else if (!insight && windowStart !== null && entry.snapshot.publishedAt
+                && new Date(entry.snapshot.publishedAt).getTime() > windowStart) {
+                missingReason = 'removed from the curated list';
+            }
+
+            if (missingReason) {
+                if (config.Sync.DELETES) {
+                    await deleteMissingInsight(entry, missingReason);
+                }
+                continue;
+            }
+
+            if (!insight) {
+                continue;
+            }
+
+            if (entry.missingSince) {
+                out.info(`Insight ${entry.id} is published again, cancelling scheduled deletion`);
+                updateProcessedEntry(entry.id, current => { delete current.missingSince; });
+            }
+
+            const changes = config.Sync.EDITS ? getInsightChanges(entry.snapshot, insight) : null;
+            if (changes) {
+                await editChangedInsight(entry, insight, changes, destinationsByKey);
+            }
+
+        } catch (error) {
+            out.error(`Error synchronizing insight ${entry.id}: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Returns the delivered messages of a processed cache entry
+ * @param {Object} entry - Processed cache entry
+ * @returns {Array<[string, Object]>} Destination key and delivery pairs
+ */
+function getDeliveredMessages(entry) {
+    return Object.entries(entry.deliveries)
+        .filter(([, delivery]) => delivery.sentAt && delivery.messageId && delivery.chatId !== undefined && !delivery.deletedAt);
+}
+
+/**
+ * Edits every posted message of an insight after it changed in Polaris
+ * The snapshot is only updated once every message was edited or failed permanently,
+ * so temporary failures are retried on the next run.
+ * 
+ * @async
+ * @function editChangedInsight
+ * @param {Object} entry - Processed cache entry
+ * @param {Object} insight - Current insight from the API
+ * @param {{caption: boolean, media: boolean}} changes - What changed (from getInsightChanges)
+ * @param {Map<string, Object>} destinationsByKey - Configured destinations by key
+ * @returns {Promise<void>}
+ */
+async function editChangedInsight(entry, insight, changes, destinationsByKey) {
+    out.info(`Insight ${entry.id} changed in Polaris (${[changes.caption && 'headline', changes.media && 'media'].filter(Boolean).join(', ')}), updating posted messages`);
+    insight = withModeratedCaption(insight);
+
+    let complete = true;
+    for (const [key, delivery] of getDeliveredMessages(entry)) {
+        // Destinations removed from the config keep their messages in sync with default formatting
+        const destination = destinationsByKey.get(key) || normalizeDestination({ key, chatId: delivery.chatId }, 0);
+        try {
+            await editInsightMessage({ insight, destination, delivery, changes });
+            out.success(`Updated message ${delivery.messageId} in ${describeDestination(destination)} for insight ${entry.id}`);
+        } catch (error) {
+            out.error(`Error updating message ${delivery.messageId} in ${describeDestination(destination)}: ${error.message}`);
+            if (!(error instanceof TelegramApiError) || error.retryable) {
+                complete = false;
+            }
+        }
+    }
+
+    if (complete) {
+        updateProcessedEntry(entry.id, current => {
+            current.snapshot = getInsightSnapshot(insight);
+            current.syncedAt = new Date().toISOString();
+        });
+    }
+}
+
+/**
+ * Deletes the posted messages of an insight that was unpublished or removed
+ * Waits SYNC_DELETE_GRACE_MINUTES from the first time the insight was found missing.
+ * 
+ * @async
+ * @function deleteMissingInsight
+ * @param {Object} entry - Processed cache entry
+ * @param {string} reason - Why the insight is considered gone (for logging)
+ * @returns {Promise<void>}
+ */
+async function deleteMissingInsight(entry, reason) {
+    const now = Date.now();
+    const missingSince = entry.missingSince ? new Date(entry.missingSince).getTime() : now;
+    if (!entry.missingSince) {
+        updateProcessedEntry(entry.id, current => { current.missingSince = new Date(now).toISOString(); });
+    }
+
+    const graceMs = config.Sync.DELETE_GRACE_MINUTES * 60 * 1000;
+    if (now - missingSince < graceMs) {
+        const remainingMinutes = Math.ceil((graceMs - (now - missingSince)) / 60000);
+        out.info(`Insight ${entry.id} was ${reason}, deleting its messages in ${remainingMinutes} minute(s) unless it comes back`);
+        return;
+    }
+
+    out.warn(`Insight ${entry.id} was ${reason}, deleting posted messages`);
+
+    let complete = true;
+    for (const [key, delivery] of getDeliveredMessages(entry)) {
+        try {
+            await callTelegramApi('deleteMessage', { chat_id: delivery.chatId, message_id: delivery.messageId });
+            out.success(`Deleted message ${delivery.messageId} in chat ${delivery.chatId} for insight ${entry.id}`);
+            updateProcessedEntry(entry.id, current => { current.deliveries[key].deletedAt = new Date().toISOString(); });
+        } catch (error) {
+            if (error instanceof TelegramApiError && !error.retryable) {
+                // Already deleted, too old to delete (48 hours) or no rights: nothing more we can do
+                out.warn(`Could not delete message ${delivery.messageId} in chat ${delivery.chatId}: ${error.description || error.message}`);
+                updateProcessedEntry(entry.id, current => { current.deliveries[key].deleteError = error.description || error.message; });
+            } else {
+                out.error(`Error deleting message ${delivery.messageId} in chat ${delivery.chatId}: ${error.message}`);
+                complete = false;
+            }
+        }
+    }
+
+    if (complete) {
+        updateProcessedEntry(entry.id, current => { current.deletedAt = new Date().toISOString(); });
+    }
+}
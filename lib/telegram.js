@@ -0,0 +1,416 @@
+/**
+ * Telegram Bot API client
+ * Sends requests with rate limiting, retries and typed errors, and reuses the file_id
+ * of images uploaded before instead of uploading them again.
+ */
+import fetch from 'node-fetch';
+import { out } from './logger.js';
+import { config } from './config.js';
+import { runtime } from './runtime.js';
+import { recordDryRunRequest } from './dryRun.js';
+import { hashContent } from './imageCache.js';
+import { forgetTelegramFileIds, getTelegramFileId, saveTelegramFileId } from './store.js';
+
+/** Next free send slot across all chats (epoch milliseconds) */
+let nextGlobalSendAt = 0;
+
+/** Next free send slot per chat ID (epoch milliseconds) */
+const nextChatSendAt = new Map();
+
+/**
+ * Error raised by the Telegram Bot API client
+ * Carries the Telegram error code and whether retrying could help
+ * @class TelegramApiError
+ * @extends Error
+ */
+export class TelegramApiError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [details] - Error details
+     * @param {string} [details.method] - Telegram API method that failed
+     * @param {number} [details.status] - HTTP status or Telegram error_code
+     * @param {string} [details.description] - Telegram error description
+     * @param {number} [details.retryAfter] - Seconds to wait before retrying (429 responses)
+     * @param {boolean} [details.retryable=false] - Whether the request may succeed if retried
+     */
+    constructor(message, { method, status, description, retryAfter, retryable = false } = {}) {
+        super(message);
+        this.name = 'TelegramApiError';
+        this.method = method;
+        this.status = status;
+        this.description = description;
+        this.retryAfter = retryAfter;
+        this.retryable = retryable;
+    }
+
+    /**
+     * Whether the error means the bot cannot post to the chat at all
+     * (chat not found, bot blocked or kicked, no rights to send messages)
+     * @type {boolean}
+     */
+    get isChatUnavailable() {
+        const description = (this.description || '').toLowerCase();
+        return this.status === 403
+            || description.includes('chat not found')
+            || description.includes('bot was blocked')
+            || description.includes('bot was kicked')
+            || description.includes('not enough rights');
+    }
+
+    /**
+     * Whether the chat is gone for good (deleted, or the bot was kicked or blocked),
+     * as opposed to temporarily missing rights
+     * @type {boolean}
+     */
+    get isChatGone() {
+        const description = (this.description || '').toLowerCase();
+        return description.includes('chat not found')
+            || description.includes('bot was blocked')
+            || description.includes('bot was kicked')
+            || description.includes('user is deactivated');
+    }
+}
+
+/**
+ * Waits until both the global and the per-chat rate budgets allow another call
+ * The slot is reserved before waiting, so concurrent callers queue up behind each other
+ * @async
+ * @function waitForRateBudget
+ * @param {string} [chatId] - Chat the call is addressed to (global budget only if omitted)
+ * @returns {Promise<void>}
+ */
+async function waitForRateBudget(chatId) {
+    const now = Date.now();
+    const globalInterval = 1000 / config.Telegram.GLOBAL_MESSAGES_PER_SECOND;
+    const chatInterval = 60000 / config.Telegram.PER_CHAT_MESSAGES_PER_MINUTE;
+
+    let sendAt = Math.max(now, nextGlobalSendAt);
+    if (chatId !== undefined) {
+        sendAt = Math.max(sendAt, nextChatSendAt.get(String(chatId)) || 0);
+        nextChatSendAt.set(String(chatId), sendAt + chatInterval);
+    }
+    nextGlobalSendAt = sendAt + globalInterval;
+
+    const waitMs = sendAt - now;
+    if (waitMs > 0) {
+        out.info(`Rate limit: waiting ${Math.ceil(waitMs)}ms before next Telegram call${chatId !== undefined ? ` to chat ${chatId}` : ''}`);
+        await sleep(waitMs);
+    }
+}
+
+/**
+ * Pushes back the send budget after Telegram asked us to slow down
+ * @function deferRateBudget
+ * @param {string} [chatId] - Chat that was rate limited
+ * @param {number} delayMs - How long to hold off, in milliseconds
+ */
+function deferRateBudget(chatId, delayMs) {
+    const resumeAt = Date.now() + delayMs;
+    if (chatId !== undefined) {
+        nextChatSendAt.set(String(chatId), Math.max(nextChatSendAt.get(String(chatId)) || 0, resumeAt));
+    } else {
+        nextGlobalSendAt = Math.max(nextGlobalSendAt, resumeAt);
+    }
+}
+
+/**
+ * Calculates the exponential backoff delay with jitter for a retry attempt
+ * @function getRetryDelay
+ * @param {number} attempt - Zero-based retry attempt
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempt) {
+    const exponential = Math.min(config.Telegram.RETRY_MAX_DELAY_MS, config.Telegram.RETRY_BASE_DELAY_MS * 2 ** attempt);
+    // Equal jitter: keep half of the delay, randomize the other half
+    return exponential / 2 + Math.random() * (exponential / 2);
+}
+
+/**
+ * Resolves after the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Performs a single Telegram Bot API request and normalizes failures into TelegramApiError
+ * @async
+ * @param {string} method - Telegram API method name
+ * @param {Object} params - Request parameters
+ * @param {Object} [files] - Files to upload as multipart form data
+ * @returns {Promise<Object>} Telegram API response object
+ * @throws {TelegramApiError} When the request fails
+ */
+async function performTelegramRequest(method, params, files) {
+    const telegramApiUrl = `${config.Telegram.API_URL}/bot${config.Telegram.TOKEN}/${method}`;
+
+    let requestOptions;
+    if (files) {
+        // Form data streams can only be consumed once, so it is rebuilt for every attempt
+        const FormData = (await import('form-data')).default;
+        const form = new FormData();
+        for (const [key, value] of Object.entries(params)) {
+            if (value !== undefined) {
+                form.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+            }
+        }
+        for (const [field, file] of Object.entries(files)) {
+            form.append(field, file.buffer, file.filename);
+        }
+        requestOptions = { method: 'POST', body: form };
+    } else {
+        requestOptions = {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(params)
+        };
+    }
+
+    // A stalled connection never fails by itself, so it is aborted and retried like other network errors.
+    // Long polls are held open by Telegram for their own timeout first.
+    const timeoutMs = config.Telegram.REQUEST_TIMEOUT_MS + (method === 'getUpdates' ? (params.timeout || 0) * 1000 : 0);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    let response;
+    let responseText;
+    try {
+        response = await fetch(telegramApiUrl, { ...requestOptions, signal: controller.signal });
+        responseText = await response.text();
+    } catch (error) {
+        const reason = error.name === 'AbortError' ? `no response within ${timeoutMs}ms` : error.message;
+        throw new TelegramApiError(`Telegram API network error: ${reason}`, { method, retryable: true });
+    } finally {
+        clearTimeout(timer);
+    }
+
+    let data = null;
+    try {
+        data = JSON.parse(responseText);
+    } catch (_) {
+        // Non-JSON bodies (proxy errors, HTML pages) are reported with the raw text below
+    }
+
+    if (response.ok && data && data.ok) {
+        return data;
+    }
+
+    const status = data?.error_code || response.status;
+    const description = data?.description || responseText || 'Unknown error';
+    const retryAfter = data?.parameters?.retry_after;
+
+    throw new TelegramApiError(`Telegram API error! method: ${method}, status: ${status}, response: ${description}`, {
+        method,
+        status,
+        description,
+        retryAfter,
+        retryable: status === 429 || status >= 500
+    });
+}
+
+/**
+ * Performs a Telegram Bot API request with rate budgets and retries
+ * @async
+ * @param {string} method - Telegram API method name
+ * @param {Object} params - Request parameters
+ * @param {Object} [files] - Files to upload as multipart form data
+ * @returns {Promise<Object>} Telegram API response object
+ * @throws {TelegramApiError} When the request fails permanently or retries are exhausted
+ */
+async function sendWithRetries(method, params, files) {
+    const chatId = params.chat_id;
+
+    for (let attempt = 0; ; attempt++) {
+        await waitForRateBudget(chatId);
+
+        try {
+            return await performTelegramRequest(method, params, files);
+        } catch (error) {
+            if (!error.retryable) {
+                out.error(`Telegram API ${method} failed permanently: ${error.message}`);
+                throw error;
+            }
+
+            if (attempt >= config.Telegram.MAX_RETRIES) {
+                out.error(`Telegram API ${method} failed after ${attempt + 1} attempt(s): ${error.message}`);
+                throw error;
+            }
+
+            if (error.retryAfter) {
+                // The next waitForRateBudget call holds off until retry_after has passed
+                const delayMs = error.retryAfter * 1000;
+                deferRateBudget(chatId, delayMs);
+                // Flood control applies to the whole bot as well, so slow everything down
+                deferRateBudget(undefined, Math.min(delayMs, config.Telegram.RETRY_MAX_DELAY_MS));
+                out.warn(`Telegram API ${method} rate limited, retrying after ${error.retryAfter}s (attempt ${attempt + 1}/${config.Telegram.MAX_RETRIES})`);
+            } else {
+                const delayMs = getRetryDelay(attempt);
+                out.warn(`Telegram API ${method} failed (${error.message}), retrying in ${Math.round(delayMs)}ms (attempt ${attempt + 1}/${config.Telegram.MAX_RETRIES})`);
+                await sleep(delayMs);
+            }
+        }
+    }
+}
+
+/**
+ * Replaces `attach://<field>` references in request parameters
+ * @param {*} value - Parameter value (objects and arrays are searched recursively)
+ * @param {string} field - Upload field name
+ * @param {string} fileId - file_id to put in place of the reference
+ * @returns {*} Value with the reference replaced
+ */
+function replaceAttachment(value, field, fileId) {
+    if (value === `attach://${field}`) {
+        return fileId;
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => replaceAttachment(item, field, fileId));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, replaceAttachment(item, field, fileId)]));
+    }
+    return value;
+}
+
+/**
+ * Finds the message a file field ended up in
+ * Files sent directly (sendPhoto's `photo`) or through a single `media` object belong to
+ * the returned message; files in a `media` array belong to the album message at the same index.
+ *
+ * @param {Object} params - Request parameters
+ * @param {string} field - Upload field name
+ * @param {Object|Object[]} result - Telegram result (a message or, for albums, a list of messages)
+ * @returns {Object|null} Message holding the file
+ */
+function findUploadedMessage(params, field, result) {
+    if (Array.isArray(result)) {
+        const media = Array.isArray(params.media) ? params.media : [];
+        const index = media.findIndex(item => item.media === `attach://${field}`);
+        return index === -1 ? null : result[index] ?? null;
+    }
+    return result && typeof result === 'object' ? result : null;
+}
+
+/**
+ * Gets the file_id of the photo, animation, video or document in a message
+ * @param {Object|null} message - Telegram message
+ * @returns {string|null} file_id (the largest size for photos)
+ */
+function getMessageFileId(message) {
+    return message?.photo?.at(-1)?.file_id
+        ?? message?.animation?.file_id
+        ?? message?.video?.file_id
+        ?? message?.document?.file_id
+        ?? null;
+}
+
+/**
+ * Calls a Telegram Bot API method through the shared client
+ * Enforces per-chat and global rate budgets, honours retry_after on 429 responses and
+ * retries 5xx and network errors (including requests that time out) with exponential backoff. Permanent errors such as
+ * chat not found, bot blocked or bad markdown are thrown immediately.
+ *
+ * Uploaded files are remembered by content hash: when the same image is sent again (to
+ * another chat, in an edit or for /latest), the file_id Telegram returned for the first
+ * upload is sent instead. If Telegram no longer accepts that file_id, the file is uploaded.
+ * 
+ * @async
+ * @function callTelegramApi
+ * @param {string} method - Telegram API method name (e.g. 'sendMessage')
+ * @param {Object} params - Request parameters (chat_id is used for the per-chat budget)
+ * @param {Object} [options] - Request options
+ * @param {Object<string, {buffer: Buffer, filename: string}>} [options.files] - Files to upload as multipart form data
+ * @returns {Promise<Object>} Telegram API response object
+ * @throws {TelegramApiError} When the request fails permanently or retries are exhausted
+ * @example
+ * const data = await callTelegramApi('sendMessage', { chat_id: '123', text: 'Hello' });
+ */
+export async function callTelegramApi(method, params, { files } = {}) {
+    if (runtime.dryRun) {
+        return recordDryRunRequest(method, params, files);
+    }
+    if (!files || !config.Telegram.REUSE_FILE_IDS) {
+        return await sendWithRetries(method, params, files);
+    }
+
+    const hashes = Object.fromEntries(Object.entries(files).map(([field, file]) => [field, hashContent(file.buffer)]));
+
+    // Swap every file uploaded before for its file_id
+    let reusedParams = params;
+    const remainingFiles = {};
+    const reusedFields = [];
+    for (const [field, file] of Object.entries(files)) {
+        const fileId = getTelegramFileId(hashes[field]);
+        if (!fileId) {
+            remainingFiles[field] = file;
+            continue;
+        }
+        // Album and edit media refer to uploads as attach://<field>; sendPhoto takes the file as a parameter
+        const attached = JSON.stringify(params).includes(`"attach://${field}"`);
+        reusedParams = attached ? replaceAttachment(reusedParams, field, fileId) : { ...reusedParams, [field]: fileId };
+        reusedFields.push(field);
+    }
+
+    let data;
+    if (reusedFields.length === 0) {
+        data = await sendWithRetries(method, params, files);
+    } else {
+        out.info(`Reusing the Telegram file_id of ${reusedFields.length} previously uploaded file(s) for ${method}`);
+        try {
+            data = await sendWithRetries(method, reusedParams, Object.keys(remainingFiles).length > 0 ? remainingFiles : undefined);
+        } catch (error) {
+            if (!(error instanceof TelegramApiError) || error.status !== 400 || !/file/i.test(error.description || '')) {
+                throw error;
+            }
+            out.warn(`Telegram rejected a stored file_id (${error.description}), uploading the file again`);
+            reusedFields.forEach(field => forgetTelegramFileIds({ hash: hashes[field] }));
+            data = await sendWithRetries(method, params, files);
+            reusedFields.length = 0;
+        }
+    }
+
+    for (const field of Object.keys(files).filter(field => !reusedFields.includes(field))) {
+        const fileId = getMessageFileId(findUploadedMessage(params, field, data.result));
+        if (fileId) {
+            saveTelegramFileId(hashes[field], fileId);
+        }
+    }
+    return data;
+}
+
+/**
+ * Builds the Telegram API parameters that address a destination
+ * @function getDestinationParams
+ * @param {Object} destination - Normalized destination
+ * @returns {Object} chat_id, message_thread_id and disable_notification parameters
+ */
+export function getDestinationParams(destination) {
+    const params = { chat_id: destination.chatId };
+    if (destination.messageThreadId !== undefined) {
+        params.message_thread_id = destination.messageThreadId;
+    }
+    if (destination.format.disableNotification) {
+        params.disable_notification = true;
+    }
+    return params;
+}
+
+/**
+ * Answers a callback query so the button stops showing a loading state
+ * Errors are logged only: queries older than a few minutes can no longer be answered.
+ * 
+ * @async
+ * @function answerCallbackQuery
+ * @param {string} queryId - Callback query ID
+ * @param {string} [text] - Optional notification shown to the user
+ * @returns {Promise<void>}
+ */
+export async function answerCallbackQuery(queryId, text) {
+    try {
+        await callTelegramApi('answerCallbackQuery', { callback_query_id: queryId, text });
+    } catch (error) {
+        out.warn(`Could not answer callback query: ${error.message}`);
+    }
+}
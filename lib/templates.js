@@ -0,0 +1,441 @@
+/**
+ * Message templates
+ * Compiles the optional templates file and renders message text, captions and digests.
+ */
+import fs from 'fs';
+import { config } from './config.js';
+import { TELEGRAM_CAPTION_LIMIT, TELEGRAM_TEXT_LIMIT, addTestModePrefix, escapeAndTruncate, escapeText, formatBold, formatCode, formatItalic, formatLink, splitMessage } from './format.js';
+
+/** Compiled message templates (loaded by getMessageTemplates, replaced on reload) */
+let messageTemplates = null;
+
+/**
+ * Loads the message templates file and compiles every template
+ * The file may define `text`, `caption`, `testText` and `testCaption`; missing entries use
+ * the built-in templates. Each template is also rendered against a sample insight so
+ * templates that can never fit Telegram's limits are rejected up front.
+ * 
+ * @function loadMessageTemplates
+ * @returns {{text: Object, caption: Object, testText: Object, testCaption: Object}} Compiled templates
+ * @throws {Error} When the file cannot be parsed or a template is invalid
+ * @example
+ * // templates.json
+ * // { "caption": "{{headline | bold}}{{#if readTime}} · {{readTime}}{{/if}}\n\n{{link | link \"Read more\"}}" }
+ */
+export function loadMessageTemplates() {
+    // Built-in templates, used for any template the file does not define
+    const defaultTemplate = '{{headline}}\n\n{{link | link "Read more"}}';
+
+    let sources = {};
+    if (fs.existsSync(config.Telegram.TEMPLATES_FILE)) {
+        try {
+            sources = JSON.parse(fs.readFileSync(config.Telegram.TEMPLATES_FILE, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not parse ${config.Telegram.TEMPLATES_FILE}: ${error.message}`);
+        }
+        if (!sources || typeof sources !== 'object' || Array.isArray(sources)) {
+            throw new Error(`${config.Telegram.TEMPLATES_FILE} must contain an object of templates`);
+        }
+
+        const unknown = Object.keys(sources).filter(name => !['text', 'caption', 'testText', 'testCaption'].includes(name));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown template name(s) in ${config.Telegram.TEMPLATES_FILE}: ${unknown.join(', ')}`);
+        }
+    }
+
+    // The test mode templates default to the matching template with a "🧪 [TEST]" prefix
+    const text = sources.text ?? defaultTemplate;
+    const caption = sources.caption ?? defaultTemplate;
+    const templates = {
+        text: compileTemplate(text, 'text'),
+        caption: compileTemplate(caption, 'caption'),
+        testText: compileTemplate(sources.testText ?? `🧪 [TEST] ${text}`, 'testText'),
+        testCaption: compileTemplate(sources.testCaption ?? `🧪 [TEST] ${caption}`, 'testCaption')
+    };
+
+    const sample = {
+        id: 'sample',
+        headline: 'Sample headline',
+        readTime: '5 min read',
+        summary: 'Sample summary',
+        publishedAt: new Date().toISOString()
+    };
+    for (const [name, template] of Object.entries(templates)) {
+        const limit = name.toLowerCase().includes('caption') ? TELEGRAM_CAPTION_LIMIT : TELEGRAM_TEXT_LIMIT;
+        renderTemplateWithinLimit(template, getTemplateContext(sample), limit);
+    }
+
+    return templates;
+}
+
+/**
+ * Returns the compiled message templates, loading them on first use
+ * @function getMessageTemplates
+ * @returns {Object} Compiled templates (see loadMessageTemplates)
+ * @throws {Error} When a template is invalid
+ */
+export function getMessageTemplates() {
+    if (!messageTemplates) {
+        messageTemplates = loadMessageTemplates();
+    }
+    return messageTemplates;
+}
+
+/**
+ * Replaces the compiled message templates
+ * Used by the configuration check at startup and when a reload has to be rolled back.
+ * @function setMessageTemplates
+ * @param {Object|null} templates - Compiled templates, or null to compile them on next use
+ * @returns {void}
+ */
+export function setMessageTemplates(templates) {
+    messageTemplates = templates;
+}
+
+/**
+ * Compiles a message template into a tree of text, placeholder and conditional nodes
+ * 
+ * Syntax:
+ * - `{{field}}` inserts an insight field (dotted paths such as `author.name` work); `{{"text"}}` inserts a literal
+ * - `{{field | filter arg}}` applies filters: `date "D MMM YYYY"`, `upper`, `lower`, `default "text"`,
+ *   `truncate 100`, and as the last filter one of `bold`, `italic`, `code` or `link "label"`
+ * - `{{#if field}}...{{else}}...{{/if}}` and `{{#unless field}}...{{/unless}}` render conditionally
+ * 
+ * Literal template text is escaped like field values, so a template works in either parse mode.
+ * 
+ * @function compileTemplate
+ * @param {string} source - Template source
+ * @param {string} name - Template name (used in error messages)
+ * @returns {{name: string, nodes: Object[]}} Compiled template
+ * @throws {Error} When the template has a syntax error, an unknown filter or unbalanced blocks
+ * @example
+ * const template = compileTemplate('{{headline | bold}}\n\n{{link | link "Read more"}}', 'caption');
+ */
+function compileTemplate(source, name) {
+    if (typeof source !== 'string') {
+        throw new Error(`Template "${name}" must be a string`);
+    }
+
+    const root = { nodes: [] };
+    const stack = [root];
+    const tagPattern = /\{\{(.*?)\}\}/gs;
+    let lastIndex = 0;
+    let match;
+
+    while ((match = tagPattern.exec(source)) !== null) {
+        const current = stack[stack.length - 1];
+        if (match.index > lastIndex) {
+            current.nodes.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+        }
+        lastIndex = tagPattern.lastIndex;
+
+        const tag = match[1].trim();
+        const fail = reason => {
+            throw new Error(`Template "${name}": ${reason} in {{${match[1]}}}`);
+        };
+
+        const block = /^#(if|unless)\s+([A-Za-z_][\w.]*)$/.exec(tag);
+        if (block) {
+            const node = { type: 'if', negate: block[1] === 'unless', keyword: block[1], path: block[2], then: [], otherwise: [] };
+            current.nodes.push(node);
+            stack.push({ node, nodes: node.then });
+        } else if (tag === 'else') {
+            if (!current.node || current.nodes === current.node.otherwise) {
+                fail('unexpected else');
+            }
+            stack[stack.length - 1] = { node: current.node, nodes: current.node.otherwise };
+        } else if (/^\/(if|unless)$/.test(tag)) {
+            if (!current.node || current.node.keyword !== tag.slice(1)) {
+                fail(current.node ? `expected {{/${current.node.keyword}}}` : 'unexpected closing tag');
+            }
+            stack.pop();
+        } else {
+            current.nodes.push(compileTemplateExpression(tag, fail));
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new Error(`Template "${name}": {{#${stack[stack.length - 1].node.keyword} ${stack[stack.length - 1].node.path}}} is not closed`);
+    }
+    if (/\{\{|\}\}/.test(source.slice(lastIndex))) {
+        throw new Error(`Template "${name}": unmatched braces after position ${lastIndex}`);
+    }
+    if (lastIndex < source.length) {
+        root.nodes.push({ type: 'text', value: source.slice(lastIndex) });
+    }
+
+    return { name, nodes: root.nodes };
+}
+
+/**
+ * Compiles a placeholder expression (`source | filter arg | ...`)
+ * @param {string} expression - Expression text inside the braces
+ * @param {function(string): never} fail - Throws a template error with context
+ * @returns {Object} Placeholder node
+ */
+function compileTemplateExpression(expression, fail) {
+    // Formatting filters must come last; value filters list their [min, max] argument counts
+    const formatFilters = ['bold', 'italic', 'code', 'link'];
+    const valueFilters = { date: [0, 1], upper: [0, 0], lower: [0, 0], default: [1, 1], truncate: [1, 1] };
+
+    // Split on pipes outside of quoted strings
+    const parts = expression.match(/(?:"(?:[^"\\]|\\.)*"|[^|"])+/g)?.map(part => part.trim()) || [];
+    if (parts.length === 0 || parts.some(part => part === '')) {
+        fail('empty expression');
+    }
+
+    const [sourceText, ...filterTexts] = parts;
+    const node = { type: 'value', filters: [] };
+
+    const literal = /^"((?:[^"\\]|\\.)*)"$/.exec(sourceText);
+    if (literal) {
+        node.literal = JSON.parse(`"${literal[1]}"`);
+    } else if (/^[A-Za-z_][\w.]*$/.test(sourceText)) {
+        node.path = sourceText;
+    } else {
+        fail(`invalid field name "${sourceText}"`);
+    }
+
+    filterTexts.forEach((filterText, index) => {
+        const tokens = filterText.match(/"(?:[^"\\]|\\.)*"|\S+/g);
+        const [filterName, ...rawArgs] = tokens;
+        const args = rawArgs.map(arg => {
+            if (arg.startsWith('"')) {
+                return JSON.parse(arg);
+            }
+            if (/^-?\d+$/.test(arg)) {
+                return parseInt(arg);
+            }
+            return fail(`invalid argument ${arg} for filter "${filterName}" (quote text arguments)`);
+        });
+
+        if (formatFilters.includes(filterName)) {
+            if (index !== filterTexts.length - 1) {
+                fail(`"${filterName}" must be the last filter`);
+            }
+            const expected = filterName === 'link' ? 1 : 0;
+            if (args.length !== expected) {
+                fail(`"${filterName}" takes ${expected} argument(s)`);
+            }
+        } else if (Object.hasOwn(valueFilters, filterName)) {
+            const [min, max] = valueFilters[filterName];
+            if (args.length < min || args.length > max) {
+                fail(`"${filterName}" takes ${min === max ? min : `${min}-${max}`} argument(s)`);
+            }
+            if (filterName === 'truncate' && !(args[0] > 0)) {
+                fail('"truncate" needs a positive length');
+            }
+        } else {
+            fail(`unknown filter "${filterName}"`);
+        }
+
+        node.filters.push({ name: filterName, args });
+    });
+
+    return node;
+}
+
+/**
+ * Formats a date with a small set of tokens, in local time
+ * Tokens: YYYY, YY, MMMM, MMM, MM, M, DD, D, HH, H, mm, ss. Text in [brackets] is kept literally.
+ * 
+ * @function formatTemplateDate
+ * @param {string|Date} value - Date or date string
+ * @param {string} [format='D MMM YYYY'] - Format pattern
+ * @returns {string} Formatted date, or an empty string for invalid dates
+ * @example
+ * formatTemplateDate('2024-05-01T09:30:00Z', 'YYYY-MM-DD HH:mm'); // '2024-05-01 09:30' (in UTC)
+ */
+export function formatTemplateDate(value, format = 'D MMM YYYY') {
+    const date = value instanceof Date ? value : new Date(value);
+    if (value === undefined || value === null || value === '' || Number.isNaN(date.getTime())) {
+        return '';
+    }
+
+    const months = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+    const pad = number => String(number).padStart(2, '0');
+    const tokens = {
+        YYYY: String(date.getFullYear()),
+        YY: String(date.getFullYear()).slice(-2),
+        MMMM: months[date.getMonth()],
+        MMM: months[date.getMonth()].slice(0, 3),
+        MM: pad(date.getMonth() + 1),
+        M: String(date.getMonth() + 1),
+        DD: pad(date.getDate()),
+        D: String(date.getDate()),
+        HH: pad(date.getHours()),
+        H: String(date.getHours()),
+        mm: pad(date.getMinutes()),
+        ss: pad(date.getSeconds())
+    };
+
+    return format.replace(/\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|HH|H|mm|ss/g, (token, literal) => literal ?? tokens[token]);
+}
+
+/**
+ * Builds the values available to message templates
+ * All insight fields plus `link`, the insight's "Read more" URL.
+ * 
+ * @function getTemplateContext
+ * @param {Object} insight - The insight object
+ * @returns {Object} Template context
+ */
+function getTemplateContext(insight) {
+    return {
+        ...insight,
+        link: `${config.Polaris.INSIGHTS_URL}${insight.id}`
+    };
+}
+
+/**
+ * Renders a compiled template, escaping values and literal text for the parse mode
+ * @function renderTemplate
+ * @param {{nodes: Object[]}} template - Compiled template
+ * @param {Object} context - Template context (see getTemplateContext)
+ * @returns {string} Message formatted for config.Telegram.PARSE_MODE
+ */
+function renderTemplate(template, context) {
+    const lookup = pathName => pathName.split('.').reduce((value, key) => value?.[key], context);
+    const isTruthy = value => Array.isArray(value) ? value.length > 0 : Boolean(value);
+
+    const renderNodes = nodes => nodes.map(node => {
+        if (node.type === 'text') {
+            return escapeText(node.value);
+        }
+        if (node.type === 'if') {
+            return renderNodes(isTruthy(lookup(node.path)) !== node.negate ? node.then : node.otherwise);
+        }
+
+        let value = node.literal ?? lookup(node.path);
+        value = Array.isArray(value) ? value.join(', ') : String(value ?? '');
+
+        for (const { name, args } of node.filters) {
+            switch (name) {
+                case 'date': value = formatTemplateDate(value, args[0]); break;
+                case 'upper': value = value.toUpperCase(); break;
+                case 'lower': value = value.toLowerCase(); break;
+                case 'default': value = value || args[0]; break;
+                case 'truncate': {
+                    const chars = Array.from(value);
+                    value = chars.length > args[0] ? `${chars.slice(0, args[0] - 1).join('').trimEnd()}…` : value;
+                    break;
+                }
+                case 'bold': return value ? formatBold(value) : '';
+                case 'italic': return value ? formatItalic(value) : '';
+                case 'code': return value ? formatCode(value) : '';
+                case 'link': return value ? formatLink(args[0], value) : '';
+            }
+        }
+
+        return escapeText(value);
+    }).join('');
+
+    return renderNodes(template.nodes);
+}
+
+/**
+ * Renders a template and shortens long fields until the message fits a length limit
+ * The longer of `summary` and `headline` is shortened first, then the other, each with an ellipsis.
+ * 
+ * @function renderTemplateWithinLimit
+ * @param {{name: string, nodes: Object[]}} template - Compiled template
+ * @param {Object} context - Template context (see getTemplateContext)
+ * @param {number} maxLength - Length limit
+ * @returns {string} Rendered message within the limit
+ * @throws {Error} When the template exceeds the limit even with empty fields
+ */
+function renderTemplateWithinLimit(template, context, maxLength) {
+    let text = renderTemplate(template, context);
+    if (text.length <= maxLength) {
+        return text;
+    }
+
+    const fitted = { ...context };
+    const fields = ['summary', 'headline']
+        .filter(field => typeof fitted[field] === 'string' && fitted[field] !== '')
+        .sort((a, b) => fitted[b].length - fitted[a].length);
+
+    for (const field of fields) {
+
+        // Binary search for the longest prefix of the field that fits
+        const chars = Array.from(fitted[field]);
+        const shorten = count => `${chars.slice(0, count).join('').trimEnd()}…`;
+        const renderWith = count => renderTemplate(template, { ...fitted, [field]: shorten(count) });
+        let low = 0;
+        let high = chars.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (renderWith(mid).length <= maxLength) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        fitted[field] = shorten(low);
+        text = renderTemplate(template, fitted);
+        if (text.length <= maxLength) {
+            return text;
+        }
+    }
+
+    throw new Error(`Template "${template.name}" renders ${text.length} characters, more than Telegram's limit of ${maxLength}`);
+}
+
+/**
+ * Builds the message text (or photo caption) for an insight from the message templates
+ * Uses the test mode templates in TEST_MODE. Values are escaped for the parse mode and
+ * long fields are shortened so the message fits Telegram's limit for its kind.
+ * A caption edited during moderation (`insight.moderatedCaption`) is used as-is instead.
+ * 
+ * @function buildMessageText
+ * @param {Object} insight - The insight object
+ * @param {'text'|'caption'} [kind='text'] - Text message or photo caption
+ * @returns {string} Message text formatted for config.Telegram.PARSE_MODE
+ * @throws {Error} When the template cannot fit the limit
+ * @example
+ * const caption = buildMessageText(insight, 'caption');
+ */
+export function buildMessageText(insight, kind = 'text') {
+    const isCaption = kind === 'caption';
+    if (insight.moderatedCaption) {
+        return escapeAndTruncate(insight.moderatedCaption, isCaption ? TELEGRAM_CAPTION_LIMIT : TELEGRAM_TEXT_LIMIT);
+    }
+
+    const templates = getMessageTemplates();
+    const template = config.Telegram.TEST_MODE
+        ? (isCaption ? templates.testCaption : templates.testText)
+        : (isCaption ? templates.caption : templates.text);
+
+    return renderTemplateWithinLimit(template, getTemplateContext(insight), isCaption ? TELEGRAM_CAPTION_LIMIT : TELEGRAM_TEXT_LIMIT);
+}
+
+/**
+ * Builds the messages of a digest
+ * Lists each insight's headline with its read time and a "Read more" link. Digests longer
+ * than Telegram's text limit are split between insights into several messages.
+ * 
+ * @function buildDigestMessages
+ * @param {Object[]} insights - Insights in the digest, oldest first
+ * @param {Object} digest - Normalized digest settings of the destination
+ * @param {Date} periodEnd - End of the digest period
+ * @returns {string[]} Messages formatted for config.Telegram.PARSE_MODE
+ */
+export function buildDigestMessages(insights, digest, periodEnd) {
+    const title = digest.schedule === 'weekly' ? 'Weekly digest' : 'Daily digest';
+    const date = periodEnd.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+    const header = addTestModePrefix(`${formatBold(`Polaris Insights · ${title}`)} ${escapeText(`(${date})`)}`);
+
+    const items = insights.map((insight, index) => {
+        const number = escapeText(`${index + 1}. `);
+        const readTime = insight.readTime ? escapeText(` · ${insight.readTime}`) : '';
+        const link = formatLink('Read more', `${config.Polaris.INSIGHTS_URL}${insight.id}`);
+        // Leave room for the header so even the first item fits in one message
+        const available = TELEGRAM_TEXT_LIMIT - header.length - number.length - readTime.length - link.length - 3;
+
+        return `${number}${escapeAndTruncate(insight.headline, available)}${readTime}
+${link}`;
+    });
+
+    return splitMessage([header, ...items], TELEGRAM_TEXT_LIMIT);
+}
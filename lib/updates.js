@@ -0,0 +1,393 @@
+/**
+ * Update handling
+ * Receives Telegram updates (long polling or webhook) and routes them to commands,
+ * button handlers and membership changes.
+ */
+import http from 'http';
+import { out } from './logger.js';
+import { config } from './config.js';
+import { runtime } from './runtime.js';
+import { getDestinations } from './destinations.js';
+import { getFeedbackCounts, getStateDb, getStateValue, recordFeedback, removeChatSubscriptions, setStateValue } from './store.js';
+import { TelegramApiError, answerCallbackQuery, callTelegramApi, sleep } from './telegram.js';
+import { updateFeedbackButtons } from './messages.js';
+import { handleModerationCallback, handleModerationReply, isModerationActive } from './moderation.js';
+import { handleCommand } from './commands.js';
+import { handleSubscriptionDecision } from './subscriptions.js';
+
+/** Largest webhook request body accepted (Telegram updates are far smaller) */
+const MAX_WEBHOOK_BODY_BYTES = 1024 * 1024;
+
+/** Running update receiver in daemon mode ({ mode, stop }), started by ensureUpdateHandling */
+let updateReceiver = null;
+
+/**
+ * Whether incoming updates have to be received
+ * Only commands, subscriptions, moderation and destinations with feedback buttons produce
+ * updates the bot acts on.
+ * 
+ * @function needsUpdateHandling
+ * @returns {boolean} True when updates should be received
+ */
+function needsUpdateHandling() {
+    return getAllowedUpdates().length > 0;
+}
+
+/**
+ * Lists the update types the bot acts on (the `allowed_updates` of getUpdates and setWebhook)
+ * @function getAllowedUpdates
+ * @returns {string[]} Update types; empty when updates are off or not needed
+ */
+function getAllowedUpdates() {
+    if (config.Updates.MODE === 'off') {
+        return [];
+    }
+
+    const allowedUpdates = [];
+    // Moderation needs messages for the replies to "Edit caption" prompts
+    if (config.Commands.ENABLED || config.Subscriptions.ENABLED || isModerationActive()) {
+        allowedUpdates.push('message');
+    }
+    if (config.Subscriptions.ENABLED) {
+        // Channel admins subscribe with a channel post; my_chat_member reports the bot being removed
+        allowedUpdates.push('channel_post', 'my_chat_member');
+    }
+    if (isModerationActive()
+        || (config.Subscriptions.ENABLED && config.Subscriptions.REQUIRE_APPROVAL)
+        || getDestinations().some(destination => destination.format.buttons.includes('feedback'))) {
+        allowedUpdates.push('callback_query');
+    }
+    return allowedUpdates;
+}
+
+/**
+ * Fetches and handles the updates queued since the last run (cron mode)
+ * Uses getUpdates without waiting, so a run never blocks on Telegram. Webhook mode is
+ * skipped because Telegram does not queue updates for getUpdates while a webhook is set.
+ * 
+ * @async
+ * @function processPendingUpdates
+ * @returns {Promise<void>}
+ */
+export async function processPendingUpdates() {
+    if (config.Updates.MODE !== 'polling' || !needsUpdateHandling()) {
+        return;
+    }
+
+    try {
+        const handled = await pollUpdates(0);
+        if (handled > 0) {
+            out.info(`Handled ${handled} pending update(s)`);
+        }
+    } catch (error) {
+        // Updates are not worth failing the run over; they are fetched again next time
+        out.warn(`Could not fetch pending updates: ${error.message}`);
+    }
+}
+
+/**
+ * Fetches one batch of updates with getUpdates and handles them in order
+ * The offset of the next update is stored after each one, so an update is never handled twice.
+ * 
+ * @async
+ * @function pollUpdates
+ * @param {number} timeoutSeconds - Long-polling timeout (0 returns immediately)
+ * @returns {Promise<number>} Number of updates handled
+ * @throws {TelegramApiError} When getUpdates fails
+ */
+async function pollUpdates(timeoutSeconds) {
+    const offset = getStateValue('updates_offset');
+    const response = await callTelegramApi('getUpdates', {
+        offset: offset ?? undefined,
+        timeout: timeoutSeconds,
+        allowed_updates: getAllowedUpdates()
+    });
+
+    const updates = response.result || [];
+    for (const update of updates) {
+        try {
+            await handleUpdate(update);
+        } catch (error) {
+            out.error(`Error handling update ${update.update_id}: ${error.message}`);
+        }
+        const db = getStateDb();
+        setStateValue(db, 'updates_offset', update.update_id + 1);
+    }
+
+    return updates.length;
+}
+
+/**
+ * Handles one Telegram update
+ * @async
+ * @function handleUpdate
+ * @param {Object} update - Telegram Update object
+ * @returns {Promise<void>}
+ */
+async function handleUpdate(update) {
+    const message = update.message || update.channel_post;
+    if (update.callback_query) {
+        await handleCallbackQuery(update.callback_query);
+    } else if (update.my_chat_member) {
+        handleChatMemberUpdate(update.my_chat_member);
+    } else if (message?.text?.startsWith('/') && (config.Commands.ENABLED || config.Subscriptions.ENABLED)) {
+        await handleCommand(message);
+    } else if (message?.reply_to_message && isModerationActive()) {
+        await handleModerationReply(message);
+    }
+}
+
+/**
+ * Removes a chat's subscriptions when the bot is removed from it
+ * @function handleChatMemberUpdate
+ * @param {Object} update - Telegram ChatMemberUpdated object about the bot itself
+ * @returns {void}
+ */
+function handleChatMemberUpdate(update) {
+    if (!config.Subscriptions.ENABLED || !['left', 'kicked'].includes(update.new_chat_member?.status)) {
+        return;
+    }
+    removeChatSubscriptions(update.chat.id, `bot ${update.new_chat_member.status === 'kicked' ? 'was kicked' : 'left the chat'}`);
+}
+
+/**
+ * Starts receiving updates in daemon mode, or restarts the receiver when the mode changed
+ * Polling runs a getUpdates long-polling loop; webhook mode registers WEBHOOK_URL with
+ * setWebhook and serves it on WEBHOOK_PORT.
+ * 
+ * @async
+ * @function ensureUpdateHandling
+ * @returns {Promise<void>}
+ */
+export async function ensureUpdateHandling() {
+    let wanted = null;
+    try {
+        wanted = needsUpdateHandling() ? config.Updates.MODE : null;
+    } catch (error) {
+        out.warn(`Could not determine whether updates are needed: ${error.message}`);
+    }
+
+    // Polling reads the allowed updates on every call; a webhook has to be registered again
+    const unchanged = updateReceiver && updateReceiver.mode === wanted && (wanted === 'polling' ||
+        (updateReceiver.url === config.Updates.WEBHOOK_URL && updateReceiver.allowedUpdates === getAllowedUpdates().join(',')));
+    if (unchanged) {
+        return;
+    }
+    await stopUpdateHandling();
+    if (!wanted) {
+        return;
+    }
+
+    try {
+        updateReceiver = wanted === 'webhook' ? await startWebhookServer() : startUpdatePoller();
+    } catch (error) {
+        out.error(`Could not start receiving updates (${wanted}): ${error.message}`);
+    }
+}
+
+/**
+ * Stops the update receiver, waiting for an in-flight poll to finish
+ * @async
+ * @function stopUpdateHandling
+ * @returns {Promise<void>}
+ */
+export async function stopUpdateHandling() {
+    if (!updateReceiver) {
+        return;
+    }
+    const receiver = updateReceiver;
+    updateReceiver = null;
+    await receiver.stop();
+}
+
+/**
+ * Runs a getUpdates long-polling loop until stopped
+ * @function startUpdatePoller
+ * @returns {{mode: string, stop: function(): Promise<void>}} Running receiver
+ */
+function startUpdatePoller() {
+    let stopped = false;
+    // A zero timeout would turn the loop into a busy poll
+    const timeoutSeconds = Math.max(1, config.Updates.POLL_TIMEOUT_SECONDS);
+    out.info(`Receiving updates by long polling (timeout ${timeoutSeconds}s)`);
+
+    const done = (async () => {
+        while (!stopped && !runtime.shutdownRequested) {
+            try {
+                await pollUpdates(timeoutSeconds);
+            } catch (error) {
+                out.error(`Update polling failed: ${error.message}`);
+                await sleep(5000);
+            }
+        }
+    })();
+
+    return {
+        mode: 'polling',
+        stop: async () => {
+            stopped = true;
+            await done;
+        }
+    };
+}
+
+/**
+ * Registers the webhook with Telegram and serves it until stopped
+ * Requests must carry WEBHOOK_SECRET in X-Telegram-Bot-Api-Secret-Token when it is set;
+ * bodies over 1 MB are refused with 413.
+ * The webhook is deleted again on stop so polling keeps working after a switch back.
+ * 
+ * @async
+ * @function startWebhookServer
+ * @returns {Promise<{mode: string, url: string, allowedUpdates: string, stop: function(): Promise<void>}>} Running receiver
+ * @throws {Error} When the server cannot listen or setWebhook fails
+ */
+async function startWebhookServer() {
+    const webhookPath = new URL(config.Updates.WEBHOOK_URL).pathname;
+    const secret = config.Updates.WEBHOOK_SECRET;
+    const allowedUpdates = getAllowedUpdates();
+
+    const server = http.createServer((req, res) => {
+        if (req.method !== 'POST' || req.url !== webhookPath) {
+            res.writeHead(404).end();
+            return;
+        }
+        if (secret && req.headers['x-telegram-bot-api-secret-token'] !== secret) {
+            out.warn('Rejected webhook request with a missing or wrong secret token');
+            res.writeHead(401).end();
+            return;
+        }
+
+        // Updates are a few kilobytes; anything much larger is not from Telegram
+        const chunks = [];
+        let size = 0;
+        let tooLarge = false;
+        const rejectTooLarge = () => {
+            tooLarge = true;
+            out.warn(`Rejected webhook request larger than ${MAX_WEBHOOK_BODY_BYTES} bytes`);
+            res.writeHead(413, { Connection: 'close' }).end(() => req.destroy());
+        };
+        if (Number(req.headers['content-length']) > MAX_WEBHOOK_BODY_BYTES) {
+            rejectTooLarge();
+            return;
+        }
+        req.on('data', chunk => {
+            if (tooLarge) {
+                return;
+            }
+            size += chunk.length;
+            if (size > MAX_WEBHOOK_BODY_BYTES) {
+                rejectTooLarge();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', async () => {
+            if (tooLarge) {
+                return;
+            }
+            let update;
+            try {
+                update = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+            } catch (_) {
+                res.writeHead(400).end();
+                return;
+            }
+            // Acknowledge right away; Telegram re-sends updates that are not answered quickly
+            res.writeHead(200).end();
+            try {
+                await handleUpdate(update);
+            } catch (error) {
+                out.error(`Error handling update ${update.update_id}: ${error.message}`);
+            }
+        });
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(config.Updates.WEBHOOK_PORT, resolve);
+    });
+
+    try {
+        await callTelegramApi('setWebhook', {
+            url: config.Updates.WEBHOOK_URL,
+            secret_token: secret || undefined,
+            allowed_updates: allowedUpdates
+        });
+    } catch (error) {
+        server.close();
+        throw error;
+    }
+    out.info(`Receiving updates by webhook ${config.Updates.WEBHOOK_URL} (listening on port ${config.Updates.WEBHOOK_PORT})`);
+
+    return {
+        mode: 'webhook',
+        url: config.Updates.WEBHOOK_URL,
+        allowedUpdates: allowedUpdates.join(','),
+        stop: async () => {
+            await new Promise(resolve => server.close(resolve));
+            try {
+                await callTelegramApi('deleteWebhook', {});
+            } catch (error) {
+                out.warn(`Could not delete webhook: ${error.message}`);
+            }
+        }
+    };
+}
+
+/**
+ * Handles a press of an inline keyboard button
+ * Review buttons of moderation previews are handled by handleModerationCallback and the
+ * Approve/Reject buttons of subscription requests by handleSubscriptionDecision.
+ * Feedback buttons (`fb:up:<id>` / `fb:down:<id>`) record one vote per user and insight:
+ * pressing the same button again removes the vote, pressing the other one switches it.
+ * The counts on the message's buttons are refreshed afterwards.
+ * 
+ * @async
+ * @function handleCallbackQuery
+ * @param {Object} query - Telegram CallbackQuery object
+ * @returns {Promise<void>}
+ */
+async function handleCallbackQuery(query) {
+    const review = /^mod:(approve|reject|edit):(.+)$/.exec(query.data || '');
+    if (review && isModerationActive()) {
+        await handleModerationCallback(query, review[1], review[2]);
+        return;
+    }
+
+    const decision = /^sub:(approve|reject):(.+)$/.exec(query.data || '');
+    if (decision && config.Subscriptions.ENABLED) {
+        await handleSubscriptionDecision(query, decision[1], decision[2]);
+        return;
+    }
+
+    const feedback = /^fb:(up|down):(.+)$/.exec(query.data || '');
+    if (!feedback) {
+        await answerCallbackQuery(query.id);
+        return;
+    }
+
+    const [, direction, insightId] = feedback;
+    const vote = direction === 'up' ? 1 : -1;
+    const action = recordFeedback(insightId, query.from.id, vote, query.message?.chat?.id);
+    const counts = getFeedbackCounts(insightId);
+    out.info(`Feedback ${direction} ${action} for insight ${insightId} (👍 ${counts.up} / 👎 ${counts.down})`);
+
+    await answerCallbackQuery(query.id, action === 'removed' ? 'Feedback removed' : 'Thanks for your feedback!');
+
+    // Show the new counts on the buttons of the message that was pressed
+    const keyboard = query.message?.reply_markup?.inline_keyboard;
+    if (keyboard) {
+        try {
+            await callTelegramApi('editMessageReplyMarkup', {
+                chat_id: query.message.chat.id,
+                message_id: query.message.message_id,
+                reply_markup: { inline_keyboard: updateFeedbackButtons(keyboard, insightId, counts) }
+            });
+        } catch (error) {
+            if (!(error instanceof TelegramApiError && (error.description || '').includes('message is not modified'))) {
+                out.warn(`Could not update feedback counts on message ${query.message.message_id}: ${error.message}`);
+            }
+        }
+    }
+}
@@ -0,0 +1,150 @@
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakePolaris, startFakeTelegram } from './helpers/fakeServers.js';
+import { makeInsight, useTestEnvironment } from './helpers/environment.js';
+import { getDestinations } from '../lib/destinations.js';
+import { countGifFrames, getMediaType } from '../lib/images.js';
+import { getAnimationForInsight, isAnimatedMedia } from '../lib/animations.js';
+import { getMessageKind, sendMessage } from '../lib/messages.js';
+
+/**
+ * Builds a 1x1 GIF with the given number of frames
+ * @param {number} frames - Number of frames
+ * @returns {Buffer} GIF data
+ */
+function makeGif(frames) {
+    const header = Buffer.concat([
+        Buffer.from('GIF89a', 'latin1'),
+        // 1x1 screen with a two-color global color table
+        Buffer.from([1, 0, 1, 0, 0x80, 0, 0]),
+        Buffer.from([0, 0, 0, 255, 255, 255])
+    ]);
+    const frame = Buffer.from([
+        // Graphic control extension (100 ms delay)
+        0x21, 0xf9, 0x04, 0x00, 0x0a, 0x00, 0x00, 0x00,
+        // Image descriptor and one block of LZW data
+        0x2c, 0, 0, 0, 0, 1, 0, 1, 0, 0x00,
+        0x02, 0x02, 0x44, 0x01, 0x00
+    ]);
+    return Buffer.concat([header, ...Array(frames).fill(frame), Buffer.from([0x3b])]);
+}
+
+const MP4 = Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from('ftypisom', 'latin1'), Buffer.alloc(16)]);
+const WEBM = Buffer.concat([Buffer.from([0x1a, 0x45, 0xdf, 0xa3]), Buffer.alloc(16)]);
+const LOTTIE = Buffer.from(JSON.stringify({ v: '5.7.4', fr: 30, ip: 0, op: 60, w: 512, h: 512, layers: [] }));
+
+let polaris;
+let telegram;
+let environment;
+
+before(async () => {
+    polaris = await startFakePolaris();
+    telegram = await startFakeTelegram();
+    polaris.files = {
+        '/chart.gif': { type: 'image/gif', body: makeGif(3) },
+        '/still.gif': { type: 'image/gif', body: makeGif(1) },
+        '/chart.mp4': { type: 'video/mp4', body: MP4 },
+        '/chart.webm': { type: 'video/webm', body: WEBM },
+        '/chart.json': { type: 'application/json', body: LOTTIE }
+    };
+});
+
+after(async () => {
+    await polaris.close();
+    await telegram.close();
+});
+
+beforeEach(() => {
+    // A missing encoder keeps the outcome the same on machines with ffmpeg installed
+    environment = useTestEnvironment({ polarisUrl: polaris.url, telegramUrl: telegram.url, env: { FFMPEG_PATH: '/nonexistent/ffmpeg' } });
+    telegram.reset();
+});
+
+afterEach(() => {
+    environment.cleanup();
+});
+
+/**
+ * Builds an insight with a graphics visualization on an image background
+ * @param {string} id - Insight ID
+ * @param {string} file - Visualization path on the fake Polaris server
+ * @returns {Object} Insight
+ */
+function graphicsInsight(id, file) {
+    return makeInsight(id, 30, {
+        backgroundType: 'image',
+        backgroundValue: 'https://images.example.com/bg.jpg',
+        visualizationType: 'graphics',
+        visualizationValue: `${polaris.url}${file}`
+    });
+}
+
+test('media types and GIF frames are detected from the data', () => {
+    assert.equal(getMediaType(makeGif(2)), 'image/gif');
+    assert.equal(getMediaType(MP4), 'video/mp4');
+    assert.equal(getMediaType(WEBM), 'video/webm');
+    assert.equal(getMediaType(LOTTIE), 'application/json');
+    assert.equal(getMediaType(Buffer.from('plain text')), 'application/octet-stream');
+
+    assert.equal(countGifFrames(makeGif(1)), 1);
+    assert.equal(countGifFrames(makeGif(4)), 4);
+    assert.equal(countGifFrames(MP4), 0);
+
+    assert.equal(isAnimatedMedia(makeGif(1)), false);
+    assert.equal(isAnimatedMedia(makeGif(2)), true);
+    assert.equal(isAnimatedMedia(WEBM), true);
+});
+
+test('an animated GIF visualization is sent with sendAnimation and the caption', async () => {
+    const response = await sendMessage({ insight: graphicsInsight('gif', '/chart.gif'), destination: getDestinations()[0] });
+
+    const [request] = telegram.requests;
+    assert.equal(telegram.requests.length, 1);
+    assert.equal(request.method, 'sendAnimation');
+    assert.equal(request.params.animation, `${polaris.url}/chart.gif`);
+    assert.match(request.params.caption, /Headline gif/);
+    assert.equal(getMessageKind(response.result), 'animation');
+});
+
+test('an MP4 visualization is sent with sendVideo', async () => {
+    const response = await sendMessage({ insight: graphicsInsight('mp4', '/chart.mp4'), destination: getDestinations()[0] });
+
+    assert.deepEqual(telegram.requests.map(request => request.method), ['sendVideo']);
+    assert.equal(telegram.requests[0].params.video, `${polaris.url}/chart.mp4`);
+    assert.match(telegram.requests[0].params.caption, /Headline mp4/);
+    assert.equal(getMessageKind(response.result), 'video');
+});
+
+test('a single-frame GIF is still sent as a photo', async () => {
+    await sendMessage({ insight: graphicsInsight('still', '/still.gif'), destination: getDestinations()[0] });
+
+    assert.deepEqual(telegram.requests.map(request => request.method), ['sendPhoto']);
+    assert.equal(telegram.requests[0].params.photo, `${polaris.url}/still.gif`);
+});
+
+test('WebM and Lottie visualizations fall back to the background image without an encoder', async () => {
+    await sendMessage({ insight: graphicsInsight('webm', '/chart.webm'), destination: getDestinations()[0] });
+    await sendMessage({ insight: graphicsInsight('lottie', '/chart.json'), destination: getDestinations()[0] });
+
+    assert.deepEqual(telegram.requests.map(request => request.method), ['sendPhoto', 'sendPhoto']);
+    assert.deepEqual(telegram.requests.map(request => request.params.photo), ['https://images.example.com/bg.jpg', 'https://images.example.com/bg.jpg']);
+});
+
+test('an animated overlay on a color background is not composited without an encoder', async () => {
+    const insight = makeInsight('color-gif', 30, {
+        backgroundType: 'color',
+        backgroundValue: 'blue-700',
+        visualizationValue: `${polaris.url}/chart.gif`
+    });
+
+    assert.equal(await getAnimationForInsight(insight), null);
+});
+
+test('animations can be turned off', async () => {
+    environment.config.Animations.ENABLED = false;
+
+    await sendMessage({ insight: graphicsInsight('off', '/chart.gif'), destination: getDestinations()[0] });
+
+    assert.deepEqual(telegram.requests.map(request => request.method), ['sendPhoto']);
+    assert.equal(telegram.requests[0].params.photo, `${polaris.url}/chart.gif`);
+});
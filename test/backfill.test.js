@@ -0,0 +1,22 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnvironment } from './helpers/environment.js';
+import { runBackfill } from '../lib/backfill.js';
+
+let environment;
+
+afterEach(() => {
+    environment?.cleanup();
+    environment = undefined;
+});
+
+test('backfill rejects page options that are not whole numbers', async () => {
+    environment = useTestEnvironment();
+    const options = { since: '2024-05-01', chat: '-1001' };
+
+    await assert.rejects(() => runBackfill({ ...options, 'page-size': '-5' }), /Invalid --page-size: -5/);
+    await assert.rejects(() => runBackfill({ ...options, 'page-size': '0' }), /Invalid --page-size: 0 \(expected a whole number of at least 1\)/);
+    await assert.rejects(() => runBackfill({ ...options, 'page-size': true }), /Invalid --page-size: true/);
+    await assert.rejects(() => runBackfill({ ...options, 'max-pages': 'abc' }), /Invalid --max-pages: abc/);
+    await assert.rejects(() => runBackfill({ ...options, 'max-pages': '2.5' }), /Invalid --max-pages: 2.5/);
+});
@@ -0,0 +1,73 @@
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakePolaris, startFakeTelegram } from './helpers/fakeServers.js';
+import { makeInsight, useTestEnvironment } from './helpers/environment.js';
+import { getLogoPlacement, getShortInsightUrl } from '../lib/branding.js';
+import { getDestinations } from '../lib/destinations.js';
+import { Canvas, canvasAvailable } from '../lib/images.js';
+import { sendMessage } from '../lib/messages.js';
+
+let polaris;
+let telegram;
+let environment;
+
+before(async () => {
+    polaris = await startFakePolaris();
+    telegram = await startFakeTelegram();
+    if (canvasAvailable) {
+        const canvas = Canvas.createCanvas(400, 200);
+        polaris.files['/background.png'] = { type: 'image/png', body: canvas.toBuffer('image/png') };
+    }
+});
+
+after(async () => {
+    await polaris.close();
+    await telegram.close();
+});
+
+beforeEach(() => {
+    telegram.reset();
+});
+
+afterEach(() => {
+    environment.cleanup();
+});
+
+test('the footer link defaults to the insights URL without the protocol', () => {
+    environment = useTestEnvironment({ env: { POLARIS_INSIGHTS_URL: 'https://www.polaris.app/insights/', BRANDING_SHORT_URL: '' } });
+    assert.equal(getShortInsightUrl({ id: 'abc' }), 'polaris.app/insights/abc');
+
+    environment.cleanup();
+    environment = useTestEnvironment({ env: { BRANDING_SHORT_URL: 'plrs.app/i/' } });
+    assert.equal(getShortInsightUrl({ id: 'abc' }), 'plrs.app/i/abc');
+});
+
+test('the logo sits in its corner above the footer band', () => {
+    environment = useTestEnvironment({ env: { BRANDING_LOGO_SIZE: '0.12', BRANDING_LOGO_POSITION: 'bottom-right' } });
+    assert.deepEqual(getLogoPlacement({ width: 1000, height: 500, logoWidth: 200, logoHeight: 100, footerHeight: 35 }), { x: 865, y: 390, width: 120, height: 60 });
+
+    environment.cleanup();
+    environment = useTestEnvironment({ env: { BRANDING_LOGO_POSITION: 'top-left' } });
+    assert.deepEqual(getLogoPlacement({ width: 1000, height: 500, logoWidth: 200, logoHeight: 100, footerHeight: 35 }), { x: 15, y: 15, width: 120, height: 60 });
+});
+
+test('image URLs are still sent by URL unless BRANDING_URL_IMAGES is on', async () => {
+    environment = useTestEnvironment({ telegramUrl: telegram.url, env: { BRANDING_ENABLED: 'true', BRANDING_URL_IMAGES: 'false' } });
+    const insight = makeInsight('img', 30, { backgroundType: 'image', backgroundValue: `${polaris.url}/background.png` });
+
+    await sendMessage({ insight, destination: getDestinations()[0] });
+
+    assert.equal(telegram.sent()[0].params.photo, `${polaris.url}/background.png`);
+});
+
+test('branded image URLs are uploaded as files', { skip: !canvasAvailable && 'Canvas is not installed' }, async () => {
+    environment = useTestEnvironment({ telegramUrl: telegram.url, env: { BRANDING_ENABLED: 'true', BRANDING_URL_IMAGES: 'true' } });
+    const insight = makeInsight('img', 30, { backgroundType: 'image', backgroundValue: `${polaris.url}/background.png` });
+
+    await sendMessage({ insight, destination: getDestinations()[0] });
+
+    const sent = telegram.sent();
+    assert.equal(sent[0].method, 'sendPhoto');
+    assert.equal(sent[0].multipart, true);
+    assert.match(sent[0].params.photo, /^\[file insight-image\.jpg\]$/);
+});
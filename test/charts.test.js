@@ -0,0 +1,107 @@
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakePolaris, startFakeTelegram } from './helpers/fakeServers.js';
+import { makeInsight, useTestEnvironment } from './helpers/environment.js';
+import { getDestinations } from '../lib/destinations.js';
+import { canvasAvailable } from '../lib/images.js';
+import { formatChartValue, getChartProblems, getNiceScale, parseChartData } from '../lib/charts.js';
+import { sendMessage } from '../lib/messages.js';
+
+const CHART = {
+    type: 'bar',
+    labels: ['Q1', 'Q2', 'Q3'],
+    series: [{ name: 'TVL', values: [4.2, 5.1, null] }, { name: 'Volume', values: [1.5, 2, 2.4], color: 'red-500' }],
+    yLabel: 'USD bn'
+};
+
+let polaris;
+let telegram;
+let environment;
+
+before(async () => {
+    polaris = await startFakePolaris();
+    telegram = await startFakeTelegram();
+    polaris.files = { '/chart.json': { type: 'application/json', body: Buffer.from(JSON.stringify(CHART)) } };
+});
+
+after(async () => {
+    await polaris.close();
+    await telegram.close();
+});
+
+beforeEach(() => {
+    environment = useTestEnvironment({ polarisUrl: polaris.url, telegramUrl: telegram.url });
+    telegram.reset();
+});
+
+afterEach(() => {
+    environment.cleanup();
+});
+
+test('chart data is validated and filled in', () => {
+    assert.deepEqual(parseChartData('{"values": [3, 1, 2], "name": "Fees"}'), {
+        type: 'line',
+        labels: ['1', '2', '3'],
+        series: [{ name: 'Fees', values: [3, 1, 2], color: null }],
+        xLabel: '',
+        yLabel: ''
+    });
+    assert.deepEqual(parseChartData(CHART).labels, ['Q1', 'Q2', 'Q3']);
+    assert.deepEqual(parseChartData({ labels: ['Mon'], values: [1, 2] }).labels, ['Mon', '']);
+
+    assert.throws(() => parseChartData({ type: 'pie', values: [1] }), /Chart type "pie" is not one of line, bar, area/);
+    assert.throws(() => parseChartData({ series: [{ values: [1, '2'] }] }), /Chart series 1 has a value that is not a number: "2"/);
+    assert.throws(() => parseChartData({ labels: ['a'] }), /needs a "series" array or "values"/);
+    assert.throws(() => parseChartData({ values: [null] }), /Chart data has no values/);
+    assert.throws(() => parseChartData('{not json'), /Chart data is not valid JSON/);
+});
+
+test('the value axis gets round bounds and ticks', () => {
+    assert.deepEqual(getNiceScale(0, 87), { min: 0, max: 100, step: 20, ticks: [0, 20, 40, 60, 80, 100] });
+    assert.deepEqual(getNiceScale(0.12, 0.5).ticks, [0.1, 0.2, 0.3, 0.4, 0.5]);
+    assert.deepEqual(getNiceScale(-30, 45).ticks, [-40, -20, 0, 20, 40, 60]);
+    assert.deepEqual(getNiceScale(5, 5), { min: 4.4, max: 5.6, step: 0.2, ticks: [4.4, 4.6, 4.8, 5, 5.2, 5.4, 5.6] });
+    assert.equal(formatChartValue(1250), '1.25K');
+    assert.equal(formatChartValue(3000000), '3M');
+});
+
+test('check-config reports invalid chart colors', () => {
+    environment.cleanup();
+    environment = useTestEnvironment({ env: { CHART_PALETTE: 'orange-400, teal-500', CHART_BACKGROUND: 'blue-700→' } });
+
+    const problems = getChartProblems();
+    assert.equal(problems.length, 2);
+    assert.match(problems[0], /^CHART_PALETTE entry "teal-500" is invalid/);
+    assert.match(problems[1], /^CHART_BACKGROUND is invalid/);
+});
+
+test('a chart insight without Canvas falls back to its background or text', { skip: canvasAvailable && 'Canvas is installed' }, async () => {
+    await sendMessage({
+        insight: makeInsight('chart-image', 30, { backgroundType: 'image', backgroundValue: 'https://images.example.com/bg.jpg', visualizationType: 'chart', visualizationValue: CHART }),
+        destination: getDestinations()[0]
+    });
+    await sendMessage({
+        insight: makeInsight('chart-color', 30, { backgroundType: 'color', backgroundValue: 'blue-700', visualizationType: 'chart', visualizationValue: CHART }),
+        destination: getDestinations()[0]
+    });
+
+    assert.deepEqual(telegram.sent().map(request => request.method), ['sendPhoto', 'sendMessage']);
+    assert.equal(telegram.sent()[0].params.photo, 'https://images.example.com/bg.jpg');
+});
+
+test('chart insights are rendered and uploaded as photos', { skip: !canvasAvailable && 'Canvas is not installed' }, async () => {
+    await sendMessage({
+        insight: makeInsight('chart', 30, { backgroundType: 'color', backgroundValue: 'blue-700', visualizationType: 'chart', visualizationValue: CHART }),
+        destination: getDestinations()[0]
+    });
+    // Chart data can also be a JSON file
+    await sendMessage({
+        insight: makeInsight('chart-url', 30, { visualizationType: 'data', visualizationValue: `${polaris.url}/chart.json` }),
+        destination: getDestinations()[0]
+    });
+
+    const sent = telegram.sent();
+    assert.deepEqual(sent.map(request => [request.method, request.multipart]), [['sendPhoto', true], ['sendPhoto', true]]);
+    assert.match(sent[0].params.caption, /Headline chart/);
+    assert.match(sent[1].params.caption, /Headline chart-url/);
+});
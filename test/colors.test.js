@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseBackground, parseColor } from '../lib/colors.js';
+
+const palette = {
+    'black': '0 0 0',
+    'gray-50': '248 246 242',
+    'blue-700': '43 81 95',
+    'green-800': '50 82 70',
+    'blue-700-muted': { color: 'blue-700', alpha: 0.5, over: 'black' },
+    'loop': { color: 'loop', alpha: 0.5 }
+};
+
+test('parseColor reads palette names and CSS colors', () => {
+    assert.deepEqual(parseColor('blue-700', palette), { r: 43, g: 81, b: 95, a: 1 });
+    assert.deepEqual(parseColor('#2b515f', palette), { r: 43, g: 81, b: 95, a: 1 });
+    assert.deepEqual(parseColor('#fff', palette), { r: 255, g: 255, b: 255, a: 1 });
+    assert.deepEqual(parseColor('rgba(43, 81, 95, 0.5)', palette), { r: 43, g: 81, b: 95, a: 0.5 });
+    assert.deepEqual(parseColor('rgb(43 81 95 / 50%)', palette), { r: 43, g: 81, b: 95, a: 0.5 });
+    assert.deepEqual(parseColor('hsl(0, 100%, 50%)', palette), { r: 255, g: 0, b: 0, a: 1 });
+});
+
+test('parseColor blends palette entries with an alpha over another color', () => {
+    assert.deepEqual(parseColor('blue-700-muted', palette), { r: 22, g: 41, b: 48, a: 1 });
+    assert.throws(() => parseColor('loop', palette), /blended with itself/);
+});
+
+test('the bundled -blended colors keep their exact values', () => {
+    assert.deepEqual(parseColor('gray-50-blended'), { r: 112, g: 73, b: 0, a: 1 });
+    assert.deepEqual(parseColor('gray-600-blended'), { r: 8, g: 14, b: 1, a: 1 });
+});
+
+test('parseColor rejects unknown colors', () => {
+    assert.throws(() => parseColor('teal-500', palette), /Unknown color "teal-500"/);
+    assert.throws(() => parseColor('#12345', palette), /Unknown color/);
+    assert.throws(() => parseColor('rgb(1, 2)', palette), /Invalid color "rgb\(1, 2\)"/);
+});
+
+test('parseBackground reads solid colors and gradients', () => {
+    assert.deepEqual(parseBackground('black', palette), { type: 'solid', angle: 180, colors: [{ r: 0, g: 0, b: 0, a: 1 }] });
+
+    const linear = parseBackground('blue-700→green-800', palette);
+    assert.equal(linear.type, 'linear');
+    assert.equal(linear.angle, 180);
+    assert.deepEqual(linear.colors.map(color => color.g), [81, 82]);
+
+    assert.equal(parseBackground('45deg: blue-700 -> #000 -> green-800', palette).angle, 45);
+    assert.equal(parseBackground('45deg: blue-700 -> #000 -> green-800', palette).colors.length, 3);
+    assert.equal(parseBackground('radial:blue-700→black', palette).type, 'radial');
+    assert.throws(() => parseBackground('radial:blue-700', palette), /at least two colors/);
+    assert.throws(() => parseBackground('blue-700→teal-500', palette), /Unknown color "teal-500"/);
+});
@@ -0,0 +1,71 @@
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakePolaris, startFakeTelegram } from './helpers/fakeServers.js';
+import { makeInsight, useTestEnvironment } from './helpers/environment.js';
+import { saveModerationRequest, updateModerationRecord } from '../lib/store.js';
+import { handleCommand } from '../lib/commands.js';
+
+let polaris;
+let telegram;
+let environment;
+
+before(async () => {
+    polaris = await startFakePolaris({
+        insights: [makeInsight('fresh', 1), makeInsight('pending', 20), makeInsight('approved', 30), makeInsight('rejected', 40)]
+    });
+    telegram = await startFakeTelegram();
+});
+
+after(async () => {
+    await polaris.close();
+    await telegram.close();
+});
+
+beforeEach(() => {
+    environment = useTestEnvironment({
+        polarisUrl: polaris.url,
+        telegramUrl: telegram.url,
+        env: { COMMANDS_ENABLED: 'true', MODERATION_ENABLED: 'true', MODERATION_REVIEW_CHAT_ID: '2002' }
+    });
+    telegram.reset();
+    for (const id of ['pending', 'approved', 'rejected']) {
+        saveModerationRequest(id, { chatId: '2002', messageId: 1, kind: 'text' });
+    }
+    updateModerationRecord('approved', { status: 'approved' });
+    updateModerationRecord('rejected', { status: 'rejected' });
+});
+
+afterEach(() => {
+    environment.cleanup();
+});
+
+/**
+ * Sends a command from the destination chat
+ * @param {string} text - Command text
+ * @returns {Promise<void>}
+ */
+function runCommand(text) {
+    return handleCommand({ message_id: 1, chat: { id: 1001, type: 'supergroup' }, from: { id: 7 }, text });
+}
+
+test('/latest skips insights that are too recent or not approved', async () => {
+    await runCommand('/latest 3');
+
+    const sent = telegram.sent('sendMessage');
+    assert.equal(sent.length, 1);
+    assert.match(sent[0].params.text, /Headline approved/);
+});
+
+test('/insight refuses pending, rejected and too recent insights', async () => {
+    for (const id of ['pending', 'rejected', 'fresh']) {
+        await runCommand(`/insight ${id}`);
+    }
+    await runCommand('/insight approved');
+
+    const texts = telegram.sent('sendMessage').map(request => request.params.text);
+    assert.equal(texts.length, 4);
+    assert.match(texts[0], /Insight pending has not been posted yet/);
+    assert.match(texts[1], /Insight rejected has not been posted yet/);
+    assert.match(texts[2], /Insight fresh has not been posted yet/);
+    assert.match(texts[3], /Headline approved/);
+});
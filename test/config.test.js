@@ -0,0 +1,140 @@
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { startFakePolaris, startFakeTelegram } from './helpers/fakeServers.js';
+import { makeInsight, useTestEnvironment } from './helpers/environment.js';
+import { ConfigError, readSettings } from '../lib/config.js';
+import { main, validateConfiguration } from '../lib/cli.js';
+import { runCheckConfig } from '../lib/checkConfig.js';
+import { getImageFormatWarnings, loadSharp } from '../lib/images.js';
+
+let telegram;
+let environment;
+
+before(async () => {
+    telegram = await startFakeTelegram();
+});
+
+after(async () => {
+    await telegram.close();
+});
+
+beforeEach(() => {
+    telegram.reset();
+});
+
+afterEach(() => {
+    environment?.cleanup();
+    environment = undefined;
+});
+
+test('readSettings reports every invalid value at once and keeps the defaults', () => {
+    const { values, errors } = readSettings({ INSIGHTS_LIMIT: 'abc', WEBHOOK_PORT: '70000', UPDATES_MODE: 'push', TELEGRAM_CHAT_ID: '12x' });
+
+    assert.deepEqual(errors, [
+        'TELEGRAM_CHAT_ID="12x" must be a numeric chat ID (e.g. -1001234567890) or a public @username',
+        'INSIGHTS_LIMIT="abc" must be a whole number',
+        'UPDATES_MODE="push" must be one of polling, webhook, off',
+        'WEBHOOK_PORT="70000" must be at most 65535'
+    ]);
+    assert.equal(values.INSIGHTS_LIMIT, 7);
+    assert.equal(values.WEBHOOK_PORT, 8443);
+    assert.equal(values.UPDATES_MODE, 'polling');
+});
+
+test('readSettings honours zero and parses booleans and lists', () => {
+    const { values, errors } = readSettings({
+        MINIMUM_AGE_MINUTES: '0',
+        SYNC_EDITS: 'FALSE',
+        INLINE_BUTTONS: 'readMore, share',
+        COMMANDS_ALLOWED_CHAT_IDS: '-1001234, @polaris_news'
+    });
+
+    assert.deepEqual(errors, []);
+    assert.equal(values.MINIMUM_AGE_MINUTES, 0);
+    assert.equal(values.SYNC_EDITS, false);
+    assert.deepEqual(values.INLINE_BUTTONS, ['readMore', 'share']);
+    assert.deepEqual(values.COMMANDS_ALLOWED_CHAT_IDS, ['-1001234', '@polaris_news']);
+});
+
+test('readSettings never echoes secrets and warns about deprecated settings', () => {
+    const { errors, warnings } = readSettings({ TELEGRAM_TOKEN: 'my secret token', MAX_PROCESSED_IDS: '500' });
+
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /^TELEGRAM_TOKEN must look like/);
+    assert.doesNotMatch(errors[0], /my secret token/);
+    assert.deepEqual(warnings, ['MAX_PROCESSED_IDS is no longer used: processed insights are kept in the state database']);
+});
+
+test('validateConfiguration throws one ConfigError listing every problem', () => {
+    environment = useTestEnvironment({ env: { INSIGHTS_LIMIT: '0' } });
+    fs.writeFileSync(environment.config.Telegram.DESTINATIONS_FILE, JSON.stringify([{ chatId: '-100abc' }]));
+
+    assert.throws(() => validateConfiguration(), error => {
+        assert.ok(error instanceof ConfigError);
+        assert.equal(error.problems.length, 2);
+        assert.match(error.message, /^Invalid configuration \(2 problems\):/);
+        assert.match(error.message, /INSIGHTS_LIMIT="0" must be at least 1/);
+        assert.match(error.message, /Destination #1 has an invalid "chatId": -100abc/);
+        return true;
+    });
+});
+
+test('check-config --telegram reports chats the bot cannot post to', async () => {
+    environment = useTestEnvironment({ telegramUrl: telegram.url });
+    fs.writeFileSync(environment.config.Telegram.DESTINATIONS_FILE, JSON.stringify([
+        { key: 'group', chatId: '-1001' },
+        { key: 'channel', chatId: '-1002' }
+    ]));
+    telegram.respond('getMe', { id: 42, is_bot: true, username: 'polaris_test_bot' });
+    telegram.respond('getChat', params => ({ id: Number(params.chat_id), type: params.chat_id === '-1002' ? 'channel' : 'supergroup', title: `Chat ${params.chat_id}` }));
+    telegram.respond('getChatMember', { status: 'member', user: { id: 42 } });
+
+    await assert.rejects(() => runCheckConfig({ telegram: true }), /Configuration check failed with 1 problem$/);
+    assert.deepEqual(telegram.requests.map(request => request.method), ['getMe', 'getChat', 'getChatMember', 'getChat', 'getChatMember']);
+
+    // Once the bot can post in the channel, the check passes
+    telegram.respond('getChatMember', { status: 'administrator', can_post_messages: true, user: { id: 42 } });
+    await runCheckConfig({ telegram: true });
+});
+
+test('an invalid setting stops a backfill before anything is posted', async (t) => {
+    const polaris = await startFakePolaris({ insights: [makeInsight('a1', 90)] });
+    t.after(() => polaris.close());
+    environment = useTestEnvironment({ polarisUrl: polaris.url, telegramUrl: telegram.url, env: { TEST_MODE: 'yes' } });
+    const exit = t.mock.method(process, 'exit', () => {});
+
+    await main(['backfill', '--since', '2024-05-01', '--chat', '-1001']);
+
+    assert.deepEqual(exit.mock.calls.map(call => call.arguments), [[1]]);
+    assert.deepEqual(polaris.requests, []);
+    assert.equal(telegram.requests.length, 0);
+});
+
+test('a broken message template stops a backfill before anything is posted', async (t) => {
+    const polaris = await startFakePolaris({ insights: [makeInsight('a1', 90)] });
+    t.after(() => polaris.close());
+    environment = useTestEnvironment({ polarisUrl: polaris.url, telegramUrl: telegram.url });
+    fs.writeFileSync(environment.config.Telegram.TEMPLATES_FILE, JSON.stringify({ caption: '{{headline' }));
+    const exit = t.mock.method(process, 'exit', () => {});
+
+    await main(['backfill', '--since', '2024-05-01', '--chat', '-1001']);
+
+    assert.deepEqual(exit.mock.calls.map(call => call.arguments), [[1]]);
+    assert.deepEqual(polaris.requests, []);
+    assert.equal(telegram.requests.length, 0);
+});
+
+test('check-config warns when WebP output has no sharp to encode it', async () => {
+    environment = useTestEnvironment({ env: { IMAGE_FORMAT: 'webp' } });
+    const sharpInstalled = await loadSharp() !== null;
+
+    const warnings = await getImageFormatWarnings();
+    assert.equal(warnings.length, sharpInstalled ? 0 : 1);
+    if (!sharpInstalled) {
+        assert.match(warnings[0], /^IMAGE_FORMAT=webp needs the optional sharp package/);
+    }
+
+    environment.config.Images.FORMAT = 'jpeg';
+    assert.deepEqual(await getImageFormatWarnings(), []);
+});
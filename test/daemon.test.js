@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { waitUntil } from '../lib/daemon.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('waits longer than the setTimeout limit are not cut short', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    let done = false;
+    const waiting = waitUntil(new Date(Date.now() + 40 * DAY_MS)).then(woken => {
+        done = true;
+        return woken;
+    });
+
+    t.mock.timers.tick(1);
+    await Promise.resolve();
+    assert.equal(done, false);
+
+    t.mock.timers.tick(30 * DAY_MS);
+    await Promise.resolve();
+    assert.equal(done, false);
+
+    t.mock.timers.tick(10 * DAY_MS);
+    assert.equal(await waiting, false);
+});
+
+test('long waits are split into timers setTimeout can hold', (t) => {
+    const delays = [];
+    t.mock.method(globalThis, 'setTimeout', (callback, delay) => delays.push(delay));
+
+    waitUntil(new Date(Date.now() + 365 * DAY_MS));
+
+    assert.deepEqual(delays, [2 ** 31 - 1]);
+});
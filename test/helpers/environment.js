@@ -0,0 +1,94 @@
+/**
+ * Test environment
+ * Points the configuration at the fake servers and at a temporary directory, so tests
+ * never touch the bot directory's state database, caches or .env settings.
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig, setConfig } from '../../lib/config.js';
+import { cacheMemory, closeStateStore } from '../../lib/store.js';
+
+/** Settings that change what gets posted, pinned so a local .env cannot change the outcome */
+const BASE_ENV = {
+    TELEGRAM_TOKEN: '123456:test-token',
+    TELEGRAM_CHAT_ID: '1001',
+    TEST_MODE: 'false',
+    TELEGRAM_PARSE_MODE: 'HTML',
+    TELEGRAM_PER_CHAT_MESSAGES_PER_MINUTE: '60000',
+    TELEGRAM_GLOBAL_MESSAGES_PER_SECOND: '1000',
+    TELEGRAM_MAX_RETRIES: '0',
+    MINIMUM_AGE_MINUTES: '5',
+    INSIGHTS_LIMIT: '7',
+    CATCHUP_MAX_PAGES: '0',
+    USE_IMAGE_OVERLAY: 'false',
+    INLINE_BUTTONS: '',
+    SUBSCRIPTIONS_ENABLED: 'false',
+    MODERATION_ENABLED: 'false',
+    SYNC_EDITS: 'false',
+    SYNC_DELETES: 'false'
+};
+
+/**
+ * Sets up the configuration for one test
+ * The state database, legacy JSON caches, image cache, lock file, destinations and templates all live in
+ * a fresh temporary directory.
+ *
+ * @param {Object} options - Environment options
+ * @param {string} [options.polarisUrl] - Base URL of the fake Polaris API
+ * @param {string} [options.telegramUrl] - Base URL of the fake Telegram Bot API
+ * @param {Object<string, string>} [options.env={}] - Extra environment variables
+ * @returns {{dir: string, config: Object, cleanup: Function}} Temporary directory, active configuration and cleanup function
+ * @example
+ * const environment = useTestEnvironment({ polarisUrl: polaris.url, telegramUrl: telegram.url });
+ * after(() => environment.cleanup());
+ */
+export function useTestEnvironment({ polarisUrl, telegramUrl, env = {} } = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'polaris-bot-test-'));
+
+    Object.assign(process.env, BASE_ENV, {
+        POLARIS_API_URL: polarisUrl || 'http://127.0.0.1:9',
+        TELEGRAM_API_URL: telegramUrl || 'http://127.0.0.1:9',
+        STATE_DB_FILE: path.join(dir, 'state.db'),
+        LOCK_FILE: path.join(dir, 'run.lock'),
+        DESTINATIONS_FILE: path.join(dir, 'destinations.json'),
+        TEMPLATES_FILE: path.join(dir, 'templates.json'),
+        IMAGE_CACHE_DIR: path.join(dir, 'image_cache')
+    }, env);
+
+    const config = loadConfig();
+    // The legacy JSON cache paths are fixed to the bot directory; keep them in the temp directory too
+    config.Cache.FILENAME = path.join(dir, 'latest_insight.cache.json');
+    config.Cache.PROCESSED_IDS_FILENAME = path.join(dir, 'processed_insights.cache.json');
+
+    closeStateStore();
+    cacheMemory.clear();
+    setConfig(config);
+
+    return {
+        dir,
+        config,
+        cleanup() {
+            closeStateStore();
+            cacheMemory.clear();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * Builds an insight as returned by the Polaris API
+ * @param {string} id - Insight ID
+ * @param {number} minutesAgo - How long ago the insight was published
+ * @param {Object} [fields={}] - Extra or overriding fields
+ * @returns {Object} Insight
+ */
+export function makeInsight(id, minutesAgo, fields = {}) {
+    return {
+        id,
+        headline: `Headline ${id}`,
+        readTime: '2 min read',
+        publishedAt: new Date(Date.now() - minutesAgo * 60 * 1000).toISOString(),
+        ...fields
+    };
+}
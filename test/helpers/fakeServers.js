@@ -0,0 +1,218 @@
+/**
+ * Local stand-ins for the Polaris API and the Telegram Bot API
+ * Both listen on a random port on 127.0.0.1 and record the requests they receive.
+ */
+import http from 'http';
+
+/**
+ * Starts an HTTP server on a random local port
+ * @param {Function} handler - Request handler `(req, res, body) => void`
+ * @returns {Promise<{url: string, close: Function}>} Base URL and a close function
+ */
+function listen(handler) {
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => handler(req, res, Buffer.concat(chunks)));
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {*} data - Response body
+ * @returns {void}
+ */
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+/**
+ * Starts a fake Polaris API serving `/ai/curated-insights`
+ * Lists are sorted newest first and paged with `_start`/`_end` like the real API.
+ * Extra files (e.g. overlay images) can be served with `files`; a file with an `etag`
+ * answers a matching If-None-Match with 304. Responses to file requests are recorded
+ * in `fileResponses`.
+ *
+ * @param {Object} [options] - Server options
+ * @param {Object[]} [options.insights=[]] - Published insights
+ * @param {Object<string, {type: string, body: Buffer, etag?: string}>} [options.files={}] - Extra files by path
+ * @returns {Promise<Object>} `{ url, close, requests, fileResponses, insights, files }`; `insights` and `files` can be changed between runs
+ * @example
+ * const polaris = await startFakePolaris({ insights: [{ id: 'a1', publishedAt: '2024-05-01T10:00:00Z' }] });
+ */
+export async function startFakePolaris({ insights = [], files = {} } = {}) {
+    const fake = { requests: [], fileResponses: [], insights, files };
+
+    const server = await listen((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        fake.requests.push(url.pathname + url.search);
+
+        const file = fake.files[url.pathname];
+        if (file) {
+            if (file.etag && req.headers['if-none-match'] === file.etag) {
+                fake.fileResponses.push({ path: url.pathname, status: 304 });
+                res.writeHead(304, { ETag: file.etag });
+                res.end();
+                return;
+            }
+            fake.fileResponses.push({ path: url.pathname, status: 200 });
+            res.writeHead(200, { 'Content-Type': file.type, ...(file.etag ? { ETag: file.etag } : {}) });
+            res.end(file.body);
+            return;
+        }
+
+        if (url.pathname === '/ai/curated-insights') {
+            const sorted = [...fake.insights].sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+            const start = Number(url.searchParams.get('_start') || 0);
+            const end = Number(url.searchParams.get('_end') || sorted.length);
+            sendJson(res, 200, sorted.slice(start, end));
+            return;
+        }
+
+        const match = url.pathname.match(/^\/ai\/curated-insights\/(.+)$/);
+        const insight = match && fake.insights.find(candidate => candidate.id === decodeURIComponent(match[1]));
+        if (insight) {
+            sendJson(res, 200, insight);
+            return;
+        }
+
+        sendJson(res, 404, { error: 'Not found' });
+    });
+
+    return Object.assign(fake, server);
+}
+
+/**
+ * Reads the text fields of a multipart/form-data body
+ * @param {Buffer} body - Raw request body
+ * @returns {Object<string, string>} Field values (file parts are reported as `[file <name>]`)
+ */
+function parseMultipart(body) {
+    const fields = {};
+    const pattern = /Content-Disposition: form-data; name="([^"]+)"(?:; filename="([^"]+)")?[^\r]*\r\n(?:[^\r]+\r\n)*\r\n/g;
+    const text = body.toString('latin1');
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const valueEnd = text.indexOf('\r\n--', pattern.lastIndex);
+        fields[match[1]] = match[2] ? `[file ${match[2]}]` : text.slice(pattern.lastIndex, valueEnd);
+    }
+    return fields;
+}
+
+/**
+ * Starts a fake Telegram Bot API
+ * Every method succeeds with a Telegram-shaped result unless a failure is registered
+ * with `fail(method, status, description)` or a fixed result with `respond(method, result)`;
+ * `stall(method)` leaves requests unanswered.
+ *
+ * @returns {Promise<Object>} `{ url, close, requests, fail, respond, stall, reset, sent }`
+ * @example
+ * const telegram = await startFakeTelegram();
+ * telegram.fail('sendPhoto', 400, 'Bad Request: wrong file identifier/HTTP URL specified');
+ */
+export async function startFakeTelegram() {
+    const failures = new Map();
+    const responses = new Map();
+    const stalls = new Map();
+    let messageId = 0;
+    const fake = {
+        requests: [],
+        /**
+         * Makes a method fail with a Telegram error
+         * @param {string} method - API method
+         * @param {number} status - error_code to return
+         * @param {string} description - Error description
+         * @param {Function} [when] - Fails only the requests for which `when(request)` is true
+         * @returns {void}
+         */
+        fail(method, status, description, when = () => true) {
+            failures.set(method, { status, description, when });
+        },
+        /**
+         * Makes a method succeed with a fixed result
+         * @param {string} method - API method
+         * @param {*|Function} result - Result, or a function building it from the request parameters
+         * @returns {void}
+         */
+        respond(method, result) {
+            responses.set(method, result);
+        },
+        /**
+         * Makes the next requests to a method hang without a response
+         * @param {string} method - API method
+         * @param {number} [count=1] - Number of requests to leave unanswered
+         * @returns {void}
+         */
+        stall(method, count = 1) {
+            stalls.set(method, count);
+        },
+        /**
+         * Forgets the recorded requests, failures and fixed results
+         * @returns {void}
+         */
+        reset() {
+            fake.requests.length = 0;
+            failures.clear();
+            responses.clear();
+            stalls.clear();
+        },
+        /**
+         * Lists the requests of the given send methods, in order
+         * @param {...string} methods - API methods (default sendMessage and sendPhoto)
+         * @returns {Object[]} Recorded requests
+         */
+        sent(...methods) {
+            const wanted = methods.length > 0 ? methods : ['sendMessage', 'sendPhoto'];
+            return fake.requests.filter(request => wanted.includes(request.method));
+        }
+    };
+
+    const server = await listen((req, res, body) => {
+        const method = req.url.split('/').pop();
+        const multipart = (req.headers['content-type'] || '').startsWith('multipart/form-data');
+        const params = multipart ? parseMultipart(body) : JSON.parse(body.toString() || '{}');
+        fake.requests.push({ method, params, multipart });
+
+        if (stalls.get(method) > 0) {
+            // Never answered; the client gives up and closes the connection
+            stalls.set(method, stalls.get(method) - 1);
+            return;
+        }
+
+        const failure = failures.get(method);
+        if (failure?.when(fake.requests.at(-1))) {
+            sendJson(res, failure.status, { ok: false, error_code: failure.status, description: failure.description });
+            return;
+        }
+
+        if (responses.has(method)) {
+            const result = responses.get(method);
+            sendJson(res, 200, { ok: true, result: typeof result === 'function' ? result(params) : result });
+            return;
+        }
+
+        const message = { message_id: ++messageId, chat: { id: Number(params.chat_id) }, date: Math.floor(Date.now() / 1000) };
+        if (method === 'sendPhoto') {
+            message.photo = [{ file_id: `photo-${messageId}`, width: 1280, height: 640 }];
+        } else if (method === 'sendAnimation') {
+            message.animation = { file_id: `animation-${messageId}`, width: 1280, height: 640, duration: 3 };
+        } else if (method === 'sendVideo') {
+            message.video = { file_id: `video-${messageId}`, width: 1280, height: 640, duration: 3 };
+        }
+        sendJson(res, 200, { ok: true, result: method === 'getUpdates' ? [] : message });
+    });
+
+    return Object.assign(fake, server);
+}
@@ -0,0 +1,123 @@
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startFakePolaris, startFakeTelegram } from './helpers/fakeServers.js';
+import { useTestEnvironment } from './helpers/environment.js';
+import { fetchCachedAsset, getCachedRender, pruneImageCache } from '../lib/imageCache.js';
+import { callTelegramApi } from '../lib/telegram.js';
+import { getStateDb, listImageCacheEntries } from '../lib/store.js';
+
+let polaris;
+let telegram;
+let environment;
+
+before(async () => {
+    polaris = await startFakePolaris();
+    telegram = await startFakeTelegram();
+});
+
+after(async () => {
+    await polaris.close();
+    await telegram.close();
+});
+
+beforeEach(() => {
+    polaris.fileResponses.length = 0;
+    polaris.files = {};
+    telegram.reset();
+});
+
+afterEach(() => {
+    environment?.cleanup();
+    environment = undefined;
+});
+
+test('downloads are revalidated with their ETag and reused on 304', async () => {
+    environment = useTestEnvironment({ polarisUrl: polaris.url, telegramUrl: telegram.url });
+    polaris.files = { '/overlay.png': { type: 'image/png', body: Buffer.from('overlay v1'), etag: '"v1"' } };
+    const url = `${polaris.url}/overlay.png`;
+
+    assert.equal((await fetchCachedAsset(url, 'overlay image')).toString(), 'overlay v1');
+    assert.equal((await fetchCachedAsset(url, 'overlay image')).toString(), 'overlay v1');
+    assert.deepEqual(polaris.fileResponses.map(response => response.status), [200, 304]);
+
+    // A changed file is downloaded again and replaces the cached copy
+    polaris.files['/overlay.png'] = { type: 'image/png', body: Buffer.from('overlay v2'), etag: '"v2"' };
+    assert.equal((await fetchCachedAsset(url, 'overlay image')).toString(), 'overlay v2');
+    assert.equal(listImageCacheEntries().length, 1);
+
+    // The cached copy is used while the server is unreachable
+    await polaris.close();
+    try {
+        assert.equal((await fetchCachedAsset(url, 'overlay image')).toString(), 'overlay v2');
+    } finally {
+        polaris = await startFakePolaris();
+    }
+});
+
+test('renders are cached by their parameters', async () => {
+    environment = useTestEnvironment({ polarisUrl: polaris.url, telegramUrl: telegram.url });
+    let renders = 0;
+    const render = async () => Buffer.from(`render ${++renders}`);
+
+    assert.equal((await getCachedRender('background', { fill: 'blue-700' }, render)).toString(), 'render 1');
+    assert.equal((await getCachedRender('background', { fill: 'blue-700' }, render)).toString(), 'render 1');
+    assert.equal((await getCachedRender('background', { fill: 'green-800' }, render)).toString(), 'render 2');
+
+    // With the cache off, every call renders
+    environment.config.ImageCache.ENABLED = false;
+    assert.equal((await getCachedRender('background', { fill: 'blue-700' }, render)).toString(), 'render 3');
+});
+
+test('pruning evicts old and least recently used entries and their files', async () => {
+    environment = useTestEnvironment({ polarisUrl: polaris.url, telegramUrl: telegram.url, env: { IMAGE_CACHE_MAX_MB: '0.00002' } });
+    for (const name of ['old', 'used', 'recent']) {
+        await getCachedRender('test', { name }, async () => Buffer.from(`${name} image`));
+    }
+    const db = getStateDb();
+    db.prepare("UPDATE image_cache SET last_used_at = '2020-01-01T00:00:00.000Z' WHERE source = 'render:test' AND size = ?").run('old image'.length);
+    db.prepare('UPDATE image_cache SET last_used_at = ? WHERE size = ?').run(new Date(Date.now() - 60000).toISOString(), 'used image'.length);
+    fs.writeFileSync(path.join(environment.config.ImageCache.DIR, 'a'.repeat(64)), 'orphan');
+
+    // 21 bytes fit: 'old' is too old, 'used' is the least recently used of the rest
+    assert.deepEqual(pruneImageCache(), { entries: 2, files: 3 });
+    assert.deepEqual(listImageCacheEntries().map(entry => entry.size), ['recent image'.length]);
+    assert.equal(fs.readdirSync(environment.config.ImageCache.DIR).length, 1);
+});
+
+test('an image sent again reuses the file_id of its first upload', async () => {
+    environment = useTestEnvironment({ polarisUrl: polaris.url, telegramUrl: telegram.url });
+    const files = { photo: { buffer: Buffer.from('rendered image'), filename: 'insight-image.jpg' } };
+
+    const upload = await callTelegramApi('sendPhoto', { chat_id: '1001', caption: 'first' }, { files });
+    const fileId = upload.result.photo[0].file_id;
+    await callTelegramApi('sendPhoto', { chat_id: '1002', caption: 'second' }, { files });
+    await callTelegramApi('sendMediaGroup', {
+        chat_id: '1003',
+        media: [{ type: 'photo', media: 'attach://photo0' }, { type: 'photo', media: 'https://example.com/a.jpg' }]
+    }, { files: { photo0: files.photo } });
+
+    const [first, second, album] = telegram.requests;
+    assert.equal(first.multipart, true);
+    assert.equal(first.params.photo, '[file insight-image.jpg]');
+    assert.equal(second.multipart, false);
+    assert.equal(second.params.photo, fileId);
+    assert.equal(album.multipart, false);
+    assert.equal(album.params.media[0].media, fileId);
+});
+
+test('a rejected file_id falls back to uploading the file', async () => {
+    environment = useTestEnvironment({ polarisUrl: polaris.url, telegramUrl: telegram.url });
+    const files = { photo: { buffer: Buffer.from('rendered image'), filename: 'insight-image.jpg' } };
+
+    const first = await callTelegramApi('sendPhoto', { chat_id: '1001' }, { files });
+    const rejectedFileId = first.result.photo[0].file_id;
+    telegram.fail('sendPhoto', 400, 'Bad Request: wrong file identifier/HTTP URL specified', request => request.params.photo === rejectedFileId);
+    const retried = await callTelegramApi('sendPhoto', { chat_id: '1002' }, { files });
+    await callTelegramApi('sendPhoto', { chat_id: '1003' }, { files });
+
+    assert.deepEqual(telegram.requests.map(request => request.multipart), [true, false, true, false]);
+    // The file_id of the new upload replaced the rejected one
+    assert.equal(telegram.requests[3].params.photo, retried.result.photo[0].file_id);
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { BOT_DIR, readSettings } from '../lib/config.js';
+import { getImageExtension, getOverlayPlacement } from '../lib/images.js';
+
+test('the visualization is centered at the given scale by default', () => {
+    const placement = getOverlayPlacement({ width: 1920, height: 960, overlayWidth: 800, overlayHeight: 800, scale: 0.5, anchor: 'center', padding: 0 });
+
+    assert.deepEqual(placement, { x: 720, y: 240, width: 480, height: 480 });
+});
+
+test('anchors place the visualization inside the padding', () => {
+    const options = { width: 1000, height: 500, overlayWidth: 100, overlayHeight: 100, scale: 0.5, padding: 0.1 };
+
+    assert.deepEqual(getOverlayPlacement({ ...options, anchor: 'top-left' }), { x: 50, y: 50, width: 200, height: 200 });
+    assert.deepEqual(getOverlayPlacement({ ...options, anchor: 'bottom-right' }), { x: 750, y: 250, width: 200, height: 200 });
+    assert.deepEqual(getOverlayPlacement({ ...options, anchor: 'top' }), { x: 400, y: 50, width: 200, height: 200 });
+});
+
+test('getImageExtension recognizes PNG and WebP data', () => {
+    assert.equal(getImageExtension(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a])), 'png');
+    assert.equal(getImageExtension(Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WEBPVP8 ')])), 'webp');
+    assert.equal(getImageExtension(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), 'jpg');
+});
+
+test('the default overlay font file is bundled', () => {
+    const fontFile = path.resolve(BOT_DIR, readSettings({}).values.FONT_FILE);
+
+    // TrueType fonts start with the 0x00010000 version tag
+    assert.equal(fs.readFileSync(fontFile).subarray(0, 4).toString('hex'), '00010000');
+});
@@ -0,0 +1,67 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import { useTestEnvironment } from './helpers/environment.js';
+import { runWithLock } from '../lib/lock.js';
+
+/** A PID above the kernel's pid_max, so no process can have it */
+const DEAD_PID = 99999999;
+
+let environment;
+
+afterEach(() => {
+    environment?.cleanup();
+    environment = undefined;
+});
+
+/**
+ * Writes a lock file as another process would
+ * @param {number} pid - Lock holder's PID
+ * @param {number} minutesAgo - How long ago the lock was taken
+ * @returns {void}
+ */
+function writeLock(pid, minutesAgo) {
+    const startedAt = new Date(Date.now() - minutesAgo * 60 * 1000).toISOString();
+    fs.writeFileSync(environment.config.Lock.FILENAME, JSON.stringify({ pid, hostname: os.hostname(), startedAt }));
+}
+
+test('a lock left by a process that is gone is taken over', async () => {
+    environment = useTestEnvironment();
+    writeLock(DEAD_PID, 1);
+    let ran = false;
+
+    assert.equal(await runWithLock(async () => { ran = true; }), true);
+    assert.equal(ran, true);
+    assert.equal(fs.existsSync(environment.config.Lock.FILENAME), false);
+});
+
+test('an old lock whose process is still running is kept', async () => {
+    environment = useTestEnvironment({ env: { LOCK_STALE_MINUTES: '1' } });
+    writeLock(process.ppid, 24 * 60);
+
+    assert.equal(await runWithLock(async () => assert.fail('the task must not run')), false);
+    assert.equal(JSON.parse(fs.readFileSync(environment.config.Lock.FILENAME, 'utf8')).pid, process.ppid);
+});
+
+test('a stale lock replaced by another waiter is not removed', async (t) => {
+    environment = useTestEnvironment();
+    const filename = environment.config.Lock.FILENAME;
+    writeLock(DEAD_PID, 1);
+
+    // Another waiter takes over the stale lock right after this process has read it
+    const readFileSync = fs.readFileSync;
+    let replaced = false;
+    t.mock.method(fs, 'readFileSync', (...args) => {
+        const data = readFileSync(...args);
+        if (args[0] === filename && !replaced) {
+            replaced = true;
+            fs.unlinkSync(filename);
+            writeLock(process.ppid, 0);
+        }
+        return data;
+    });
+
+    assert.equal(await runWithLock(async () => assert.fail('the task must not run')), false);
+    assert.equal(JSON.parse(readFileSync(filename, 'utf8')).pid, process.ppid);
+});
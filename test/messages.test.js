@@ -0,0 +1,115 @@
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakePolaris, startFakeTelegram } from './helpers/fakeServers.js';
+import { makeInsight, useTestEnvironment } from './helpers/environment.js';
+import { getDestinations } from '../lib/destinations.js';
+import { Canvas, canvasAvailable } from '../lib/images.js';
+import { sendMessage } from '../lib/messages.js';
+
+let polaris;
+let telegram;
+let environment;
+
+before(async () => {
+    polaris = await startFakePolaris();
+    telegram = await startFakeTelegram();
+    if (canvasAvailable) {
+        const canvas = Canvas.createCanvas(40, 20);
+        polaris.files['/overlay.png'] = { type: 'image/png', body: canvas.toBuffer('image/png') };
+    }
+});
+
+after(async () => {
+    await polaris.close();
+    await telegram.close();
+});
+
+beforeEach(() => {
+    environment = useTestEnvironment({ polarisUrl: polaris.url, telegramUrl: telegram.url });
+    telegram.reset();
+});
+
+afterEach(() => {
+    environment.cleanup();
+});
+
+test('an image background is sent as a photo with the image URL', async () => {
+    const insight = makeInsight('img', 30, { backgroundType: 'image', backgroundValue: 'https://images.example.com/bg.jpg' });
+
+    await sendMessage({ insight, destination: getDestinations()[0] });
+
+    const sent = telegram.sent();
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].method, 'sendPhoto');
+    assert.equal(sent[0].params.photo, 'https://images.example.com/bg.jpg');
+    assert.equal(sent[0].params.chat_id, '1001');
+    assert.match(sent[0].params.caption, /Headline img/);
+});
+
+test('a rejected photo falls back to a text message', async () => {
+    telegram.fail('sendPhoto', 400, 'Bad Request: wrong file identifier/HTTP URL specified');
+    const insight = makeInsight('bad-img', 30, { backgroundType: 'image', backgroundValue: 'https://images.example.com/missing.jpg' });
+
+    await sendMessage({ insight, destination: getDestinations()[0] });
+
+    assert.deepEqual(telegram.sent().map(request => request.method), ['sendPhoto', 'sendMessage']);
+    assert.match(telegram.sent('sendMessage')[0].params.text, /Headline bad-img/);
+});
+
+test('a photo send that may have arrived does not fall back to text', async () => {
+    environment.config.Telegram.REQUEST_TIMEOUT_MS = 100;
+    const insight = makeInsight('maybe-sent', 30, { backgroundType: 'image', backgroundValue: 'https://images.example.com/bg.jpg' });
+
+    telegram.fail('sendPhoto', 502, 'Bad Gateway');
+    await assert.rejects(() => sendMessage({ insight, destination: getDestinations()[0] }), /Bad Gateway/);
+
+    telegram.reset();
+    telegram.stall('sendPhoto');
+    await assert.rejects(() => sendMessage({ insight, destination: getDestinations()[0] }), /no response within 100ms/);
+
+    assert.deepEqual(telegram.requests.map(request => request.method), ['sendPhoto']);
+});
+
+test('an insight without a usable image is sent as text', async () => {
+    const insight = makeInsight('plain', 30, { backgroundType: 'image', backgroundValue: 'not a url' });
+
+    await sendMessage({ insight, destination: getDestinations()[0] });
+
+    assert.deepEqual(telegram.sent().map(request => request.method), ['sendMessage']);
+});
+
+test('a color background without Canvas falls back to text', { skip: canvasAvailable && 'Canvas is installed' }, async () => {
+    const insight = makeInsight('color', 30, {
+        backgroundType: 'color',
+        backgroundValue: 'green-700',
+        visualizationValue: `${polaris.url}/overlay.png`
+    });
+
+    await sendMessage({ insight, destination: getDestinations()[0] });
+
+    assert.deepEqual(telegram.sent().map(request => request.method), ['sendMessage']);
+});
+
+test('a color background is rendered and uploaded when Canvas is installed', { skip: !canvasAvailable && 'Canvas is not installed' }, async () => {
+    const insight = makeInsight('color', 30, {
+        backgroundType: 'color',
+        backgroundValue: 'green-700',
+        visualizationValue: `${polaris.url}/overlay.png`
+    });
+
+    await sendMessage({ insight, destination: getDestinations()[0] });
+
+    const sent = telegram.sent();
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].method, 'sendPhoto');
+    assert.equal(sent[0].multipart, true);
+    assert.match(sent[0].params.photo, /^\[file /);
+});
+
+test('a color background with a broken overlay URL falls back to text', async () => {
+    const insight = makeInsight('color-bad', 30, { backgroundType: 'color', backgroundValue: 'green-700', visualizationValue: 'overlay.png' });
+
+    await sendMessage({ insight, destination: getDestinations()[0] });
+
+    assert.deepEqual(telegram.sent().map(request => request.method), ['sendMessage']);
+});
@@ -0,0 +1,92 @@
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakePolaris, startFakeTelegram } from './helpers/fakeServers.js';
+import { makeInsight, useTestEnvironment } from './helpers/environment.js';
+import { getDeliveryStatus, getLastRunRecord, isInsightProcessed } from '../lib/store.js';
+import { processNewPublishedInsights } from '../lib/pipeline.js';
+
+let polaris;
+let telegram;
+let environment;
+
+/**
+ * Insight IDs found in the messages sent so far, in send order
+ * @returns {string[]} Insight IDs
+ */
+function sentInsightIds() {
+    return telegram.sent().map(request => (request.params.text || request.params.caption).match(/Headline (\S+)/)[1]);
+}
+
+before(async () => {
+    polaris = await startFakePolaris();
+    telegram = await startFakeTelegram();
+});
+
+after(async () => {
+    await polaris.close();
+    await telegram.close();
+});
+
+beforeEach(() => {
+    environment = useTestEnvironment({ polarisUrl: polaris.url, telegramUrl: telegram.url });
+    telegram.reset();
+});
+
+afterEach(() => {
+    environment.cleanup();
+});
+
+test('insights are posted oldest first', async () => {
+    polaris.insights = [makeInsight('a2', 60), makeInsight('a3', 30), makeInsight('a1', 90)];
+
+    await processNewPublishedInsights({ limit: 7 });
+
+    assert.deepEqual(sentInsightIds(), ['a1', 'a2', 'a3']);
+    assert.equal(getLastRunRecord().status, 'success');
+    assert.equal(getLastRunRecord().sent, 3);
+});
+
+test('insights younger than the minimum age wait for a later run', async () => {
+    polaris.insights = [makeInsight('old', 30), makeInsight('fresh', 2)];
+
+    await processNewPublishedInsights({ limit: 7 });
+
+    assert.deepEqual(sentInsightIds(), ['old']);
+    assert.equal(isInsightProcessed('fresh'), false);
+
+    // Once it is old enough, the next run posts it
+    polaris.insights[1] = makeInsight('fresh', 6);
+    await processNewPublishedInsights({ limit: 7 });
+
+    assert.deepEqual(sentInsightIds(), ['old', 'fresh']);
+});
+
+test('a second run does not post the same insights again', async () => {
+    polaris.insights = [makeInsight('a1', 90), makeInsight('a2', 60)];
+
+    await processNewPublishedInsights({ limit: 7 });
+    await processNewPublishedInsights({ limit: 7 });
+
+    assert.deepEqual(sentInsightIds(), ['a1', 'a2']);
+
+    polaris.insights.push(makeInsight('a3', 30));
+    await processNewPublishedInsights({ limit: 7 });
+
+    assert.deepEqual(sentInsightIds(), ['a1', 'a2', 'a3']);
+});
+
+test('a failed send is recorded and retried on the next run', async () => {
+    polaris.insights = [makeInsight('a1', 30)];
+    telegram.fail('sendMessage', 400, 'Bad Request: message is too long');
+
+    await processNewPublishedInsights({ limit: 7 });
+
+    assert.equal(getDeliveryStatus('a1', 'default'), 'failed');
+    assert.equal(getLastRunRecord().failed, 1);
+
+    telegram.reset();
+    await processNewPublishedInsights({ limit: 7 });
+
+    assert.deepEqual(sentInsightIds(), ['a1']);
+    assert.equal(getDeliveryStatus('a1', 'default'), 'delivered');
+});
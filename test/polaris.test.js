@@ -0,0 +1,54 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakePolaris } from './helpers/fakeServers.js';
+import { makeInsight, useTestEnvironment } from './helpers/environment.js';
+import { fetchPublishedInsights, filterEligibleInsights } from '../lib/polaris.js';
+
+let polaris;
+let environment;
+
+before(async () => {
+    polaris = await startFakePolaris();
+});
+
+after(async () => {
+    await polaris.close();
+});
+
+afterEach(() => {
+    environment.cleanup();
+});
+
+test('filterEligibleInsights drops insights younger than MINIMUM_AGE_MINUTES', () => {
+    environment = useTestEnvironment({ env: { MINIMUM_AGE_MINUTES: '10' } });
+
+    const insights = [makeInsight('old', 60), makeInsight('edge', 10), makeInsight('fresh', 3)];
+
+    assert.deepEqual(filterEligibleInsights(insights).map(insight => insight.id), ['old', 'edge']);
+});
+
+test('fetchPublishedInsights reads one page newest first from the configured API URL', async () => {
+    environment = useTestEnvironment({ polarisUrl: polaris.url });
+    polaris.insights = [makeInsight('a1', 90), makeInsight('a3', 30), makeInsight('a2', 60)];
+    polaris.requests.length = 0;
+
+    const insights = await fetchPublishedInsights({ pageSize: 7 });
+
+    assert.deepEqual(insights.map(insight => insight.id), ['a3', 'a2', 'a1']);
+    assert.deepEqual(polaris.requests, ['/ai/curated-insights?_sort=publishedAt&_order=desc&_start=0&_end=7']);
+});
+
+test('fetchPublishedInsights pages back until it reaches the stop date', async () => {
+    environment = useTestEnvironment({ polarisUrl: polaris.url });
+    polaris.insights = [1, 2, 3, 4, 5].map(hours => makeInsight(`h${hours}`, hours * 60));
+    polaris.requests.length = 0;
+
+    const insights = await fetchPublishedInsights({
+        pageSize: 2,
+        stopAt: new Date(Date.now() - 3.5 * 60 * 60 * 1000),
+        maxPages: 10
+    });
+
+    assert.deepEqual(insights.map(insight => insight.id), ['h1', 'h2', 'h3', 'h4']);
+    assert.equal(polaris.requests.length, 2);
+});
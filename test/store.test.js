@@ -0,0 +1,96 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { useTestEnvironment } from './helpers/environment.js';
+import {
+    closeStateStore,
+    countProcessedInsights,
+    getDeliveryStatus,
+    getLatestSentInsight,
+    getStateDb,
+    getStateValue,
+    isInsightProcessed,
+    readCache,
+    recordDelivery
+} from '../lib/store.js';
+
+let environment;
+
+beforeEach(() => {
+    environment = useTestEnvironment();
+});
+
+afterEach(() => {
+    environment.cleanup();
+});
+
+test('isInsightProcessed is false until a delivery is recorded', () => {
+    assert.equal(isInsightProcessed('a1'), false);
+    assert.equal(isInsightProcessed('a1', 'default'), false);
+
+    recordDelivery('a1', 'default', { ok: true, messageId: 10, chatId: '1001', kind: 'text' });
+
+    assert.equal(isInsightProcessed('a1'), true);
+    assert.equal(isInsightProcessed('a1', 'default'), true);
+    assert.equal(countProcessedInsights(), 1);
+});
+
+test('isInsightProcessed tracks each destination separately', () => {
+    recordDelivery('a1', 'desk', { ok: true, messageId: 10 });
+
+    assert.equal(isInsightProcessed('a1', 'desk'), true);
+    assert.equal(isInsightProcessed('a1', 'forum'), false);
+});
+
+test('a failed delivery does not count as processed for its destination', () => {
+    recordDelivery('a1', 'default', { ok: false, error: 'chat not found' });
+
+    assert.equal(getDeliveryStatus('a1', 'default'), 'failed');
+    assert.equal(isInsightProcessed('a1', 'default'), false);
+
+    recordDelivery('a1', 'default', { ok: true, messageId: 11 });
+
+    assert.equal(getDeliveryStatus('a1', 'default'), 'delivered');
+    assert.equal(isInsightProcessed('a1', 'default'), true);
+});
+
+test('readCache returns an empty object for a corrupt cache file', () => {
+    const file = environment.config.Cache.PROCESSED_IDS_FILENAME;
+    fs.writeFileSync(file, '{"processedIds": ["a1", ');
+
+    assert.deepEqual(readCache({ filename: file }), {});
+});
+
+test('corrupt legacy JSON caches stop the import instead of importing nothing', () => {
+    fs.writeFileSync(environment.config.Cache.PROCESSED_IDS_FILENAME, '{"processedIds": [');
+    fs.writeFileSync(environment.config.Cache.FILENAME, JSON.stringify({ id: 'a1', publishedAt: '2024-05-01T09:00:00.000Z' }));
+
+    assert.throws(() => getStateDb(), /Cannot import legacy cache file .*processed.*Fix or remove the file/s);
+    assert.throws(() => countProcessedInsights(), /Cannot import legacy cache file/);
+
+    fs.writeFileSync(environment.config.Cache.PROCESSED_IDS_FILENAME, '{"processedIds": ["a1"]}');
+    fs.writeFileSync(environment.config.Cache.FILENAME, 'not json');
+    assert.throws(() => getStateDb(), /Cannot import legacy cache file/);
+
+    // Once the files are fixed, the import runs and is marked done
+    fs.writeFileSync(environment.config.Cache.FILENAME, JSON.stringify({ id: 'a1', publishedAt: '2024-05-01T09:00:00.000Z' }));
+    assert.equal(isInsightProcessed('a1', 'default'), true);
+    assert.equal(getStateValue('legacy_json_imported').insights, 1);
+});
+
+test('valid legacy JSON caches are imported once', () => {
+    fs.writeFileSync(environment.config.Cache.PROCESSED_IDS_FILENAME, JSON.stringify({
+        processedIds: ['a1', { id: 'a2', processedAt: '2024-05-01T10:00:00.000Z' }, null]
+    }));
+    fs.writeFileSync(environment.config.Cache.FILENAME, JSON.stringify({ id: 'a2', publishedAt: '2024-05-01T09:00:00.000Z' }));
+
+    assert.equal(isInsightProcessed('a1'), true);
+    assert.equal(isInsightProcessed('a2', 'default'), true);
+    assert.equal(countProcessedInsights(), 2);
+    assert.equal(getLatestSentInsight().id, 'a2');
+
+    // Reopening the database does not import the files again
+    getStateDb().prepare('DELETE FROM insights').run();
+    closeStateStore();
+    assert.equal(countProcessedInsights(), 0);
+});
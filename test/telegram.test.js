@@ -0,0 +1,62 @@
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeTelegram } from './helpers/fakeServers.js';
+import { useTestEnvironment } from './helpers/environment.js';
+import { TelegramApiError, callTelegramApi } from '../lib/telegram.js';
+
+let telegram;
+let environment;
+
+before(async () => {
+    telegram = await startFakeTelegram();
+});
+
+after(async () => {
+    await telegram.close();
+});
+
+beforeEach(() => {
+    telegram.reset();
+});
+
+afterEach(() => {
+    environment?.cleanup();
+    environment = undefined;
+});
+
+test('a request without a response times out and is retried', async () => {
+    environment = useTestEnvironment({
+        telegramUrl: telegram.url,
+        env: { TELEGRAM_REQUEST_TIMEOUT_MS: '100', TELEGRAM_MAX_RETRIES: '1', TELEGRAM_RETRY_BASE_DELAY_MS: '0' }
+    });
+    telegram.stall('sendMessage');
+
+    const response = await callTelegramApi('sendMessage', { chat_id: '1001', text: 'Hello' });
+
+    assert.equal(response.ok, true);
+    assert.equal(telegram.sent('sendMessage').length, 2);
+});
+
+test('a timeout that outlasts the retries fails with a retryable error', async () => {
+    environment = useTestEnvironment({
+        telegramUrl: telegram.url,
+        env: { TELEGRAM_REQUEST_TIMEOUT_MS: '100', TELEGRAM_MAX_RETRIES: '0' }
+    });
+    telegram.stall('sendMessage');
+
+    await assert.rejects(() => callTelegramApi('sendMessage', { chat_id: '1001', text: 'Hello' }), error => {
+        assert.ok(error instanceof TelegramApiError);
+        assert.equal(error.retryable, true);
+        assert.match(error.message, /no response within 100ms/);
+        return true;
+    });
+});
+
+test('long polls wait for their poll timeout on top of the request timeout', async () => {
+    environment = useTestEnvironment({ telegramUrl: telegram.url, env: { TELEGRAM_REQUEST_TIMEOUT_MS: '100', TELEGRAM_MAX_RETRIES: '0' } });
+    telegram.stall('getUpdates');
+
+    const startedAt = Date.now();
+    await assert.rejects(() => callTelegramApi('getUpdates', { timeout: 1 }), /no response within 1100ms/);
+    assert.ok(Date.now() - startedAt >= 1000);
+});
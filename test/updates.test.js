@@ -0,0 +1,75 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import net from 'net';
+import { startFakeTelegram } from './helpers/fakeServers.js';
+import { useTestEnvironment } from './helpers/environment.js';
+import { ensureUpdateHandling, stopUpdateHandling } from '../lib/updates.js';
+
+let telegram;
+let environment;
+
+before(async () => {
+    telegram = await startFakeTelegram();
+});
+
+after(async () => {
+    await telegram.close();
+});
+
+afterEach(async () => {
+    await stopUpdateHandling();
+    environment?.cleanup();
+    environment = undefined;
+});
+
+/**
+ * Finds a free local port
+ * @returns {Promise<number>} Port number
+ */
+function getFreePort() {
+    return new Promise(resolve => {
+        const server = net.createServer().listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Posts a body to the local webhook in chunks
+ * @param {number} port - Webhook port
+ * @param {Buffer} body - Request body
+ * @param {Object} [headers={}] - Request headers (without Content-Length the body is sent chunked)
+ * @returns {Promise<number>} Response status
+ */
+function postWebhook(port, body, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, path: '/hook', method: 'POST', headers }, res => {
+            res.resume();
+            resolve(res.statusCode);
+        });
+        // The server closes the connection once it has answered an oversized request
+        req.on('error', error => (error.code === 'ECONNRESET' || error.code === 'EPIPE' ? undefined : reject(error)));
+        for (let offset = 0; offset < body.length; offset += 64 * 1024) {
+            req.write(body.subarray(offset, offset + 64 * 1024));
+        }
+        req.end();
+    });
+}
+
+test('the webhook refuses request bodies over 1 MB', async () => {
+    const port = await getFreePort();
+    environment = useTestEnvironment({
+        telegramUrl: telegram.url,
+        env: { UPDATES_MODE: 'webhook', WEBHOOK_URL: 'https://bot.example.com/hook', WEBHOOK_PORT: String(port), INLINE_BUTTONS: 'feedback' }
+    });
+    await ensureUpdateHandling();
+    const oversized = Buffer.alloc(2 * 1024 * 1024, 'x');
+
+    assert.equal(await postWebhook(port, oversized, { 'Content-Length': String(oversized.length) }), 413);
+    assert.equal(await postWebhook(port, oversized), 413);
+
+    // Regular updates are still accepted
+    assert.equal(await postWebhook(port, Buffer.from(JSON.stringify({ update_id: 1 }))), 200);
+});